@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Classify tickets from the command line, without the HTTP server
+ *
+ *   npm run classify -- --channel api --severity high --summary "Transfer API timing out"
+ *   npm run classify -- tickets.ndjson --output csv > results.csv
+ *   cat tickets.json | vibefi-classify --no-ai --output json
+ *
+ * Run with --help for all options.
+ */
+require('dotenv').config();
+
+// Keep per-ticket logging out of the output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { runCli } = require('../src/cli');
+
+runCli(process.argv.slice(2), {
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr
+}).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation CLI
+ *
+ *   npm run evaluate -- --dataset examples/labeled-tickets.jsonl [options]
+ *
+ * Options:
+ *   --dataset <file>          Labeled JSONL or CSV dataset (required)
+ *   --no-ai                   Force AI analysis off (rules only)
+ *   --rules <file>            Evaluate with this rules file instead of the active one
+ *   --prompt <file>           Send this system prompt to the LLM instead of the generated one
+ *   --model <file>            Evaluate with this trained model instead of the active one
+ *   --no-model                Leave the trained model out of the blend
+ *   --compare-rules <file>    Also run with these rules and diff against the first run
+ *   --compare-prompt <file>   Also run with this prompt and diff against the first run
+ *   --baseline <report.json>  Diff this run against a saved report
+ *   --output <file>           Save the JSON report (the candidate's when comparing)
+ *   --max-drop <n>            Exit 1 if accuracy or macro F1 drops by more than n (default 0)
+ *   --json                    Print JSON instead of tables
+ */
+require('dotenv').config();
+
+// Keep per-ticket logging out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const { loadRulesFile } = require('../src/rules');
+const { loadModelFile } = require('../src/model');
+const {
+  loadDataset,
+  evaluateDataset,
+  diffReports,
+  isRegression,
+  formatReport,
+  formatDiff
+} = require('../src/evaluation');
+
+const VALUE_OPTIONS = ['dataset', 'rules', 'prompt', 'model', 'compare-rules', 'compare-prompt', 'baseline', 'output', 'max-drop'];
+
+function parseArgs(argv) {
+  const options = { ai: true, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.replace(/^--/, '');
+    if (arg === '--no-ai') {
+      options.ai = false;
+    } else if (arg === '--no-model') {
+      options.model = null;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (VALUE_OPTIONS.includes(name) && argv[i + 1] !== undefined) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+  }
+  if (!options.dataset) {
+    throw new Error('--dataset is required');
+  }
+  return options;
+}
+
+function runConfig(options, rulesFile, promptFile) {
+  return {
+    useAI: options.ai,
+    ruleSet: rulesFile ? loadRulesFile(rulesFile) : undefined,
+    model: options.model ? loadModelFile(options.model) : options.model,
+    prompt: promptFile ? fs.readFileSync(promptFile, 'utf8') : undefined,
+    config: { dataset: options.dataset, rules_file: rulesFile || null, prompt_file: promptFile || null }
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const rows = loadDataset(options.dataset);
+
+  const report = await evaluateDataset(rows, runConfig(options, options.rules, options.prompt));
+
+  let baseline = null;
+  let candidate = report;
+  if (options['compare-rules'] || options['compare-prompt']) {
+    baseline = report;
+    candidate = await evaluateDataset(rows, runConfig(
+      options,
+      options['compare-rules'] || options.rules,
+      options['compare-prompt'] || options.prompt
+    ));
+  } else if (options.baseline) {
+    baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+  }
+
+  const diff = baseline ? diffReports(baseline, candidate) : null;
+
+  if (options.output) {
+    fs.writeFileSync(options.output, `${JSON.stringify(candidate, null, 2)}\n`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(diff ? { baseline, candidate, diff } : candidate, null, 2));
+  } else {
+    console.log(formatReport(candidate));
+    if (diff) {
+      console.log(`\nChange against baseline\n${formatDiff(diff)}`);
+    }
+  }
+
+  const maxDrop = parseFloat(options['max-drop']) || 0;
+  if (diff && isRegression(diff, maxDrop)) {
+    console.error(`Regression: accuracy or macro F1 dropped by more than ${maxDrop}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Train the local classification model
+ *
+ *   npm run train -- --dataset examples/labeled-tickets.jsonl [options]
+ *
+ * Options:
+ *   --dataset <file>   Labeled JSONL or CSV dataset (repeatable)
+ *   --from-store       Also train on classifications labeled through POST /feedback
+ *   --calibration <file>  Held-out labeled dataset to fit the confidence temperature on (repeatable)
+ *   --output <file>    Model file to write (default: MODEL_FILE or models/ticket-model.json)
+ *   --version <name>   Model version (default: nb-<checksum>)
+ *   --alpha <n>        Laplace smoothing (default 1)
+ */
+require('dotenv').config();
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { getDecisionClasses } = require('../src/rules');
+const { trainModel, saveModel, DEFAULT_MODEL_FILE } = require('../src/model');
+const { fitConfidenceTemperature } = require('../src/scoring');
+const { loadDataset, toExample } = require('../src/evaluation');
+const { getCollection } = require('../src/store');
+const { validateTicketInput } = require('../src/validation');
+
+function parseArgs(argv) {
+  const options = { datasets: [], calibration: [], fromStore: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from-store') {
+      options.fromStore = true;
+    } else if (arg === '--dataset' && argv[i + 1] !== undefined) {
+      options.datasets.push(argv[++i]);
+    } else if (arg === '--calibration' && argv[i + 1] !== undefined) {
+      options.calibration.push(argv[++i]);
+    } else if (['--output', '--version', '--alpha'].includes(arg) && argv[i + 1] !== undefined) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+  }
+  if (options.datasets.length === 0 && !options.fromStore) {
+    throw new Error('Pass at least one --dataset or --from-store');
+  }
+  return options;
+}
+
+// Valid labeled examples from dataset files, and how many rows were skipped
+function loadExamples(files, classes) {
+  const examples = [];
+  let skipped = 0;
+  for (const file of files) {
+    loadDataset(file).forEach((row, index) => {
+      const { ticket, label } = toExample(row, index);
+      if (classes.includes(label) && !validateTicketInput(ticket).error) {
+        examples.push({ ticket, label });
+      } else {
+        skipped++;
+      }
+    });
+  }
+  return { examples, skipped };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const classes = getDecisionClasses();
+  const { examples, skipped } = loadExamples(options.datasets, classes);
+
+  if (options.fromStore) {
+    getCollection('classifications')
+      .find(record => record.label && classes.includes(record.label.decision))
+      .forEach(record => examples.push({ ticket: record.input, label: record.label.decision }));
+  }
+
+  const model = trainModel(examples, {
+    version: options.version,
+    alpha: options.alpha ? parseFloat(options.alpha) : undefined
+  });
+  if (options.calibration.length > 0) {
+    model.calibration = fitConfidenceTemperature(loadExamples(options.calibration, classes).examples, { model });
+  }
+  const output = options.output || process.env.MODEL_FILE || DEFAULT_MODEL_FILE;
+  saveModel(model, output);
+
+  console.log(`Trained ${model.version} on ${model.examples} example(s), skipped ${skipped}`);
+  for (const [label, stats] of Object.entries(model.classes)) {
+    console.log(`  ${label}: ${stats.documents}`);
+  }
+  if (model.calibration) {
+    const { temperature, examples: fitted, log_loss: logLoss } = model.calibration;
+    console.log(`Confidence temperature ${temperature} fitted on ${fitted} example(s) (log loss ${logLoss})`);
+  } else {
+    console.log('No --calibration dataset: confidence uses the unfitted CONFIDENCE_TEMPERATURE');
+  }
+  console.log(`Model written to ${output}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
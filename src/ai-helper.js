@@ -1,68 +1,135 @@
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { getProvider } = require('./llm-providers');
+const { findKeywords } = require('./text-matcher');
+const { scoreRuleFeatures } = require('./scoring');
+const { describeRuleEvidence } = require('./explain');
+const { getActiveRuleSet } = require('./rules');
+const { detectLanguage, LANGUAGE_NAMES, DEFAULT_LANGUAGE } = require('./language');
+const { createRedactionSession } = require('./redaction');
+const { getAnalysisCache } = require('./analysis-cache');
+const { recordLlmCall, recordAiFallback, recordAnalysisCache } = require('./metrics');
 const logger = require('./logger');
 
-// Initialize OpenAI client (will use OPENAI_API_KEY from environment)
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'demo-key'
-});
-
 /**
- * AI-powered ticket analysis using GPT
+ * AI-powered ticket analysis using the configured LLM provider
  * This helper provides enhanced natural language understanding
  * to complement rule-based classification
  */
 
-const ANALYSIS_PROMPT = `You are an expert banking support analyst. Analyze the following support ticket and determine whether it requires:
+/**
+ * Build the analysis prompt for the decision classes of a rule set
+ */
+function buildAnalysisPrompt(ruleSet = getActiveRuleSet()) {
+  const classes = Object.entries(ruleSet.classes);
+  const options = classes
+    .map(([name, definition], index) => `${index + 1}. "${name}" - ${definition.description || definition.label}`)
+    .join('\n');
+  const names = classes.map(([name]) => `"${name}"`).join(' | ');
+
+  return `You are an expert banking support analyst. Analyze the following support ticket and determine which resolution path it requires:
 
-1. "ai_code_remediation" - Technical issues needing code fixes (API errors, bugs, system failures, integration problems)
-2. "vibe_coded_troubleshooting" - Operational issues needing workflow scripts (account problems, user guidance, process issues)
+${options}
 
 Consider:
 - Technical complexity of the issue
 - Whether it involves system/code problems vs user/process problems  
+- Security, fraud and regulatory risk
 - Severity and channel context
 - Root cause likely location (code vs operations)
 
 Respond with JSON only:
 {
-  "recommendation": "ai_code_remediation" or "vibe_coded_troubleshooting",
+  "recommendation": ${names},
   "confidence": 0.0-1.0,
   "reasoning": "brief explanation of decision factors",
   "technical_indicators": ["list", "of", "technical", "clues"],
   "operational_indicators": ["list", "of", "operational", "clues"]
 }`;
+}
 
 /**
- * Analyze ticket using OpenAI GPT
+ * Analyze ticket using the configured LLM provider
+ * PII in the summary is redacted before it leaves the process; pass a
+ * redaction session to share its token map with the caller, and a prompt
+ * to replace the generated system prompt (e.g. when evaluating prompt versions).
+ * Identical and near-duplicate tickets reuse a cached analysis instead of
+ * calling the LLM again; pass `cache: null` to always call it.
+ * The returned analysis records which provider and model produced it, its
+ * `source` (llm, cache or near_duplicate) and, when reused, `reused_from`.
+ * The LLM is asked to write its reasoning in `responseLanguage`.
+ * Cached analyses are scoped to `tenantId`, so tenants never see each
+ * other's reasoning or ticket IDs.
  */
-async function analyzeTicketWithAI(ticket) {
-  // Skip AI analysis if no API key provided (for demo/testing)
-  if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'demo-key') {
-    logger.info('Skipping AI analysis - no API key provided');
-    return null;
-  }
+async function analyzeTicketWithAI(ticket, {
+  ruleSet = getActiveRuleSet(),
+  redaction = createRedactionSession(),
+  prompt,
+  cache = getAnalysisCache(),
+  language,
+  responseLanguage = DEFAULT_LANGUAGE,
+  tenantId = null
+} = {}) {
+  let provider = null;
+  let callStart = null;
 
   try {
-    const ticketContext = `
+    provider = getProvider();
+    if (!provider || !provider.isAvailable()) {
+      logger.info('Skipping AI analysis - no LLM provider available', {
+        provider: provider ? provider.name : 'none'
+      });
+      recordAiFallback('unavailable');
+      return null;
+    }
+
+    const systemPrompt = prompt || buildAnalysisPrompt(ruleSet);
+    const redactedTicket = { ...ticket, summary: redaction.redact(ticket.summary) };
+
+    // Cached analyses are only reused for the same tenant, provider, model, rules, prompt and response language
+    const cacheContext = [
+      tenantId || '',
+      provider.name,
+      provider.model,
+      ruleSet.version,
+      crypto.createHash('sha256').update(systemPrompt).digest('hex'),
+      responseLanguage
+    ].join('|');
+    const cached = cache ? cache.lookup(redactedTicket, cacheContext) : null;
+    recordAnalysisCache(cache ? (cached ? cached.source : 'miss') : 'bypass');
+    if (cached) {
+      logger.debug('Reusing cached AI analysis', {
+        source: cached.source,
+        sourceTicketId: cached.origin.ticket_id,
+        similarity: cached.origin.similarity
+      });
+      return { ...cached.analysis, source: cached.source, reused_from: cached.origin };
+    }
+
+    let ticketContext = `
 Channel: ${ticket.channel}
 Severity: ${ticket.severity}  
-Summary: ${ticket.summary}
+Summary: ${redactedTicket.summary}
     `.trim();
+    if (language && language !== DEFAULT_LANGUAGE) {
+      ticketContext += `\nLanguage: ${LANGUAGE_NAMES[language]}`;
+    }
+    if (responseLanguage !== DEFAULT_LANGUAGE) {
+      ticketContext += `\n\nWrite the "reasoning" field in ${LANGUAGE_NAMES[responseLanguage]}.`;
+    }
 
-    logger.debug('Sending ticket to AI for analysis');
+    logger.debug('Sending ticket to AI for analysis', {
+      provider: provider.name,
+      model: provider.model
+    });
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: ANALYSIS_PROMPT },
-        { role: 'user', content: ticketContext }
-      ],
+    callStart = Date.now();
+    const response = await provider.complete({
+      system: systemPrompt,
+      user: ticketContext,
       temperature: 0.3, // Lower temperature for more consistent results
-      max_tokens: 300,
-      timeout: 10000 // 10 second timeout
+      maxTokens: 300
     });
 
-    const response = completion.choices[0]?.message?.content;
     if (!response) {
       throw new Error('Empty response from AI');
     }
@@ -74,13 +141,29 @@ Summary: ${ticket.summary}
     if (!analysis.recommendation || !analysis.confidence || !analysis.reasoning) {
       throw new Error('Invalid AI response structure');
     }
+    if (!ruleSet.classes[analysis.recommendation]) {
+      throw new Error(`Unknown AI recommendation: ${analysis.recommendation}`);
+    }
 
     // Ensure confidence is within valid range
     analysis.confidence = Math.max(0, Math.min(1, analysis.confidence));
 
+    // Record which provider and model produced the analysis
+    analysis.provider = provider.name;
+    analysis.model = provider.model;
+
+    recordLlmCall({ provider: provider.name, model: provider.model, success: true, durationMs: Date.now() - callStart });
+
+    if (cache) {
+      cache.store(redactedTicket, cacheContext, analysis);
+    }
+    analysis.source = 'llm';
+    analysis.reused_from = null;
+
     logger.debug('AI analysis successful', { 
       recommendation: analysis.recommendation,
-      confidence: analysis.confidence 
+      confidence: analysis.confidence,
+      provider: analysis.provider
     });
 
     return analysis;
@@ -90,6 +173,11 @@ Summary: ${ticket.summary}
       error: error.message,
       type: error.constructor.name 
     });
+
+    if (callStart !== null) {
+      recordLlmCall({ provider: provider.name, model: provider.model, success: false, durationMs: Date.now() - callStart });
+    }
+    recordAiFallback('failed');
     
     // Don't throw - let classifier fall back to rule-based only
     return null;
@@ -97,53 +185,25 @@ Summary: ${ticket.summary}
 }
 
 /**
- * Generate AI-assisted reasoning for classification decisions
- * Used when AI analysis is not available but we want enhanced explanations
+ * Generate reasoning for classification decisions from the rule features
+ * Used when AI analysis is not available but we want enhanced explanations:
+ * lists the keywords, channel and severity that scored, with their contributions.
  */
-function generateEnhancedReasoning(ticket, decision, ruleScores) {
-  const { ai_score, vibe_score } = ruleScores;
-  
-  let reasoning = `Based on analysis of channel (${ticket.channel}), severity (${ticket.severity}), and content patterns: `;
-  
-  if (decision === 'ai_code_remediation') {
-    reasoning += `Technical indicators detected (score: ${ai_score.toFixed(2)}). `;
-    
-    if (ticket.summary.toLowerCase().includes('api')) {
-      reasoning += 'API-related issue suggests code-level intervention. ';
-    }
-    if (ticket.severity === 'critical' || ticket.severity === 'high') {
-      reasoning += 'High severity technical issue requires immediate code remediation. ';
-    }
-    if (['mobile_app', 'web_app', 'api'].includes(ticket.channel)) {
-      reasoning += 'Digital channel indicates system-level problem. ';
-    }
-  } else {
-    reasoning += `Operational indicators detected (score: ${vibe_score.toFixed(2)}). `;
-    
-    if (ticket.summary.toLowerCase().includes('account')) {
-      reasoning += 'Account-related issue best handled through workflow scripts. ';
-    }
-    if (['phone', 'email', 'chat'].includes(ticket.channel)) {
-      reasoning += 'Human interaction channel suggests operational resolution. ';
-    }
-    if (ticket.severity === 'low' || ticket.severity === 'medium') {
-      reasoning += 'Standard severity level appropriate for workflow handling. ';
-    }
-  }
-  
-  return reasoning.trim();
+function generateEnhancedReasoning(ticket, decision, ruleScores, ruleSet = getActiveRuleSet()) {
+  const { features } = scoreRuleFeatures(ticket, decision, ruleSet);
+  return describeRuleEvidence(decision, ruleScores, features);
 }
 
 /**
  * Fallback analysis when AI is unavailable
  * Provides structured analysis using rule-based logic
  */
-function createFallbackAnalysis(ticket, decision, ruleScores) {
-  const reasoning = generateEnhancedReasoning(ticket, decision, ruleScores);
+function createFallbackAnalysis(ticket, decision, ruleScores, ruleSet = getActiveRuleSet()) {
+  const reasoning = generateEnhancedReasoning(ticket, decision, ruleScores, ruleSet);
   
   return {
     recommendation: decision,
-    confidence: Math.max(ruleScores.ai_score, ruleScores.vibe_score),
+    confidence: Math.max(...Object.values(ruleScores)),
     reasoning,
     technical_indicators: extractTechnicalIndicators(ticket),
     operational_indicators: extractOperationalIndicators(ticket),
@@ -151,30 +211,45 @@ function createFallbackAnalysis(ticket, decision, ruleScores) {
   };
 }
 
+// Indicator keywords per language; English ones apply to every ticket
+const TECHNICAL_KEYWORDS = {
+  en: [
+    'api', 'error', 'timeout', 'bug', 'crash', 'exception', 
+    'database', 'server', 'code', 'integration', 'authentication'
+  ],
+  es: ['fallo', 'caída', 'se cierra', 'base de datos', 'servidor', 'código', 'integración', 'autenticación'],
+  fr: ['erreur', 'panne', 'plantage', 'base de données', 'serveur', 'intégration', 'authentification'],
+  hi: ['त्रुटि', 'एरर', 'सर्वर', 'क्रैश', 'बग', 'कोड']
+};
+
+const OPERATIONAL_KEYWORDS = {
+  en: [
+    'account', 'balance', 'transaction', 'payment', 'card', 
+    'password', 'profile', 'help', 'support', 'verification'
+  ],
+  es: ['cuenta', 'saldo', 'transacción', 'pago', 'tarjeta', 'contraseña', 'perfil', 'ayuda', 'verificación'],
+  fr: ['compte', 'solde', 'transaction', 'paiement', 'carte', 'mot de passe', 'profil', 'aide', 'vérification'],
+  hi: ['खाता', 'बैलेंस', 'लेनदेन', 'भुगतान', 'कार्ड', 'पासवर्ड', 'प्रोफ़ाइल', 'मदद', 'सत्यापन']
+};
+
+function indicatorKeywords(dictionary, ticket, language) {
+  const code = language || ticket.language || detectLanguage(ticket.summary).language;
+  return code === DEFAULT_LANGUAGE ? dictionary.en : [...dictionary.en, ...(dictionary[code] || [])];
+}
+
 /**
  * Extract technical indicators from ticket
+ * Uses the given language, the ticket's language, or the detected one.
  */
-function extractTechnicalIndicators(ticket) {
-  const technical_keywords = [
-    'api', 'error', 'timeout', 'bug', 'crash', 'exception', 
-    'database', 'server', 'code', 'integration', 'authentication'
-  ];
-  
-  const summary_lower = ticket.summary.toLowerCase();
-  return technical_keywords.filter(keyword => summary_lower.includes(keyword));
+function extractTechnicalIndicators(ticket, language) {
+  return findKeywords(ticket.summary, indicatorKeywords(TECHNICAL_KEYWORDS, ticket, language));
 }
 
 /**
  * Extract operational indicators from ticket  
  */
-function extractOperationalIndicators(ticket) {
-  const operational_keywords = [
-    'account', 'balance', 'transaction', 'payment', 'card', 
-    'password', 'profile', 'help', 'support', 'verification'
-  ];
-  
-  const summary_lower = ticket.summary.toLowerCase();
-  return operational_keywords.filter(keyword => summary_lower.includes(keyword));
+function extractOperationalIndicators(ticket, language) {
+  return findKeywords(ticket.summary, indicatorKeywords(OPERATIONAL_KEYWORDS, ticket, language));
 }
 
 module.exports = {
@@ -183,5 +258,9 @@ module.exports = {
   createFallbackAnalysis,
   extractTechnicalIndicators,
   extractOperationalIndicators,
-  ANALYSIS_PROMPT
+  buildAnalysisPrompt,
+  // Analysis prompt for the active rule set's decision classes
+  get ANALYSIS_PROMPT() {
+    return buildAnalysisPrompt();
+  }
 };
\ No newline at end of file
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { analyzeText } = require('./text-matcher');
+
+/**
+ * Cache of AI analyses with near-duplicate lookup
+ * Exact hits are keyed on the normalized (stemmed, redacted) summary plus
+ * channel and severity. Near-duplicates are found with MinHash signatures
+ * over word shingles, bucketed with LSH bands and confirmed by exact Jaccard
+ * similarity. Entries are scoped by context (tenant, provider, model, rule
+ * set and prompt) so an analysis is never reused across tenants or
+ * configurations.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.AI_CACHE_TTL_MS, 10) || 15 * 60 * 1000;
+const CACHE_SIZE = process.env.AI_CACHE_SIZE !== undefined ? parseInt(process.env.AI_CACHE_SIZE, 10) : 1000;
+const DEDUP_THRESHOLD = parseFloat(process.env.AI_DEDUP_THRESHOLD) || 0.8;
+
+// 64 MinHash functions in 16 bands of 4 rows
+const NUM_HASHES = 64;
+const BAND_ROWS = 4;
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x27d4eb2d) >>> 0);
+
+/**
+ * Normalized summary: stemmed tokens, negated words marked
+ */
+function normalizeSummary(summary) {
+  return analyzeText(summary)
+    .map(token => (token.negated ? `not_${token.stem}` : token.stem))
+    .join(' ');
+}
+
+/**
+ * Word unigrams and bigrams of a normalized summary
+ */
+function shingles(normalized) {
+  const words = normalized.split(' ').filter(Boolean);
+  const set = new Set(words);
+  for (let i = 0; i < words.length - 1; i++) {
+    set.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return set;
+}
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seeded 32-bit mix (murmur3 finalizer)
+function mix(hash, seed) {
+  let value = Math.imul(hash ^ seed, 0x9e3779b1);
+  value ^= value >>> 16;
+  value = Math.imul(value, 0x85ebca6b);
+  value ^= value >>> 13;
+  return value >>> 0;
+}
+
+/**
+ * MinHash signature of a shingle set
+ */
+function minHash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    const hash = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix(hash, SEEDS[i]);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  }
+  return signature;
+}
+
+/**
+ * Exact Jaccard similarity of two sets
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+function bandKeys(context, signature) {
+  const keys = [];
+  for (let start = 0; start < NUM_HASHES; start += BAND_ROWS) {
+    keys.push(`${context}|${start}|${signature.slice(start, start + BAND_ROWS).join(',')}`);
+  }
+  return keys;
+}
+
+/**
+ * Create an analysis cache bounded by size (least recently used evicted) and TTL
+ * maxSize 0 disables caching.
+ */
+function createAnalysisCache({
+  ttlMs = CACHE_TTL_MS,
+  maxSize = CACHE_SIZE,
+  threshold = DEDUP_THRESHOLD,
+  now = () => Date.now()
+} = {}) {
+  const entries = new Map();
+  const bands = new Map();
+
+  function exactKey(ticket, context) {
+    const normalized = normalizeSummary(ticket.summary);
+    return crypto.createHash('sha256')
+      .update(`${context}\n${ticket.channel}\n${ticket.severity}\n${normalized}`)
+      .digest('hex');
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return;
+    }
+    entries.delete(key);
+    for (const band of entry.bands) {
+      const bucket = bands.get(band);
+      bucket.delete(key);
+      if (bucket.size === 0) {
+        bands.delete(band);
+      }
+    }
+  }
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      remove(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function hit(entry, source, similarity) {
+    // Refresh recency
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+    return {
+      analysis: { ...entry.analysis },
+      source,
+      origin: {
+        ticket_id: entry.ticketId,
+        analyzed_at: entry.analyzedAt,
+        similarity: Math.round(similarity * 1000) / 1000
+      }
+    };
+  }
+
+  return {
+    /**
+     * Find a cached analysis for the ticket: exact match first, then the most
+     * similar near-duplicate with the same channel and severity
+     */
+    lookup(ticket, context) {
+      if (maxSize <= 0) {
+        return null;
+      }
+
+      const key = exactKey(ticket, context);
+      const exact = live(key);
+      if (exact) {
+        return hit(exact, 'cache', 1);
+      }
+
+      const scope = `${context}\n${ticket.channel}\n${ticket.severity}`;
+      const shingleSet = shingles(normalizeSummary(ticket.summary));
+      const candidates = new Set();
+      for (const band of bandKeys(scope, minHash(shingleSet))) {
+        for (const candidate of bands.get(band) || []) {
+          candidates.add(candidate);
+        }
+      }
+
+      let best = null;
+      for (const candidateKey of candidates) {
+        const entry = live(candidateKey);
+        if (!entry) {
+          continue;
+        }
+        const similarity = jaccard(shingleSet, entry.shingles);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { entry, similarity };
+        }
+      }
+      return best ? hit(best.entry, 'near_duplicate', best.similarity) : null;
+    },
+
+    /**
+     * Cache an analysis produced for the ticket
+     */
+    store(ticket, context, analysis) {
+      if (maxSize <= 0) {
+        return;
+      }
+
+      const key = exactKey(ticket, context);
+      remove(key);
+
+      const scope = `${context}\n${ticket.channel}\n${ticket.severity}`;
+      const shingleSet = shingles(normalizeSummary(ticket.summary));
+      const entry = {
+        key,
+        analysis: { ...analysis },
+        ticketId: ticket.ticket_id || null,
+        analyzedAt: new Date(now()).toISOString(),
+        expiresAt: now() + ttlMs,
+        shingles: shingleSet,
+        bands: bandKeys(scope, minHash(shingleSet))
+      };
+
+      entries.set(key, entry);
+      for (const band of entry.bands) {
+        if (!bands.has(band)) {
+          bands.set(band, new Set());
+        }
+        bands.get(band).add(key);
+      }
+
+      while (entries.size > maxSize) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+      bands.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// Shared cache used by analyzeTicketWithAI
+const defaultCache = createAnalysisCache();
+
+function getAnalysisCache() {
+  return defaultCache;
+}
+
+module.exports = {
+  createAnalysisCache,
+  getAnalysisCache,
+  normalizeSummary,
+  shingles,
+  minHash,
+  jaccard
+};
@@ -0,0 +1,64 @@
+/**
+ * Helpers for batch classification
+ * Parses array/NDJSON request bodies and runs work with bounded concurrency
+ */
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 5;
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 1000;
+
+/**
+ * Parse a batch request body into a list of items
+ * Accepts a JSON array (already parsed by express.json) or an NDJSON string.
+ * Malformed NDJSON lines are kept as items carrying a parse error so that
+ * one bad line doesn't fail the whole batch.
+ */
+function parseBatchBody(body) {
+  if (Array.isArray(body)) {
+    return body.map(ticket => ({ ticket }));
+  }
+
+  if (typeof body === 'string') {
+    return body
+      .split(/\r?\n/)
+      .map((line, lineIndex) => ({ line: line.trim(), lineNumber: lineIndex + 1 }))
+      .filter(({ line }) => line.length > 0)
+      .map(({ line, lineNumber }) => {
+        try {
+          return { ticket: JSON.parse(line) };
+        } catch (error) {
+          return { parseError: `Invalid JSON on line ${lineNumber}` };
+        }
+      });
+  }
+
+  return null;
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight
+ * The worker receives (item, index). Stops scheduling new items once
+ * `shouldStop` returns true (e.g. the client disconnected).
+ */
+async function runWithConcurrency(items, worker, { concurrency = DEFAULT_CONCURRENCY, shouldStop = () => false } = {}) {
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    () => runNext()
+  );
+  await Promise.all(workers);
+}
+
+module.exports = {
+  parseBatchBody,
+  runWithConcurrency,
+  DEFAULT_CONCURRENCY,
+  MAX_BATCH_SIZE
+};
@@ -1,198 +1,271 @@
 const { analyzeTicketWithAI } = require('./ai-helper');
+const { getActiveRuleSet, localizeClass } = require('./rules');
+const { resolveResponseLanguage, DEFAULT_LANGUAGE } = require('./language');
+const {
+  ticketLanguage,
+  scoreRuleFeatures,
+  calculateRuleBasedScore,
+  calculateRuleScores,
+  rankClasses,
+  calibrateScores,
+  hasFittedTemperature,
+  getConfidenceTemperature
+} = require('./scoring');
+const { getReviewThresholds, assessReview } = require('./reviews');
+const { computeSla } = require('./sla');
+const { buildPlaybookActions } = require('./playbooks');
+const { selectWorkflow } = require('./workflows');
+const { buildRemediationBrief, REMEDIATION_DECISION } = require('./remediation');
+const { explainClassification, describeRuleEvidence } = require('./explain');
+const { createRedactionSession, storeRedaction } = require('./redaction');
+const { getActiveModel, calculateModelScores } = require('./model');
+const { recordClassification, recordClassificationError, recordAiFallback } = require('./metrics');
 const logger = require('./logger');
 
 /**
  * Core classification logic for banking support tickets
- * Determines whether a ticket needs AI code remediation or Vibe-coded troubleshooting
+ * Routes each ticket to one of the decision classes defined in the active
+ * rule set (e.g. AI code remediation, Vibe-coded troubleshooting, security escalation)
  */
 
-// Rule-based classification patterns
-const CLASSIFICATION_RULES = {
-  ai_code_remediation: {
-    keywords: [
-      'api', 'timeout', 'error', 'bug', 'crash', 'exception', 'database',
-      'integration', 'authentication', 'authorization', 'performance',
-      'memory leak', 'sql', 'connection', 'server error', 'code',
-      'deployment', 'build', 'compilation'
-    ],
-    channels: ['api', 'mobile_app', 'web_app', 'integration'],
-    severities: ['high', 'critical']
-  },
-  vibe_coded_troubleshooting: {
-    keywords: [
-      'account', 'balance', 'transaction', 'transfer', 'payment',
-      'statement', 'card', 'pin', 'password', 'profile', 'settings',
-      'notification', 'email', 'sms', 'verification', 'kyc',
-      'onboarding', 'support', 'help', 'guidance'
-    ],
-    channels: ['phone', 'email', 'chat', 'branch'],
-    severities: ['low', 'medium']
-  }
-};
-
 /**
- * Calculate confidence score based on rule matching
+ * Plan next actions from the playbooks matching the ticket, in the response language
+ * Playbooks are selected on the decision, channel, severity, priority, tier,
+ * tags and the keywords that matched for the decision (see src/playbooks.js).
+ * The result also carries those `facts`.
  */
-function calculateRuleBasedScore(ticket, classification) {
-  const rules = CLASSIFICATION_RULES[classification];
-  let score = 0;
-  let maxScore = 0;
-
-  // Keyword matching (40% weight)
-  const summaryLower = ticket.summary.toLowerCase();
-  const keywordMatches = rules.keywords.filter(keyword => 
-    summaryLower.includes(keyword)
-  ).length;
-  score += (keywordMatches / rules.keywords.length) * 0.4;
-  maxScore += 0.4;
-
-  // Channel matching (30% weight)
-  if (rules.channels.includes(ticket.channel)) {
-    score += 0.3;
-  }
-  maxScore += 0.3;
+function planNextActions(decision, ticket, ruleSet = getActiveRuleSet(), language) {
+  const decisionClass = localizeClass(ruleSet.classes[decision], language);
+  const indicators = scoreRuleFeatures(ticket, decision, ruleSet, ticketLanguage(ticket).code).features
+    .filter(feature => feature.feature === 'keyword' && feature.matched)
+    .map(feature => feature.value);
+  const tags = (ticket.tags || []).map(tag => tag.toLowerCase().trim());
 
-  // Severity matching (30% weight)
-  if (rules.severities.includes(ticket.severity)) {
-    score += 0.3;
-  }
-  maxScore += 0.3;
+  const facts = {
+    decision,
+    channel: ticket.channel,
+    severity: ticket.severity,
+    priority: ticket.priority,
+    tier: ticket.customer_tier || 'standard',
+    tags,
+    keywords: indicators
+  };
 
-  return maxScore > 0 ? score / maxScore : 0;
+  const plan = buildPlaybookActions(facts, {
+    variables: {
+      ticket_id: ticket.ticket_id,
+      customer_id: ticket.customer_id,
+      channel: ticket.channel,
+      severity: ticket.severity,
+      priority: ticket.priority,
+      decision,
+      label: decisionClass.label,
+      indicators: indicators.join(', '),
+      tags: tags.join(', ')
+    },
+    language,
+    fallbackActions: decisionClass.actions
+  });
+  return { ...plan, facts };
 }
 
 /**
- * Generate action checklist based on classification
+ * Generate action checklist based on classification, in the response language
  */
-function generateActionChecklist(decision, ticket) {
-  const baseActions = {
-    ai_code_remediation: [
-      'Analyze error logs and stack traces',
-      'Identify root cause in codebase',
-      'Generate code patch or fix',
-      'Run automated tests on fix',
-      'Deploy to staging environment',
-      'Monitor for regression issues'
-    ],
-    vibe_coded_troubleshooting: [
-      'Review customer account details',
-      'Execute diagnostic workflow',
-      'Apply standard troubleshooting steps',
-      'Update customer communication',
-      'Document resolution steps',
-      'Schedule follow-up if needed'
-    ]
-  };
-
-  let actions = [...baseActions[decision]];
-
-  // Customize based on severity
-  if (ticket.severity === 'critical') {
-    actions.unshift('Escalate to senior team immediately');
-    actions.push('Prepare incident report');
-  } else if (ticket.severity === 'high') {
-    actions.push('Monitor resolution progress closely');
-  }
+function generateActionChecklist(decision, ticket, ruleSet = getActiveRuleSet(), language) {
+  return planNextActions(decision, ticket, ruleSet, language).actions;
+}
 
-  // Customize based on channel
-  if (ticket.channel === 'mobile_app' && decision === 'ai_code_remediation') {
-    actions.splice(3, 0, 'Test fix on multiple mobile platforms');
+/**
+ * Reasoning without AI analysis: the rule features behind the decision
+ * The evidence sentence is English-only, so other response languages get the
+ * class's translated `fallback_reasoning` instead.
+ */
+function ruleReasoning(decision, ticket, ruleScores, { ruleSet, language, responseLanguage }) {
+  const decisionClass = localizeClass(ruleSet.classes[decision], responseLanguage);
+  if (responseLanguage !== DEFAULT_LANGUAGE) {
+    return decisionClass.fallback_reasoning;
   }
-
-  return actions.slice(0, 6); // Keep it concise
+  const { features } = scoreRuleFeatures(ticket, decision, ruleSet, language);
+  return `${decisionClass.label}: ${describeRuleEvidence(decision, ruleScores, features)}`;
 }
 
 /**
  * Main classification function
+ * Options let offline evaluation force AI off (`useAI: false`), score against
+ * a different rule set or model (`model: null` disables it), or send an
+ * alternative system prompt to the LLM. `explain: true` adds an `explanation`
+ * of the scores (see src/explain.js). `reviewThresholds` overrides the
+ * abstain thresholds (see src/reviews.js). `tenantId` scopes reused AI
+ * analyses to the calling tenant.
  */
-async function classifyTicket(ticket) {
+async function classifyTicket(ticket, {
+  useAI = true,
+  ruleSet: ruleSetOverride,
+  prompt,
+  model = getActiveModel(),
+  explain = false,
+  reviewThresholds,
+  tenantId = null
+} = {}) {
   logger.info('Starting ticket classification', { 
     channel: ticket.channel, 
     severity: ticket.severity 
   });
 
   try {
+    const startTime = Date.now();
+
+    // Snapshot the rule set so a hot reload can't change rules mid-classification
+    const ruleSet = ruleSetOverride || getActiveRuleSet();
+
+    // Keyword dictionaries follow the ticket's language; responses the requested one
+    const language = ticketLanguage(ticket);
+    const responseLanguage = resolveResponseLanguage(ticket.response_language, language.code);
+
     // Calculate rule-based scores
-    const aiScore = calculateRuleBasedScore(ticket, 'ai_code_remediation');
-    const vibeScore = calculateRuleBasedScore(ticket, 'vibe_coded_troubleshooting');
+    const ruleScores = calculateRuleScores(ticket, ruleSet, language.code);
+    const rulesTime = Date.now() - startTime;
+
+    logger.debug('Rule-based scores calculated', { ruleScores, rulesVersion: ruleSet.version });
+
+    // Locally trained model scores, when a model is loaded
+    const modelStart = Date.now();
+    const modelScores = model ? calculateModelScores(model, ticket, Object.keys(ruleSet.classes)) : null;
+    const modelTime = Date.now() - modelStart;
 
-    logger.debug('Rule-based scores calculated', { aiScore, vibeScore });
+    // Detect PII up front; the AI only ever sees the redacted summary
+    const redaction = createRedactionSession();
+    const redactedTicket = { ...ticket, summary: redaction.redact(ticket.summary) };
 
     // Get AI analysis for enhanced decision making
     let aiAnalysis = null;
+    const aiStart = Date.now();
     try {
-      aiAnalysis = await analyzeTicketWithAI(ticket);
+      if (useAI) {
+        aiAnalysis = await analyzeTicketWithAI(redactedTicket, {
+          ruleSet,
+          redaction,
+          prompt,
+          language: language.code,
+          responseLanguage,
+          tenantId
+        });
+      } else {
+        recordAiFallback('disabled');
+      }
       logger.debug('AI analysis completed', { 
-        aiRecommendation: aiAnalysis.recommendation 
+        aiRecommendation: aiAnalysis && aiAnalysis.recommendation 
       });
     } catch (aiError) {
       logger.warn('AI analysis failed, falling back to rule-based only', { 
         error: aiError.message 
       });
     }
+    const aiTime = Date.now() - aiStart;
 
-    // Combine rule-based and AI analysis
-    let finalDecision;
-    let confidence;
-    let reasoning;
-
-    if (aiAnalysis) {
-      // Weighted combination: 60% AI, 40% rules
-      const aiWeight = 0.6;
-      const ruleWeight = 0.4;
-      
-      const aiDecisionScore = aiAnalysis.recommendation === 'ai_code_remediation' ? 
-        aiAnalysis.confidence : (1 - aiAnalysis.confidence);
-      
-      const combinedAiScore = (aiDecisionScore * aiWeight) + (aiScore * ruleWeight);
-      const combinedVibeScore = ((1 - aiDecisionScore) * aiWeight) + (vibeScore * ruleWeight);
-
-      if (combinedAiScore > combinedVibeScore) {
-        finalDecision = 'ai_code_remediation';
-        confidence = combinedAiScore;
-        reasoning = `Technical issue detected: ${aiAnalysis.reasoning}`;
-      } else {
-        finalDecision = 'vibe_coded_troubleshooting';
-        confidence = combinedVibeScore;
-        reasoning = `Operational issue requiring workflow: ${aiAnalysis.reasoning}`;
-      }
-    } else {
-      // Fallback to rule-based only
-      if (aiScore > vibeScore) {
-        finalDecision = 'ai_code_remediation';
-        confidence = aiScore;
-        reasoning = 'Technical indicators suggest code-level intervention needed';
-      } else {
-        finalDecision = 'vibe_coded_troubleshooting';
-        confidence = vibeScore;
-        reasoning = 'Operational indicators suggest workflow-based resolution';
+    // Combine AI analysis, rule-based and model scores
+    const ranked = rankClasses(ruleScores, aiAnalysis, modelScores);
+    const finalDecision = ranked[0].decision;
+    const decisionClass = localizeClass(ruleSet.classes[finalDecision], responseLanguage);
+    const reasoning = aiAnalysis ?
+      `${decisionClass.label}: ${aiAnalysis.reasoning}` :
+      ruleReasoning(finalDecision, ticket, ruleScores, { ruleSet, language: language.code, responseLanguage });
+
+    // Deadlines for the decision; a broken SLA config must not block classification
+    let sla = null;
+    try {
+      sla = computeSla(ticket, finalDecision);
+    } catch (slaError) {
+      logger.error('Failed to compute SLA deadlines', { error: slaError.message });
+    }
+
+    // Next actions from the playbooks matching the ticket; troubleshooting also gets a runnable workflow
+    const plan = planNextActions(finalDecision, ticket, ruleSet, responseLanguage);
+    const workflow = selectWorkflow(plan.facts);
+
+    // Engineering brief for code-level fixes, from the redacted ticket; a broken catalog must not block classification
+    let remediationBrief = null;
+    if (finalDecision === REMEDIATION_DECISION) {
+      try {
+        remediationBrief = buildRemediationBrief(redactedTicket, { indicators: plan.facts.keywords });
+      } catch (briefError) {
+        logger.error('Failed to build remediation brief', { error: briefError.message });
       }
     }
 
-    // Ensure minimum confidence threshold
-    confidence = Math.max(confidence, 0.5);
+    // Calibrated confidence; near-ties and weak evidence go to a human. The
+    // fitted temperature only covers blends without AI from its rule set
+    const calibrated = calibrateScores(ranked, getConfidenceTemperature(model, { aiAnalysis, ruleSet }));
+    const { status, review } = assessReview(calibrated, getReviewThresholds(reviewThresholds));
 
     const result = {
       decision: finalDecision,
+      status,
       reasoning,
-      confidence: Math.round(confidence * 100) / 100,
-      next_actions: generateActionChecklist(finalDecision, ticket),
+      confidence: Math.round(calibrated[0].probability * 100) / 100,
+      scores: ranked.map(({ decision, score }) => ({
+        decision,
+        score: Math.round(score * 100) / 100
+      })),
+      ...(review ? { review } : {}),
+      next_actions: plan.actions,
+      ...(workflow ? { workflow } : {}),
+      ...(remediationBrief ? { remediation_brief: remediationBrief } : {}),
+      sla,
+      ...(explain ? {
+        explanation: explainClassification({
+          ticket,
+          ruleSet,
+          language: language.code,
+          ruleScores,
+          aiAnalysis,
+          modelScores,
+          model
+        })
+      } : {}),
       metadata: {
-        model_version: '1.0.0',
-        rule_scores: { ai_score: aiScore, vibe_score: vibeScore },
-        ai_analysis_used: !!aiAnalysis
+        language,
+        response_language: responseLanguage,
+        model_version: model ? model.version : null,
+        rules_version: ruleSet.version,
+        confidence_calibrated: hasFittedTemperature(model, { aiAnalysis, ruleSet }),
+        playbooks: plan.playbooks,
+        rule_scores: ruleScores,
+        model_scores: modelScores,
+        ai_analysis_used: !!aiAnalysis,
+        ai_provider: aiAnalysis ? aiAnalysis.provider : null,
+        ai_model: aiAnalysis ? aiAnalysis.model : null,
+        ai_analysis: aiAnalysis ? {
+          recommendation: aiAnalysis.recommendation,
+          confidence: aiAnalysis.confidence,
+          reasoning: aiAnalysis.reasoning,
+          source: aiAnalysis.source,
+          reused_from: aiAnalysis.reused_from
+        } : null,
+        pii_detected: redaction.piiTypes,
+        redaction_id: storeRedaction(redaction),
+        timings: {
+          rules_ms: rulesTime,
+          model_ms: modelTime,
+          ai_ms: aiTime,
+          total_ms: Date.now() - startTime
+        }
       }
     };
 
     logger.info('Classification completed', { 
       decision: finalDecision, 
-      confidence: result.confidence 
+      confidence: result.confidence,
+      status
     });
+    recordClassification(ticket, result, result.metadata.timings.total_ms);
 
     return result;
 
   } catch (error) {
     logger.error('Classification failed', { error: error.message });
+    recordClassificationError();
     throw new Error(`Classification failed: ${error.message}`);
   }
 }
@@ -200,6 +273,12 @@ async function classifyTicket(ticket) {
 module.exports = {
   classifyTicket,
   calculateRuleBasedScore,
+  calculateRuleScores,
+  rankClasses,
+  planNextActions,
   generateActionChecklist,
-  CLASSIFICATION_RULES
+  // Classes of the active rule set (loaded from the rules file)
+  get CLASSIFICATION_RULES() {
+    return getActiveRuleSet().classes;
+  }
 };
\ No newline at end of file
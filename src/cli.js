@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyTicket } = require('./classifier');
+const { validateTicketInput, sanitizeTicket } = require('./validation');
+const { parseBatchBody, runWithConcurrency } = require('./batch');
+const { parseDataset } = require('./evaluation');
+const { loadRulesFile } = require('./rules');
+const { toCsv } = require('./csv');
+const { SUPPORTED_LANGUAGES } = require('./language');
+
+/**
+ * Command-line classification (scripts/classify.js)
+ * Classifies one ticket given as flags, or JSON / NDJSON / CSV tickets from
+ * files or stdin, without the HTTP server. Kept free of process globals so
+ * tests can drive it with their own streams.
+ */
+
+const USAGE = `Usage: vibefi-classify [options] [file ...]
+
+Classify a ticket from flags, or tickets from files ('-' or no file reads stdin).
+
+Ticket flags:
+  --channel <channel>      Ticket channel
+  --severity <severity>    Ticket severity
+  --summary <text>         Ticket summary
+  --ticket-id <id>         Optional ticket ID
+
+Options:
+  --input-format <format>  json, ndjson or csv (default: from the file extension or content)
+  --output <format>        table (default), json or csv
+  --no-ai                  Rules and local model only
+  --explain                Include the scoring explanation (shown with --output json)
+  --response-language <l>  Write reasoning and next actions in en, es, fr, hi or auto
+                           (the ticket's language), unless a ticket sets its own
+  --rules <file>           Classify with this rules file instead of the active one
+  --help                   Show this help
+
+Exits 1 when any ticket fails validation or classification, 2 on usage errors.`;
+
+const TICKET_FLAGS = { channel: 'channel', severity: 'severity', summary: 'summary', 'ticket-id': 'ticket_id' };
+const VALUE_OPTIONS = ['input-format', 'output', 'rules', 'response-language'];
+const RESPONSE_LANGUAGES = [...SUPPORTED_LANGUAGES, 'auto'];
+const INPUT_FORMATS = ['json', 'ndjson', 'csv'];
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+const CSV_COLUMNS = ['index', 'ticket_id', 'status', 'decision', 'confidence', 'channel', 'severity', 'next_actions', 'errors'];
+
+function parseArgs(argv) {
+  const options = { ai: true, explain: false, output: 'table', files: [], ticket: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.replace(/^--/, '');
+    if (arg === '--no-ai') {
+      options.ai = false;
+    } else if (arg === '--explain') {
+      options.explain = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (TICKET_FLAGS[name] && argv[i + 1] !== undefined) {
+      options.ticket = { ...options.ticket, [TICKET_FLAGS[name]]: argv[++i] };
+    } else if (VALUE_OPTIONS.includes(name) && argv[i + 1] !== undefined) {
+      options[name] = argv[++i];
+    } else if (arg === '-' || !arg.startsWith('-')) {
+      options.files.push(arg);
+    } else {
+      throw new Error(`Unknown or incomplete option: ${arg}`);
+    }
+  }
+
+  if (!OUTPUT_FORMATS.includes(options.output)) {
+    throw new Error(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (options['input-format'] && !INPUT_FORMATS.includes(options['input-format'])) {
+    throw new Error(`--input-format must be one of: ${INPUT_FORMATS.join(', ')}`);
+  }
+  if (options['response-language'] && !RESPONSE_LANGUAGES.includes(options['response-language'])) {
+    throw new Error(`--response-language must be one of: ${RESPONSE_LANGUAGES.join(', ')}`);
+  }
+  if (options.ticket && options.files.length > 0) {
+    throw new Error('Give either ticket flags or input files, not both');
+  }
+  return options;
+}
+
+/**
+ * Guess the input format from a file name, falling back to the content
+ */
+function detectFormat(text, fileName) {
+  const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  if (extension === '.ndjson' || extension === '.jsonl') {
+    return 'ndjson';
+  }
+  if (extension === '.json') {
+    return 'json';
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    return 'json';
+  }
+  if (trimmed.startsWith('{')) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      return 'ndjson';
+    }
+  }
+  return 'csv';
+}
+
+/**
+ * Parse input text into batch items ({ ticket } or { parseError })
+ */
+function parseTickets(text, format) {
+  if (format === 'csv') {
+    return parseDataset(text, 'csv').map(ticket => ({ ticket }));
+  }
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return [{ parseError: 'Invalid JSON input' }];
+    }
+    return parseBatchBody(Array.isArray(parsed) ? parsed : [parsed]);
+  }
+  return parseBatchBody(text);
+}
+
+/**
+ * Validate, sanitize and classify items in input order
+ * Returns one row per item: { index, ticket_id, status: ok|invalid|error, result|errors }.
+ */
+async function classifyItems(items, { useAI = true, explain = false, ruleSet, responseLanguage } = {}) {
+  const rows = new Array(items.length);
+
+  await runWithConcurrency(items, async (item, index) => {
+    if (item.parseError) {
+      rows[index] = { index, ticket_id: null, status: 'invalid', errors: [item.parseError] };
+      return;
+    }
+
+    const ticketId = item.ticket && typeof item.ticket.ticket_id === 'string' ? item.ticket.ticket_id : null;
+    const { error, value } = validateTicketInput(item.ticket);
+    if (error) {
+      rows[index] = { index, ticket_id: ticketId, status: 'invalid', errors: error.details.map(d => d.message) };
+      return;
+    }
+
+    const ticket = sanitizeTicket(value);
+    if (responseLanguage && !ticket.response_language) {
+      ticket.response_language = responseLanguage;
+    }
+    try {
+      const result = await classifyTicket(ticket, { useAI, explain, ruleSet });
+      rows[index] = { index, ticket_id: ticketId, status: 'ok', ticket, result };
+    } catch (classifyError) {
+      rows[index] = { index, ticket_id: ticketId, status: 'error', ticket, errors: [classifyError.message] };
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Decision counts and failure totals for the closing summary
+ */
+function summarize(rows) {
+  const decisions = {};
+  for (const row of rows.filter(r => r.status === 'ok')) {
+    decisions[row.result.decision] = (decisions[row.result.decision] || 0) + 1;
+  }
+  return {
+    total: rows.length,
+    classified: rows.filter(r => r.status === 'ok').length,
+    invalid: rows.filter(r => r.status === 'invalid').length,
+    failed: rows.filter(r => r.status === 'error').length,
+    needs_review: rows.filter(r => r.status === 'ok' && r.result.status === 'needs_human_review').length,
+    decisions
+  };
+}
+
+function formatSummary(summary) {
+  const lines = [`Classified ${summary.classified} of ${summary.total} ticket(s), ${summary.invalid} invalid, ${summary.failed} failed`];
+  if (summary.needs_review > 0) {
+    lines.push(`${summary.needs_review} ticket(s) need human review`);
+  }
+  const width = Math.max(0, ...Object.keys(summary.decisions).map(decision => decision.length)) + 2;
+  Object.entries(summary.decisions)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([decision, count]) => lines.push(`  ${decision.padEnd(width)}${count}`));
+  return lines.join('\n');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Render rows as a plain-text table
+ */
+function formatTable(rows) {
+  const header = ['#', 'Ticket', 'Decision', 'Conf', 'Summary / errors'];
+  const body = rows.map(row => [
+    String(row.index + 1),
+    row.ticket_id || '-',
+    row.status !== 'ok' ? row.status.toUpperCase() :
+      row.result.status === 'needs_human_review' ? `${row.result.decision} (review)` : row.result.decision,
+    row.status === 'ok' ? row.result.confidence.toFixed(2) : '-',
+    truncate(row.status === 'ok' ? row.ticket.summary : row.errors.join('; '), 60)
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...body.map(cells => cells[column].length)));
+  const line = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [line(header), line(widths.map(width => '-'.repeat(width))), ...body.map(line)].join('\n');
+}
+
+/**
+ * Render rows as CSV (arrays are joined with ';')
+ */
+function formatCsv(rows) {
+  return toCsv(rows.map(row => ({
+    index: row.index,
+    ticket_id: row.ticket_id,
+    status: row.status,
+    decision: row.result ? row.result.decision : null,
+    confidence: row.result ? row.result.confidence : null,
+    channel: row.ticket ? row.ticket.channel : null,
+    severity: row.ticket ? row.ticket.severity : null,
+    next_actions: row.result ? row.result.next_actions.map(action => action.description) : null,
+    errors: row.errors || null
+  })), CSV_COLUMNS);
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Run the CLI and resolve with its exit code
+ * JSON and CSV go to stdout with the summary on stderr, so output can be piped.
+ */
+async function runCli(argv, { stdin, stdout, stderr }) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let items = [];
+  let ruleSet;
+  try {
+    ruleSet = options.rules ? loadRulesFile(options.rules) : undefined;
+    if (options.ticket) {
+      items = [{ ticket: options.ticket }];
+    } else {
+      const sources = options.files.length > 0 ? options.files : ['-'];
+      for (const source of sources) {
+        if (source === '-' && stdin.isTTY) {
+          throw new Error('No input: pass ticket flags, a file, or pipe tickets on stdin');
+        }
+        const text = source === '-' ? await readStream(stdin) : fs.readFileSync(source, 'utf8');
+        const format = options['input-format'] || detectFormat(text, source === '-' ? null : source);
+        items.push(...parseTickets(text, format));
+      }
+    }
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  const rows = await classifyItems(items, {
+    useAI: options.ai,
+    explain: options.explain,
+    ruleSet,
+    responseLanguage: options['response-language']
+  });
+  const summary = summarize(rows);
+
+  if (options.output === 'json') {
+    stdout.write(`${JSON.stringify(rows.map(row => {
+      const copy = { ...row };
+      delete copy.ticket;
+      return copy;
+    }), null, 2)}\n`);
+    stderr.write(`${formatSummary(summary)}\n`);
+  } else if (options.output === 'csv') {
+    stdout.write(formatCsv(rows));
+    stderr.write(`${formatSummary(summary)}\n`);
+  } else {
+    stdout.write(`${formatTable(rows)}\n\n${formatSummary(summary)}\n`);
+  }
+
+  return summary.invalid > 0 || summary.failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+  runCli,
+  parseArgs,
+  detectFormat,
+  parseTickets,
+  classifyItems,
+  summarize,
+  formatTable,
+  formatCsv,
+  USAGE
+};
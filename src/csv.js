@@ -0,0 +1,99 @@
+/**
+ * Minimal RFC 4180 CSV parsing and formatting
+ * Handles quoted fields, escaped quotes and newlines inside quotes.
+ */
+
+/**
+ * Parse CSV text into an array of row arrays
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim().length > 0));
+}
+
+/**
+ * Parse CSV text with a header row into an array of objects
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a value for CSV output when needed
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format objects as CSV with the given columns
+ */
+function toCsv(records, columns) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => formatCsvValue(record[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  toCsv
+};
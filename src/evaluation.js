@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyTicket } = require('./classifier');
+const { getActiveRuleSet, getDecisionClasses } = require('./rules');
+const { getActiveModel } = require('./model');
+const { validateTicketInput } = require('./validation');
+const { parseCsv } = require('./csv');
+
+/**
+ * Offline evaluation against a labeled dataset
+ * Runs every labeled ticket through classifyTicket and reports a confusion
+ * matrix, per-class precision/recall/F1, confidence calibration and the
+ * misclassified tickets. Two reports can be diffed to gate rule or prompt changes.
+ */
+
+// Columns accepted as the ground-truth label, in order of preference
+const LABEL_FIELDS = ['label', 'expected_decision', 'true_decision'];
+
+// Confidence calibration bins (lower bound inclusive)
+const CALIBRATION_BINS = [0, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Parse a labeled dataset from JSONL or CSV text
+ * CSV tags are separated with ';'. Empty CSV cells are dropped.
+ */
+function parseDataset(text, format = 'jsonl') {
+  if (format === 'csv') {
+    return parseCsv(text).map(row => {
+      const record = {};
+      for (const [key, value] of Object.entries(row)) {
+        if (value.trim() !== '') {
+          record[key] = key === 'tags' ? value.split(';').map(tag => tag.trim()).filter(Boolean) : value.trim();
+        }
+      }
+      return record;
+    });
+  }
+
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1} of dataset`);
+      }
+    });
+}
+
+/**
+ * Load a labeled dataset file, picking the format from the extension
+ */
+function loadDataset(filePath) {
+  const format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+  return parseDataset(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+/**
+ * Split a dataset row into the ticket and its label
+ */
+function toExample(row, index) {
+  const labelField = LABEL_FIELDS.find(field => row[field]);
+  const ticket = { ...row };
+  LABEL_FIELDS.forEach(field => delete ticket[field]);
+  return { index, ticket, label: labelField ? row[labelField] : null };
+}
+
+function emptyMatrix(classes) {
+  const matrix = {};
+  for (const actual of classes) {
+    matrix[actual] = {};
+    for (const predicted of classes) {
+      matrix[actual][predicted] = 0;
+    }
+  }
+  return matrix;
+}
+
+function calibrationBin(confidence) {
+  let bin = 0;
+  CALIBRATION_BINS.forEach((lower, index) => {
+    if (confidence >= lower) {
+      bin = index;
+    }
+  });
+  return bin;
+}
+
+/**
+ * Build an evaluation report from predictions
+ * Each prediction is { index, ticket_id, summary, expected, predicted, confidence }.
+ */
+function buildReport(predictions, classes, { skipped = [], config = {} } = {}) {
+  const matrix = emptyMatrix(classes);
+  const bins = CALIBRATION_BINS.map(() => ({ count: 0, correct: 0, confidence: 0 }));
+
+  for (const prediction of predictions) {
+    matrix[prediction.expected][prediction.predicted]++;
+    const bin = bins[calibrationBin(prediction.confidence)];
+    bin.count++;
+    bin.confidence += prediction.confidence;
+    if (prediction.expected === prediction.predicted) {
+      bin.correct++;
+    }
+  }
+
+  const perClass = {};
+  for (const decision of classes) {
+    const truePositives = matrix[decision][decision];
+    const predictedCount = classes.reduce((sum, actual) => sum + matrix[actual][decision], 0);
+    const support = classes.reduce((sum, predicted) => sum + matrix[decision][predicted], 0);
+    const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    perClass[decision] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  }
+
+  // Macro F1 only averages classes that appear in the dataset
+  const supported = classes.filter(decision => perClass[decision].support > 0);
+  const correct = predictions.filter(prediction => prediction.expected === prediction.predicted).length;
+
+  return {
+    config,
+    summary: {
+      total: predictions.length,
+      skipped: skipped.length,
+      correct,
+      accuracy: predictions.length > 0 ? round(correct / predictions.length) : null,
+      macro_f1: supported.length > 0 ?
+        round(supported.reduce((sum, decision) => sum + perClass[decision].f1, 0) / supported.length) :
+        null
+    },
+    classes,
+    confusion_matrix: matrix,
+    per_class: perClass,
+    calibration: bins
+      .map((bin, index) => ({
+        range: `${CALIBRATION_BINS[index].toFixed(1)}-${(CALIBRATION_BINS[index + 1] || 1).toFixed(1)}`,
+        count: bin.count,
+        avg_confidence: bin.count > 0 ? round(bin.confidence / bin.count) : null,
+        accuracy: bin.count > 0 ? round(bin.correct / bin.count) : null
+      }))
+      .filter(bin => bin.count > 0),
+    misclassified: predictions.filter(prediction => prediction.expected !== prediction.predicted),
+    skipped,
+    predictions
+  };
+}
+
+/**
+ * Classify every labeled row and build a report
+ * Rows that fail validation or carry an unknown label are skipped and listed.
+ */
+async function evaluateDataset(rows, {
+  useAI = true,
+  ruleSet = getActiveRuleSet(),
+  model = getActiveModel(),
+  prompt,
+  config = {}
+} = {}) {
+  const classes = getDecisionClasses(ruleSet);
+  const predictions = [];
+  const skipped = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { ticket, label } = toExample(row, index);
+    if (!classes.includes(label)) {
+      skipped.push({ index, ticket_id: ticket.ticket_id || null, reason: `Unknown or missing label: ${label}` });
+      continue;
+    }
+
+    const { error, value } = validateTicketInput(ticket);
+    if (error) {
+      skipped.push({
+        index,
+        ticket_id: ticket.ticket_id || null,
+        reason: error.details.map(detail => detail.message).join('; ')
+      });
+      continue;
+    }
+
+    const result = await classifyTicket(value, { useAI, ruleSet, model, prompt });
+    predictions.push({
+      index,
+      ticket_id: value.ticket_id || null,
+      summary: value.summary,
+      expected: label,
+      predicted: result.decision,
+      confidence: result.confidence,
+      ai_analysis_used: result.metadata.ai_analysis_used
+    });
+  }
+
+  return buildReport(predictions, classes, {
+    skipped,
+    config: {
+      use_ai: useAI,
+      rules_version: ruleSet.version,
+      model_version: model ? model.version : null,
+      ...config
+    }
+  });
+}
+
+function delta(baseline, candidate) {
+  return {
+    baseline,
+    candidate,
+    delta: baseline !== null && candidate !== null ? round(candidate - baseline) : null
+  };
+}
+
+/**
+ * Compare two reports over the same dataset
+ * Tickets are matched by ticket_id, falling back to their row index.
+ */
+function diffReports(baseline, candidate) {
+  const key = prediction => prediction.ticket_id || `#${prediction.index}`;
+  const baselinePredictions = new Map(baseline.predictions.map(prediction => [key(prediction), prediction]));
+
+  const fixed = [];
+  const regressed = [];
+  const changed = [];
+  for (const prediction of candidate.predictions) {
+    const before = baselinePredictions.get(key(prediction));
+    if (!before || before.predicted === prediction.predicted) {
+      continue;
+    }
+    const entry = {
+      index: prediction.index,
+      ticket_id: prediction.ticket_id,
+      expected: prediction.expected,
+      baseline: before.predicted,
+      candidate: prediction.predicted
+    };
+    changed.push(entry);
+    if (prediction.predicted === prediction.expected) {
+      fixed.push(entry);
+    } else if (before.predicted === before.expected) {
+      regressed.push(entry);
+    }
+  }
+
+  const classes = [...new Set([...baseline.classes, ...candidate.classes])];
+  const perClass = {};
+  for (const decision of classes) {
+    const before = baseline.per_class[decision] || { f1: 0 };
+    const after = candidate.per_class[decision] || { f1: 0 };
+    perClass[decision] = delta(before.f1, after.f1);
+  }
+
+  return {
+    baseline: baseline.config,
+    candidate: candidate.config,
+    accuracy: delta(baseline.summary.accuracy, candidate.summary.accuracy),
+    macro_f1: delta(baseline.summary.macro_f1, candidate.summary.macro_f1),
+    f1_by_class: perClass,
+    changed: changed.length,
+    fixed,
+    regressed
+  };
+}
+
+/**
+ * True when the candidate drops accuracy or macro F1 by more than maxDrop
+ */
+function isRegression(diff, maxDrop = 0) {
+  return [diff.accuracy.delta, diff.macro_f1.delta].some(value => value !== null && value < -maxDrop);
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+/**
+ * Render a report as plain-text tables
+ */
+function formatReport(report) {
+  const width = Math.max(...report.classes.map(decision => decision.length)) + 2;
+  const lines = [];
+  const { summary } = report;
+
+  lines.push(`Evaluated ${summary.total} ticket(s), skipped ${summary.skipped}`);
+  lines.push(`Accuracy: ${summary.accuracy}  Macro F1: ${summary.macro_f1}`);
+  lines.push('', 'Confusion matrix (rows = expected, columns = predicted)');
+  lines.push(pad('', width + 4) + report.classes.map((_, index) => pad(`[${index + 1}]`, 6)).join(''));
+  report.classes.forEach((actual, index) => {
+    lines.push(pad(`[${index + 1}] ${actual}`, width + 4) +
+      report.classes.map(predicted => pad(report.confusion_matrix[actual][predicted], 6)).join(''));
+  });
+
+  lines.push('', `${pad('Class', width)}${pad('Precision', 11)}${pad('Recall', 8)}${pad('F1', 7)}Support`);
+  for (const decision of report.classes) {
+    const stats = report.per_class[decision];
+    lines.push(`${pad(decision, width)}${pad(stats.precision, 11)}${pad(stats.recall, 8)}${pad(stats.f1, 7)}${stats.support}`);
+  }
+
+  lines.push('', `${pad('Confidence', 12)}${pad('Count', 7)}${pad('Avg conf', 10)}Accuracy`);
+  for (const bin of report.calibration) {
+    lines.push(`${pad(bin.range, 12)}${pad(bin.count, 7)}${pad(bin.avg_confidence, 10)}${bin.accuracy}`);
+  }
+
+  if (report.misclassified.length > 0) {
+    lines.push('', 'Misclassified');
+    for (const miss of report.misclassified) {
+      lines.push(`  ${miss.ticket_id || `#${miss.index}`}: expected ${miss.expected}, got ${miss.predicted} (${miss.confidence}) - ${miss.summary}`);
+    }
+  }
+
+  if (report.skipped.length > 0) {
+    lines.push('', 'Skipped');
+    for (const skip of report.skipped) {
+      lines.push(`  ${skip.ticket_id || `#${skip.index}`}: ${skip.reason}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a report diff as plain text
+ */
+function formatDiff(diff) {
+  const sign = value => (value > 0 ? `+${value}` : String(value));
+  const lines = [
+    `Accuracy: ${diff.accuracy.baseline} -> ${diff.accuracy.candidate} (${sign(diff.accuracy.delta)})`,
+    `Macro F1: ${diff.macro_f1.baseline} -> ${diff.macro_f1.candidate} (${sign(diff.macro_f1.delta)})`,
+    '',
+    'F1 by class'
+  ];
+  for (const [decision, change] of Object.entries(diff.f1_by_class)) {
+    lines.push(`  ${decision}: ${change.baseline} -> ${change.candidate} (${sign(change.delta)})`);
+  }
+
+  lines.push('', `${diff.changed} prediction(s) changed, ${diff.fixed.length} fixed, ${diff.regressed.length} regressed`);
+  for (const entry of diff.regressed) {
+    lines.push(`  regressed ${entry.ticket_id || `#${entry.index}`}: expected ${entry.expected}, ${entry.baseline} -> ${entry.candidate}`);
+  }
+  for (const entry of diff.fixed) {
+    lines.push(`  fixed ${entry.ticket_id || `#${entry.index}`}: ${entry.baseline} -> ${entry.candidate}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseDataset,
+  loadDataset,
+  toExample,
+  evaluateDataset,
+  buildReport,
+  diffReports,
+  isRegression,
+  formatReport,
+  formatDiff,
+  LABEL_FIELDS
+};
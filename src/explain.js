@@ -0,0 +1,174 @@
+const { getActiveRuleSet } = require('./rules');
+const { scoreRuleFeatures, calculateRuleScores, blendSignals, rankClasses, ticketLanguage } = require('./scoring');
+const { calculateModelScores } = require('./model');
+const { CHANNELS, SEVERITIES } = require('./validation');
+
+/**
+ * Data-driven explanations of classification decisions
+ * Breaks each class's blended score into its signals and the rule features
+ * behind them, reports the margin over the runner-up and finds the channel,
+ * severity or AI changes that would have flipped the decision. Counterfactuals
+ * re-score the rules and local model; the AI analysis is held fixed.
+ */
+
+// Counterfactuals quoted in the summary sentence
+const SUMMARY_COUNTERFACTUALS = 2;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function roundFeature(feature) {
+  return { ...feature, contribution: round(feature.contribution) };
+}
+
+function describeFeature(feature) {
+  const name = feature.feature === 'keyword' ? `keyword "${feature.value}"` : `${feature.feature} ${feature.value}`;
+  return `${name} (+${feature.contribution.toFixed(2)})`;
+}
+
+function describeFeatures(features) {
+  const evidence = features.filter(feature => feature.contribution > 0).map(describeFeature);
+  const negated = features.filter(feature => feature.negated).map(feature => `"${feature.value}"`);
+
+  let text = evidence.length > 0 ? evidence.join(', ') : 'no matching keywords, channel or severity';
+  if (negated.length > 0) {
+    text += `; negated: ${negated.join(', ')}`;
+  }
+  return text;
+}
+
+/**
+ * One-line account of a class's rule score from its features
+ * Used for the rule-based reasoning when no AI analysis is available.
+ */
+function describeRuleEvidence(decision, ruleScores, features) {
+  const [runnerUp] = Object.entries(ruleScores)
+    .filter(([name]) => name !== decision)
+    .sort(([, a], [, b]) => b - a);
+
+  let text = `Rule score ${(ruleScores[decision] || 0).toFixed(2)} for ${decision} from ${describeFeatures(features)}`;
+  if (runnerUp) {
+    text += `; next best ${runnerUp[0]} at ${runnerUp[1].toFixed(2)}`;
+  }
+  return text;
+}
+
+/**
+ * Rank a variant of the ticket with the same rules, AI analysis and model
+ */
+function rankVariant(variant, { ruleSet, language, aiAnalysis, model }) {
+  const classes = Object.keys(ruleSet.classes);
+  return rankClasses(
+    calculateRuleScores(variant, ruleSet, language),
+    aiAnalysis,
+    model ? calculateModelScores(model, variant, classes) : null
+  );
+}
+
+/**
+ * Single changes to the ticket or the blend that change the decision
+ */
+function findCounterfactuals(ticket, decision, context) {
+  const variants = [
+    ...SEVERITIES.filter(severity => severity !== ticket.severity).map(value => ({ feature: 'severity', value })),
+    ...CHANNELS.filter(channel => channel !== ticket.channel).map(value => ({ feature: 'channel', value }))
+  ];
+
+  const counterfactuals = [];
+  for (const { feature, value } of variants) {
+    const [top] = rankVariant({ ...ticket, [feature]: value }, context);
+    if (top.decision !== decision) {
+      counterfactuals.push({
+        feature,
+        value,
+        decision: top.decision,
+        score: round(top.score),
+        description: `Would have flipped to ${top.decision} if ${feature} were ${value}`
+      });
+    }
+  }
+
+  if (context.aiAnalysis) {
+    const [top] = rankVariant(ticket, { ...context, aiAnalysis: null });
+    if (top.decision !== decision) {
+      counterfactuals.push({
+        feature: 'ai_analysis',
+        value: null,
+        decision: top.decision,
+        score: round(top.score),
+        description: `Would have flipped to ${top.decision} without the AI analysis`
+      });
+    }
+  }
+  return counterfactuals;
+}
+
+/**
+ * Short text summary of an explanation
+ */
+function describeExplanation({ blend, classes, margin, counterfactuals }) {
+  const rules = blend.find(signal => signal.signal === 'rules');
+  const [top] = classes;
+  const percent = signal => `${Math.round(signal.share * 100)}%`;
+  const sentences = [
+    margin.runner_up ?
+      `${margin.decision} leads ${margin.runner_up} by ${margin.value.toFixed(2)}.` :
+      `${margin.decision} scored ${top.score.toFixed(2)}.`,
+    `Blend: ${blend.map(signal => `${signal.signal} ${percent(signal)}`).join(', ')}.`,
+    `Rules (${percent(rules)}) scored ${top.signals.rules.score.toFixed(2)} from ${describeFeatures(top.features)}.`
+  ];
+  if (counterfactuals.length > 0) {
+    sentences.push(...counterfactuals.slice(0, SUMMARY_COUNTERFACTUALS).map(counterfactual => `${counterfactual.description}.`));
+  } else {
+    sentences.push('No single channel, severity or AI change would flip the decision.');
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Explain how a ticket's classification came about
+ * Returns the blend weights applied, every class in rank order with its
+ * per-signal scores and rule features, the margin between the top two
+ * classes, counterfactuals and a text summary.
+ */
+function explainClassification({
+  ticket,
+  ruleSet = getActiveRuleSet(),
+  language = ticketLanguage(ticket).code,
+  ruleScores = calculateRuleScores(ticket, ruleSet, language),
+  aiAnalysis = null,
+  modelScores = null,
+  model = null
+}) {
+  const signals = blendSignals(ruleScores, aiAnalysis, modelScores);
+  const ranked = rankClasses(ruleScores, aiAnalysis, modelScores);
+  const [top, runnerUp] = ranked;
+
+  const explanation = {
+    blend: signals.map(({ signal, weight, share }) => ({ signal, weight, share: round(share) })),
+    classes: ranked.map(({ decision, score }) => ({
+      decision,
+      score: round(score),
+      signals: Object.fromEntries(signals.map(signal => [signal.signal, {
+        score: round(signal.scores[decision]),
+        contribution: round(signal.scores[decision] * signal.share)
+      }])),
+      features: scoreRuleFeatures(ticket, decision, ruleSet, language).features.map(roundFeature)
+    })),
+    margin: {
+      decision: top.decision,
+      runner_up: runnerUp ? runnerUp.decision : null,
+      value: round(runnerUp ? top.score - runnerUp.score : top.score)
+    },
+    counterfactuals: findCounterfactuals(ticket, top.decision, { ruleSet, language, aiAnalysis, model })
+  };
+  explanation.summary = describeExplanation(explanation);
+  return explanation;
+}
+
+module.exports = {
+  explainClassification,
+  describeExplanation,
+  describeRuleEvidence
+};
@@ -0,0 +1,121 @@
+const { getCollection, getClassification } = require('./store');
+const { getDecisionClasses } = require('./rules');
+const logger = require('./logger');
+
+/**
+ * Agent feedback and ground-truth labels
+ * Feedback is linked to a stored classification, and the resulting label is
+ * written back onto the classification so evaluation and training can use it.
+ */
+
+/**
+ * Record agent feedback for a stored classification
+ * Returns { error } with a status code when the input can't be applied.
+ * With a tenant ID, classifications of other tenants are treated as missing.
+ */
+function recordFeedback({ classification_id, correct, true_decision, comment, agent_id, source = 'agent' }, {
+  tenantId,
+  decisions = getDecisionClasses()
+} = {}) {
+  const classification = getClassification(classification_id);
+  if (!classification || (tenantId && classification.tenant_id !== tenantId)) {
+    return { error: { status: 404, message: `Classification ${classification_id} not found` } };
+  }
+
+  const label = correct ? classification.decision : true_decision;
+  if (!decisions.includes(label)) {
+    return { error: { status: 400, message: `Unknown decision: ${label}` } };
+  }
+  if (correct && true_decision && true_decision !== classification.decision) {
+    return { error: { status: 400, message: 'true_decision must match the classification when correct is true' } };
+  }
+
+  const feedback = getCollection('feedback').insert({
+    tenant_id: classification.tenant_id || null,
+    classification_id,
+    ticket_id: classification.ticket_id,
+    predicted_decision: classification.decision,
+    true_decision: label,
+    correct: label === classification.decision,
+    comment: comment || null,
+    agent_id: agent_id || null,
+    source
+  });
+
+  getCollection('classifications').update(classification_id, {
+    label: {
+      decision: label,
+      source,
+      feedback_id: feedback.id,
+      labeled_at: feedback.created_at
+    }
+  });
+
+  logger.info('Feedback recorded', {
+    classificationId: classification_id,
+    correct: feedback.correct,
+    source
+  });
+
+  return { feedback };
+}
+
+function emptyBucket() {
+  return { total: 0, correct: 0, accuracy: null };
+}
+
+function addToBucket(buckets, key, correct) {
+  if (!buckets[key]) {
+    buckets[key] = emptyBucket();
+  }
+  buckets[key].total++;
+  if (correct) {
+    buckets[key].correct++;
+  }
+}
+
+function finalizeBuckets(buckets) {
+  for (const bucket of Object.values(buckets)) {
+    bucket.accuracy = bucket.total > 0 ? Math.round((bucket.correct / bucket.total) * 1000) / 1000 : null;
+  }
+  return buckets;
+}
+
+/**
+ * Rolling accuracy over labeled classifications in the window
+ * Broken down by predicted decision, channel, severity and AI-assisted vs rule-only.
+ */
+function computeAccuracy({ windowDays = 30, now = new Date(), tenantId } = {}) {
+  const from = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+  const labeled = getCollection('classifications')
+    .find(record => record.label && record.created_at >= from && (!tenantId || record.tenant_id === tenantId));
+
+  const overall = { all: emptyBucket() };
+  const byDecision = {};
+  const byChannel = {};
+  const bySeverity = {};
+  const byMode = { ai_assisted: emptyBucket(), rule_only: emptyBucket() };
+
+  for (const record of labeled) {
+    const correct = record.label.decision === record.decision;
+    addToBucket(overall, 'all', correct);
+    addToBucket(byDecision, record.decision, correct);
+    addToBucket(byChannel, record.input.channel, correct);
+    addToBucket(bySeverity, record.input.severity, correct);
+    addToBucket(byMode, record.ai_analysis_used ? 'ai_assisted' : 'rule_only', correct);
+  }
+
+  return {
+    window: { days: windowDays, from, to: now.toISOString() },
+    overall: finalizeBuckets(overall).all,
+    by_decision: finalizeBuckets(byDecision),
+    by_channel: finalizeBuckets(byChannel),
+    by_severity: finalizeBuckets(bySeverity),
+    by_mode: finalizeBuckets(byMode)
+  };
+}
+
+module.exports = {
+  recordFeedback,
+  computeAccuracy
+};
@@ -0,0 +1,150 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Minimal JSON-over-HTTP client built on the Node core modules
+ * Used for outbound calls to local LLM endpoints and other integrations
+ */
+
+// Loopback, private, link-local, shared, multicast and reserved ranges;
+// IPv4-mapped IPv6 addresses are checked against the IPv4 subnets
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => NON_PUBLIC.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Whether an IP address is routable on the public internet
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * `dns.lookup` replacement that fails when a host resolves to a non-public address
+ * Pass it as the `lookup` option so the check applies to the address actually
+ * connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * Hosts from a comma-separated allowlist setting (exact names or `*.domain`), or null when unset
+ */
+function allowedHosts(setting) {
+  const hosts = (process.env[setting] || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return hosts.length > 0 ? hosts : null;
+}
+
+function hostAllowed(hostname, hosts) {
+  return hosts.some(host => (host.startsWith('*.')
+    ? hostname.endsWith(host.slice(1))
+    : hostname === host));
+}
+
+// URL hostname without the brackets around IPv6 literals
+function urlHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Check a client-supplied outbound URL; returns an error message or null
+ * With the `setting` allowlist set only its hosts pass; otherwise localhost
+ * and non-public IP literals are refused. Host names are checked when
+ * connecting, by passing `publicLookup` (see `outboundLookup`).
+ */
+function checkOutboundUrl(url, field, setting) {
+  const hostname = urlHost(url);
+  const hosts = allowedHosts(setting);
+  if (hosts) {
+    return hostAllowed(hostname, hosts) ? null : `${field} host ${hostname} is not in ${setting}`;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && !isPublicAddress(hostname))) {
+    return `${field} must point to a public address, not ${hostname}`;
+  }
+  return null;
+}
+
+/**
+ * `lookup` option for outbound URLs checked by `checkOutboundUrl`: none when
+ * the allowlist is set, `publicLookup` otherwise
+ */
+function outboundLookup(setting) {
+  return allowedHosts(setting) ? undefined : publicLookup;
+}
+
+/**
+ * POST a JSON body and resolve with the status, headers and parsed body
+ * Non-JSON responses resolve with the raw text as `body`; `lookup` replaces
+ * the DNS lookup used to connect.
+ */
+function postJson(url, payload, { headers = {}, timeout = 10000, lookup } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers
+      },
+      timeout,
+      ...(lookup ? { lookup } : {})
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body = text;
+        try {
+          body = text ? JSON.parse(text) : null;
+        } catch (parseError) {
+          // Keep raw text for non-JSON responses
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+module.exports = {
+  postJson,
+  isPublicAddress,
+  publicLookup,
+  checkOutboundUrl,
+  outboundLookup
+};
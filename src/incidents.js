@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { analyzeText } = require('./text-matcher');
+const { jaccard } = require('./analysis-cache');
+const { getCollection } = require('./store');
+const { SEVERITIES } = require('./validation');
+const logger = require('./logger');
+
+/**
+ * Incident clustering
+ * Each classified ticket joins the most similar open incident of its tenant
+ * and channel, or starts a new candidate incident. An incident stays open
+ * while tickets keep arriving within the time window; similarity is the
+ * Jaccard overlap of stemmed content words against recent member summaries.
+ * Members are the stored classifications carrying the incident's ID.
+ */
+
+const DEFAULT_WINDOW_MS = 30 * 60 * 1000;
+const DEFAULT_SIMILARITY = 0.4;
+
+// Recent member term sets kept per incident for matching
+const MAX_SAMPLES = 10;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'at', 'by', 'with', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'my', 'our', 'we',
+  'i', 'me', 'you', 'your', 'they', 'has', 'have', 'since', 'all', 'when', 'after', 'again'
+]);
+
+function getWindowMs() {
+  return parseInt(process.env.INCIDENT_WINDOW_MS, 10) || DEFAULT_WINDOW_MS;
+}
+
+function getSimilarityThreshold() {
+  return parseFloat(process.env.INCIDENT_SIMILARITY) || DEFAULT_SIMILARITY;
+}
+
+/**
+ * Stemmed content words of a summary (stop words dropped, negation marked)
+ */
+function incidentTerms(summary) {
+  return [...new Set(analyzeText(summary)
+    .filter(token => !STOP_WORDS.has(token.raw))
+    .map(token => (token.negated ? `not_${token.stem}` : token.stem)))];
+}
+
+// Most frequent key of a count map; `rank` breaks ties
+function dominant(counts, rank = () => 0) {
+  return Object.entries(counts)
+    .sort(([a, countA], [b, countB]) => countB - countA || rank(b) - rank(a))[0][0];
+}
+
+function increment(counts, key) {
+  return { ...counts, [key]: (counts[key] || 0) + 1 };
+}
+
+/**
+ * Attach a classified ticket to an incident, creating one if nothing matches
+ * Returns the updated incident record.
+ */
+function assignIncident(ticket, result, {
+  tenantId = null,
+  now = new Date(),
+  windowMs = getWindowMs(),
+  threshold = getSimilarityThreshold()
+} = {}) {
+  const incidents = getCollection('incidents');
+  const seenAt = now.toISOString();
+  const windowStart = new Date(now.getTime() - windowMs).toISOString();
+  const terms = incidentTerms(ticket.summary);
+  const termSet = new Set(terms);
+
+  let best = null;
+  for (const incident of incidents.find(candidate =>
+    candidate.tenant_id === tenantId &&
+    candidate.channel === ticket.channel &&
+    candidate.last_seen >= windowStart
+  )) {
+    const similarity = Math.max(...incident.samples.map(sample => jaccard(termSet, new Set(sample))));
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { incident, similarity };
+    }
+  }
+
+  if (!best) {
+    const incident = incidents.insert({
+      id: `inc_${crypto.randomBytes(6).toString('hex')}`,
+      tenant_id: tenantId,
+      channel: ticket.channel,
+      title: ticket.summary.slice(0, 120),
+      first_seen: seenAt,
+      last_seen: seenAt,
+      ticket_count: 1,
+      decision_counts: { [result.decision]: 1 },
+      severity_counts: { [ticket.severity]: 1 },
+      dominant_decision: result.decision,
+      dominant_severity: ticket.severity,
+      samples: [terms]
+    });
+    logger.debug('Incident opened', { incidentId: incident.id, channel: ticket.channel });
+    return incident;
+  }
+
+  const { incident } = best;
+  const decisionCounts = increment(incident.decision_counts, result.decision);
+  const severityCounts = increment(incident.severity_counts, ticket.severity);
+  return incidents.update(incident.id, {
+    last_seen: seenAt > incident.last_seen ? seenAt : incident.last_seen,
+    ticket_count: incident.ticket_count + 1,
+    decision_counts: decisionCounts,
+    severity_counts: severityCounts,
+    dominant_decision: dominant(decisionCounts),
+    // Ties go to the higher severity
+    dominant_severity: dominant(severityCounts, severity => SEVERITIES.indexOf(severity)),
+    samples: [...incident.samples, terms].slice(-MAX_SAMPLES)
+  });
+}
+
+// Incident as returned by the API (matching samples are internal)
+function publicIncident(incident, { windowMs = getWindowMs(), now = new Date() } = {}) {
+  const copy = { ...incident };
+  delete copy.samples;
+  copy.status = Date.parse(incident.last_seen) >= now.getTime() - windowMs ? 'open' : 'closed';
+  return copy;
+}
+
+/**
+ * Filtered, paginated list of incidents (most recently seen first)
+ */
+function listIncidents({ tenantId, channel, decision, status, minTickets = 1, limit = 50, offset = 0, now = new Date() } = {}) {
+  const matches = getCollection('incidents')
+    .find(incident =>
+      (!tenantId || incident.tenant_id === tenantId) &&
+      (!channel || incident.channel === channel) &&
+      (!decision || incident.dominant_decision === decision) &&
+      incident.ticket_count >= minTickets
+    )
+    .map(incident => publicIncident(incident, { now }))
+    .filter(incident => !status || incident.status === status)
+    .sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    items: matches.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * An incident with its member tickets (oldest first), or null
+ */
+function getIncident(id, { now = new Date() } = {}) {
+  const incident = getCollection('incidents').get(id);
+  if (!incident) {
+    return null;
+  }
+
+  const members = getCollection('classifications')
+    .find(record => record.incident_id === id)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(record => ({
+      classification_id: record.id,
+      ticket_id: record.ticket_id,
+      summary: record.input.summary,
+      severity: record.input.severity,
+      decision: record.decision,
+      confidence: record.confidence,
+      classified_at: record.created_at
+    }));
+
+  return { ...publicIncident(incident, { now }), tickets: members };
+}
+
+module.exports = {
+  assignIncident,
+  listIncidents,
+  getIncident,
+  incidentTerms
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const { postJson, checkOutboundUrl, outboundLookup } = require('./http-client');
+const { getCollection } = require('./store');
+const logger = require('./logger');
+
+/**
+ * Persistent in-process job queue for asynchronous classification
+ * Jobs move from queued to running and then to done or failed (or cancelled).
+ * Jobs are records in the `jobs` store collection, so queued jobs survive a
+ * restart; jobs that were running when the process stopped are queued again
+ * by `start()`. Queued jobs can be cancelled; running jobs run to completion.
+ *
+ * The pending ticket still holds PII, so it never reaches disk in clear text:
+ * it is kept in memory, and persisted only AES-256-GCM encrypted, in the
+ * separate `job-tickets` collection, when JOB_ENCRYPTION_KEY is set. Released
+ * tickets are compacted out of that small file when the queue drains or
+ * after a batch of releases. Without a key, jobs interrupted by a restart
+ * fail and have to be resubmitted. Finished jobs are pruned after
+ * JOB_RETENTION_MS.
+ *
+ * Callback URLs come from API clients, so they may only reach public
+ * addresses; JOB_CALLBACK_HOSTS instead limits them to the listed hosts.
+ */
+
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+// Released tickets after which the ticket file is compacted even while busy
+const TICKET_COMPACT_BATCH = 100;
+// Finished jobs are pruned at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function getConcurrency() {
+  return parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+}
+
+function getRetentionMs() {
+  return parseInt(process.env.JOB_RETENTION_MS, 10) || DEFAULT_RETENTION_MS;
+}
+
+function getCallbackTimeout() {
+  return parseInt(process.env.JOB_CALLBACK_TIMEOUT_MS, 10) || 5000;
+}
+
+/**
+ * Check a callback URL before accepting a job; returns an error message or null
+ * Host names are resolved when the callback is sent, where addresses that
+ * are not public are refused too.
+ */
+function checkCallbackUrl(url) {
+  return checkOutboundUrl(url, 'callback_url', 'JOB_CALLBACK_HOSTS');
+}
+
+/**
+ * POST a job to its callback URL, refusing hosts `checkCallbackUrl` rejects
+ * and names that resolve to addresses that are not public
+ */
+async function postCallback(url, payload, options) {
+  const error = checkCallbackUrl(url);
+  if (error) {
+    throw new Error(error);
+  }
+  return postJson(url, payload, { ...options, lookup: outboundLookup('JOB_CALLBACK_HOSTS') });
+}
+
+/**
+ * Key for tickets persisted at rest: 32 bytes as hex or base64, or null
+ */
+function getEncryptionKey() {
+  const value = process.env.JOB_ENCRYPTION_KEY;
+  if (!value) {
+    return null;
+  }
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('JOB_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a ticket for the job record
+ */
+function sealTicket(ticket, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(ticket), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a sealed ticket; throws when the key does not match
+ */
+function openTicket(sealed, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Create a queue that runs `handler(ticket, job)` for each job
+ * The handler's resolved value becomes the job result.
+ */
+function createJobQueue({
+  handler,
+  concurrency,
+  post = postCallback,
+  collection,
+  ticketCollection
+} = {}) {
+  const jobs = () => collection || getCollection('jobs');
+  const sealed = () => ticketCollection || getCollection('job-tickets');
+  const pending = [];
+  const running = new Map();
+  // Pending tickets by job ID; the only clear-text copy
+  const tickets = new Map();
+  let releasedSinceCompact = 0;
+  let lastPrune = 0;
+
+  // Ticket of a job from memory, else decrypted from the ticket collection
+  function ticketFor(job) {
+    if (tickets.has(job.id)) {
+      return tickets.get(job.id);
+    }
+    const key = getEncryptionKey();
+    const entry = sealed().get(job.id);
+    if (!entry || !key) {
+      throw new Error('Ticket was not kept across the restart; submit it again');
+    }
+    return openTicket(entry, key);
+  }
+
+  function compactTickets() {
+    if (releasedSinceCompact > 0) {
+      sealed().compact();
+      releasedSinceCompact = 0;
+    }
+  }
+
+  // Drop the ticket of a finished job
+  function release(job) {
+    tickets.delete(job.id);
+    if (sealed().remove(job.id)) {
+      releasedSinceCompact++;
+      if (releasedSinceCompact >= TICKET_COMPACT_BATCH) {
+        compactTickets();
+      }
+    }
+    return job;
+  }
+
+  // Remove jobs that finished more than JOB_RETENTION_MS ago
+  function prune(now = new Date()) {
+    lastPrune = now.getTime();
+    const cutoff = new Date(lastPrune - getRetentionMs()).toISOString();
+    const expired = jobs().find(job => FINISHED_STATUSES.includes(job.status) && job.finished_at < cutoff);
+    expired.forEach(job => jobs().remove(job.id));
+    if (expired.length > 0) {
+      jobs().compact();
+      logger.info('Pruned finished jobs', { count: expired.length });
+    }
+    return expired.length;
+  }
+
+  // Housekeeping once nothing is queued or running
+  function drained() {
+    compactTickets();
+    if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+      prune();
+    }
+  }
+
+  async function notify(job) {
+    try {
+      const response = await post(job.callback_url, job, {
+        headers: { 'X-VibeFI-Job-Id': job.id },
+        timeout: getCallbackTimeout()
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return { status: response.status, error: ok ? null : `HTTP ${response.status}`, at: new Date().toISOString() };
+    } catch (error) {
+      logger.warn('Job callback failed', { jobId: job.id, error: error.message });
+      return { status: null, error: error.message, at: new Date().toISOString() };
+    }
+  }
+
+  async function run(id) {
+    const job = jobs().update(id, { status: 'running', started_at: new Date().toISOString() });
+    let finished;
+    try {
+      const result = await handler(ticketFor(job), job);
+      finished = jobs().update(id, { status: 'done', result, finished_at: new Date().toISOString() });
+      logger.info('Job completed', { jobId: id });
+    } catch (error) {
+      finished = jobs().update(id, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+      logger.error('Job failed', { jobId: id, error: error.message });
+    }
+    release(finished);
+
+    if (finished.callback_url) {
+      jobs().update(id, { callback: await notify(finished) });
+    }
+  }
+
+  function pump() {
+    const limit = concurrency || getConcurrency();
+    while (running.size < limit && pending.length > 0) {
+      const id = pending.shift();
+      const promise = run(id)
+        .catch(error => logger.error('Job runner crashed', { jobId: id, error: error.message }))
+        .finally(() => {
+          running.delete(id);
+          pump();
+          if (running.size === 0 && pending.length === 0) {
+            drained();
+          }
+        });
+      running.set(id, promise);
+    }
+  }
+
+  return {
+    /**
+     * Persist a queued job and start it when a worker is free
+     * `options` are kept on the job for the handler (e.g. classification options).
+     */
+    enqueue(ticket, { tenantId = null, apiKeyId = null, callbackUrl = null, options = {} } = {}) {
+      const key = getEncryptionKey();
+      const job = jobs().insert({
+        id: `job_${crypto.randomBytes(8).toString('hex')}`,
+        status: 'queued',
+        tenant_id: tenantId,
+        api_key_id: apiKeyId,
+        ticket_id: ticket.ticket_id || null,
+        callback_url: callbackUrl,
+        options,
+        result: null,
+        error: null
+      });
+      if (key) {
+        sealed().insert({ id: job.id, ...sealTicket(ticket, key) });
+      }
+      tickets.set(job.id, ticket);
+      pending.push(job.id);
+      pump();
+      return job;
+    },
+
+    /**
+     * Get a job by ID, or null
+     */
+    get(id) {
+      return jobs().get(id);
+    },
+
+    /**
+     * Cancel a queued job
+     * Returns { job } on success, or { error } with a 404 or 409 status.
+     */
+    cancel(id) {
+      const job = jobs().get(id);
+      if (!job) {
+        return { error: { status: 404, message: `Job ${id} not found` } };
+      }
+      if (job.status !== 'queued') {
+        return { error: { status: 409, message: `Job ${id} is ${job.status} and can no longer be cancelled` } };
+      }
+
+      if (pending.includes(id)) {
+        pending.splice(pending.indexOf(id), 1);
+      }
+      logger.info('Job cancelled', { jobId: id });
+      return {
+        job: release(jobs().update(id, { status: 'cancelled', finished_at: new Date().toISOString() }))
+      };
+    },
+
+    /**
+     * Prune expired jobs, then resume persisted ones: queued jobs in order,
+     * interrupted ones first
+     */
+    start() {
+      prune();
+      const unfinished = jobs()
+        .find(job => job.status === 'queued' || job.status === 'running')
+        .sort((a, b) => (b.status === 'running') - (a.status === 'running') || a.created_at.localeCompare(b.created_at));
+
+      for (const job of unfinished) {
+        if (!pending.includes(job.id) && !running.has(job.id)) {
+          if (job.status === 'running') {
+            jobs().update(job.id, { status: 'queued' });
+          }
+          pending.push(job.id);
+        }
+      }
+      if (unfinished.length > 0) {
+        logger.info('Resuming persisted jobs', { count: unfinished.length });
+      }
+      pump();
+    },
+
+    /**
+     * Remove jobs that finished more than JOB_RETENTION_MS before `now`
+     * Returns how many were removed.
+     */
+    prune({ now = new Date() } = {}) {
+      return prune(now);
+    },
+
+    /**
+     * Resolve once every queued and running job has finished
+     */
+    async idle() {
+      while (running.size > 0) {
+        await Promise.allSettled([...running.values()]);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  checkCallbackUrl,
+  sealTicket,
+  openTicket
+};
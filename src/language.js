@@ -0,0 +1,116 @@
+/**
+ * Offline language detection and localized response text
+ * Detection needs no model or network: Devanagari script marks Hindi, and
+ * Latin-script text is scored against short profiles of common function
+ * words (plus romanized Hindi) and language-specific characters.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  hi: 'Hindi'
+};
+
+// Share of letters in Devanagari script above which text counts as Hindi
+const DEVANAGARI_THRESHOLD = 0.3;
+
+// Each character hint counts as much as this many profile words
+const CHARACTER_HINT_WEIGHT = 2;
+
+const PROFILES = {
+  en: {
+    words: [
+      'the', 'and', 'is', 'are', 'was', 'were', 'my', 'i', 'to', 'of', 'in', 'it', 'not', 'with',
+      'for', 'this', 'that', 'have', 'has', 'on', 'cannot', 'when', 'after', 'from', 'be', 'me',
+      'please', 'but', 'been', 'will', 'you', 'your', 'what', 'why', 'how', 'since', 'again'
+    ],
+    characters: ''
+  },
+  es: {
+    words: [
+      'el', 'los', 'las', 'del', 'que', 'y', 'es', 'un', 'una', 'mi', 'mis', 'por', 'para', 'con',
+      'se', 'al', 'lo', 'pero', 'está', 'están', 'cuando', 'después', 'desde', 'ya', 'muy', 'puedo',
+      'hay', 'sin', 'su', 'ayer', 'hoy', 'cuenta', 'dinero', 'otra', 'vez', 'favor', 'funciona'
+    ],
+    characters: 'ñ¿¡áíóú'
+  },
+  fr: {
+    words: [
+      'le', 'les', 'des', 'du', 'et', 'est', 'une', 'je', 'j', 'ai', 'mon', 'ma', 'mes', 'ne', 'n',
+      'pas', 'pour', 'avec', 'dans', 'sur', 'qui', 'il', 'elle', 'au', 'aux', 'ce', 'cette', 'mais',
+      'plus', 'depuis', 'après', 'très', 'hier', 'compte', 'argent', 'fonctionne', 'toujours'
+    ],
+    characters: 'çœèêëàâîïûù'
+  },
+  // Romanized Hindi ("mera account block ho gaya hai")
+  hi: {
+    words: [
+      'hai', 'hain', 'nahi', 'nahin', 'mera', 'meri', 'mere', 'kya', 'ho', 'gaya', 'gayi', 'raha',
+      'rahi', 'kar', 'karo', 'kripya', 'paise', 'ka', 'ki', 'ke', 'ko', 'aur', 'bhi', 'abhi', 'hua', 'tha'
+    ],
+    characters: ''
+  }
+};
+
+const PROFILE_WORDS = Object.fromEntries(
+  Object.entries(PROFILES).map(([language, profile]) => [language, new Set(profile.words)])
+);
+
+/**
+ * Detect the language of a ticket summary
+ * Returns { language, confidence }; text without any language evidence is
+ * reported as the default language with zero confidence.
+ */
+function detectLanguage(text) {
+  const value = String(text || '').toLowerCase();
+  const letters = value.match(/\p{L}/gu) || [];
+  if (letters.length === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  const devanagari = letters.filter(letter => /\p{Script=Devanagari}/u.test(letter)).length / letters.length;
+  if (devanagari >= DEVANAGARI_THRESHOLD) {
+    return { language: 'hi', confidence: Math.round(Math.min(1, devanagari + 0.2) * 100) / 100 };
+  }
+
+  const words = value.match(/[\p{L}\p{M}]+/gu) || [];
+  const scores = SUPPORTED_LANGUAGES.map(language => {
+    const hits = words.filter(word => PROFILE_WORDS[language].has(word)).length;
+    const hints = [...value].filter(character => PROFILES[language].characters.includes(character)).length;
+    return { language, score: hits + hints * CHARACTER_HINT_WEIGHT };
+  });
+
+  const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+  if (total === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  // Stable sort keeps SUPPORTED_LANGUAGES order on ties
+  const [best] = [...scores].sort((a, b) => b.score - a.score);
+  return { language: best.language, confidence: Math.round((best.score / total) * 100) / 100 };
+}
+
+/**
+ * Resolve the language responses are written in
+ * 'auto' answers in the ticket's language; otherwise the requested language,
+ * then DEFAULT_RESPONSE_LANGUAGE, then English.
+ */
+function resolveResponseLanguage(requested, detected) {
+  const language = requested || process.env.DEFAULT_RESPONSE_LANGUAGE || DEFAULT_LANGUAGE;
+  if (language === 'auto') {
+    return detected || DEFAULT_LANGUAGE;
+  }
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  detectLanguage,
+  resolveResponseLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES
+};
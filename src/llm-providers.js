@@ -0,0 +1,217 @@
+const OpenAI = require('openai');
+const { postJson } = require('./http-client');
+const { getActiveRuleSet, classKeywords } = require('./rules');
+const { matchKeywords } = require('./text-matcher');
+const { detectLanguage, LANGUAGE_NAMES } = require('./language');
+const logger = require('./logger');
+
+/**
+ * Pluggable LLM provider layer
+ * Every provider exposes the same shape:
+ *   { name, model, isAvailable(), complete({ system, user, temperature, maxTokens }) }
+ * where complete() resolves with the raw text content of the model's reply.
+ */
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  local: 'llama3',
+  mock: 'mock-keyword-v1'
+};
+
+/**
+ * Read provider configuration from the environment
+ */
+function getProviderConfig(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openai').toLowerCase().trim();
+  const defaultModel = name === 'openai' ?
+    (env.OPENAI_MODEL || DEFAULT_MODELS.openai) :
+    DEFAULT_MODELS[name];
+
+  return {
+    name,
+    model: env.LLM_MODEL || defaultModel,
+    timeout: parseInt(env.LLM_TIMEOUT || env.OPENAI_TIMEOUT, 10) || 10000,
+    apiKey: name === 'openai' ? env.OPENAI_API_KEY : env.LLM_API_KEY,
+    baseUrl: env.LLM_BASE_URL || 'http://localhost:11434',
+    chatPath: env.LLM_CHAT_PATH || '/api/chat',
+    allowedModels: (env.LLM_ALLOWED_MODELS || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * OpenAI chat completions provider
+ */
+function createOpenAIProvider(config) {
+  const client = new OpenAI({ apiKey: config.apiKey || 'demo-key' });
+
+  return {
+    name: 'openai',
+    model: config.model,
+
+    // Skip AI analysis if no API key provided (for demo/testing)
+    isAvailable() {
+      return !!config.apiKey && config.apiKey !== 'demo-key';
+    },
+
+    async complete({ system, user, temperature = 0.3, maxTokens = 300 }) {
+      const completion = await client.chat.completions.create({
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      }, { timeout: config.timeout });
+
+      return completion.choices[0]?.message?.content;
+    }
+  };
+}
+
+/**
+ * Generic local HTTP provider (Ollama-style /api/chat)
+ * Suitable for on-prem models that don't speak the OpenAI API.
+ */
+function createLocalHttpProvider(config) {
+  const url = new URL(config.chatPath, config.baseUrl).toString();
+
+  return {
+    name: 'local',
+    model: config.model,
+
+    isAvailable() {
+      return !!config.baseUrl;
+    },
+
+    async complete({ system, user, temperature = 0.3, maxTokens = 300 }) {
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      const { status, body } = await postJson(url, {
+        model: config.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        stream: false,
+        format: 'json',
+        options: { temperature, num_predict: maxTokens }
+      }, { headers, timeout: config.timeout });
+
+      if (status < 200 || status >= 300) {
+        throw new Error(`Local LLM returned HTTP ${status}`);
+      }
+
+      return body?.message?.content ?? body?.response;
+    }
+  };
+}
+
+/**
+ * Deterministic mock provider for tests and offline demos
+ * Recommends the decision class whose keywords best match the ticket summary.
+ */
+function createMockProvider(config) {
+  return {
+    name: 'mock',
+    model: config.model,
+
+    isAvailable() {
+      return true;
+    },
+
+    async complete({ user }) {
+      // Required lazily to avoid a circular import with ai-helper
+      const { extractTechnicalIndicators, extractOperationalIndicators } = require('./ai-helper');
+      const field = (label) => (user.match(new RegExp(`^${label}:\\s*(.*)$`, 'm')) || [])[1] || '';
+      const ticket = {
+        channel: field('Channel').trim(),
+        severity: field('Severity').trim(),
+        summary: field('Summary').trim()
+      };
+      const language = Object.keys(LANGUAGE_NAMES).find(code => LANGUAGE_NAMES[code] === field('Language').trim()) ||
+        detectLanguage(ticket.summary).language;
+
+      // Keyword coverage per class, capped at the class's saturation point
+      const ruleSet = getActiveRuleSet();
+      const ranked = Object.entries(ruleSet.classes)
+        .map(([name, definition]) => {
+          const matched = matchKeywords(ticket.summary, classKeywords(definition, language)).matched;
+          const saturation = definition.keyword_saturation || ruleSet.keyword_saturation || definition.keywords.length;
+          return { name, matches: matched.length, coverage: Math.min(1, matched.length / saturation) };
+        })
+        .sort((a, b) => b.coverage - a.coverage);
+      const [top, runnerUp] = ranked;
+      const margin = top.coverage - runnerUp.coverage;
+
+      return JSON.stringify({
+        recommendation: top.name,
+        confidence: Math.round(Math.min(0.95, 0.5 + margin * 0.45) * 100) / 100,
+        reasoning: `Mock analysis matched ${top.matches} ${top.name} keyword(s)`,
+        technical_indicators: extractTechnicalIndicators(ticket, language),
+        operational_indicators: extractOperationalIndicators(ticket, language)
+      });
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalHttpProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Build a provider from configuration
+ * Returns null when the provider is disabled ('none').
+ */
+function createProvider(config = getProviderConfig()) {
+  if (config.name === 'none') {
+    return null;
+  }
+
+  const factory = PROVIDER_FACTORIES[config.name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${config.name}`);
+  }
+
+  if (config.allowedModels.length > 0 && !config.allowedModels.includes(config.model)) {
+    throw new Error(`LLM model "${config.model}" is not in the approved model list`);
+  }
+
+  return factory(config);
+}
+
+let cachedProvider = null;
+let cachedConfigKey = null;
+
+/**
+ * Get the provider for the current environment, rebuilding it when config changes
+ */
+function getProvider() {
+  const config = getProviderConfig();
+  const configKey = JSON.stringify(config);
+
+  if (configKey !== cachedConfigKey) {
+    cachedProvider = createProvider(config);
+    cachedConfigKey = configKey;
+    logger.info('LLM provider configured', {
+      provider: config.name,
+      model: cachedProvider ? cachedProvider.model : null
+    });
+  }
+
+  return cachedProvider;
+}
+
+module.exports = {
+  getProvider,
+  createProvider,
+  getProviderConfig,
+  createOpenAIProvider,
+  createLocalHttpProvider,
+  createMockProvider,
+  DEFAULT_MODELS
+};
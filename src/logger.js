@@ -1,14 +1,26 @@
 const winston = require('winston');
+const { redactText, redactValue } = require('./redaction');
 
 /**
  * Centralized logging configuration
  */
 
+// Mask PII in log messages and metadata before any transport sees it
+const redactPII = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== 'level' && key !== 'timestamp') {
+      info[key] = typeof info[key] === 'string' ? redactText(info[key]) : redactValue(info[key]);
+    }
+  }
+  return info;
+});
+
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactPII(),
     winston.format.json()
   ),
   defaultMeta: { 
@@ -0,0 +1,218 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics
+ * HTTP traffic is recorded by middleware; classification, LLM and validation
+ * series are recorded where the work happens (classifier, AI helper, server
+ * validation) so they also cover batch and offline callers.
+ */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'vibefi_' });
+
+const httpRequests = new client.Counter({
+  name: 'vibefi_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'vibefi_http_request_duration_seconds',
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const classificationDuration = new client.Histogram({
+  name: 'vibefi_classification_duration_seconds',
+  help: 'Time spent in classifyTicket, by whether AI analysis was used',
+  labelNames: ['ai_analysis_used'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const decisions = new client.Counter({
+  name: 'vibefi_classification_decisions_total',
+  help: 'Classification decisions by channel and severity',
+  labelNames: ['decision', 'channel', 'severity'],
+  registers: [register]
+});
+
+const confidence = new client.Histogram({
+  name: 'vibefi_classification_confidence',
+  help: 'Distribution of classification confidence by decision',
+  labelNames: ['decision'],
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1],
+  registers: [register]
+});
+
+const classificationErrors = new client.Counter({
+  name: 'vibefi_classification_errors_total',
+  help: 'Classifications that threw an error',
+  registers: [register]
+});
+
+const llmRequests = new client.Counter({
+  name: 'vibefi_llm_requests_total',
+  help: 'LLM calls by provider, model and outcome (success or failure)',
+  labelNames: ['provider', 'model', 'outcome'],
+  registers: [register]
+});
+
+const llmDuration = new client.Histogram({
+  name: 'vibefi_llm_request_duration_seconds',
+  help: 'LLM call latency by provider and model',
+  labelNames: ['provider', 'model'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const aiFallbacks = new client.Counter({
+  name: 'vibefi_ai_fallbacks_total',
+  help: 'Classifications made without AI analysis, by reason (disabled, unavailable, failed)',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const analysisCache = new client.Counter({
+  name: 'vibefi_ai_analysis_cache_total',
+  help: 'AI analysis cache lookups by result (cache, near_duplicate, miss, bypass)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'vibefi_webhook_deliveries_total',
+  help: 'Webhook delivery outcomes (delivered, retried, dead_lettered, replayed)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const validationFailures = new client.Counter({
+  name: 'vibefi_validation_failures_total',
+  help: 'Validation failures by route and field',
+  labelNames: ['route', 'field'],
+  registers: [register]
+});
+
+const rateLimited = new client.Counter({
+  name: 'vibefi_rate_limited_total',
+  help: 'Requests rejected with 429, by tenant and limit (rate or quota)',
+  labelNames: ['tenant', 'limit'],
+  registers: [register]
+});
+
+const reviews = new client.Counter({
+  name: 'vibefi_reviews_total',
+  help: 'Human review queue events (created, resolved)',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+/**
+ * Express middleware counting requests and timing them per route
+ * Unmatched paths share one label to keep cardinality bounded.
+ */
+function httpMetricsMiddleware(req, res, next) {
+  const stopTimer = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    stopTimer({ method: req.method, route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+/**
+ * Record a completed classification
+ */
+function recordClassification(ticket, result, durationMs) {
+  const aiUsed = String(!!result.metadata.ai_analysis_used);
+  classificationDuration.observe({ ai_analysis_used: aiUsed }, durationMs / 1000);
+  decisions.inc({ decision: result.decision, channel: ticket.channel, severity: ticket.severity });
+  confidence.observe({ decision: result.decision }, result.confidence);
+}
+
+function recordClassificationError() {
+  classificationErrors.inc();
+}
+
+/**
+ * Record one LLM call
+ */
+function recordLlmCall({ provider, model, success, durationMs }) {
+  llmRequests.inc({ provider, model, outcome: success ? 'success' : 'failure' });
+  llmDuration.observe({ provider, model }, durationMs / 1000);
+}
+
+/**
+ * Record a classification that fell back to rules (and model) only
+ */
+function recordAiFallback(reason) {
+  aiFallbacks.inc({ reason });
+}
+
+/**
+ * Record an AI analysis cache lookup
+ */
+function recordAnalysisCache(result) {
+  analysisCache.inc({ result });
+}
+
+/**
+ * Record a webhook delivery outcome
+ */
+function recordWebhookDelivery(outcome) {
+  webhookDeliveries.inc({ outcome });
+}
+
+/**
+ * Record Joi validation failures, one per offending field
+ */
+function recordValidationFailure(route, details) {
+  const fields = new Set(details.map(detail => detail.path.join('.') || 'body'));
+  for (const field of fields) {
+    validationFailures.inc({ route, field });
+  }
+}
+
+/**
+ * Record a request rejected by a rate limit or quota
+ */
+function recordRateLimited(tenant, limit) {
+  rateLimited.inc({ tenant, limit });
+}
+
+/**
+ * Record a human review queue event
+ */
+function recordReview(event) {
+  reviews.inc({ event });
+}
+
+/**
+ * Current metrics in Prometheus text format
+ */
+async function getMetrics() {
+  return {
+    contentType: register.contentType,
+    body: await register.metrics()
+  };
+}
+
+module.exports = {
+  register,
+  httpMetricsMiddleware,
+  recordClassification,
+  recordClassificationError,
+  recordLlmCall,
+  recordAiFallback,
+  recordAnalysisCache,
+  recordWebhookDelivery,
+  recordValidationFailure,
+  recordRateLimited,
+  recordReview,
+  getMetrics
+};
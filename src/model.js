@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { analyzeText } = require('./text-matcher');
+const logger = require('./logger');
+
+/**
+ * Locally trained text classifier
+ * Multinomial naive Bayes over stemmed summary tokens plus channel and
+ * severity features. Trained from labeled tickets, serialized to a JSON model
+ * file and loaded at startup as a third signal next to rules and AI analysis.
+ */
+
+const DEFAULT_MODEL_FILE = path.join(__dirname, '..', 'models', 'ticket-model.json');
+const MODEL_TYPE = 'multinomial_naive_bayes';
+
+/**
+ * Feature tokens for a ticket
+ * Negated words get a "not_" prefix so "no error" doesn't count as "error".
+ */
+function extractFeatures(ticket) {
+  const features = analyzeText(ticket.summary)
+    .filter(token => token.stem.length > 1)
+    .map(token => (token.negated ? `not_${token.stem}` : token.stem));
+
+  if (ticket.channel) {
+    features.push(`channel=${ticket.channel}`);
+  }
+  if (ticket.severity) {
+    features.push(`severity=${ticket.severity}`);
+  }
+  return features;
+}
+
+/**
+ * Train a model from labeled examples ({ ticket, label })
+ * The version defaults to a checksum of the learned parameters.
+ */
+function trainModel(examples, { version, alpha = 1 } = {}) {
+  if (examples.length === 0) {
+    throw new Error('Cannot train a model without labeled examples');
+  }
+
+  const classes = {};
+  const vocabulary = new Set();
+
+  for (const { ticket, label } of examples) {
+    if (!classes[label]) {
+      classes[label] = { documents: 0, tokens: 0, counts: {} };
+    }
+    const stats = classes[label];
+    stats.documents++;
+    for (const feature of extractFeatures(ticket)) {
+      stats.counts[feature] = (stats.counts[feature] || 0) + 1;
+      stats.tokens++;
+      vocabulary.add(feature);
+    }
+  }
+
+  const parameters = { type: MODEL_TYPE, alpha, vocabulary_size: vocabulary.size, classes };
+  const checksum = crypto.createHash('sha256').update(JSON.stringify(parameters)).digest('hex');
+
+  return {
+    version: version || `nb-${checksum.slice(0, 8)}`,
+    trained_at: new Date().toISOString(),
+    examples: examples.length,
+    checksum,
+    ...parameters
+  };
+}
+
+/**
+ * Class probabilities for a ticket (softmax over log-likelihoods)
+ * Features never seen in training are ignored.
+ */
+function predictProbabilities(model, ticket) {
+  const classStats = Object.values(model.classes);
+  const features = extractFeatures(ticket)
+    .filter(feature => classStats.some(stats => stats.counts[feature]));
+  const totalDocuments = classStats.reduce((sum, stats) => sum + stats.documents, 0);
+  const logScores = {};
+
+  for (const [label, stats] of Object.entries(model.classes)) {
+    const denominator = stats.tokens + model.alpha * model.vocabulary_size;
+    let score = Math.log(stats.documents / totalDocuments);
+    for (const feature of features) {
+      score += Math.log(((stats.counts[feature] || 0) + model.alpha) / denominator);
+    }
+    logScores[label] = score;
+  }
+
+  const max = Math.max(...Object.values(logScores));
+  const exps = Object.entries(logScores).map(([label, score]) => [label, Math.exp(score - max)]);
+  const total = exps.reduce((sum, [, value]) => sum + value, 0);
+  return Object.fromEntries(exps.map(([label, value]) => [label, value / total]));
+}
+
+/**
+ * Model probabilities for each class of a rule set (0 for classes the model doesn't know)
+ */
+function calculateModelScores(model, ticket, classes) {
+  const probabilities = predictProbabilities(model, ticket);
+  return Object.fromEntries(classes.map(decision => [decision, probabilities[decision] || 0]));
+}
+
+/**
+ * Load and sanity-check a model file
+ */
+function loadModelFile(filePath) {
+  const model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (model.type !== MODEL_TYPE || !model.version || !model.classes || !model.vocabulary_size) {
+    throw new Error(`${filePath} is not a ${MODEL_TYPE} model file`);
+  }
+  return model;
+}
+
+/**
+ * Write a model file
+ */
+function saveModel(model, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(model, null, 2)}\n`);
+}
+
+// The loaded model; null when no model file is available
+const state = {
+  initialized: false,
+  model: null
+};
+
+/**
+ * Load the model file (MODEL_FILE, or the default model)
+ * MODEL_FILE=none disables the model. A missing or invalid file is logged
+ * and classification carries on without the model signal.
+ */
+function initModel({ file = process.env.MODEL_FILE || DEFAULT_MODEL_FILE } = {}) {
+  state.initialized = true;
+  state.model = null;
+
+  if (file === 'none') {
+    return null;
+  }
+
+  try {
+    state.model = loadModelFile(file);
+    logger.info('Classification model loaded', { file, version: state.model.version });
+  } catch (error) {
+    logger.warn('Classification model not loaded', { file, error: error.message });
+  }
+  return state.model;
+}
+
+/**
+ * The active model, loading it on first use
+ */
+function getActiveModel() {
+  if (!state.initialized) {
+    initModel();
+  }
+  return state.model;
+}
+
+module.exports = {
+  extractFeatures,
+  trainModel,
+  predictProbabilities,
+  calculateModelScores,
+  loadModelFile,
+  saveModel,
+  initModel,
+  getActiveModel,
+  DEFAULT_MODEL_FILE
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { CHANNELS, SEVERITIES, PRIORITIES, CUSTOMER_TIERS } = require('./validation');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./language');
+const logger = require('./logger');
+
+/**
+ * Playbooks for next actions
+ * Each JSON/YAML file in the playbooks directory defines a playbook that
+ * applies when its `match` conditions hold for a classified ticket. Every
+ * matching playbook contributes its steps; steps can carry their own `when`
+ * conditions, are ordered by `order` and name an owner role. Descriptions
+ * interpolate ticket variables (`{{ticket_id|this ticket}}`) and have
+ * per-language translations.
+ */
+
+const DEFAULT_PLAYBOOKS_DIR = path.join(__dirname, '..', 'config', 'playbooks');
+const PLAYBOOK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const DEFAULT_OWNER_ROLE = 'support_agent';
+
+// Variables available to step descriptions
+const VARIABLES = ['ticket_id', 'customer_id', 'channel', 'severity', 'priority', 'decision', 'label', 'indicators', 'tags'];
+const VARIABLE_PATTERN = /\{\{\s*([a-z_][a-z0-9_.]*)\s*(?:\|([^}]*))?\}\}/g;
+
+const idSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).messages({
+  'string.pattern.base': 'Playbook and step IDs must be lower-case letters, digits, "-" or "_"'
+});
+
+const lowercaseList = Joi.array().items(Joi.string().trim().lowercase().min(1)).single();
+
+// Each field takes one value or a list; `tags` and `keywords` match when any entry is present
+const conditionSchema = Joi.object({
+  decision: Joi.array().items(Joi.string()).single(),
+  channel: Joi.array().items(Joi.string().valid(...CHANNELS)).single(),
+  severity: Joi.array().items(Joi.string().valid(...SEVERITIES)).single(),
+  priority: Joi.array().items(Joi.string().valid(...PRIORITIES)).single(),
+  tier: Joi.array().items(Joi.string().valid(...CUSTOMER_TIERS)).single(),
+  tags: lowercaseList,
+  keywords: lowercaseList
+});
+
+const descriptionSchema = Joi.string().min(5).custom((value, helpers) => {
+  const variable = [...value.matchAll(VARIABLE_PATTERN)].map(([, name]) => name).find(name => !VARIABLES.includes(name));
+  return variable ? helpers.error('description.variable', { variable }) : value;
+}).messages({
+  'description.variable': `Unknown variable "{#variable}"; use one of: ${VARIABLES.join(', ')}`
+});
+
+const stepSchema = Joi.object({
+  id: idSchema.required(),
+  description: descriptionSchema.required(),
+  owner_role: Joi.string().optional(),
+  mandatory: Joi.boolean().default(false),
+  order: Joi.number().optional(),
+  when: conditionSchema.optional(),
+  translations: Joi.object()
+    .pattern(Joi.string().valid(...SUPPORTED_LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE)), descriptionSchema)
+    .default({})
+});
+
+const playbookSchema = Joi.object({
+  id: idSchema.required(),
+  description: Joi.string().allow('').default(''),
+  owner_role: Joi.string().default(DEFAULT_OWNER_ROLE),
+  match: conditionSchema.default({}),
+  steps: Joi.array().items(stepSchema).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Step IDs must be unique within a playbook' })
+});
+
+/**
+ * Validate and normalize one playbook definition
+ * Steps without an `order` follow their position in the file (10, 20, ...).
+ */
+function normalizePlaybook(data, source) {
+  const { error, value } = playbookSchema.validate(data, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid playbook ${source}: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  return {
+    ...value,
+    source,
+    steps: value.steps.map((step, index) => ({
+      ...step,
+      owner_role: step.owner_role || value.owner_role,
+      order: step.order === undefined ? (index + 1) * 10 : step.order
+    }))
+  };
+}
+
+/**
+ * Load every playbook file in a directory, in file name order
+ */
+function loadPlaybooks(dir) {
+  const files = fs.readdirSync(dir)
+    .filter(file => PLAYBOOK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  const playbooks = files.map(file => {
+    const filePath = path.join(dir, file);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+    return normalizePlaybook(data, filePath);
+  });
+
+  const seen = new Set();
+  for (const playbook of playbooks) {
+    if (seen.has(playbook.id)) {
+      throw new Error(`Invalid playbooks in ${dir}: duplicate playbook ID "${playbook.id}"`);
+    }
+    seen.add(playbook.id);
+  }
+  return playbooks;
+}
+
+// Loaded playbooks
+const state = {
+  playbooks: null
+};
+
+/**
+ * Load the playbooks directory (PLAYBOOKS_DIR, or the default)
+ */
+function initPlaybooks({ dir = process.env.PLAYBOOKS_DIR || DEFAULT_PLAYBOOKS_DIR } = {}) {
+  state.playbooks = loadPlaybooks(dir);
+  logger.info('Playbooks loaded', { playbooks: state.playbooks.map(playbook => playbook.id), dir });
+  return state.playbooks;
+}
+
+/**
+ * Get the loaded playbooks, loading the configured directory on first use
+ */
+function getPlaybooks() {
+  if (!state.playbooks) {
+    initPlaybooks();
+  }
+  return state.playbooks;
+}
+
+/**
+ * Whether a ticket's facts satisfy a set of conditions (all fields must hold)
+ */
+function matchesConditions(conditions = {}, facts) {
+  return Object.entries(conditions).every(([field, values]) => {
+    if (field === 'tags' || field === 'keywords') {
+      return values.some(value => facts[field].includes(value));
+    }
+    return values.includes(facts[field]);
+  });
+}
+
+/**
+ * Fill `{{variable}}` and `{{variable|fallback}}` placeholders
+ * Dotted names (`{{account.status}}`) read nested values.
+ */
+function interpolate(template, variables) {
+  return template
+    .replace(VARIABLE_PATTERN, (placeholder, name, fallback = '') => {
+      const value = name.split('.').reduce((scope, key) => (scope === undefined || scope === null ? undefined : scope[key]), variables);
+      return value === undefined || value === null || value === '' ? fallback.trim() : String(value);
+    })
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+// Playbooks built from rule set actions, per actions list; a rule set and its
+// lists never change once loaded, so each is only built once
+const rulesPlaybooks = new WeakMap();
+
+/**
+ * Playbook built from a rule set class's (already localized) actions
+ * The actions were validated with the rule set (see `descriptionSchema`).
+ */
+function rulesPlaybook(decision, actions) {
+  if (!rulesPlaybooks.has(actions)) {
+    rulesPlaybooks.set(actions, normalizePlaybook({
+      id: `rules-${decision}`,
+      steps: actions.map((description, index) => ({ id: `action-${index + 1}`, description }))
+    }, 'rules'));
+  }
+  return rulesPlaybooks.get(actions);
+}
+
+/**
+ * Ordered next actions from every playbook matching the ticket's facts
+ * `facts` holds decision, channel, severity, priority, tier, tags and the
+ * matched keywords; `variables` fill the step descriptions. When no matching
+ * playbook names the decision, `fallbackActions` (the rule set's actions for
+ * the class) stand in for it. Returns the applied playbook IDs and the
+ * actions as { step_id, description, owner_role, mandatory }.
+ */
+function buildPlaybookActions(facts, {
+  variables = {},
+  language = DEFAULT_LANGUAGE,
+  fallbackActions,
+  playbooks = getPlaybooks()
+} = {}) {
+  const applied = playbooks.filter(playbook => matchesConditions(playbook.match, facts));
+  const covered = applied.some(playbook => playbook.match.decision && playbook.match.decision.includes(facts.decision));
+  if (!covered && fallbackActions) {
+    applied.unshift(rulesPlaybook(facts.decision, fallbackActions));
+  }
+
+  const steps = [];
+  for (const playbook of applied) {
+    for (const step of playbook.steps) {
+      if (matchesConditions(step.when, facts)) {
+        steps.push({ playbook, step });
+      }
+    }
+  }
+
+  // Stable sort: equal orders keep playbook file order, then step order
+  steps.sort((a, b) => a.step.order - b.step.order);
+
+  return {
+    playbooks: applied.map(playbook => playbook.id),
+    actions: steps.map(({ playbook, step }) => ({
+      step_id: `${playbook.id}.${step.id}`,
+      description: interpolate(step.translations[language] || step.description, variables),
+      owner_role: step.owner_role,
+      mandatory: step.mandatory
+    }))
+  };
+}
+
+module.exports = {
+  initPlaybooks,
+  getPlaybooks,
+  loadPlaybooks,
+  buildPlaybookActions,
+  matchesConditions,
+  interpolate,
+  conditionSchema,
+  descriptionSchema,
+  VARIABLES,
+  DEFAULT_OWNER_ROLE,
+  DEFAULT_PLAYBOOKS_DIR
+};
@@ -0,0 +1,51 @@
+/**
+ * In-process fixed-window counters for rate limits and quotas
+ * Windows are aligned to the epoch, so a daily quota resets at 00:00 UTC.
+ * Counters live in memory: they reset on restart and are per instance.
+ */
+
+/**
+ * Create a limiter keyed by an arbitrary string (e.g. `rate:<key id>`)
+ */
+function createLimiter({ now = () => Date.now() } = {}) {
+  const windows = new Map();
+
+  return {
+    /**
+     * Try to consume `cost` units from the window
+     * Nothing is consumed when the request would go over the limit.
+     */
+    consume(key, { limit, windowMs, cost = 1 }) {
+      const current = now();
+      const windowStart = Math.floor(current / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+
+      let entry = windows.get(key);
+      if (!entry || entry.windowStart !== windowStart) {
+        entry = { windowStart, used: 0 };
+        windows.set(key, entry);
+      }
+
+      const allowed = entry.used + cost <= limit;
+      if (allowed) {
+        entry.used += cost;
+      }
+
+      return {
+        allowed,
+        limit,
+        remaining: Math.max(0, limit - entry.used),
+        resetAt,
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((resetAt - current) / 1000))
+      };
+    },
+
+    reset() {
+      windows.clear();
+    }
+  };
+}
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+
+/**
+ * PII detection and redaction
+ * Masks card numbers (Luhn-checked), IBANs (mod-97 checked), account numbers,
+ * sort codes, emails, phone numbers and national IDs with placeholder tokens
+ * such as [CARD_1]. Token maps stay in an in-memory vault so placeholders in
+ * a classification response can be resolved by an authorized caller.
+ */
+
+const VAULT_SIZE = parseInt(process.env.REDACTION_VAULT_SIZE, 10) || 1000;
+const VAULT_TTL_MS = parseInt(process.env.REDACTION_TTL_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Luhn checksum used to confirm card PANs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 check used to confirm IBANs
+ */
+function isValidIban(candidate) {
+  const iban = candidate.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Detectors run in order; earlier matches are replaced before later
+ * detectors see the text, so broad patterns (phone) come last.
+ * `group` selects the capture group to mask when context is matched too.
+ */
+const DETECTORS = [
+  {
+    type: 'email',
+    token: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  {
+    type: 'iban',
+    token: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/gi,
+    validate: isValidIban
+  },
+  {
+    type: 'card',
+    token: 'CARD',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && !/^(\d)\1+$/.test(digits) && passesLuhn(digits);
+    }
+  },
+  {
+    type: 'national_id',
+    token: 'NATIONAL_ID',
+    pattern: new RegExp([
+      '\\b\\d{3}-\\d{2}-\\d{4}\\b', // US SSN
+      '\\b[A-CEGHJ-PR-TW-Z]{2} ?\\d{2} ?\\d{2} ?\\d{2} ?[A-D]\\b', // UK National Insurance number
+      '\\b[2-9]\\d{3} ?\\d{4} ?\\d{4}\\b', // India Aadhaar
+      '\\b[A-Z]{5}\\d{4}[A-Z]\\b', // India PAN
+      '\\b\\d{8}[A-HJ-NP-TV-Z]\\b' // Spain DNI
+    ].join('|'), 'g')
+  },
+  {
+    type: 'sort_code',
+    token: 'SORT_CODE',
+    pattern: /\b\d{2}-\d{2}-\d{2}\b/g
+  },
+  {
+    type: 'account_number',
+    token: 'ACCOUNT',
+    pattern: /\b(?:account|acct|a\/c)(?:\s*(?:number|num|no\.?|#))?\s*[:#-]?\s*(\d{6,12})\b/gi,
+    group: 1
+  },
+  {
+    type: 'account_number',
+    token: 'ACCOUNT',
+    pattern: /\[SORT_CODE_\d+\][\s,/]*(\d{8})\b/g,
+    group: 1
+  },
+  {
+    type: 'phone',
+    token: 'PHONE',
+    pattern: /(?<![\w[])\+?\d[\d\s().-]{7,}\d(?![\w\]])/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    }
+  }
+];
+
+/**
+ * Create a redaction session
+ * The same value always maps to the same token within a session.
+ */
+function createRedactionSession() {
+  const tokens = new Map();
+  const valuesToTokens = new Map();
+  const counters = {};
+  const types = new Set();
+
+  function tokenFor(detector, value) {
+    const key = `${detector.type}:${value}`;
+    if (!valuesToTokens.has(key)) {
+      counters[detector.token] = (counters[detector.token] || 0) + 1;
+      const token = `[${detector.token}_${counters[detector.token]}]`;
+      valuesToTokens.set(key, token);
+      tokens.set(token, value);
+    }
+    types.add(detector.type);
+    return valuesToTokens.get(key);
+  }
+
+  return {
+    /**
+     * Replace detected PII in text with placeholder tokens
+     */
+    redact(text) {
+      if (typeof text !== 'string' || text.length === 0) {
+        return text;
+      }
+
+      return DETECTORS.reduce((current, detector) =>
+        current.replace(detector.pattern, (match, ...groups) => {
+          const value = detector.group ? groups[detector.group - 1] : match;
+          if (detector.validate && !detector.validate(value)) {
+            return match;
+          }
+          const token = tokenFor(detector, value);
+          return detector.group ? match.replace(value, token) : token;
+        }),
+      text);
+    },
+
+    /**
+     * Replace placeholder tokens with their original values
+     */
+    restore(text) {
+      return typeof text === 'string' ?
+        text.replace(/\[[A-Z_]+_\d+\]/g, token => (tokens.has(token) ? tokens.get(token) : token)) :
+        text;
+    },
+
+    get piiTypes() {
+      return [...types];
+    },
+
+    get tokenMap() {
+      return new Map(tokens);
+    }
+  };
+}
+
+/**
+ * One-shot redaction of a string (no reversible map kept)
+ */
+function redactText(text) {
+  return createRedactionSession().redact(text);
+}
+
+/**
+ * Recursively redact string values in a plain object/array
+ */
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (depth > 5 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = redactValue(item, depth + 1);
+  }
+  return result;
+}
+
+// In-memory vault of token maps, bounded by size and TTL
+const vault = new Map();
+
+/**
+ * Keep a session's token map so its placeholders can be resolved later
+ * Returns the redaction ID, or null when nothing was redacted.
+ */
+function storeRedaction(session) {
+  const tokens = session.tokenMap;
+  if (tokens.size === 0) {
+    return null;
+  }
+
+  const redactionId = crypto.randomUUID();
+  vault.set(redactionId, { tokens, expiresAt: Date.now() + VAULT_TTL_MS });
+  while (vault.size > VAULT_SIZE) {
+    vault.delete(vault.keys().next().value);
+  }
+  return redactionId;
+}
+
+/**
+ * Resolve placeholder tokens in text using a stored token map
+ * Returns null when the redaction ID is unknown or expired.
+ */
+function restoreRedacted(text, redactionId) {
+  const entry = vault.get(redactionId);
+  if (!entry || entry.expiresAt < Date.now()) {
+    vault.delete(redactionId);
+    return null;
+  }
+  return text.replace(/\[[A-Z_]+_\d+\]/g, token => (entry.tokens.has(token) ? entry.tokens.get(token) : token));
+}
+
+module.exports = {
+  createRedactionSession,
+  redactText,
+  redactValue,
+  storeRedaction,
+  restoreRedacted,
+  passesLuhn,
+  isValidIban
+};
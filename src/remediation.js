@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { CHANNELS } = require('./validation');
+const { keywordSchema } = require('./rules');
+const { analyzeText, matchKeywords } = require('./text-matcher');
+const { interpolate } = require('./playbooks');
+const logger = require('./logger');
+
+/**
+ * Remediation briefs for code-level tickets
+ * Components in the service catalog name the keywords, channels and tags
+ * that point at them, plus their repo, owning team and runbook. A brief
+ * ranks the suspected components' failure hypotheses by the evidence in the
+ * ticket and lists the data to collect and how to reproduce the fault.
+ */
+
+const DEFAULT_SERVICE_CATALOG_FILE = path.join(__dirname, '..', 'config', 'service-catalog.json');
+const REMEDIATION_DECISION = 'ai_code_remediation';
+
+// HTTP status codes and codes such as ERR_CONNECTION_RESET or UPI-U30; skips [CARD_1]-style PII placeholders
+const ERROR_CODE_PATTERNS = [
+  /\b[45]\d{2}\b/g,
+  /(?<!\[)\b[A-Z][A-Z0-9]*(?:[_-][A-Z0-9]+)+\b(?!\])/g
+];
+
+const textListSchema = Joi.array().items(Joi.string().min(3)).default([]);
+
+const collectSchema = Joi.object({
+  logs: textListSchema,
+  traces: textListSchema,
+  error_codes: textListSchema
+}).default();
+
+const hypothesisSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).required(),
+  statement: Joi.string().min(5).required(),
+  keywords: Joi.array().items(keywordSchema).default([])
+});
+
+const componentSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow('').optional(),
+  repo: Joi.string().uri().required(),
+  team: Joi.string().required(),
+  runbook: Joi.string().uri().required(),
+  signals: Joi.object({
+    keywords: Joi.array().items(keywordSchema).default([]),
+    channels: Joi.array().items(Joi.string().valid(...CHANNELS)).default([]),
+    tags: Joi.array().items(Joi.string().trim().lowercase()).default([])
+  }).required(),
+  hypotheses: Joi.array().items(hypothesisSchema).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Hypothesis IDs must be unique within a component' }),
+  collect: collectSchema,
+  reproduction: textListSchema
+});
+
+const catalogSchema = Joi.object({
+  version: Joi.string().trim().max(64).optional(),
+  description: Joi.string().allow('').optional(),
+  // Evidence weight of a matching channel or tag; keywords carry their own weight
+  evidence_weights: Joi.object({
+    channel: Joi.number().min(0).default(0.5),
+    tag: Joi.number().min(0).default(1)
+  }).default(),
+  max_hypotheses: Joi.number().integer().min(1).default(5),
+  max_components: Joi.number().integer().min(1).default(3),
+  defaults: Joi.object({
+    collect: collectSchema,
+    reproduction: textListSchema
+  }).default(),
+  components: Joi.array().items(componentSchema).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Component IDs must be unique' })
+});
+
+const normalizeKeywords = keywords => keywords.map(keyword =>
+  typeof keyword === 'string' ? { term: keyword, weight: 1 } : keyword
+);
+
+/**
+ * Load and validate a service catalog file
+ */
+function loadServiceCatalog(file) {
+  const { error, value } = catalogSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')), {
+    abortEarly: false
+  });
+  if (error) {
+    throw new Error(`Invalid service catalog ${file}: ${error.details.map(d => d.message).join('; ')}`);
+  }
+
+  return {
+    ...value,
+    version: value.version || null,
+    source: file,
+    components: value.components.map(component => ({
+      ...component,
+      signals: { ...component.signals, keywords: normalizeKeywords(component.signals.keywords) },
+      hypotheses: component.hypotheses.map(hypothesis => ({
+        ...hypothesis,
+        keywords: normalizeKeywords(hypothesis.keywords)
+      }))
+    }))
+  };
+}
+
+// Loaded service catalog
+const state = {
+  catalog: null
+};
+
+/**
+ * Load the service catalog (SERVICE_CATALOG_FILE, or the default)
+ */
+function initServiceCatalog({ file = process.env.SERVICE_CATALOG_FILE || DEFAULT_SERVICE_CATALOG_FILE } = {}) {
+  state.catalog = loadServiceCatalog(file);
+  logger.info('Service catalog loaded', {
+    version: state.catalog.version,
+    components: state.catalog.components.length,
+    file
+  });
+  return state.catalog;
+}
+
+/**
+ * Get the service catalog, loading the configured file on first use
+ */
+function getServiceCatalog() {
+  if (!state.catalog) {
+    initServiceCatalog();
+  }
+  return state.catalog;
+}
+
+/**
+ * Error codes quoted in a ticket summary, in order of appearance
+ */
+function extractErrorCodes(text = '') {
+  const found = ERROR_CODE_PATTERNS
+    .flatMap(pattern => [...text.matchAll(pattern)].map(match => ({ code: match[0], index: match.index })))
+    .sort((a, b) => a.index - b.index)
+    .map(match => match.code);
+  return [...new Set(found)];
+}
+
+const round = value => Math.round(value * 100) / 100;
+const sumWeights = evidence => evidence.reduce((sum, item) => sum + item.weight, 0);
+const keywordEvidence = (tokens, keywords) => matchKeywords(tokens, keywords).matched
+  .map(keyword => ({ type: 'keyword', value: keyword.term, weight: keyword.weight }));
+
+/**
+ * Score every component and hypothesis against the ticket
+ * A hypothesis scores its component's evidence (keywords, channel, tags)
+ * plus its own matched keywords; a component scores its best hypothesis.
+ */
+function scoreComponents(ticket, catalog) {
+  const tokens = analyzeText(ticket.summary || '');
+  const tags = (ticket.tags || []).map(tag => tag.toLowerCase().trim());
+  const weights = catalog.evidence_weights;
+
+  return catalog.components
+    .map(component => {
+      const evidence = [
+        ...keywordEvidence(tokens, component.signals.keywords),
+        ...(component.signals.channels.includes(ticket.channel) ?
+          [{ type: 'channel', value: ticket.channel, weight: weights.channel }] : []),
+        ...component.signals.tags.filter(tag => tags.includes(tag))
+          .map(tag => ({ type: 'tag', value: tag, weight: weights.tag }))
+      ];
+      const hypotheses = component.hypotheses.map(hypothesis => {
+        const own = keywordEvidence(tokens, hypothesis.keywords);
+        return { hypothesis, evidence: [...evidence, ...own], score: sumWeights(evidence) + sumWeights(own) };
+      });
+      const seen = new Set();
+      return {
+        component,
+        // Component signals plus whatever its hypotheses matched
+        evidence: hypotheses.flatMap(entry => entry.evidence).filter(item => {
+          const key = `${item.type}:${item.value}`;
+          if (seen.has(key)) {
+            return false;
+          }
+          seen.add(key);
+          return true;
+        }),
+        hypotheses,
+        score: Math.max(...hypotheses.map(entry => entry.score))
+      };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+const describeEvidence = evidence => evidence.map(({ type, value }) => ({ type, value }));
+const unique = items => [...new Set(items)];
+
+/**
+ * Remediation brief for a ticket routed to code-level remediation
+ * Pass the redacted ticket: the summary is matched against the catalog and
+ * quoted error codes are copied into the brief. `indicators` are the
+ * technical keywords the classifier matched.
+ */
+function buildRemediationBrief(ticket, { indicators = [], catalog = getServiceCatalog() } = {}) {
+  const scored = scoreComponents(ticket, catalog);
+  const components = scored.slice(0, catalog.max_components);
+
+  // Stable sort keeps component rank, then catalog order, on equal scores
+  const hypotheses = components
+    .flatMap(entry => entry.hypotheses.map(hypothesis => ({ ...hypothesis, component: entry.component })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, catalog.max_hypotheses);
+
+  const variables = {
+    ticket_id: ticket.ticket_id,
+    channel: ticket.channel,
+    severity: ticket.severity,
+    indicators: indicators.join(', ')
+  };
+  const render = items => items.map(item => interpolate(item, variables));
+  const observedErrorCodes = extractErrorCodes(ticket.summary);
+  const collect = field => unique(render([
+    ...catalog.defaults.collect[field],
+    ...components.flatMap(entry => entry.component.collect[field])
+  ]));
+
+  return {
+    catalog_version: catalog.version,
+    indicators,
+    observed_error_codes: observedErrorCodes,
+    suspected_components: components.map(({ component, evidence, score }) => ({
+      id: component.id,
+      name: component.name,
+      score: round(score),
+      evidence: describeEvidence(evidence),
+      repo: component.repo,
+      team: component.team,
+      runbook: component.runbook
+    })),
+    hypotheses: hypotheses.map(({ hypothesis, component, evidence, score }, index) => ({
+      rank: index + 1,
+      id: `${component.id}.${hypothesis.id}`,
+      component: component.id,
+      statement: hypothesis.statement,
+      score: round(score),
+      evidence: describeEvidence(evidence)
+    })),
+    data_to_collect: {
+      logs: collect('logs'),
+      traces: collect('traces'),
+      error_codes: unique([...observedErrorCodes, ...collect('error_codes')])
+    },
+    reproduction: [
+      ...render(catalog.defaults.reproduction).map(description => ({ description, component: null })),
+      ...components.flatMap(({ component }) =>
+        render(component.reproduction).map(description => ({ description, component: component.id }))
+      )
+    ]
+  };
+}
+
+module.exports = {
+  initServiceCatalog,
+  getServiceCatalog,
+  loadServiceCatalog,
+  buildRemediationBrief,
+  extractErrorCodes,
+  REMEDIATION_DECISION,
+  DEFAULT_SERVICE_CATALOG_FILE
+};
@@ -0,0 +1,201 @@
+const { getCollection, getClassification } = require('./store');
+const { recordFeedback } = require('./feedback');
+const { getDecisionClasses } = require('./rules');
+const { recordReview } = require('./metrics');
+const logger = require('./logger');
+
+/**
+ * Human review queue
+ * Classifications whose top two classes are nearly tied, whose best class
+ * has little evidence or whose calibrated confidence is low abstain with
+ * status `needs_human_review`. Each one gets a review item in the `reviews`
+ * collection; resolving it records the agent's decision as the
+ * classification's label (feedback source `review`).
+ */
+
+// Abstain thresholds, overridable with REVIEW_MIN_MARGIN, REVIEW_MIN_SCORE
+// and REVIEW_MIN_CONFIDENCE or per tenant (`review_thresholds`)
+const DEFAULT_REVIEW_THRESHOLDS = {
+  min_margin: 0.1,
+  min_score: 0.3,
+  min_confidence: 0.5
+};
+
+// Candidate decisions kept on a review item, best first
+const REVIEW_CANDIDATES = 2;
+
+function envThreshold(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Abstain thresholds from the environment, with overrides applied
+ * Setting a threshold to 0 turns that check off.
+ */
+function getReviewThresholds(overrides = {}) {
+  return {
+    min_margin: envThreshold('REVIEW_MIN_MARGIN', DEFAULT_REVIEW_THRESHOLDS.min_margin),
+    min_score: envThreshold('REVIEW_MIN_SCORE', DEFAULT_REVIEW_THRESHOLDS.min_score),
+    min_confidence: envThreshold('REVIEW_MIN_CONFIDENCE', DEFAULT_REVIEW_THRESHOLDS.min_confidence),
+    ...overrides
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Decide whether a calibrated ranking needs a human
+ * `calibrated` is ranked best first with blended `score` and `probability`.
+ * Returns { status, review } where review lists the reasons and the top
+ * candidates, or null when the classification stands on its own.
+ */
+function assessReview(calibrated, thresholds = getReviewThresholds()) {
+  const [top, runnerUp] = calibrated;
+  const margin = runnerUp ? top.score - runnerUp.score : top.score;
+
+  const reasons = [];
+  if (margin < thresholds.min_margin) {
+    reasons.push('low_margin');
+  }
+  if (top.score < thresholds.min_score) {
+    reasons.push('low_evidence');
+  }
+  if (top.probability < thresholds.min_confidence) {
+    reasons.push('low_confidence');
+  }
+
+  if (reasons.length === 0) {
+    return { status: 'classified', review: null };
+  }
+  return {
+    status: 'needs_human_review',
+    review: {
+      reasons,
+      margin: round(margin),
+      candidates: calibrated.slice(0, REVIEW_CANDIDATES).map(({ decision, score, probability }) => ({
+        decision,
+        score: round(score),
+        confidence: round(probability)
+      }))
+    }
+  };
+}
+
+/**
+ * Queue a stored classification for human review
+ */
+function createReview(classification, result) {
+  const review = getCollection('reviews').insert({
+    tenant_id: classification.tenant_id || null,
+    classification_id: classification.id,
+    ticket_id: classification.ticket_id,
+    incident_id: classification.incident_id,
+    channel: classification.input.channel,
+    severity: classification.input.severity,
+    summary: classification.input.summary,
+    decision: result.decision,
+    confidence: result.confidence,
+    reasons: result.review.reasons,
+    candidates: result.review.candidates,
+    status: 'pending',
+    resolution: null
+  });
+
+  recordReview('created');
+  logger.info('Classification queued for review', {
+    reviewId: review.id,
+    classificationId: classification.id,
+    reasons: review.reasons
+  });
+  return review;
+}
+
+/**
+ * Get a review item
+ * With a tenant ID, items of other tenants are treated as missing.
+ */
+function getReview(id, { tenantId } = {}) {
+  const review = getCollection('reviews').get(id);
+  return review && (!tenantId || review.tenant_id === tenantId) ? review : null;
+}
+
+/**
+ * Filtered, paginated review queue, oldest first so agents work in arrival order
+ */
+function listReviews({ tenantId, status = 'pending', channel, severity, reason, limit = 50, offset = 0 } = {}) {
+  const matches = getCollection('reviews')
+    .find(review =>
+      (!tenantId || review.tenant_id === tenantId) &&
+      (status === 'all' || review.status === status) &&
+      (!channel || review.channel === channel) &&
+      (!severity || review.severity === severity) &&
+      (!reason || review.reasons.includes(reason))
+    )
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    items: matches.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Resolve a review with the agent's decision
+ * The decision becomes the classification's label through the feedback
+ * pipeline. Returns { review } or { error } with a status code.
+ */
+function resolveReview(id, { decision, agent_id, notes }, {
+  tenantId,
+  decisions = getDecisionClasses()
+} = {}) {
+  const review = getReview(id, { tenantId });
+  if (!review) {
+    return { error: { status: 404, message: `Review ${id} not found` } };
+  }
+  if (review.status === 'resolved') {
+    return { error: { status: 409, message: `Review ${id} is already resolved` } };
+  }
+
+  const classification = getClassification(review.classification_id);
+  const { feedback, error } = recordFeedback({
+    classification_id: review.classification_id,
+    correct: Boolean(classification) && decision === classification.decision,
+    true_decision: decision,
+    comment: notes,
+    agent_id,
+    source: 'review'
+  }, { tenantId, decisions });
+  if (error) {
+    return { error };
+  }
+
+  const resolved = getCollection('reviews').update(id, {
+    status: 'resolved',
+    resolution: {
+      decision,
+      agent_id: agent_id || null,
+      notes: notes || null,
+      feedback_id: feedback.id,
+      resolved_at: feedback.created_at
+    }
+  });
+
+  recordReview('resolved');
+  logger.info('Review resolved', { reviewId: id, decision, overturned: !feedback.correct });
+  return { review: resolved };
+}
+
+module.exports = {
+  getReviewThresholds,
+  assessReview,
+  createReview,
+  getReview,
+  listReviews,
+  resolveReview,
+  DEFAULT_REVIEW_THRESHOLDS
+};
@@ -0,0 +1,509 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { CHANNELS } = require('./validation');
+const { keywordSchema } = require('./rules');
+const { analyzeText, matchKeywords } = require('./text-matcher');
+const { conditionSchema, matchesConditions } = require('./playbooks');
+const { getCollection, getClassification } = require('./store');
+const logger = require('./logger');
+
+/**
+ * Team routing and on-call assignment
+ * Runs after classification: the team whose skills (decisions, channels,
+ * products, keywords) best fit the ticket owns it, and its least-loaded
+ * member below capacity picks it up, favouring whoever is on call. The first
+ * escalation rule matching the ticket (e.g. critical severity) overrides
+ * this: the ticket goes to the on-call member of the rule's team, whatever
+ * their load, and the team lead and other teams' on-call members are listed
+ * for notification. Load counts are the open assignments: counted from the
+ * store once, then kept up to date as assignments are recorded and closed.
+ * An assignment stays open until it is closed, which recording the SLA
+ * resolution milestone also does.
+ */
+
+const DEFAULT_TEAMS_FILE = path.join(__dirname, '..', 'config', 'teams.json');
+const DEFAULT_TIER = 'standard';
+const HOUR_MS = 60 * 60 * 1000;
+
+const idSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9._-]*$/);
+
+const onCallSchema = Joi.object({
+  start: Joi.date().iso().required(),
+  shift_hours: Joi.number().positive().default(168),
+  // Member IDs in rotation order; defaults to the member list
+  order: Joi.array().items(idSchema).min(1).unique().optional(),
+  overrides: Joi.array().items(Joi.object({
+    member: idSchema.required(),
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().greater(Joi.ref('from')).required()
+  })).default([])
+});
+
+const teamSchema = Joi.object({
+  id: idSchema.required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow('').optional(),
+  skills: Joi.object({
+    decisions: Joi.array().items(Joi.string()).default([]),
+    channels: Joi.array().items(Joi.string().valid(...CHANNELS)).default([]),
+    // Products are matched against the ticket's tags
+    products: Joi.array().items(Joi.string().trim().lowercase()).default([]),
+    keywords: Joi.array().items(keywordSchema).default([])
+  }).default(),
+  members: Joi.array().items(Joi.object({
+    id: idSchema.required(),
+    name: Joi.string().required()
+  })).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Member IDs must be unique within a team' }),
+  lead: idSchema.optional(),
+  max_open_per_member: Joi.number().integer().min(1).default(5),
+  on_call: onCallSchema.required()
+});
+
+const escalationSchema = Joi.object({
+  name: Joi.string().required(),
+  match: conditionSchema.default({}),
+  // Team that takes the ticket instead of the routed one
+  team: idSchema.optional(),
+  // Teams whose on-call member is notified as well
+  notify: Joi.array().items(idSchema).default([])
+});
+
+const routingFileSchema = Joi.object({
+  version: Joi.string().trim().max(64).optional(),
+  description: Joi.string().allow('').optional(),
+  default_team: idSchema.required(),
+  // Score of each matching skill; keywords carry their own weight
+  skill_weights: Joi.object({
+    decision: Joi.number().min(0).default(2),
+    channel: Joi.number().min(0).default(1),
+    product: Joi.number().min(0).default(2),
+    component: Joi.number().min(0).default(2)
+  }).default(),
+  teams: Joi.array().items(teamSchema).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Team IDs must be unique' }),
+  escalations: Joi.array().items(escalationSchema).default([])
+});
+
+// Team and member IDs a routing file refers to that it does not define
+function unknownReferences(value) {
+  const teams = new Set(value.teams.map(team => team.id));
+  const problems = [];
+  if (!teams.has(value.default_team)) {
+    problems.push(`unknown default team "${value.default_team}"`);
+  }
+  for (const team of value.teams) {
+    const members = new Set(team.members.map(member => member.id));
+    const referenced = [
+      ...(team.lead ? [team.lead] : []),
+      ...(team.on_call.order || []),
+      ...team.on_call.overrides.map(override => override.member)
+    ];
+    referenced.filter(id => !members.has(id))
+      .forEach(id => problems.push(`team "${team.id}" has no member "${id}"`));
+  }
+  for (const rule of value.escalations) {
+    [...(rule.team ? [rule.team] : []), ...rule.notify].filter(id => !teams.has(id))
+      .forEach(id => problems.push(`escalation "${rule.name}" refers to unknown team "${id}"`));
+  }
+  return problems;
+}
+
+const normalizeKeywords = keywords => keywords.map(keyword =>
+  typeof keyword === 'string' ? { term: keyword, weight: 1 } : keyword
+);
+
+/**
+ * Load and validate a routing file
+ * Throws when the file is invalid or refers to unknown teams or members.
+ */
+function loadRoutingFile(file) {
+  const { error, value } = routingFileSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')), {
+    abortEarly: false
+  });
+  if (error) {
+    throw new Error(`Invalid routing file ${file}: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  const problems = unknownReferences(value);
+  if (problems.length > 0) {
+    throw new Error(`Invalid routing file ${file}: ${problems.join('; ')}`);
+  }
+
+  return {
+    ...value,
+    version: value.version || null,
+    source: file,
+    teams: value.teams.map(team => ({
+      ...team,
+      skills: { ...team.skills, keywords: normalizeKeywords(team.skills.keywords) },
+      on_call: { ...team.on_call, order: team.on_call.order || team.members.map(member => member.id) }
+    }))
+  };
+}
+
+// Loaded routing configuration, and the running load once counted
+const state = {
+  config: null,
+  tracker: null
+};
+
+/**
+ * Load the routing file (TEAMS_FILE, or the default)
+ */
+function initRouting({ file = process.env.TEAMS_FILE || DEFAULT_TEAMS_FILE } = {}) {
+  state.config = loadRoutingFile(file);
+  logger.info('Routing teams loaded', {
+    version: state.config.version,
+    teams: state.config.teams.length,
+    file
+  });
+  return state.config;
+}
+
+/**
+ * Get the routing configuration, loading the configured file on first use
+ */
+function getRoutingConfig() {
+  if (!state.config) {
+    initRouting();
+  }
+  return state.config;
+}
+
+/**
+ * Member of a team on call at an instant
+ * An override covering the instant wins; otherwise the rotation advances one
+ * member per shift from `on_call.start`. `until` is when the shift ends.
+ */
+function onCallMember(team, now = new Date()) {
+  const at = now.getTime();
+  const member = id => team.members.find(candidate => candidate.id === id);
+
+  const override = team.on_call.overrides.find(entry => entry.from.getTime() <= at && at < entry.to.getTime());
+  if (override) {
+    return { ...member(override.member), until: override.to.toISOString(), source: 'override' };
+  }
+
+  const { order } = team.on_call;
+  const shiftMs = team.on_call.shift_hours * HOUR_MS;
+  const shift = Math.floor((at - team.on_call.start.getTime()) / shiftMs);
+  return {
+    ...member(order[((shift % order.length) + order.length) % order.length]),
+    until: new Date(team.on_call.start.getTime() + (shift + 1) * shiftMs).toISOString(),
+    source: 'rotation'
+  };
+}
+
+// Ticket IDs are only unique within a tenant
+const ticketKey = record => (record.ticket_id ? `${record.tenant_id}:${record.ticket_id}` : record.id);
+const isOpen = record => !record.assignment.closed_at && !(record.sla && record.sla.resolution.met_at);
+
+function adjustLoad(load, teamId, memberId, delta) {
+  if (!load.has(teamId)) {
+    load.set(teamId, new Map());
+  }
+  const members = load.get(teamId);
+  const count = (members.get(memberId) || 0) + delta;
+  if (count > 0) {
+    members.set(memberId, count);
+  } else {
+    members.delete(memberId);
+    if (members.size === 0) {
+      load.delete(teamId);
+    }
+  }
+}
+
+// Newest assigned classification per ticket, if its assignment is still open
+function openAssignments() {
+  const latest = new Map();
+  for (const record of getCollection('classifications').find(r => r.assignment)) {
+    const current = latest.get(ticketKey(record));
+    if (!current || record.created_at >= current.created_at) {
+      latest.set(ticketKey(record), record);
+    }
+  }
+  return [...latest.values()].filter(isOpen);
+}
+
+/**
+ * Open assignments per team and member, counted from the store:
+ * Map(team ID => Map(member ID => count))
+ * Only the newest assigned classification of each tenant's ticket counts
+ * (records without a ticket ID stand alone), until its assignment is closed.
+ */
+function computeTeamLoad() {
+  const load = new Map();
+  for (const record of openAssignments()) {
+    adjustLoad(load, record.assignment.team.id, record.assignment.assignee.id, 1);
+  }
+  return load;
+}
+
+// Running load and the open assignment it counts for each ticket
+function tracker() {
+  if (!state.tracker) {
+    const open = new Map(openAssignments().map(record => [ticketKey(record), {
+      id: record.id,
+      team: record.assignment.team.id,
+      assignee: record.assignment.assignee.id
+    }]));
+    const load = new Map();
+    for (const entry of open.values()) {
+      adjustLoad(load, entry.team, entry.assignee, 1);
+    }
+    state.tracker = { open, load };
+  }
+  return state.tracker;
+}
+
+/**
+ * Current open assignments per team and member, in the shape of `computeTeamLoad`
+ */
+function getTeamLoad() {
+  return tracker().load;
+}
+
+/**
+ * Count a stored classification's assignment in the running load
+ * It replaces the ticket's previous open assignment, if any.
+ */
+function recordAssignment(record) {
+  if (!record.assignment || !isOpen(record)) {
+    return;
+  }
+  const { open, load } = tracker();
+  const previous = open.get(ticketKey(record));
+  if (previous && previous.id === record.id) {
+    return;
+  }
+  if (previous) {
+    adjustLoad(load, previous.team, previous.assignee, -1);
+  }
+  open.set(ticketKey(record), { id: record.id, team: record.assignment.team.id, assignee: record.assignment.assignee.id });
+  adjustLoad(load, record.assignment.team.id, record.assignment.assignee.id, 1);
+}
+
+/**
+ * Close the assignment of a stored classification so it stops counting
+ * towards its assignee's load. Returns `{ classification }` or `{ error }`.
+ */
+function closeAssignment(classificationId, { at = new Date(), tenantId } = {}) {
+  const classification = getClassification(classificationId);
+  if (!classification || (tenantId && classification.tenant_id !== tenantId)) {
+    return { error: { status: 404, message: `Classification ${classificationId} not found` } };
+  }
+  if (!classification.assignment) {
+    return { error: { status: 400, message: `Classification ${classificationId} has no assignment` } };
+  }
+  if (classification.assignment.closed_at) {
+    return { error: { status: 409, message: `Assignment of classification ${classificationId} is already closed` } };
+  }
+
+  const updated = getCollection('classifications').update(classificationId, {
+    assignment: { ...classification.assignment, closed_at: new Date(at).toISOString() }
+  });
+
+  const { open, load } = tracker();
+  const entry = open.get(ticketKey(updated));
+  if (entry && entry.id === classificationId) {
+    open.delete(ticketKey(updated));
+    adjustLoad(load, entry.team, entry.assignee, -1);
+  }
+
+  logger.info('Assignment closed', { classificationId, team: updated.assignment.team.id });
+  return { classification: updated };
+}
+
+const round = value => Math.round(value * 100) / 100;
+const openCount = (load, teamId, memberId) => (load.get(teamId) && load.get(teamId).get(memberId)) || 0;
+const teamOpen = (load, teamId) => [...(load.get(teamId) || new Map()).values()].reduce((sum, count) => sum + count, 0);
+const teamCapacity = team => team.max_open_per_member * team.members.length;
+
+/**
+ * Skill evidence and score of a team for a ticket, or null when the team
+ * does not handle the ticket's decision
+ */
+function scoreTeam(team, { facts, tokens, componentTeam }, weights) {
+  const { skills } = team;
+  if (skills.decisions.length > 0 && !skills.decisions.includes(facts.decision)) {
+    return null;
+  }
+
+  const evidence = [
+    ...(skills.decisions.length > 0 ? [{ skill: `decision ${facts.decision}`, weight: weights.decision }] : []),
+    ...(skills.channels.includes(facts.channel) ? [{ skill: `channel ${facts.channel}`, weight: weights.channel }] : []),
+    ...skills.products.filter(product => facts.tags.includes(product))
+      .map(product => ({ skill: `product ${product}`, weight: weights.product })),
+    ...matchKeywords(tokens, skills.keywords).matched
+      .map(keyword => ({ skill: `keyword ${keyword.term}`, weight: keyword.weight })),
+    ...(componentTeam === team.id ? [{ skill: 'suspected component', weight: weights.component }] : [])
+  ];
+  return { team, evidence, score: evidence.reduce((sum, item) => sum + item.weight, 0) };
+}
+
+/**
+ * Best-fitting team: highest skill score, then lowest utilization, then file order
+ */
+function selectTeam(context, config, load) {
+  const utilization = team => teamOpen(load, team.id) / teamCapacity(team);
+  const [best] = config.teams
+    .map(team => scoreTeam(team, context, config.skill_weights))
+    .filter(entry => entry && entry.score > 0)
+    .sort((a, b) => b.score - a.score || utilization(a.team) - utilization(b.team));
+
+  if (!best) {
+    const team = config.teams.find(candidate => candidate.id === config.default_team);
+    return { team, reason: `No team's skills matched; routed to the default team ${team.name}` };
+  }
+  return {
+    team: best.team,
+    reason: `${best.team.name} matched ${best.evidence.map(item => item.skill).join(', ')} (score ${round(best.score)})`
+  };
+}
+
+/**
+ * Least-loaded member below capacity; ties go to the on-call member, then
+ * rotation order from there. Falls back to the on-call member when everyone
+ * is at capacity.
+ */
+function selectMember(team, onCall, load) {
+  const { order } = team.on_call;
+  const start = order.indexOf(onCall.id);
+  const rotationRank = member => {
+    const index = order.indexOf(member.id);
+    return index < 0 ? order.length : (index - start + order.length) % order.length;
+  };
+  const [candidate] = team.members
+    .filter(member => openCount(load, team.id, member.id) < team.max_open_per_member)
+    .sort((a, b) => openCount(load, team.id, a.id) - openCount(load, team.id, b.id) || rotationRank(a) - rotationRank(b));
+
+  if (!candidate) {
+    return {
+      member: team.members.find(member => member.id === onCall.id),
+      reason: `Every ${team.name} member has ${team.max_open_per_member} or more open tickets; assigned to ${onCall.name}, on call`
+    };
+  }
+  const open = openCount(load, team.id, candidate.id);
+  return {
+    member: candidate,
+    reason: `${candidate.name} has the fewest open tickets in ${team.name} (${open} of ${team.max_open_per_member})` +
+      (candidate.id === onCall.id ? ' and is on call' : '')
+  };
+}
+
+const person = ({ id, name }) => ({ id, name });
+
+/**
+ * Assign a classified ticket to a team and a member
+ * Pass the stored (sanitized, redacted) ticket and the classification
+ * result. `load` defaults to the running load; pass the stored record to
+ * `recordAssignment` so the assignment counts.
+ */
+function routeTicket(ticket, result, { now = new Date(), config = getRoutingConfig(), load = getTeamLoad() } = {}) {
+  const tokens = analyzeText(ticket.summary || '');
+  const brief = result.remediation_brief;
+  const context = {
+    tokens,
+    componentTeam: brief && brief.suspected_components.length > 0 ? brief.suspected_components[0].team : null,
+    facts: {
+      decision: result.decision,
+      channel: ticket.channel,
+      severity: ticket.severity,
+      priority: ticket.priority,
+      tier: ticket.customer_tier || DEFAULT_TIER,
+      tags: ticket.tags || [],
+      keywords: matchKeywords(tokens, config.teams.flatMap(team => team.skills.keywords)).matched
+        .map(keyword => keyword.term)
+    }
+  };
+
+  const routed = selectTeam(context, config, load);
+  const reasons = [routed.reason];
+  const rule = config.escalations.find(candidate => matchesConditions(candidate.match, context.facts));
+
+  const team = rule && rule.team ? config.teams.find(candidate => candidate.id === rule.team) : routed.team;
+  const onCall = onCallMember(team, now);
+  let assignee;
+  let escalation = null;
+  if (rule) {
+    assignee = team.members.find(member => member.id === onCall.id);
+    const lead = team.lead && team.lead !== assignee.id ? team.members.find(member => member.id === team.lead) : null;
+    escalation = {
+      rule: rule.name,
+      notify: [
+        ...(lead ? [{ team: team.id, ...person(lead), role: 'lead' }] : []),
+        ...rule.notify.map(id => config.teams.find(candidate => candidate.id === id))
+          .map(other => ({ team: other.id, ...person(onCallMember(other, now)), role: 'on_call' }))
+      ]
+    };
+    reasons.push(`Escalation rule ${rule.name} matched; ` +
+      (team === routed.team ? '' : `escalated to ${team.name}; `) +
+      `assigned to ${assignee.name}, on call, regardless of load`);
+  } else {
+    const selected = selectMember(team, onCall, load);
+    assignee = selected.member;
+    reasons.push(selected.reason);
+  }
+
+  logger.info('Ticket routed', { team: team.id, assignee: assignee.id, escalation: rule ? rule.name : null });
+
+  return {
+    team: person(team),
+    assignee: person(assignee),
+    on_call: { ...person(onCall), until: onCall.until },
+    escalated: Boolean(rule),
+    escalation,
+    reasons,
+    load: {
+      team_open: teamOpen(load, team.id),
+      assignee_open: openCount(load, team.id, assignee.id)
+    },
+    routing_version: config.version,
+    assigned_at: now.toISOString()
+  };
+}
+
+/**
+ * Current load of every team: open assignments per member against capacity,
+ * and who is on call
+ */
+function listTeamLoad({ now = new Date(), config = getRoutingConfig(), load = getTeamLoad() } = {}) {
+  return {
+    as_of: now.toISOString(),
+    routing_version: config.version,
+    teams: config.teams.map(team => {
+      const onCall = onCallMember(team, now);
+      const open = teamOpen(load, team.id);
+      return {
+        id: team.id,
+        name: team.name,
+        open,
+        capacity: teamCapacity(team),
+        utilization: round(open / teamCapacity(team)),
+        on_call: { ...person(onCall), until: onCall.until },
+        members: team.members.map(member => ({
+          ...person(member),
+          open: openCount(load, team.id, member.id),
+          capacity: team.max_open_per_member,
+          on_call: member.id === onCall.id
+        }))
+      };
+    })
+  };
+}
+
+module.exports = {
+  initRouting,
+  getRoutingConfig,
+  loadRoutingFile,
+  routeTicket,
+  onCallMember,
+  computeTeamLoad,
+  getTeamLoad,
+  recordAssignment,
+  closeAssignment,
+  listTeamLoad,
+  DEFAULT_TEAMS_FILE
+};
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { CHANNELS, SEVERITIES } = require('./validation');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./language');
+const { descriptionSchema } = require('./playbooks');
+const logger = require('./logger');
+
+/**
+ * Externalized classification rules
+ * Rule sets are loaded from a JSON/YAML file, schema-validated, versioned
+ * in memory and hot-reloaded when the file changes.
+ */
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'rules.json');
+const HISTORY_LIMIT = parseInt(process.env.RULES_HISTORY_LIMIT, 10) || 20;
+
+const weightsSchema = Joi.object({
+  keywords: Joi.number().min(0).max(1).required(),
+  channel: Joi.number().min(0).max(1).required(),
+  severity: Joi.number().min(0).max(1).required()
+});
+
+const keywordSchema = Joi.alternatives().try(
+  Joi.string().trim().lowercase().min(1),
+  Joi.object({
+    term: Joi.string().trim().lowercase().min(1).required(),
+    weight: Joi.number().min(0).default(1)
+  })
+);
+
+const DEFAULT_ACTIONS = [
+  'Review ticket details',
+  'Assign to the responsible team',
+  'Update customer communication'
+];
+
+// Per-language keywords and response text; missing fields fall back to English
+const translationSchema = Joi.object({
+  label: Joi.string().optional(),
+  fallback_reasoning: Joi.string().optional(),
+  keywords: Joi.array().items(keywordSchema).default([]),
+  actions: Joi.array().items(descriptionSchema).min(1).optional()
+});
+
+const classSchema = Joi.object({
+  description: Joi.string().allow('').default(''),
+  label: Joi.string().optional(),
+  fallback_reasoning: Joi.string().optional(),
+  keywords: Joi.array().items(keywordSchema).min(1).required(),
+  channels: Joi.array().items(Joi.string().valid(...CHANNELS)).default([]),
+  severities: Joi.array().items(Joi.string().valid(...SEVERITIES)).default([]),
+  weights: weightsSchema.optional(),
+  keyword_saturation: Joi.number().positive().optional(),
+  // Fallback next actions, checked like playbook step descriptions
+  actions: Joi.array().items(descriptionSchema).min(1).default(DEFAULT_ACTIONS),
+  translations: Joi.object()
+    .pattern(Joi.string().valid(...SUPPORTED_LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE)), translationSchema)
+    .default({})
+    .messages({
+      'object.unknown': `Translation languages must be one of: ${SUPPORTED_LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE).join(', ')}`
+    })
+});
+
+const ruleSetSchema = Joi.object({
+  version: Joi.string().trim().max(64).optional(),
+  description: Joi.string().allow('').optional(),
+  weights: weightsSchema.default({ keywords: 0.4, channel: 0.3, severity: 0.3 }),
+  // Matched keyword weight at which the keyword score saturates (default: all keywords)
+  keyword_saturation: Joi.number().positive().optional(),
+  classes: Joi.object()
+    .pattern(/^[a-z][a-z0-9_]*$/, classSchema)
+    .min(2)
+    .required()
+    .messages({
+      'object.unknown': 'Class names must be lower_snake_case',
+      'object.min': 'Rule set must define at least 2 classes'
+    })
+});
+
+/**
+ * Validate a raw rule set definition
+ */
+function validateRuleSet(data) {
+  return ruleSetSchema.validate(data, { abortEarly: false });
+}
+
+/**
+ * Content checksum (excluding the version) used to detect changes and derive versions
+ */
+function checksumRuleSet(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+/**
+ * Turn a class name like "security_escalation" into "Security escalation"
+ */
+function humanizeClassName(name) {
+  const words = name.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function normalizeKeywords(keywords) {
+  return keywords.map(keyword =>
+    typeof keyword === 'string' ? { term: keyword, weight: 1 } : keyword
+  );
+}
+
+/**
+ * Validate and normalize a raw rule set
+ * Keywords (including translated ones) become { term, weight } objects;
+ * throws with `details` on schema errors.
+ */
+function normalizeRuleSet(data, source) {
+  const { error, value } = validateRuleSet(data);
+  if (error) {
+    const invalid = new Error(`Invalid rule set: ${error.details.map(d => d.message).join('; ')}`);
+    invalid.details = error.details.map(d => d.message);
+    throw invalid;
+  }
+
+  const classes = {};
+  for (const [name, rules] of Object.entries(value.classes)) {
+    const label = rules.label || humanizeClassName(name);
+    classes[name] = {
+      ...rules,
+      label,
+      fallback_reasoning: rules.fallback_reasoning || `Rule indicators suggest ${label.toLowerCase()}`,
+      keywords: normalizeKeywords(rules.keywords),
+      translations: Object.fromEntries(Object.entries(rules.translations).map(([language, translation]) => [
+        language,
+        { ...translation, keywords: normalizeKeywords(translation.keywords) }
+      ]))
+    };
+  }
+
+  const content = {
+    description: value.description || '',
+    weights: value.weights,
+    ...(value.keyword_saturation ? { keyword_saturation: value.keyword_saturation } : {}),
+    classes
+  };
+  const checksum = checksumRuleSet(content);
+
+  return {
+    version: value.version || `auto-${checksum.slice(0, 8)}`,
+    ...content,
+    checksum,
+    source,
+    loaded_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse a rules file as JSON or YAML based on its extension
+ */
+function parseRulesFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+}
+
+/**
+ * Load, validate and normalize a rules file
+ */
+function loadRulesFile(filePath) {
+  return normalizeRuleSet(parseRulesFile(filePath), filePath);
+}
+
+/**
+ * Convert a normalized rule set back to its file representation
+ */
+function serializeRuleSet(ruleSet) {
+  return {
+    version: ruleSet.version,
+    description: ruleSet.description,
+    weights: ruleSet.weights,
+    ...(ruleSet.keyword_saturation ? { keyword_saturation: ruleSet.keyword_saturation } : {}),
+    classes: ruleSet.classes
+  };
+}
+
+// Registry state: version history (oldest first) and the active version
+const state = {
+  file: null,
+  history: [],
+  activeVersion: null,
+  watcher: null
+};
+
+function findVersion(version) {
+  return state.history.find(ruleSet => ruleSet.version === version) || null;
+}
+
+/**
+ * Add a rule set to the history and make it active
+ */
+function registerRuleSet(ruleSet) {
+  const existing = findVersion(ruleSet.version);
+  if (existing && existing.checksum !== ruleSet.checksum) {
+    const conflict = new Error(`Rule set version ${ruleSet.version} already exists with different content`);
+    conflict.code = 'VERSION_CONFLICT';
+    throw conflict;
+  }
+
+  if (!existing) {
+    state.history.push(ruleSet);
+    if (state.history.length > HISTORY_LIMIT) {
+      state.history.shift();
+    }
+  }
+
+  state.activeVersion = ruleSet.version;
+  return existing || ruleSet;
+}
+
+/**
+ * Persist the given rule set to the rules file in its original format
+ */
+function writeRulesFile(ruleSet) {
+  const ext = path.extname(state.file).toLowerCase();
+  const data = serializeRuleSet(ruleSet);
+  const content = ext === '.yaml' || ext === '.yml' ?
+    yaml.dump(data) :
+    `${JSON.stringify(data, null, 2)}\n`;
+  fs.writeFileSync(state.file, content);
+}
+
+/**
+ * Initialize the registry from a rules file
+ */
+function initRules({ file = process.env.RULES_FILE || DEFAULT_RULES_FILE } = {}) {
+  stopWatchingRules();
+  state.file = file;
+  state.history = [];
+  state.activeVersion = null;
+
+  const ruleSet = registerRuleSet(loadRulesFile(file));
+  logger.info('Classification rules loaded', { version: ruleSet.version, file });
+  return ruleSet;
+}
+
+/**
+ * Get the active rule set, loading the configured file on first use
+ */
+function getActiveRuleSet() {
+  if (!state.activeVersion) {
+    initRules();
+  }
+  return findVersion(state.activeVersion);
+}
+
+/**
+ * Names of the decision classes in the active (or given) rule set, in file order
+ */
+function getDecisionClasses(ruleSet = getActiveRuleSet()) {
+  return Object.keys(ruleSet.classes);
+}
+
+/**
+ * Keywords a class matches for a ticket language
+ * English keywords always apply, since tickets in other languages still
+ * use English terms such as "API" or "login".
+ */
+function classKeywords(definition, language = DEFAULT_LANGUAGE) {
+  const translation = (definition.translations || {})[language];
+  return translation ? [...definition.keywords, ...translation.keywords] : definition.keywords;
+}
+
+/**
+ * Label, fallback reasoning and actions of a class in a response language
+ */
+function localizeClass(definition, language = DEFAULT_LANGUAGE) {
+  const translation = (definition.translations || {})[language] || {};
+  return {
+    label: translation.label || definition.label,
+    fallback_reasoning: translation.fallback_reasoning || definition.fallback_reasoning,
+    actions: translation.actions || definition.actions
+  };
+}
+
+/**
+ * List the known rule set versions (newest first)
+ */
+function listRuleSetVersions() {
+  getActiveRuleSet();
+  return state.history
+    .map(ruleSet => ({
+      version: ruleSet.version,
+      description: ruleSet.description,
+      classes: Object.keys(ruleSet.classes),
+      loaded_at: ruleSet.loaded_at,
+      source: ruleSet.source,
+      active: ruleSet.version === state.activeVersion
+    }))
+    .reverse();
+}
+
+/**
+ * Get a specific rule set version
+ */
+function getRuleSetVersion(version) {
+  getActiveRuleSet();
+  return findVersion(version);
+}
+
+/**
+ * Validate, activate and persist a new rule set
+ */
+function updateRuleSet(data, { persist = true } = {}) {
+  getActiveRuleSet();
+  const ruleSet = registerRuleSet(normalizeRuleSet(data, 'admin-api'));
+  if (persist) {
+    writeRulesFile(ruleSet);
+  }
+
+  logger.info('Classification rules updated', { version: ruleSet.version });
+  return ruleSet;
+}
+
+/**
+ * Re-activate a previous rule set version
+ * Returns null when the version is unknown.
+ */
+function rollbackRuleSet(version, { persist = true } = {}) {
+  const ruleSet = getRuleSetVersion(version);
+  if (!ruleSet) {
+    return null;
+  }
+
+  state.activeVersion = ruleSet.version;
+  if (persist) {
+    writeRulesFile(ruleSet);
+  }
+
+  logger.info('Classification rules rolled back', { version: ruleSet.version });
+  return ruleSet;
+}
+
+/**
+ * Reload the rules file if its content changed
+ * Invalid files are logged and ignored so the active rules keep serving.
+ */
+function reloadRules() {
+  try {
+    const ruleSet = loadRulesFile(state.file);
+    if (ruleSet.checksum === getActiveRuleSet().checksum) {
+      return null;
+    }
+
+    const registered = registerRuleSet(ruleSet);
+    logger.info('Classification rules hot-reloaded', { version: registered.version });
+    return registered;
+  } catch (error) {
+    logger.error('Failed to reload classification rules, keeping active version', {
+      error: error.message,
+      activeVersion: state.activeVersion
+    });
+    return null;
+  }
+}
+
+/**
+ * Watch the rules file and hot-reload it on change
+ */
+function watchRules({ interval = parseInt(process.env.RULES_WATCH_INTERVAL, 10) || 2000 } = {}) {
+  getActiveRuleSet();
+  stopWatchingRules();
+
+  const watchedFile = state.file;
+  fs.watchFile(watchedFile, { interval, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      reloadRules();
+    }
+  });
+  state.watcher = watchedFile;
+}
+
+/**
+ * Stop watching the rules file
+ */
+function stopWatchingRules() {
+  if (state.watcher) {
+    fs.unwatchFile(state.watcher);
+    state.watcher = null;
+  }
+}
+
+module.exports = {
+  initRules,
+  getActiveRuleSet,
+  getDecisionClasses,
+  classKeywords,
+  localizeClass,
+  listRuleSetVersions,
+  getRuleSetVersion,
+  updateRuleSet,
+  rollbackRuleSet,
+  reloadRules,
+  watchRules,
+  stopWatchingRules,
+  loadRulesFile,
+  validateRuleSet,
+  serializeRuleSet,
+  keywordSchema,
+  DEFAULT_RULES_FILE
+};
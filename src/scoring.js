@@ -0,0 +1,269 @@
+const { getActiveRuleSet, classKeywords } = require('./rules');
+const { detectLanguage } = require('./language');
+const { matchKeywords } = require('./text-matcher');
+const { calculateModelScores } = require('./model');
+
+/**
+ * Rule scoring and signal blending shared by the classifier and its explanations
+ */
+
+// Weighted combination of AI analysis, rule-based and model scores,
+// renormalized over the signals available for a ticket
+const AI_WEIGHT = 0.6;
+const RULE_WEIGHT = 0.4;
+const MODEL_WEIGHT = 0.3;
+
+// Softmax temperature turning blended scores into probabilities; lower values
+// sharpen the distribution. Fitted on labeled tickets when the model is
+// trained, for the rules and model blend of one rule set version;
+// CONFIDENCE_TEMPERATURE (or this default) is an unfitted fallback.
+const DEFAULT_CONFIDENCE_TEMPERATURE = 0.1;
+
+// Log-spaced temperatures tried when fitting
+const MIN_TEMPERATURE = 0.01;
+const MAX_TEMPERATURE = 2;
+const TEMPERATURE_STEPS = 200;
+
+/**
+ * Whether a model's fitted temperature applies to a blend
+ * It only does for blends without AI analysis, scored with the rule set
+ * version it was fitted on.
+ */
+function hasFittedTemperature(model, { aiAnalysis = null, ruleSet = getActiveRuleSet() } = {}) {
+  return Boolean(model && model.calibration && !aiAnalysis &&
+    model.calibration.rules_version === ruleSet.version);
+}
+
+/**
+ * Temperature for a blend: the model's fitted one where it applies, else CONFIDENCE_TEMPERATURE
+ */
+function getConfidenceTemperature(model = null, blend = {}) {
+  if (hasFittedTemperature(model, blend)) {
+    return model.calibration.temperature;
+  }
+  return parseFloat(process.env.CONFIDENCE_TEMPERATURE) || DEFAULT_CONFIDENCE_TEMPERATURE;
+}
+
+/**
+ * Language of a ticket: the one given on the ticket, otherwise detected
+ */
+function ticketLanguage(ticket) {
+  if (ticket.language) {
+    return { code: ticket.language, confidence: 1, source: 'ticket' };
+  }
+  const { language, confidence } = detectLanguage(ticket.summary);
+  return { code: language, confidence, source: 'detected' };
+}
+
+/**
+ * Rule-based score of one class with the contribution of each feature
+ * Features are the matched keywords (negated ones are listed with no
+ * contribution), the channel and the severity. Matched keywords share the
+ * keyword score in proportion to their weight, so contributions add up to the score.
+ */
+function scoreRuleFeatures(ticket, classification, ruleSet = getActiveRuleSet(), language = ticketLanguage(ticket).code) {
+  const rules = ruleSet.classes[classification];
+  const weights = rules.weights || ruleSet.weights;
+  const keywords = classKeywords(rules, language);
+  const maxScore = weights.keywords + weights.channel + weights.severity;
+  const normalize = value => (maxScore > 0 ? value / maxScore : 0);
+
+  // Keyword matching (token-aware), weighted per keyword and capped at the saturation point
+  const totalKeywordWeight = keywords.reduce((sum, keyword) => sum + keyword.weight, 0);
+  const saturation = Math.min(totalKeywordWeight, rules.keyword_saturation || ruleSet.keyword_saturation || Infinity);
+  const { matched, negated } = matchKeywords(ticket.summary, keywords);
+  const matchedKeywordWeight = matched.reduce((sum, keyword) => sum + keyword.weight, 0);
+  const keywordScore = saturation > 0 ? Math.min(1, matchedKeywordWeight / saturation) * weights.keywords : 0;
+
+  const channelMatched = rules.channels.includes(ticket.channel);
+  const severityMatched = rules.severities.includes(ticket.severity);
+  const score = keywordScore +
+    (channelMatched ? weights.channel : 0) +
+    (severityMatched ? weights.severity : 0);
+
+  const features = [
+    ...matched.map(keyword => ({
+      feature: 'keyword',
+      value: keyword.term,
+      weight: keyword.weight,
+      matched: true,
+      contribution: normalize(keywordScore * keyword.weight / matchedKeywordWeight)
+    })),
+    ...negated.map(keyword => ({
+      feature: 'keyword',
+      value: keyword.term,
+      weight: keyword.weight,
+      matched: false,
+      negated: true,
+      contribution: 0
+    })),
+    {
+      feature: 'channel',
+      value: ticket.channel,
+      weight: weights.channel,
+      matched: channelMatched,
+      contribution: channelMatched ? normalize(weights.channel) : 0
+    },
+    {
+      feature: 'severity',
+      value: ticket.severity,
+      weight: weights.severity,
+      matched: severityMatched,
+      contribution: severityMatched ? normalize(weights.severity) : 0
+    }
+  ];
+
+  return { score: normalize(score), features };
+}
+
+/**
+ * Calculate confidence score based on rule matching
+ * Uses the active rule set unless one is passed in explicitly. Keywords of
+ * the ticket's language count alongside the English ones.
+ */
+function calculateRuleBasedScore(ticket, classification, ruleSet = getActiveRuleSet(), language = ticketLanguage(ticket).code) {
+  return scoreRuleFeatures(ticket, classification, ruleSet, language).score;
+}
+
+/**
+ * Calculate rule-based scores for every decision class
+ */
+function calculateRuleScores(ticket, ruleSet = getActiveRuleSet(), language = ticketLanguage(ticket).code) {
+  const scores = {};
+  for (const classification of Object.keys(ruleSet.classes)) {
+    scores[classification] = calculateRuleBasedScore(ticket, classification, ruleSet, language);
+  }
+  return scores;
+}
+
+/**
+ * Spread the AI recommendation over all classes
+ * The recommended class gets the AI confidence; the rest share the remainder.
+ */
+function aiScoreDistribution(aiAnalysis, classes) {
+  const others = classes.length - 1;
+  const distribution = {};
+  for (const classification of classes) {
+    distribution[classification] = classification === aiAnalysis.recommendation ?
+      aiAnalysis.confidence :
+      (1 - aiAnalysis.confidence) / others;
+  }
+  return distribution;
+}
+
+/**
+ * Signals taking part in the blend, each with its per-class scores, its
+ * configured weight and its share of the total weight
+ */
+function blendSignals(ruleScores, aiAnalysis, modelScores = null) {
+  const classes = Object.keys(ruleScores);
+  const signals = [{ signal: 'rules', scores: ruleScores, weight: RULE_WEIGHT }];
+  if (aiAnalysis) {
+    signals.push({ signal: 'ai', scores: aiScoreDistribution(aiAnalysis, classes), weight: AI_WEIGHT });
+  }
+  if (modelScores) {
+    signals.push({ signal: 'model', scores: modelScores, weight: MODEL_WEIGHT });
+  }
+  const totalWeight = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  return signals.map(signal => ({ ...signal, share: signal.weight / totalWeight }));
+}
+
+/**
+ * Rank classes by combined score (highest first, file order breaks ties)
+ * AI analysis and model scores are optional; missing signals drop out of the blend.
+ */
+function rankClasses(ruleScores, aiAnalysis, modelScores = null) {
+  const signals = blendSignals(ruleScores, aiAnalysis, modelScores);
+  const totalWeight = signals.reduce((sum, signal) => sum + signal.weight, 0);
+
+  return Object.keys(ruleScores)
+    .map(decision => ({
+      decision,
+      score: signals.reduce((sum, signal) => sum + signal.scores[decision] * signal.weight, 0) / totalWeight
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Calibrated probability of each ranked class
+ * A softmax over the blended scores: near-ties split the probability between
+ * the tied classes and tickets with no evidence for any class spread it
+ * evenly, instead of the top score reading as confidence on its own. Pass the
+ * temperature fitted by `fitConfidenceTemperature`; the unfitted default is
+ * not calibrated against outcomes.
+ */
+function calibrateScores(ranked, temperature = getConfidenceTemperature()) {
+  const top = ranked[0].score;
+  const weights = ranked.map(({ score }) => Math.exp((score - top) / temperature));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return ranked.map((entry, index) => ({ ...entry, probability: weights[index] / total }));
+}
+
+/**
+ * Fit the softmax temperature on labeled examples ({ ticket, label })
+ * Picks the temperature with the lowest log loss of the true labels under the
+ * rules and model blend; AI analyses are not replayed offline, so the fit
+ * only applies to classifications without one (see `hasFittedTemperature`).
+ * Use tickets the model was not trained on, or the fit comes out overconfident.
+ */
+function fitConfidenceTemperature(examples, { model = null, ruleSet = getActiveRuleSet() } = {}) {
+  const classes = Object.keys(ruleSet.classes);
+  const samples = examples
+    .filter(({ label }) => classes.includes(label))
+    .map(({ ticket, label }) => ({
+      label,
+      ranked: rankClasses(
+        calculateRuleScores(ticket, ruleSet),
+        null,
+        model ? calculateModelScores(model, ticket, classes) : null
+      )
+    }));
+  if (samples.length === 0) {
+    throw new Error('Cannot fit a confidence temperature without labeled examples');
+  }
+
+  // Targets keep 1 / (n + 2) of the mass off the true label (Laplace's rule of
+  // succession), so a small set the blend gets all right can't drive the
+  // temperature to zero
+  const smoothing = 1 / (samples.length + 2);
+  const logLoss = temperature => samples.reduce((sum, { label, ranked }) => sum -
+    calibrateScores(ranked, temperature).reduce((total, entry) => {
+      const target = entry.decision === label ? 1 - smoothing : smoothing / (ranked.length - 1);
+      return total + target * Math.log(Math.max(entry.probability, 1e-12));
+    }, 0), 0) / samples.length;
+
+  let best = null;
+  for (let step = 0; step <= TEMPERATURE_STEPS; step++) {
+    const temperature = MIN_TEMPERATURE * Math.pow(MAX_TEMPERATURE / MIN_TEMPERATURE, step / TEMPERATURE_STEPS);
+    const loss = logLoss(temperature);
+    if (!best || loss < best.log_loss) {
+      best = { temperature, log_loss: loss };
+    }
+  }
+  const round4 = value => Math.round(value * 10000) / 10000;
+  return {
+    method: 'temperature_scaling',
+    signals: model ? ['rules', 'model'] : ['rules'],
+    rules_version: ruleSet.version,
+    temperature: round4(best.temperature),
+    log_loss: round4(best.log_loss),
+    examples: samples.length
+  };
+}
+
+module.exports = {
+  ticketLanguage,
+  scoreRuleFeatures,
+  calculateRuleBasedScore,
+  calculateRuleScores,
+  aiScoreDistribution,
+  blendSignals,
+  rankClasses,
+  calibrateScores,
+  fitConfidenceTemperature,
+  hasFittedTemperature,
+  getConfidenceTemperature,
+  AI_WEIGHT,
+  RULE_WEIGHT,
+  MODEL_WEIGHT
+};
@@ -1,8 +1,83 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const { classifyTicket } = require('./classifier');
-const { validateTicketInput } = require('./validation');
+const {
+  validateTicketInput,
+  validateClassificationQuery,
+  validateIncidentQuery,
+  validateFeedbackInput,
+  validateAccuracyQuery,
+  validateApiKeyInput,
+  validateWebhookInput,
+  validateClassifyOptions,
+  validateReviewQuery,
+  validateReviewResolution,
+  validateAtRiskQuery,
+  validateMilestoneInput,
+  validateAssignmentClose,
+  validateWorkflowRun,
+  sanitizeTicket
+} = require('./validation');
+const { parseBatchBody, runWithConcurrency, MAX_BATCH_SIZE } = require('./batch');
+const {
+  listRuleSetVersions,
+  getRuleSetVersion,
+  updateRuleSet,
+  rollbackRuleSet,
+  serializeRuleSet,
+  watchRules
+} = require('./rules');
+const { restoreRedacted, redactText } = require('./redaction');
+const {
+  getCollection,
+  saveClassification,
+  getClassification,
+  listTicketClassifications,
+  listClassifications
+} = require('./store');
+const { recordFeedback, computeAccuracy } = require('./feedback');
+const { createReview, getReview, listReviews, resolveReview } = require('./reviews');
+const { initSla, recordMilestone, listAtRisk } = require('./sla');
+const { initPlaybooks } = require('./playbooks');
+const { initWorkflows, getWorkflowConfig, getWorkflow } = require('./workflows');
+const { runWorkflow } = require('./workflow-runner');
+const { createStubTools } = require('./workflow-tools');
+const { initServiceCatalog } = require('./remediation');
+const { initRouting, routeTicket, recordAssignment, closeAssignment, listTeamLoad } = require('./routing');
+const { assignIncident, listIncidents, getIncident } = require('./incidents');
+const { initModel } = require('./model');
+const {
+  httpMetricsMiddleware,
+  recordValidationFailure,
+  recordRateLimited,
+  getMetrics
+} = require('./metrics');
+const {
+  initTenants,
+  getTenant,
+  getDefaultTenant,
+  listTenants,
+  getTenantRuleSet,
+  isChannelAllowed,
+  authenticateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getLimits
+} = require('./tenants');
+const { createLimiter } = require('./rate-limit');
+const {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  getWebhookDispatcher,
+  listDeadLetters,
+  getDeadLetter
+} = require('./webhooks');
+const { createJobQueue, checkCallbackUrl } = require('./jobs');
+const { SUPPORTED_LANGUAGES } = require('./language');
 const logger = require('./logger');
 
 const app = express();
@@ -10,7 +85,12 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+// Browser access only from the origins listed in CORS_ORIGINS (comma-separated)
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false }));
 app.use(express.json({ limit: '10mb' }));
 
 // Request logging
@@ -22,6 +102,200 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request counts and latency for Prometheus
+app.use(httpMetricsMiddleware);
+
+// Per-key request rate limits and classification quotas
+const limiter = createLimiter();
+
+/**
+ * Consume from the caller's rate limit or quota window
+ * Sends 429 with Retry-After and returns false when the window is exhausted.
+ */
+function applyLimit(req, res, kind, { limit, windowMs }, cost = 1) {
+  const outcome = limiter.consume(`${kind}:${req.apiKey.id}`, { limit, windowMs, cost });
+  const prefix = kind === 'rate' ? 'X-RateLimit' : 'X-Quota';
+  res.set({
+    [`${prefix}-Limit`]: String(limit),
+    [`${prefix}-Remaining`]: String(outcome.remaining),
+    [`${prefix}-Reset`]: String(Math.ceil(outcome.resetAt / 1000))
+  });
+
+  if (!outcome.allowed) {
+    recordRateLimited(req.tenant.id, kind);
+    logger.warn('Rejected request over limit', { keyId: req.apiKey.id, tenantId: req.tenant.id, limit: kind });
+    res.set('Retry-After', String(outcome.retryAfter));
+    res.status(429).json({
+      error: 'Too many requests',
+      message: kind === 'rate' ?
+        `Rate limit of ${limit} requests exceeded` :
+        `Quota of ${limit} classifications exceeded`,
+      retry_after: outcome.retryAfter
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Authenticate the caller by API key (X-API-Key or Authorization: Bearer)
+ * and apply the key's rate limit. With API_AUTH=disabled every request is
+ * attributed to the default tenant and no limits apply.
+ */
+function requireApiKey(req, res, next) {
+  if (process.env.API_AUTH === 'disabled') {
+    req.tenant = getDefaultTenant();
+    req.apiKey = null;
+    return next();
+  }
+
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const auth = authenticateApiKey(req.get('X-API-Key') || (bearer && bearer[1]));
+  if (!auth) {
+    logger.warn('Rejected API request', { path: req.path, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Valid API key required in the X-API-Key header'
+    });
+  }
+
+  req.tenant = auth.tenant;
+  req.apiKey = auth.apiKey;
+  const { rateLimit } = getLimits(req.apiKey, req.tenant);
+  if (rateLimit && !applyLimit(req, res, 'rate', rateLimit)) {
+    return;
+  }
+  next();
+}
+
+/**
+ * Consume classification quota for the caller (one unit per ticket)
+ */
+function consumeQuota(req, res, tickets) {
+  const { quota } = req.apiKey ? getLimits(req.apiKey, req.tenant) : {};
+  return !quota || applyLimit(req, res, 'quota', quota, tickets);
+}
+
+/**
+ * Classification options for the calling tenant
+ */
+function tenantClassifyOptions(tenant) {
+  return {
+    ruleSet: getTenantRuleSet(tenant),
+    useAI: tenant.llm_enabled !== false,
+    reviewThresholds: tenant.review_thresholds,
+    tenantId: tenant.id
+  };
+}
+
+/**
+ * Send a stored classification to matching webhook subscriptions
+ * Delivery failures are logged and never fail the classification.
+ */
+function publishClassification(record, result) {
+  try {
+    getWebhookDispatcher().publish({
+      classification_id: record.id,
+      incident_id: record.incident_id,
+      ticket_id: record.ticket_id,
+      tenant_id: record.tenant_id,
+      channel: record.input.channel,
+      severity: record.input.severity,
+      summary: record.input.summary,
+      decision: result.decision,
+      status: result.status,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      scores: result.scores,
+      next_actions: result.next_actions,
+      sla: result.sla,
+      remediation_brief: result.remediation_brief,
+      assignment: result.assignment,
+      classified_at: record.created_at
+    });
+  } catch (webhookError) {
+    logger.error('Failed to publish webhooks', { error: webhookError.message });
+  }
+}
+
+/**
+ * Take the response language from Accept-Language when the ticket has none
+ */
+function withResponseLanguage(req, ticket) {
+  if (ticket.response_language || !req.get('Accept-Language')) {
+    return ticket;
+  }
+  const language = req.acceptsLanguages(...SUPPORTED_LANGUAGES);
+  return language ? { ...ticket, response_language: language } : ticket;
+}
+
+/**
+ * Add processing metadata to a classification result and persist it
+ * The stored input is sanitized and has PII redacted.
+ */
+function finalizeClassification(ticket, result, startTime, { tenant, apiKey }) {
+  result.metadata = {
+    ...result.metadata,
+    processing_time_ms: Date.now() - startTime,
+    timestamp: new Date().toISOString(),
+    tenant_id: tenant.id
+  };
+
+  const storedInput = { ...sanitizeTicket(ticket), summary: redactText(ticket.summary.trim()) };
+
+  let incidentResult = result;
+
+  // Owning team and assignee; a broken teams file must not block classification
+  try {
+    incidentResult = { ...incidentResult, assignment: routeTicket(storedInput, result) };
+  } catch (routingError) {
+    logger.error('Failed to route ticket', { error: routingError.message });
+  }
+
+  try {
+    let record = saveClassification(storedInput, incidentResult, {
+      tenantId: tenant.id,
+      apiKeyId: apiKey ? apiKey.id : null
+    });
+
+    // Clustered once stored, so an incident never counts a ticket that failed to save
+    try {
+      const incident = assignIncident(storedInput, result, { tenantId: tenant.id });
+      record = getCollection('classifications').update(record.id, { incident_id: incident.id });
+      incidentResult = { incident_id: incident.id, ...incidentResult };
+    } catch (incidentError) {
+      logger.error('Failed to assign incident', { error: incidentError.message });
+    }
+
+    recordAssignment(record);
+    publishClassification(record, incidentResult);
+    const reviewResult = result.status === 'needs_human_review' ?
+      { review_id: createReview(record, result).id, ...incidentResult } :
+      incidentResult;
+    return { classification_id: record.id, ...reviewResult };
+  } catch (storeError) {
+    logger.error('Failed to persist classification', { error: storeError.message });
+    return incidentResult;
+  }
+}
+
+// Async classification jobs run the same pipeline as /classify
+const jobQueue = createJobQueue({
+  handler: async (ticket, job) => {
+    const startTime = Date.now();
+    const tenant = getTenant(job.tenant_id);
+    if (!tenant) {
+      throw new Error(`Tenant ${job.tenant_id} no longer exists`);
+    }
+    const apiKey = job.api_key_id ? { id: job.api_key_id } : null;
+    const options = { ...tenantClassifyOptions(tenant), explain: Boolean(job.options && job.options.explain) };
+    return finalizeClassification(ticket, await classifyTicket(ticket, options), startTime, {
+      tenant,
+      apiKey
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -32,29 +306,75 @@ app.get('/health', (req, res) => {
 });
 
 // Main classification endpoint
-app.post('/classify', async (req, res) => {
+app.post('/classify', requireApiKey, async (req, res) => {
   const startTime = Date.now();
   
   try {
     // Validate input
-    const { error, value } = validateTicketInput(req.body);
+    const { error, value: input } = validateTicketInput(req.body);
     if (error) {
+      recordValidationFailure('/classify', error.details);
       logger.warn('Invalid input received', { error: error.details });
       return res.status(400).json({
         error: 'Invalid input',
         details: error.details.map(d => d.message)
       });
     }
+    const value = withResponseLanguage(req, input);
 
-    // Classify the ticket
-    const result = await classifyTicket(value);
-    
-    // Add processing metadata
-    result.metadata = {
-      ...result.metadata,
-      processing_time_ms: Date.now() - startTime,
-      timestamp: new Date().toISOString()
-    };
+    if (!isChannelAllowed(req.tenant, value.channel)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Channel ${value.channel} is not enabled for this tenant`
+      });
+    }
+
+    const { error: optionsError, value: options } = validateClassifyOptions({
+      mode: req.query.mode,
+      explain: req.query.explain,
+      callback_url: req.body.callback_url
+    });
+    if (optionsError) {
+      recordValidationFailure('/classify', optionsError.details);
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: optionsError.details.map(d => d.message)
+      });
+    }
+    const callbackError = options.callback_url ? checkCallbackUrl(options.callback_url) : null;
+    if (callbackError) {
+      recordValidationFailure('/classify', [{ path: ['callback_url'] }]);
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: [callbackError]
+      });
+    }
+
+    if (!consumeQuota(req, res, 1)) {
+      return;
+    }
+
+    // Async mode: queue the ticket and report where to poll for the result
+    if (options.mode === 'async') {
+      const job = jobQueue.enqueue(value, {
+        tenantId: req.tenant.id,
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+        callbackUrl: options.callback_url || null,
+        options: { explain: options.explain }
+      });
+      logger.info('Classification job queued', { jobId: job.id });
+      return res.status(202)
+        .location(`/jobs/${job.id}`)
+        .json({ job_id: job.id, status: job.status, status_url: `/jobs/${job.id}` });
+    }
+
+    // Classify the ticket, add processing metadata and persist it
+    const result = finalizeClassification(
+      value,
+      await classifyTicket(value, { ...tenantClassifyOptions(req.tenant), explain: options.explain }),
+      startTime,
+      req
+    );
 
     logger.info('Ticket classified successfully', { 
       decision: result.decision,
@@ -77,8 +397,680 @@ app.post('/classify', async (req, res) => {
   }
 });
 
+// Batch classification endpoint - streams one NDJSON line per ticket
+app.post('/classify/batch', requireApiKey, express.text({
+  type: ['application/x-ndjson', 'application/ndjson'],
+  limit: '10mb'
+}), async (req, res) => {
+  const batchStart = Date.now();
+  const items = parseBatchBody(req.body);
+
+  if (!items) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: ['Body must be a JSON array of tickets or NDJSON (one ticket per line)']
+    });
+  }
+  if (items.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: ['Batch must contain at least one ticket']
+    });
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({
+      error: 'Batch too large',
+      details: [`Batch must not exceed ${MAX_BATCH_SIZE} tickets`]
+    });
+  }
+  if (!consumeQuota(req, res, items.length)) {
+    return;
+  }
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = !res.writableFinished;
+  });
+
+  res.status(200).set('Content-Type', 'application/x-ndjson');
+
+  const counts = { ok: 0, invalid: 0, error: 0 };
+  const writeLine = (line) => {
+    counts[line.status]++;
+    if (!clientGone) {
+      res.write(`${JSON.stringify(line)}\n`);
+    }
+  };
+
+  await runWithConcurrency(items, async (item, index) => {
+    const ticketId = item.ticket && typeof item.ticket.ticket_id === 'string' ?
+      item.ticket.ticket_id : null;
+    const line = { index, ticket_id: ticketId };
+
+    if (item.parseError) {
+      return writeLine({ ...line, status: 'invalid', errors: [item.parseError] });
+    }
+
+    const { error, value: input } = validateTicketInput(item.ticket);
+    if (error) {
+      recordValidationFailure('/classify/batch', error.details);
+      return writeLine({
+        ...line,
+        status: 'invalid',
+        errors: error.details.map(d => d.message)
+      });
+    }
+    const value = withResponseLanguage(req, input);
+    if (!isChannelAllowed(req.tenant, value.channel)) {
+      return writeLine({
+        ...line,
+        status: 'invalid',
+        errors: [`Channel ${value.channel} is not enabled for this tenant`]
+      });
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = finalizeClassification(
+        value,
+        await classifyTicket(value, tenantClassifyOptions(req.tenant)),
+        startTime,
+        req
+      );
+      writeLine({ ...line, status: 'ok', result });
+    } catch (classifyError) {
+      logger.error('Batch item classification failed', {
+        index,
+        error: classifyError.message
+      });
+      writeLine({ ...line, status: 'error', errors: ['Failed to classify ticket'] });
+    }
+  }, { shouldStop: () => clientGone });
+
+  logger.info('Batch classification completed', {
+    total: items.length,
+    ...counts,
+    processingTime: Date.now() - batchStart
+  });
+
+  res.end();
+});
+
+// Async classification job status and result
+app.get('/jobs/:id', requireApiKey, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || job.tenant_id !== req.tenant.id) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Job ${req.params.id} not found`
+    });
+  }
+  res.json(job);
+});
+
+// Cancel a queued job
+app.delete('/jobs/:id', requireApiKey, (req, res) => {
+  const existing = jobQueue.get(req.params.id);
+  const { job, error } = existing && existing.tenant_id === req.tenant.id
+    ? jobQueue.cancel(req.params.id)
+    : { error: { status: 404, message: `Job ${req.params.id} not found` } };
+  if (error) {
+    return res.status(error.status).json({
+      error: error.status === 404 ? 'Not found' : 'Conflict',
+      message: error.message
+    });
+  }
+  res.json(job);
+});
+
+// List stored classifications with filters and pagination
+app.get('/classifications', requireApiKey, (req, res) => {
+  const { error, value } = validateClassificationQuery(req.query);
+  if (error) {
+    recordValidationFailure('/classifications', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.json(listClassifications({ ...value, tenantId: req.tenant.id }));
+});
+
+// Get a stored classification
+app.get('/classifications/:id', requireApiKey, (req, res) => {
+  const record = getClassification(req.params.id);
+  if (!record || record.tenant_id !== req.tenant.id) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Classification ${req.params.id} not found`
+    });
+  }
+  res.json(record);
+});
+
+// Record that an SLA milestone (first response or resolution) was met
+app.post('/classifications/:id/milestones', requireApiKey, (req, res) => {
+  const { error, value } = validateMilestoneInput(req.body);
+  if (error) {
+    recordValidationFailure('/classifications/:id/milestones', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { classification, error: milestoneError } = recordMilestone(req.params.id, value.milestone, {
+    at: value.at,
+    tenantId: req.tenant.id
+  });
+  if (milestoneError) {
+    const errors = { 404: 'Not found', 409: 'Conflict' };
+    return res.status(milestoneError.status).json({
+      error: errors[milestoneError.status] || 'Invalid input',
+      message: milestoneError.message
+    });
+  }
+
+  // A resolved ticket no longer counts towards its assignee's load
+  if (value.milestone === 'resolution' && classification.assignment && !classification.assignment.closed_at) {
+    return res.json(closeAssignment(req.params.id, { at: value.at }).classification);
+  }
+  res.json(classification);
+});
+
+// Close the team assignment of a classification, e.g. when it has no SLA to resolve
+app.post('/classifications/:id/assignment/close', requireApiKey, (req, res) => {
+  const { error, value } = validateAssignmentClose(req.body);
+  if (error) {
+    recordValidationFailure('/classifications/:id/assignment/close', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { classification, error: closeError } = closeAssignment(req.params.id, {
+    at: value.at,
+    tenantId: req.tenant.id
+  });
+  if (closeError) {
+    const errors = { 404: 'Not found', 409: 'Conflict' };
+    return res.status(closeError.status).json({
+      error: errors[closeError.status] || 'Invalid input',
+      message: closeError.message
+    });
+  }
+
+  res.json(classification);
+});
+
+// Classification history for a ticket
+app.get('/tickets/:ticket_id/classifications', requireApiKey, (req, res) => {
+  const items = listTicketClassifications(req.params.ticket_id, { tenantId: req.tenant.id });
+  res.json({ ticket_id: req.params.ticket_id, total: items.length, items });
+});
+
+// Candidate incidents: clusters of similar recent tickets
+app.get('/incidents', requireApiKey, (req, res) => {
+  const { error, value } = validateIncidentQuery(req.query);
+  if (error) {
+    recordValidationFailure('/incidents', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.json(listIncidents({
+    tenantId: req.tenant.id,
+    channel: value.channel,
+    decision: value.decision,
+    status: value.status,
+    minTickets: value.min_tickets,
+    limit: value.limit,
+    offset: value.offset
+  }));
+});
+
+// Get an incident with its member tickets
+app.get('/incidents/:id', requireApiKey, (req, res) => {
+  const incident = getIncident(req.params.id);
+  if (!incident || incident.tenant_id !== req.tenant.id) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Incident ${req.params.id} not found`
+    });
+  }
+  res.json(incident);
+});
+
+// Agent feedback on a stored classification
+app.post('/feedback', requireApiKey, (req, res) => {
+  const { error, value } = validateFeedbackInput(req.body);
+  if (error) {
+    recordValidationFailure('/feedback', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { feedback, error: feedbackError } = recordFeedback(value, {
+    tenantId: req.tenant.id,
+    decisions: Object.keys(getTenantRuleSet(req.tenant).classes)
+  });
+  if (feedbackError) {
+    return res.status(feedbackError.status).json({
+      error: feedbackError.status === 404 ? 'Not found' : 'Invalid input',
+      message: feedbackError.message
+    });
+  }
+
+  res.status(201).json(feedback);
+});
+
+// Open SLA milestones close to or past their deadline
+app.get('/sla/at-risk', requireApiKey, (req, res) => {
+  const { error, value } = validateAtRiskQuery(req.query);
+  if (error) {
+    recordValidationFailure('/sla/at-risk', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.json(listAtRisk({
+    tenantId: req.tenant.id,
+    withinMinutes: value.within_minutes,
+    milestone: value.milestone,
+    includeBreached: value.include_breached,
+    limit: value.limit,
+    offset: value.offset
+  }));
+});
+
+// Troubleshooting workflows
+app.get('/workflows', requireApiKey, (req, res) => {
+  const { version, workflows } = getWorkflowConfig();
+  res.json({ version, workflows });
+});
+
+// Dry run of a workflow against the local tool stubs
+app.post('/workflows/:id/dry-run', requireApiKey, async (req, res) => {
+  const { error, value } = validateWorkflowRun(req.body);
+  if (error) {
+    recordValidationFailure('/workflows/:id/dry-run', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const workflow = getWorkflow(req.params.id);
+  if (!workflow) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Workflow ${req.params.id} not found`
+    });
+  }
+
+  try {
+    res.json(await runWorkflow(workflow, {
+      ticket: value.ticket,
+      answers: value.answers,
+      tools: createStubTools(value.fixtures)
+    }));
+  } catch (runError) {
+    logger.error('Workflow dry run failed', { error: runError.message });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to run workflow'
+    });
+  }
+});
+
+// Open assignments per team and member, and who is on call, across tenants
+app.get('/teams/load', requireAdmin, (req, res) => {
+  res.json(listTeamLoad());
+});
+
+// Human review queue of classifications that abstained
+app.get('/reviews', requireApiKey, (req, res) => {
+  const { error, value } = validateReviewQuery(req.query);
+  if (error) {
+    recordValidationFailure('/reviews', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.json(listReviews({ ...value, tenantId: req.tenant.id }));
+});
+
+// Get a review item
+app.get('/reviews/:id', requireApiKey, (req, res) => {
+  const review = getReview(req.params.id, { tenantId: req.tenant.id });
+  if (!review) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Review ${req.params.id} not found`
+    });
+  }
+  res.json(review);
+});
+
+// Resolve a review; the agent's decision is stored as the classification's label
+app.post('/reviews/:id/resolve', requireApiKey, (req, res) => {
+  const { error, value } = validateReviewResolution(req.body);
+  if (error) {
+    recordValidationFailure('/reviews/:id/resolve', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { review, error: reviewError } = resolveReview(req.params.id, value, {
+    tenantId: req.tenant.id,
+    decisions: Object.keys(getTenantRuleSet(req.tenant).classes)
+  });
+  if (reviewError) {
+    const errors = { 404: 'Not found', 409: 'Conflict' };
+    return res.status(reviewError.status).json({
+      error: errors[reviewError.status] || 'Invalid input',
+      message: reviewError.message
+    });
+  }
+
+  res.json(review);
+});
+
+// Prometheus metrics (series carry tenant labels, so they are not public)
+app.get('/metrics', requireMetricsAccess, async (req, res) => {
+  try {
+    const { contentType, body } = await getMetrics();
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    logger.error('Failed to collect metrics', { error: error.message });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to collect metrics'
+    });
+  }
+});
+
+// Rolling accuracy from agent feedback
+app.get('/metrics/accuracy', requireApiKey, (req, res) => {
+  const { error, value } = validateAccuracyQuery(req.query);
+  if (error) {
+    recordValidationFailure('/metrics/accuracy', error.details);
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.json(computeAccuracy({ windowDays: value.window_days, tenantId: req.tenant.id }));
+});
+
+/**
+ * Admin authorization - requires X-Admin-Token matching ADMIN_API_TOKEN
+ * Without a token admin routes are only open when API_AUTH=disabled, so they
+ * can't be used to mint keys around API key authentication.
+ */
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    if (process.env.API_AUTH === 'disabled') {
+      return next();
+    }
+    logger.warn('Rejected admin request without ADMIN_API_TOKEN configured', { path: req.path, ip: req.ip });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin routes are disabled until ADMIN_API_TOKEN is set'
+    });
+  }
+
+  const provided = req.get('X-Admin-Token') || '';
+  const matches = provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  if (!matches) {
+    logger.warn('Rejected admin request', { path: req.path, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Valid X-Admin-Token header required'
+    });
+  }
+  next();
+}
+
+/**
+ * Metrics authorization: a scraper bearer token when METRICS_TOKEN is set, else the admin token
+ */
+function requireMetricsAccess(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return requireAdmin(req, res, next);
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const matches = provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  if (!matches) {
+    logger.warn('Rejected metrics request', { path: req.path, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Valid metrics bearer token required'
+    });
+  }
+  next();
+}
+
+// List rule set versions
+app.get('/admin/rules', requireAdmin, (req, res) => {
+  const versions = listRuleSetVersions();
+  res.json({
+    active_version: versions.find(v => v.active).version,
+    versions
+  });
+});
+
+// Get a specific rule set version
+app.get('/admin/rules/:version', requireAdmin, (req, res) => {
+  const ruleSet = getRuleSetVersion(req.params.version);
+  if (!ruleSet) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Rule set version ${req.params.version} not found`
+    });
+  }
+  res.json({ ...serializeRuleSet(ruleSet), loaded_at: ruleSet.loaded_at, source: ruleSet.source });
+});
+
+// Upload a new rule set version and activate it
+app.put('/admin/rules', requireAdmin, (req, res) => {
+  try {
+    const ruleSet = updateRuleSet(req.body);
+    res.status(201).json({ active_version: ruleSet.version });
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') {
+      return res.status(409).json({ error: 'Conflict', message: error.message });
+    }
+    if (error.details) {
+      logger.warn('Invalid rule set rejected', { details: error.details });
+      return res.status(400).json({ error: 'Invalid rule set', details: error.details });
+    }
+    logger.error('Rule set update failed', { error: error.message });
+    res.status(500).json({ error: 'Internal server error', message: 'Failed to update rules' });
+  }
+});
+
+// Roll back to a previous rule set version
+app.post('/admin/rules/rollback', requireAdmin, (req, res) => {
+  const version = req.body && req.body.version;
+  if (typeof version !== 'string') {
+    return res.status(400).json({ error: 'Invalid input', details: ['version is required'] });
+  }
+
+  const ruleSet = rollbackRuleSet(version);
+  if (!ruleSet) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Rule set version ${version} not found`
+    });
+  }
+  res.json({ active_version: ruleSet.version });
+});
+
+// Resolve PII placeholders (e.g. [CARD_1]) from a classification's redaction map
+app.post('/admin/redactions/:id/restore', requireAdmin, (req, res) => {
+  const text = req.body && req.body.text;
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'Invalid input', details: ['text is required'] });
+  }
+
+  const restored = restoreRedacted(text, req.params.id);
+  if (restored === null) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Redaction map not found or expired'
+    });
+  }
+
+  logger.info('Redacted text restored', { redactionId: req.params.id });
+  res.json({ text: restored });
+});
+
+// Configured tenants
+app.get('/admin/tenants', requireAdmin, (req, res) => {
+  res.json({ tenants: listTenants() });
+});
+
+// Issue an API key; the plaintext key is only returned in this response
+app.post('/admin/api-keys', requireAdmin, (req, res) => {
+  const { error, value } = validateApiKeyInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { apiKey, key, error: keyError } = createApiKey(value);
+  if (keyError) {
+    return res.status(keyError.status).json({ error: 'Not found', message: keyError.message });
+  }
+  res.status(201).json({ ...apiKey, key });
+});
+
+// List API keys (hashes are never returned)
+app.get('/admin/api-keys', requireAdmin, (req, res) => {
+  res.json({ api_keys: listApiKeys() });
+});
+
+// Revoke an API key issued through the admin API
+app.delete('/admin/api-keys/:id', requireAdmin, (req, res) => {
+  const apiKey = revokeApiKey(req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `API key ${req.params.id} not found or already revoked`
+    });
+  }
+  logger.info('API key revoked', { keyId: apiKey.id, tenantId: apiKey.tenant_id });
+  res.json(apiKey);
+});
+
+// Register a webhook subscription; the secret is only returned in this response
+app.post('/admin/webhooks', requireAdmin, (req, res) => {
+  const { error, value } = validateWebhookInput(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { subscription, secret, error: webhookError } = createSubscription(value);
+  if (webhookError) {
+    if (webhookError.status === 400) {
+      return res.status(400).json({ error: 'Invalid input', details: [webhookError.message] });
+    }
+    return res.status(webhookError.status).json({ error: 'Not found', message: webhookError.message });
+  }
+  res.status(201).json({ ...subscription, secret });
+});
+
+// List webhook subscriptions (secrets are never returned)
+app.get('/admin/webhooks', requireAdmin, (req, res) => {
+  res.json({ webhooks: listSubscriptions() });
+});
+
+// Delete a webhook subscription
+app.delete('/admin/webhooks/:id', requireAdmin, (req, res) => {
+  const subscription = deleteSubscription(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Webhook ${req.params.id} not found`
+    });
+  }
+  res.json(subscription);
+});
+
+// Failed deliveries, filterable by status (dead, replayed) and subscription
+app.get('/admin/webhook-dead-letters', requireAdmin, (req, res) => {
+  const items = listDeadLetters({ status: req.query.status, subscriptionId: req.query.subscription_id });
+  res.json({ total: items.length, items });
+});
+
+// Inspect a failed delivery, including every attempt
+app.get('/admin/webhook-dead-letters/:id', requireAdmin, (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Dead letter ${req.params.id} not found`
+    });
+  }
+  res.json(entry);
+});
+
+// Replay a failed delivery once; 502 when the endpoint still fails
+app.post('/admin/webhook-dead-letters/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const entry = await getWebhookDispatcher().replay(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Dead letter ${req.params.id} not found`
+      });
+    }
+    res.status(entry.status === 'replayed' ? 200 : 502).json(entry);
+  } catch (error) {
+    logger.error('Webhook replay failed', { error: error.message });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to replay delivery'
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    logger.warn('Malformed request body', { error: err.message });
+    return res.status(400).json({
+      error: 'Invalid input',
+      details: ['Request body is not valid JSON']
+    });
+  }
+
   logger.error('Unhandled error', { error: err.message, stack: err.stack });
   res.status(500).json({
     error: 'Internal server error',
@@ -96,6 +1088,15 @@ app.use('*', (req, res) => {
 
 // Start server
 if (require.main === module) {
+  initTenants();
+  initSla();
+  initPlaybooks();
+  initWorkflows();
+  initServiceCatalog();
+  initRouting();
+  watchRules();
+  initModel();
+  jobQueue.start();
   app.listen(PORT, () => {
     logger.info(`VibeFI Ticket Classifier running on port ${PORT}`);
   });
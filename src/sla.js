@@ -0,0 +1,441 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { CHANNELS, SEVERITIES, PRIORITIES, CUSTOMER_TIERS } = require('./validation');
+const { getCollection, getClassification } = require('./store');
+const logger = require('./logger');
+
+/**
+ * SLA deadlines
+ * First-response and resolution targets come from the first policy in the
+ * SLA file that matches the ticket's decision, severity, priority, channel
+ * and customer tier, scaled by the tier's factor. Targets are counted in
+ * business minutes of the policy's calendar: opening hours per weekday in
+ * the calendar's time zone, minus holidays.
+ */
+
+const DEFAULT_SLA_FILE = path.join(__dirname, '..', 'config', 'sla.json');
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MILESTONES = ['first_response', 'resolution'];
+const DEFAULT_TIER = 'standard';
+const MINUTE_MS = 60 * 1000;
+
+// Days searched for business hours before a calendar counts as never open
+const MAX_CALENDAR_DAYS = 3 * 366;
+
+const timeOfDaySchema = Joi.string()
+  .pattern(/^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+  .messages({ 'string.pattern.base': 'Opening hours must be HH:MM' });
+
+const openingHoursSchema = Joi.array()
+  .ordered(timeOfDaySchema.required(), timeOfDaySchema.required())
+  .length(2)
+  .custom((value, helpers) => (value[0] < value[1] ? value : helpers.message('Opening hours must close after they open')));
+
+const timeZoneSchema = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message(`Unknown time zone: ${value}`);
+  }
+});
+
+const calendarSchema = Joi.object({
+  description: Joi.string().allow('').optional(),
+  time_zone: timeZoneSchema.default('UTC'),
+  always_open: Joi.boolean().default(false),
+  hours: Joi.object(Object.fromEntries(WEEKDAYS.map(day => [day, openingHoursSchema]))).default({}),
+  holidays: Joi.array().items(Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+      'string.pattern.base': 'Holiday dates must be YYYY-MM-DD'
+    }),
+    name: Joi.string().optional()
+  })).default([])
+}).custom((value, helpers) => (
+  value.always_open || Object.keys(value.hours).length > 0 ?
+    value :
+    helpers.message('Calendars need opening hours unless always_open is set')
+));
+
+// Each match field takes one value or a list; omitted fields match anything
+const matchSchema = Joi.object({
+  decision: Joi.array().items(Joi.string()).single(),
+  severity: Joi.array().items(Joi.string().valid(...SEVERITIES)).single(),
+  priority: Joi.array().items(Joi.string().valid(...PRIORITIES)).single(),
+  channel: Joi.array().items(Joi.string().valid(...CHANNELS)).single(),
+  tier: Joi.array().items(Joi.string().valid(...CUSTOMER_TIERS)).single()
+}).default({});
+
+const policySchema = Joi.object({
+  name: Joi.string().required(),
+  match: matchSchema,
+  calendar: Joi.string().optional(),
+  first_response_minutes: Joi.number().integer().min(1).required(),
+  resolution_minutes: Joi.number().integer().min(Joi.ref('first_response_minutes')).required()
+});
+
+const slaFileSchema = Joi.object({
+  version: Joi.string().trim().max(64).optional(),
+  description: Joi.string().allow('').optional(),
+  default_calendar: Joi.string().required(),
+  // Business minutes before a deadline from which a ticket counts as at risk
+  at_risk_minutes: Joi.number().integer().min(0).default(60),
+  calendars: Joi.object().pattern(/^[a-z0-9][a-z0-9_-]*$/, calendarSchema).min(1).required(),
+  tier_factors: Joi.object().pattern(Joi.string().valid(...CUSTOMER_TIERS), Joi.number().positive()).default({}),
+  policies: Joi.array().items(policySchema).min(1).required()
+});
+
+/**
+ * Load and validate an SLA file
+ * Throws when the file is invalid or references unknown calendars.
+ */
+function loadSlaFile(file) {
+  const { error, value } = slaFileSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')), {
+    abortEarly: false
+  });
+  if (error) {
+    throw new Error(`Invalid SLA file ${file}: ${error.details.map(d => d.message).join('; ')}`);
+  }
+
+  const calendars = [value.default_calendar, ...value.policies.map(policy => policy.calendar).filter(Boolean)];
+  const unknown = calendars.find(name => !value.calendars[name]);
+  if (unknown) {
+    throw new Error(`Invalid SLA file ${file}: unknown calendar "${unknown}"`);
+  }
+  return { ...value, source: file };
+}
+
+// Loaded SLA configuration
+const state = {
+  config: null
+};
+
+/**
+ * Load the SLA file (SLA_FILE, or the default)
+ */
+function initSla({ file = process.env.SLA_FILE || DEFAULT_SLA_FILE } = {}) {
+  state.config = loadSlaFile(file);
+  logger.info('SLA policies loaded', {
+    version: state.config.version,
+    policies: state.config.policies.length,
+    file
+  });
+  return state.config;
+}
+
+/**
+ * Get the SLA configuration, loading the configured file on first use
+ */
+function getSlaConfig() {
+  if (!state.config) {
+    initSla();
+  }
+  return state.config;
+}
+
+// Wall-clock formatters per time zone
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+function zoneOffset(ms, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(ms, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in a time zone
+ */
+function zonedDate(ms, timeZone) {
+  const { year, month, day } = zonedParts(ms, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Instant of a local date and HH:MM time in a time zone
+ * The offset is looked up twice so times next to a DST change land correctly.
+ */
+function zonedTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const local = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = local - zoneOffset(local, timeZone);
+  return local - zoneOffset(guess, timeZone);
+}
+
+function nextDate(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+// Opening interval per calendar and local date, cached for repeated scans
+const intervalCache = new WeakMap();
+
+/**
+ * Open interval [from, to) of a calendar on a local date, or null when closed
+ */
+function openInterval(calendar, date) {
+  if (!intervalCache.has(calendar)) {
+    intervalCache.set(calendar, new Map());
+  }
+  const cache = intervalCache.get(calendar);
+  if (!cache.has(date)) {
+    const hours = calendar.hours[WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]];
+    const holiday = calendar.holidays.some(entry => entry.date === date);
+    cache.set(date, hours && !holiday ?
+      [zonedTime(date, hours[0], calendar.time_zone), zonedTime(date, hours[1], calendar.time_zone)] :
+      null);
+  }
+  return cache.get(date);
+}
+
+/**
+ * Instant reached after a number of business minutes from a start instant
+ */
+function addBusinessMinutes(start, minutes, calendar) {
+  const startMs = new Date(start).getTime();
+  if (calendar.always_open) {
+    return new Date(startMs + minutes * MINUTE_MS);
+  }
+
+  let remaining = minutes * MINUTE_MS;
+  let date = zonedDate(startMs, calendar.time_zone);
+  for (let day = 0; day < MAX_CALENDAR_DAYS; day++, date = nextDate(date)) {
+    const interval = openInterval(calendar, date);
+    if (!interval || startMs >= interval[1]) {
+      continue;
+    }
+    const from = Math.max(startMs, interval[0]);
+    if (remaining <= interval[1] - from) {
+      return new Date(from + remaining);
+    }
+    remaining -= interval[1] - from;
+  }
+  throw new Error(`Calendar has no business hours within ${MAX_CALENDAR_DAYS} days`);
+}
+
+/**
+ * Business minutes between two instants (negative when `to` is earlier)
+ */
+function businessMinutesBetween(from, to, calendar) {
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  if (toMs < fromMs) {
+    return -businessMinutesBetween(toMs, fromMs, calendar);
+  }
+  if (calendar.always_open) {
+    return Math.round((toMs - fromMs) / MINUTE_MS);
+  }
+
+  let total = 0;
+  let date = zonedDate(fromMs, calendar.time_zone);
+  for (let day = 0; day < MAX_CALENDAR_DAYS && zonedTime(date, '00:00', calendar.time_zone) < toMs; day++) {
+    const interval = openInterval(calendar, date);
+    if (interval) {
+      total += Math.max(0, Math.min(toMs, interval[1]) - Math.max(fromMs, interval[0]));
+    }
+    date = nextDate(date);
+  }
+  return Math.round(total / MINUTE_MS);
+}
+
+/**
+ * First policy whose match fields all contain the ticket's values
+ */
+function selectPolicy(facts, config = getSlaConfig()) {
+  return config.policies.find(policy =>
+    Object.entries(policy.match).every(([field, values]) => values.includes(facts[field]))
+  ) || null;
+}
+
+/**
+ * First-response and resolution deadlines for a classified ticket
+ * The clock starts at the ticket's `timestamp` (default: now). Returns null
+ * when no policy matches.
+ */
+function computeSla(ticket, decision, { now = new Date(), config = getSlaConfig() } = {}) {
+  const tier = ticket.customer_tier || DEFAULT_TIER;
+  const policy = selectPolicy({
+    decision,
+    severity: ticket.severity,
+    priority: ticket.priority,
+    channel: ticket.channel,
+    tier
+  }, config);
+  if (!policy) {
+    return null;
+  }
+
+  const calendarName = policy.calendar || config.default_calendar;
+  const calendar = config.calendars[calendarName];
+  const factor = config.tier_factors[tier] || 1;
+  const startedAt = ticket.timestamp ? new Date(ticket.timestamp) : now;
+  const deadline = minutes => {
+    const target = Math.ceil(minutes * factor);
+    return {
+      target_minutes: target,
+      due_at: addBusinessMinutes(startedAt, target, calendar).toISOString()
+    };
+  };
+
+  return {
+    policy: policy.name,
+    calendar: calendarName,
+    time_zone: calendar.time_zone,
+    tier,
+    started_at: startedAt.toISOString(),
+    first_response: deadline(policy.first_response_minutes),
+    resolution: deadline(policy.resolution_minutes),
+    sla_version: config.version || null
+  };
+}
+
+/**
+ * Mark an SLA milestone of a stored classification as met
+ * Returns { classification } or { error } with a status code.
+ */
+function recordMilestone(classificationId, milestone, { at = new Date(), tenantId } = {}) {
+  const classification = getClassification(classificationId);
+  if (!classification || (tenantId && classification.tenant_id !== tenantId)) {
+    return { error: { status: 404, message: `Classification ${classificationId} not found` } };
+  }
+  if (!classification.sla) {
+    return { error: { status: 400, message: `Classification ${classificationId} has no SLA` } };
+  }
+  if (classification.sla[milestone].met_at) {
+    return { error: { status: 409, message: `SLA milestone ${milestone} is already met` } };
+  }
+
+  const metAt = new Date(at);
+  const updated = getCollection('classifications').update(classificationId, {
+    sla: {
+      ...classification.sla,
+      [milestone]: {
+        ...classification.sla[milestone],
+        met_at: metAt.toISOString(),
+        breached: metAt.getTime() > Date.parse(classification.sla[milestone].due_at)
+      }
+    }
+  });
+
+  logger.info('SLA milestone met', { classificationId, milestone, breached: updated.sla[milestone].breached });
+  return { classification: updated };
+}
+
+// Newest stored classification with an SLA per ticket (records without a ticket ID stand alone)
+function latestPerTicket(tenantId) {
+  const latest = new Map();
+  for (const record of getCollection('classifications').find(r => r.sla && (!tenantId || r.tenant_id === tenantId))) {
+    const key = record.ticket_id || record.id;
+    const current = latest.get(key);
+    if (!current || record.created_at >= current.created_at) {
+      latest.set(key, record);
+    }
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Open SLA milestones due within `withinMinutes` business minutes, soonest first
+ * Breached milestones are included unless `includeBreached` is false; a met
+ * resolution closes the first response too.
+ */
+function listAtRisk({
+  tenantId,
+  withinMinutes,
+  milestone,
+  includeBreached = true,
+  limit = 50,
+  offset = 0,
+  now = new Date(),
+  config = getSlaConfig()
+} = {}) {
+  const within = withinMinutes === undefined ? config.at_risk_minutes : withinMinutes;
+  const items = [];
+
+  for (const record of latestPerTicket(tenantId)) {
+    if (record.sla.resolution.met_at) {
+      continue;
+    }
+    // Calendars removed from the file since the ticket was classified count wall-clock time
+    const calendar = config.calendars[record.sla.calendar] || { always_open: true };
+
+    for (const name of milestone ? [milestone] : MILESTONES) {
+      const target = record.sla[name];
+      if (target.met_at) {
+        continue;
+      }
+      const breached = Date.parse(target.due_at) <= now.getTime();
+      if (breached && !includeBreached) {
+        continue;
+      }
+      const remaining = businessMinutesBetween(now, target.due_at, calendar);
+      if (!breached && remaining > within) {
+        continue;
+      }
+      items.push({
+        classification_id: record.id,
+        ticket_id: record.ticket_id,
+        decision: record.decision,
+        channel: record.input.channel,
+        severity: record.input.severity,
+        priority: record.input.priority || null,
+        tier: record.sla.tier,
+        policy: record.sla.policy,
+        milestone: name,
+        due_at: target.due_at,
+        remaining_minutes: remaining,
+        status: breached ? 'breached' : 'at_risk'
+      });
+    }
+  }
+
+  items.sort((a, b) => a.due_at.localeCompare(b.due_at));
+  return {
+    as_of: now.toISOString(),
+    within_minutes: within,
+    total: items.length,
+    limit,
+    offset,
+    items: items.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  initSla,
+  getSlaConfig,
+  loadSlaFile,
+  computeSla,
+  selectPolicy,
+  addBusinessMinutes,
+  businessMinutesBetween,
+  recordMilestone,
+  listAtRisk,
+  MILESTONES,
+  DEFAULT_SLA_FILE
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * File-backed persistence
+ * Each collection is an append-only JSONL file under DATA_DIR, indexed in
+ * memory on first use. Updates append the full record; the last line for
+ * an ID wins. DATA_DIR=':memory:' keeps collections in memory only (tests).
+ */
+
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+/**
+ * Create a collection backed by `<dataDir>/<name>.jsonl`
+ */
+function createCollection(name, { dataDir = getDataDir() } = {}) {
+  const inMemory = dataDir === ':memory:';
+  const file = inMemory ? null : path.join(dataDir, `${name}.jsonl`);
+  const records = new Map();
+  let loaded = false;
+
+  function load() {
+    if (loaded) {
+      return;
+    }
+    loaded = true;
+    if (inMemory || !fs.existsSync(file)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, index) => {
+      try {
+        const record = JSON.parse(line);
+        if (record._deleted) {
+          records.delete(record.id);
+        } else {
+          records.set(record.id, record);
+        }
+      } catch (error) {
+        logger.warn('Skipping corrupt store line', { collection: name, line: index + 1 });
+      }
+    });
+
+    // Compact when superseded lines dominate the file
+    if (lines.length > records.size * 2 + 100) {
+      compact();
+    }
+  }
+
+  function append(record) {
+    if (inMemory) {
+      return;
+    }
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+  }
+
+  function compact() {
+    if (inMemory) {
+      return;
+    }
+    const content = [...records.values()].map(record => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(`${file}.tmp`, content ? `${content}\n` : '');
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    name,
+
+    insert(data) {
+      load();
+      const record = {
+        id: data.id || crypto.randomUUID(),
+        created_at: data.created_at || new Date().toISOString(),
+        ...data
+      };
+      append(record);
+      records.set(record.id, record);
+      return record;
+    },
+
+    update(id, changes) {
+      load();
+      const existing = records.get(id);
+      if (!existing) {
+        return null;
+      }
+      const record = { ...existing, ...changes, id, updated_at: new Date().toISOString() };
+      append(record);
+      records.set(id, record);
+      return record;
+    },
+
+    remove(id) {
+      load();
+      if (!records.has(id)) {
+        return false;
+      }
+      append({ id, _deleted: true });
+      records.delete(id);
+      return true;
+    },
+
+    get(id) {
+      load();
+      return records.get(id) || null;
+    },
+
+    all() {
+      load();
+      return [...records.values()];
+    },
+
+    find(predicate) {
+      return this.all().filter(predicate);
+    },
+
+    compact() {
+      load();
+      compact();
+    }
+  };
+}
+
+// One collection instance per name, created on first use
+const collections = new Map();
+
+function getCollection(name) {
+  if (!collections.has(name)) {
+    collections.set(name, createCollection(name));
+  }
+  return collections.get(name);
+}
+
+/**
+ * Persist a classification with its sanitized input, decision, scores,
+ * AI analysis, SLA deadlines, remediation brief, team assignment, model/rule
+ * versions and timings, attributed to a tenant
+ */
+function saveClassification(input, result, { tenantId = null, apiKeyId = null } = {}) {
+  const metadata = result.metadata || {};
+  return getCollection('classifications').insert({
+    tenant_id: tenantId,
+    api_key_id: apiKeyId,
+    ticket_id: input.ticket_id || null,
+    incident_id: result.incident_id || null,
+    input,
+    decision: result.decision,
+    status: result.status || 'classified',
+    review: result.review || null,
+    sla: result.sla || null,
+    remediation_brief: result.remediation_brief || null,
+    assignment: result.assignment || null,
+    confidence: result.confidence,
+    reasoning: result.reasoning,
+    scores: result.scores,
+    rule_scores: metadata.rule_scores,
+    model_scores: metadata.model_scores || null,
+    ai_analysis_used: !!metadata.ai_analysis_used,
+    ai_analysis: metadata.ai_analysis || null,
+    versions: {
+      model_version: metadata.model_version,
+      rules_version: metadata.rules_version,
+      ai_provider: metadata.ai_provider || null,
+      ai_model: metadata.ai_model || null
+    },
+    pii_detected: metadata.pii_detected || [],
+    timings: {
+      ...metadata.timings,
+      processing_time_ms: metadata.processing_time_ms
+    }
+  });
+}
+
+/**
+ * Get a stored classification by ID
+ */
+function getClassification(id) {
+  return getCollection('classifications').get(id);
+}
+
+function newestFirst(a, b) {
+  return b.created_at.localeCompare(a.created_at);
+}
+
+/**
+ * All stored classifications for a ticket, newest first
+ * Pass a tenant ID to only see that tenant's records.
+ */
+function listTicketClassifications(ticketId, { tenantId } = {}) {
+  return getCollection('classifications')
+    .find(record => record.ticket_id === ticketId && (!tenantId || record.tenant_id === tenantId))
+    .sort(newestFirst);
+}
+
+/**
+ * Filtered, paginated list of stored classifications (newest first)
+ */
+function listClassifications({ from, to, decision, channel, severity, tenantId, limit = 50, offset = 0 } = {}) {
+  const fromIso = from ? new Date(from).toISOString() : null;
+  const toIso = to ? new Date(to).toISOString() : null;
+
+  const matches = getCollection('classifications')
+    .find(record =>
+      (!tenantId || record.tenant_id === tenantId) &&
+      (!fromIso || record.created_at >= fromIso) &&
+      (!toIso || record.created_at <= toIso) &&
+      (!decision || record.decision === decision) &&
+      (!channel || record.input.channel === channel) &&
+      (!severity || record.input.severity === severity)
+    )
+    .sort(newestFirst);
+
+  return {
+    total: matches.length,
+    limit,
+    offset,
+    items: matches.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  createCollection,
+  getCollection,
+  saveClassification,
+  getClassification,
+  listTicketClassifications,
+  listClassifications
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { CHANNELS, rateLimitSchema, quotaSchema, reviewThresholdsSchema } = require('./validation');
+const { loadRulesFile, getActiveRuleSet } = require('./rules');
+const { getCollection } = require('./store');
+const logger = require('./logger');
+
+/**
+ * Tenants and API keys
+ * Tenants come from a JSON config file and may override the rule set, turn
+ * the LLM off, restrict channels and tune the human review thresholds. API
+ * keys map to a tenant and are only ever stored as SHA-256 hashes: either in
+ * the config file (`api_keys`) or in the `api_keys` store collection when
+ * issued through the admin API.
+ */
+
+const DEFAULT_TENANTS_FILE = path.join(__dirname, '..', 'config', 'tenants.json');
+const PERIODS = { minute: 60, hour: 3600, day: 86400 };
+
+const tenantSchema = Joi.object({
+  name: Joi.string().optional(),
+  rules_file: Joi.string().optional(),
+  llm_enabled: Joi.boolean().default(true),
+  allowed_channels: Joi.array().items(Joi.string().valid(...CHANNELS)).min(1).optional(),
+  rate_limit: rateLimitSchema.optional(),
+  quota: quotaSchema.optional(),
+  review_thresholds: reviewThresholdsSchema.optional()
+});
+
+const configKeySchema = Joi.object({
+  id: Joi.string().required(),
+  tenant_id: Joi.string().required(),
+  name: Joi.string().optional(),
+  key_hash: Joi.string().hex().length(64).required(),
+  rate_limit: rateLimitSchema.optional(),
+  quota: quotaSchema.optional()
+});
+
+const tenantsFileSchema = Joi.object({
+  default_tenant: Joi.string().required(),
+  tenants: Joi.object().pattern(/^[a-z0-9][a-z0-9_-]*$/, tenantSchema).min(1).required(),
+  api_keys: Joi.array().items(configKeySchema).default([])
+});
+
+/**
+ * SHA-256 hash of an API key (hex)
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new random API key
+ */
+function generateApiKey() {
+  return `vf_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Loaded tenant config and per-file rule set cache
+const state = {
+  config: null,
+  baseDir: null,
+  ruleSets: new Map()
+};
+
+/**
+ * Load and validate the tenants file (TENANTS_FILE, or the default)
+ * Throws when the file is invalid or references unknown tenants.
+ */
+function initTenants({ file = process.env.TENANTS_FILE || DEFAULT_TENANTS_FILE } = {}) {
+  const { error, value } = tenantsFileSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')), {
+    abortEarly: false
+  });
+  if (error) {
+    throw new Error(`Invalid tenants file ${file}: ${error.details.map(d => d.message).join('; ')}`);
+  }
+  if (!value.tenants[value.default_tenant]) {
+    throw new Error(`Invalid tenants file ${file}: unknown default tenant "${value.default_tenant}"`);
+  }
+  const orphan = value.api_keys.find(key => !value.tenants[key.tenant_id]);
+  if (orphan) {
+    throw new Error(`Invalid tenants file ${file}: API key ${orphan.id} references unknown tenant "${orphan.tenant_id}"`);
+  }
+
+  state.config = value;
+  state.baseDir = path.dirname(file);
+  state.ruleSets.clear();
+  logger.info('Tenants loaded', { file, tenants: Object.keys(value.tenants).length });
+  return value;
+}
+
+function getConfig() {
+  if (!state.config) {
+    initTenants();
+  }
+  return state.config;
+}
+
+/**
+ * Get a tenant by ID ({ id, ...settings }), or null
+ */
+function getTenant(tenantId) {
+  const settings = getConfig().tenants[tenantId];
+  return settings ? { id: tenantId, ...settings } : null;
+}
+
+/**
+ * The tenant used when API authentication is disabled
+ */
+function getDefaultTenant() {
+  return getTenant(getConfig().default_tenant);
+}
+
+/**
+ * All configured tenants
+ */
+function listTenants() {
+  return Object.keys(getConfig().tenants).map(getTenant);
+}
+
+/**
+ * Rule set for a tenant: its own rules file, or the active rule set
+ * Tenant rules files are resolved relative to the tenants file and cached.
+ */
+function getTenantRuleSet(tenant) {
+  if (!tenant || !tenant.rules_file) {
+    return getActiveRuleSet();
+  }
+  const file = path.resolve(state.baseDir, tenant.rules_file);
+  if (!state.ruleSets.has(file)) {
+    state.ruleSets.set(file, loadRulesFile(file));
+  }
+  return state.ruleSets.get(file);
+}
+
+/**
+ * True when the tenant accepts tickets from the channel
+ */
+function isChannelAllowed(tenant, channel) {
+  return !tenant.allowed_channels || tenant.allowed_channels.includes(channel);
+}
+
+// Key records without the hash, for responses and request context
+function publicKey(record) {
+  const copy = { ...record };
+  delete copy.key_hash;
+  return copy;
+}
+
+/**
+ * Resolve an API key to its key record and tenant
+ * Returns null for unknown or revoked keys.
+ */
+function authenticateApiKey(key) {
+  if (!key) {
+    return null;
+  }
+  const keyHash = hashApiKey(key);
+  const matches = candidate => candidate.key_hash.length === keyHash.length &&
+    crypto.timingSafeEqual(Buffer.from(candidate.key_hash), Buffer.from(keyHash));
+
+  const record = getConfig().api_keys.find(matches) ||
+    getCollection('api_keys').find(candidate => !candidate.revoked_at && matches(candidate))[0];
+  const tenant = record ? getTenant(record.tenant_id) : null;
+  if (!tenant) {
+    return null;
+  }
+  return { apiKey: publicKey(record), tenant };
+}
+
+/**
+ * Issue a new API key for a tenant
+ * The plaintext key is only returned here; the store keeps its hash.
+ */
+function createApiKey({ tenant_id, name, rate_limit, quota }) {
+  if (!getTenant(tenant_id)) {
+    return { error: { status: 404, message: `Tenant ${tenant_id} not found` } };
+  }
+
+  const key = generateApiKey();
+  const record = getCollection('api_keys').insert({
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    tenant_id,
+    name: name || null,
+    key_hash: hashApiKey(key),
+    ...(rate_limit ? { rate_limit } : {}),
+    ...(quota ? { quota } : {})
+  });
+
+  logger.info('API key issued', { keyId: record.id, tenantId: tenant_id });
+  return { apiKey: publicKey(record), key };
+}
+
+/**
+ * API keys issued through the admin API and from the config file (hashes omitted)
+ */
+function listApiKeys() {
+  return [
+    ...getConfig().api_keys.map(record => ({ ...publicKey(record), source: 'config' })),
+    ...getCollection('api_keys').all().map(record => ({ ...publicKey(record), source: 'store' }))
+  ];
+}
+
+/**
+ * Revoke a stored API key; config-file keys are removed by editing the file
+ */
+function revokeApiKey(id) {
+  const record = getCollection('api_keys').get(id);
+  if (!record || record.revoked_at) {
+    return null;
+  }
+  return publicKey(getCollection('api_keys').update(id, { revoked_at: new Date().toISOString() }));
+}
+
+/**
+ * Effective rate limit and quota for a key: key settings override the tenant's
+ */
+function getLimits(apiKey, tenant) {
+  const rateLimit = (apiKey && apiKey.rate_limit) || tenant.rate_limit;
+  const quota = (apiKey && apiKey.quota) || tenant.quota;
+  return {
+    rateLimit: rateLimit ? { limit: rateLimit.requests, windowMs: (rateLimit.window_seconds || 60) * 1000 } : null,
+    quota: quota ? { limit: quota.requests, windowMs: PERIODS[quota.period || 'day'] * 1000 } : null
+  };
+}
+
+module.exports = {
+  initTenants,
+  getTenant,
+  getDefaultTenant,
+  listTenants,
+  getTenantRuleSet,
+  isChannelAllowed,
+  authenticateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getLimits,
+  hashApiKey,
+  generateApiKey,
+  DEFAULT_TENANTS_FILE
+};
@@ -0,0 +1,216 @@
+/**
+ * Token-aware keyword matching shared by the classifier and AI helper
+ * Matches whole tokens and multi-word phrases after light stemming, so
+ * "pin" no longer matches "spinning" and "timeouts" counts as "timeout".
+ * Keywords preceded by an absence cue ("no error", "without any crash")
+ * are reported as negated rather than matched.
+ */
+
+// Multi-word variants rewritten to a single canonical token before stemming
+const PHRASE_NORMALIZATIONS = [
+  { tokens: ['timed', 'out'], replacement: 'timeout' },
+  { tokens: ['times', 'out'], replacement: 'timeout' },
+  { tokens: ['timing', 'out'], replacement: 'timeout' },
+  { tokens: ['time', 'out'], replacement: 'timeout' },
+  { tokens: ['log', 'in'], replacement: 'login' },
+  { tokens: ['logged', 'in'], replacement: 'login' },
+  { tokens: ['sign', 'in'], replacement: 'signin' },
+  { tokens: ['signed', 'in'], replacement: 'signin' }
+];
+
+// Cues that mark the absence of what follows them. Spanish "no" and French
+// "pas" negate verbs ("no puedo pagar") rather than the issue, so only
+// unambiguous absence words are listed for other languages.
+const NEGATION_CUES = new Set([
+  'no', 'without', 'zero', 'none', 'never',
+  'sin', 'ningun', 'ninguna', 'sans', 'aucun', 'aucune', 'बिना'
+]);
+const NEGATION_WINDOW = 3;
+
+// Words that end a negation scope within a clause
+const SCOPE_BREAKERS = new Set(['but', 'however', 'although', 'though', 'yet']);
+
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Light suffix-stripping stemmer
+ * Deliberately conservative; keywords are stemmed the same way so both sides agree.
+ */
+function stem(word) {
+  let token = word.toLowerCase();
+  if (token.length <= MIN_STEM_LENGTH || /\d/.test(token)) {
+    return token;
+  }
+
+  // Plurals
+  if (token.endsWith('ies') && token.length > 4) {
+    token = `${token.slice(0, -3)}y`;
+  } else if (/(ss|sh|ch|x|z)es$/.test(token)) {
+    token = token.slice(0, -2);
+  } else if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) {
+    token = token.slice(0, -1);
+  }
+
+  // Verb endings, undoubling trailing consonants ("spinning" -> "spin")
+  const verbEnding = token.endsWith('ing') ? 3 : (token.endsWith('ed') && !token.endsWith('eed') ? 2 : 0);
+  if (verbEnding && token.length - verbEnding >= MIN_STEM_LENGTH) {
+    token = token.slice(0, -verbEnding);
+    if (/([^aeiouls])\1$/.test(token)) {
+      token = token.slice(0, -1);
+    }
+  }
+
+  // Silent trailing "e" so "charge", "charged" and "charging" agree
+  if (token.endsWith('e') && token.length > 4) {
+    token = token.slice(0, -1);
+  }
+  return token;
+}
+
+// French elided articles and pronouns ("l'application", "qu'il")
+const ELISION = /^(?:[cdjlmnst]|qu)'/;
+
+/**
+ * Split text into lowercase word tokens, tracking clause boundaries
+ * Latin accents are folded ("contraseña" matches "contrasena"); combining
+ * marks of other scripts, such as Devanagari vowel signs, stay in the word.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let clause = 0;
+  const pattern = /[\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:'[\p{L}\p{M}]+)?|[.,;:!?()\n]/gu;
+  const normalized = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u2019/g, "'");
+  let match;
+
+  while ((match = pattern.exec(normalized)) !== null) {
+    const value = match[0];
+    if (/^[.,;:!?()\n]$/.test(value)) {
+      clause++;
+      continue;
+    }
+    if (SCOPE_BREAKERS.has(value)) {
+      clause++;
+    }
+    tokens.push({ raw: ELISION.test(value) ? value.replace(/^[^']*'/, '') : value.replace(/'.*$/, ''), clause });
+  }
+  return tokens;
+}
+
+/**
+ * Rewrite known multi-word variants to their canonical token
+ */
+function normalizePhrases(tokens) {
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const normalization = PHRASE_NORMALIZATIONS.find(({ tokens: phrase }) =>
+      phrase.every((word, offset) =>
+        tokens[i + offset] &&
+        tokens[i + offset].raw === word &&
+        tokens[i + offset].clause === tokens[i].clause
+      )
+    );
+
+    if (normalization) {
+      result.push({ raw: normalization.replacement, clause: tokens[i].clause });
+      i += normalization.tokens.length - 1;
+    } else {
+      result.push(tokens[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Tokenize, normalize and stem text, marking tokens in a negation scope
+ */
+function analyzeText(text) {
+  const tokens = normalizePhrases(tokenize(text));
+  let negationStart = -Infinity;
+  let negationClause = null;
+
+  return tokens.map((token, index) => {
+    const analyzed = {
+      ...token,
+      stem: stem(token.raw),
+      negated: token.clause === negationClause && index - negationStart <= NEGATION_WINDOW
+    };
+
+    if (NEGATION_CUES.has(token.raw) || (token.raw === 'not' && ['a', 'an', 'any'].includes(tokens[index + 1]?.raw))) {
+      negationStart = index;
+      negationClause = token.clause;
+    }
+    return analyzed;
+  });
+}
+
+/**
+ * Stemmed token sequence for a keyword or phrase
+ */
+function keywordStems(term) {
+  return normalizePhrases(tokenize(term)).map(token => stem(token.raw));
+}
+
+function keywordTerm(keyword) {
+  return typeof keyword === 'string' ? keyword : keyword.term;
+}
+
+/**
+ * Match keywords (strings or { term, weight } entries) against text
+ * Accepts raw text or the output of analyzeText(). Returns the original
+ * keyword entries split into `matched` and `negated` (only negated occurrences).
+ */
+function matchKeywords(textOrTokens, keywords) {
+  const tokens = Array.isArray(textOrTokens) ? textOrTokens : analyzeText(textOrTokens);
+  const matched = [];
+  const negated = [];
+
+  for (const keyword of keywords) {
+    const stems = keywordStems(keywordTerm(keyword));
+    if (stems.length === 0) {
+      continue;
+    }
+
+    let found = false;
+    let foundNegated = false;
+    for (let i = 0; i + stems.length <= tokens.length && !found; i++) {
+      const isMatch = stems.every((keywordStem, offset) =>
+        tokens[i + offset].stem === keywordStem &&
+        tokens[i + offset].clause === tokens[i].clause
+      );
+      if (isMatch) {
+        if (tokens[i].negated) {
+          foundNegated = true;
+        } else {
+          found = true;
+        }
+      }
+    }
+
+    if (found) {
+      matched.push(keyword);
+    } else if (foundNegated) {
+      negated.push(keyword);
+    }
+  }
+
+  return { matched, negated };
+}
+
+/**
+ * Convenience wrapper returning the matched keyword terms
+ */
+function findKeywords(text, keywords) {
+  return matchKeywords(text, keywords).matched.map(keywordTerm);
+}
+
+module.exports = {
+  analyzeText,
+  tokenize,
+  stem,
+  matchKeywords,
+  findKeywords
+};
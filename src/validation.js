@@ -1,12 +1,18 @@
 const Joi = require('joi');
+const { SUPPORTED_LANGUAGES } = require('./language');
 
 /**
  * Input validation schemas and functions
  */
 
+const CHANNELS = ['mobile_app', 'web_app', 'api', 'phone', 'email', 'chat', 'branch', 'integration'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const PRIORITIES = ['p1', 'p2', 'p3', 'p4'];
+const CUSTOMER_TIERS = ['standard', 'business', 'premium', 'private'];
+
 const ticketSchema = Joi.object({
   channel: Joi.string()
-    .valid('mobile_app', 'web_app', 'api', 'phone', 'email', 'chat', 'branch', 'integration')
+    .valid(...CHANNELS)
     .required()
     .messages({
       'any.only': 'Channel must be one of: mobile_app, web_app, api, phone, email, chat, branch, integration',
@@ -14,7 +20,7 @@ const ticketSchema = Joi.object({
     }),
     
   severity: Joi.string()
-    .valid('low', 'medium', 'high', 'critical')
+    .valid(...SEVERITIES)
     .required()
     .messages({
       'any.only': 'Severity must be one of: low, medium, high, critical',
@@ -36,7 +42,21 @@ const ticketSchema = Joi.object({
   customer_id: Joi.string().optional(),
   timestamp: Joi.date().iso().optional(),
   tags: Joi.array().items(Joi.string()).optional(),
-  priority: Joi.string().valid('p1', 'p2', 'p3', 'p4').optional()
+  priority: Joi.string().valid(...PRIORITIES).optional(),
+  customer_tier: Joi.string()
+    .valid(...CUSTOMER_TIERS)
+    .optional()
+    .messages({ 'any.only': `Customer tier must be one of: ${CUSTOMER_TIERS.join(', ')}` }),
+
+  // Language of the summary (detected when omitted) and of reasoning / next_actions
+  language: Joi.string()
+    .valid(...SUPPORTED_LANGUAGES)
+    .optional()
+    .messages({ 'any.only': `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` }),
+  response_language: Joi.string()
+    .valid(...SUPPORTED_LANGUAGES, 'auto')
+    .optional()
+    .messages({ 'any.only': `Response language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}, auto` })
 });
 
 /**
@@ -64,39 +84,498 @@ function sanitizeTicket(ticket) {
   };
 }
 
+/**
+ * Agent feedback on a stored classification
+ */
+const feedbackSchema = Joi.object({
+  classification_id: Joi.string().required().messages({
+    'any.required': 'classification_id is required'
+  }),
+  correct: Joi.boolean().required().messages({
+    'any.required': 'correct is required'
+  }),
+  true_decision: Joi.string().when('correct', {
+    is: false,
+    then: Joi.required().messages({
+      'any.required': 'true_decision is required when correct is false'
+    }),
+    otherwise: Joi.optional()
+  }),
+  comment: Joi.string().max(1000).optional(),
+  agent_id: Joi.string().max(100).optional()
+});
+
+/**
+ * Validate feedback input
+ */
+function validateFeedbackInput(data) {
+  return feedbackSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Query parameters for the accuracy metrics view
+ */
+const accuracyQuerySchema = Joi.object({
+  window_days: Joi.number().integer().min(1).max(365).default(30)
+});
+
+/**
+ * Validate accuracy metrics query parameters
+ */
+function validateAccuracyQuery(query) {
+  return accuracyQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Per-key or per-tenant request rate limit and classification quota
+ */
+const rateLimitSchema = Joi.object({
+  requests: Joi.number().integer().min(1).required(),
+  window_seconds: Joi.number().integer().min(1).default(60)
+});
+
+const quotaSchema = Joi.object({
+  requests: Joi.number().integer().min(1).required(),
+  period: Joi.string().valid('minute', 'hour', 'day').default('day')
+});
+
+/**
+ * Per-tenant overrides of the human review (abstain) thresholds
+ */
+const reviewThresholdsSchema = Joi.object({
+  min_margin: Joi.number().min(0).max(1).optional(),
+  min_score: Joi.number().min(0).max(1).optional(),
+  min_confidence: Joi.number().min(0).max(1).optional()
+});
+
+const REVIEW_REASONS = ['low_margin', 'low_evidence', 'low_confidence'];
+
+/**
+ * Query parameters for the human review queue
+ */
+const reviewQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'resolved', 'all').default('pending'),
+  channel: Joi.string().valid(...CHANNELS).optional(),
+  severity: Joi.string().valid(...SEVERITIES).optional(),
+  reason: Joi.string().valid(...REVIEW_REASONS).optional(),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Validate review queue query parameters
+ */
+function validateReviewQuery(query) {
+  return reviewQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Agent resolution of a queued review
+ */
+const reviewResolutionSchema = Joi.object({
+  decision: Joi.string().required().messages({
+    'any.required': 'decision is required'
+  }),
+  agent_id: Joi.string().max(100).optional(),
+  notes: Joi.string().max(1000).optional()
+});
+
+/**
+ * Validate a review resolution
+ */
+function validateReviewResolution(data) {
+  return reviewResolutionSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Query parameters for tickets at risk of breaching their SLA
+ */
+const atRiskQuerySchema = Joi.object({
+  within_minutes: Joi.number().integer().min(0).max(10080).optional(),
+  milestone: Joi.string().valid('first_response', 'resolution').optional(),
+  include_breached: Joi.boolean().default(true),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Validate SLA at-risk query parameters
+ */
+function validateAtRiskQuery(query) {
+  return atRiskQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * SLA milestone reached on a stored classification
+ */
+const milestoneSchema = Joi.object({
+  milestone: Joi.string().valid('first_response', 'resolution').required().messages({
+    'any.required': 'milestone is required',
+    'any.only': 'milestone must be one of: first_response, resolution'
+  }),
+  at: Joi.date().iso().optional()
+});
+
+/**
+ * Validate an SLA milestone
+ */
+function validateMilestoneInput(data) {
+  return milestoneSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Closing a classification's team assignment
+ */
+const assignmentCloseSchema = Joi.object({
+  at: Joi.date().iso().optional()
+});
+
+/**
+ * Validate an assignment close
+ */
+function validateAssignmentClose(data) {
+  return assignmentCloseSchema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Workflow dry run: the ticket the steps see, agent answers keyed by step ID
+ * and stub fixtures keyed by customer ID
+ */
+const workflowRunSchema = Joi.object({
+  ticket: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean(), Joi.array().items(Joi.string()))
+  ).default({}),
+  answers: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+  fixtures: Joi.object({
+    accounts: Joi.object().pattern(Joi.string(), Joi.object()).optional(),
+    cards: Joi.object().pattern(Joi.string(), Joi.object()).optional()
+  }).default({})
+});
+
+/**
+ * Validate a workflow dry run request
+ */
+function validateWorkflowRun(data) {
+  return workflowRunSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * New API key request (admin)
+ */
+const apiKeySchema = Joi.object({
+  tenant_id: Joi.string().required().messages({
+    'any.required': 'tenant_id is required'
+  }),
+  name: Joi.string().max(100).optional(),
+  rate_limit: rateLimitSchema.optional(),
+  quota: quotaSchema.optional()
+});
+
+/**
+ * Validate a new API key request
+ */
+function validateApiKeyInput(data) {
+  return apiKeySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * Webhook subscription (admin)
+ * Empty filters match everything.
+ */
+const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required().messages({
+    'any.required': 'url is required'
+  }),
+  secret: Joi.string().min(16).max(256).optional(),
+  description: Joi.string().max(200).optional(),
+  tenant_id: Joi.string().optional(),
+  decisions: Joi.array().items(Joi.string()).default([]),
+  severities: Joi.array().items(Joi.string().valid(...SEVERITIES)).default([]),
+  channels: Joi.array().items(Joi.string().valid(...CHANNELS)).default([])
+});
+
+/**
+ * Validate a new webhook subscription
+ */
+function validateWebhookInput(data) {
+  return webhookSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+/**
+ * /classify options: query `mode` and body `callback_url` (async mode only)
+ */
+const classifyOptionsSchema = Joi.object({
+  mode: Joi.string().valid('sync', 'async').default('sync'),
+  explain: Joi.boolean().default(false),
+  callback_url: Joi.when('mode', {
+    is: 'async',
+    then: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    otherwise: Joi.forbidden().messages({
+      'any.unknown': 'callback_url requires mode=async'
+    })
+  })
+});
+
+/**
+ * Validate /classify options
+ */
+function validateClassifyOptions(options) {
+  return classifyOptionsSchema.validate(options, {
+    abortEarly: false
+  });
+}
+
+const incidentQuerySchema = Joi.object({
+  channel: Joi.string().valid(...CHANNELS).optional(),
+  decision: Joi.string().optional(),
+  status: Joi.string().valid('open', 'closed').optional(),
+  min_tickets: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Validate incident list query parameters
+ */
+function validateIncidentQuery(query) {
+  return incidentQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
 /**
  * Validate classification response structure
  */
 const responseSchema = Joi.object({
+  classification_id: Joi.string().optional(),
+  incident_id: Joi.string().optional(),
+
+  // Decision classes come from the active rule set, passed in as context
   decision: Joi.string()
-    .valid('ai_code_remediation', 'vibe_coded_troubleshooting')
+    .valid(Joi.in('$decisions'))
     .required(),
+
+  status: Joi.string().valid('classified', 'needs_human_review').optional(),
+
+  review_id: Joi.string().optional(),
+
+  review: Joi.object({
+    reasons: Joi.array().items(Joi.string().valid(...REVIEW_REASONS)).min(1).required(),
+    margin: Joi.number().min(0).max(1).required(),
+    candidates: Joi.array()
+      .items(Joi.object({
+        decision: Joi.string().valid(Joi.in('$decisions')).required(),
+        score: Joi.number().min(0).max(1).required(),
+        confidence: Joi.number().min(0).max(1).required()
+      }))
+      .min(1)
+      .required()
+  }).optional(),
     
   reasoning: Joi.string().min(10).required(),
   
   confidence: Joi.number().min(0).max(1).required(),
+
+  scores: Joi.array()
+    .items(Joi.object({
+      decision: Joi.string().valid(Joi.in('$decisions')).required(),
+      score: Joi.number().min(0).max(1).required()
+    }))
+    .optional(),
   
   next_actions: Joi.array()
-    .items(Joi.string().min(5))
+    .items(Joi.object({
+      step_id: Joi.string().required(),
+      description: Joi.string().min(5).required(),
+      owner_role: Joi.string().required(),
+      mandatory: Joi.boolean().required()
+    }))
     .min(3)
-    .max(10)
+    .max(25)
     .required(),
+
+  explanation: Joi.object().optional(),
+
+  remediation_brief: Joi.object({
+    catalog_version: Joi.string().allow(null).optional(),
+    indicators: Joi.array().items(Joi.string()).required(),
+    observed_error_codes: Joi.array().items(Joi.string()).required(),
+    suspected_components: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      name: Joi.string().required(),
+      score: Joi.number().min(0).required(),
+      evidence: Joi.array().items(Joi.object()).required(),
+      repo: Joi.string().uri().required(),
+      team: Joi.string().required(),
+      runbook: Joi.string().uri().required()
+    })).required(),
+    hypotheses: Joi.array().items(Joi.object({
+      rank: Joi.number().integer().min(1).required(),
+      id: Joi.string().required(),
+      component: Joi.string().required(),
+      statement: Joi.string().required(),
+      score: Joi.number().min(0).required(),
+      evidence: Joi.array().items(Joi.object()).required()
+    })).required(),
+    data_to_collect: Joi.object({
+      logs: Joi.array().items(Joi.string()).required(),
+      traces: Joi.array().items(Joi.string()).required(),
+      error_codes: Joi.array().items(Joi.string()).required()
+    }).required(),
+    reproduction: Joi.array().items(Joi.object({
+      description: Joi.string().required(),
+      component: Joi.string().allow(null).required()
+    })).required()
+  }).optional(),
+
+  workflow: Joi.object({
+    id: Joi.string().required(),
+    version: Joi.string().allow(null).optional(),
+    description: Joi.string().allow('').optional(),
+    steps: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      type: Joi.string().required()
+    }).unknown()).min(1).required()
+  }).optional(),
+
+  assignment: Joi.object({
+    team: Joi.object({ id: Joi.string().required(), name: Joi.string().required() }).required(),
+    assignee: Joi.object({ id: Joi.string().required(), name: Joi.string().required() }).required(),
+    on_call: Joi.object({
+      id: Joi.string().required(),
+      name: Joi.string().required(),
+      until: Joi.string().isoDate().required()
+    }).required(),
+    escalated: Joi.boolean().required(),
+    escalation: Joi.object({
+      rule: Joi.string().required(),
+      notify: Joi.array().items(Joi.object({
+        team: Joi.string().required(),
+        id: Joi.string().required(),
+        name: Joi.string().required(),
+        role: Joi.string().valid('lead', 'on_call').required()
+      })).required()
+    }).allow(null).required(),
+    reasons: Joi.array().items(Joi.string()).min(1).required(),
+    load: Joi.object({
+      team_open: Joi.number().integer().min(0).required(),
+      assignee_open: Joi.number().integer().min(0).required()
+    }).required(),
+    routing_version: Joi.string().allow(null).optional(),
+    assigned_at: Joi.string().isoDate().required()
+  }).optional(),
+
+  sla: Joi.object({
+    policy: Joi.string().required(),
+    calendar: Joi.string().required(),
+    time_zone: Joi.string().required(),
+    tier: Joi.string().valid(...CUSTOMER_TIERS).required(),
+    started_at: Joi.string().isoDate().required(),
+    first_response: Joi.object({
+      target_minutes: Joi.number().integer().min(1).required(),
+      due_at: Joi.string().isoDate().required()
+    }).required(),
+    resolution: Joi.object({
+      target_minutes: Joi.number().integer().min(1).required(),
+      due_at: Joi.string().isoDate().required()
+    }).required(),
+    sla_version: Joi.string().allow(null).optional()
+  }).allow(null).optional(),
     
   metadata: Joi.object({
     processing_time_ms: Joi.number().positive().optional(),
-    model_version: Joi.string().required(),
+    model_version: Joi.string().allow(null).required(),
+    language: Joi.object({
+      code: Joi.string().valid(...SUPPORTED_LANGUAGES).required(),
+      confidence: Joi.number().min(0).max(1).required(),
+      source: Joi.string().valid('ticket', 'detected').required()
+    }).optional(),
+    response_language: Joi.string().valid(...SUPPORTED_LANGUAGES).optional(),
+    rules_version: Joi.string().optional(),
+    playbooks: Joi.array().items(Joi.string()).optional(),
     rule_scores: Joi.object().optional(),
+    model_scores: Joi.object().allow(null).optional(),
     ai_analysis_used: Joi.boolean().optional(),
+    ai_provider: Joi.string().allow(null).optional(),
+    ai_model: Joi.string().allow(null).optional(),
+    pii_detected: Joi.array().items(Joi.string()).optional(),
+    ai_analysis: Joi.object().allow(null).optional(),
+    timings: Joi.object().optional(),
+    tenant_id: Joi.string().optional(),
+    redaction_id: Joi.string().allow(null).optional(),
     timestamp: Joi.string().isoDate().optional()
   }).required()
 });
 
+/**
+ * Query parameters for listing stored classifications
+ */
+const classificationQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  decision: Joi.string().optional(),
+  channel: Joi.string().valid(...CHANNELS).optional(),
+  severity: Joi.string().valid(...SEVERITIES).optional(),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Validate classification list query parameters
+ */
+function validateClassificationQuery(query) {
+  return classificationQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
 /**
  * Validate classification response
+ * Decisions default to the classes of the active rule set.
  */
-function validateResponse(response) {
+function validateResponse(response, { decisions } = {}) {
+  if (!decisions) {
+    // Required lazily: rules depends on this module for channel/severity lists
+    const { getDecisionClasses } = require('./rules');
+    decisions = getDecisionClasses();
+  }
+
   return responseSchema.validate(response, {
-    abortEarly: false
+    abortEarly: false,
+    context: { decisions }
   });
 }
 
@@ -104,6 +583,27 @@ module.exports = {
   validateTicketInput,
   sanitizeTicket,
   validateResponse,
+  validateClassificationQuery,
+  validateIncidentQuery,
+  validateFeedbackInput,
+  validateAccuracyQuery,
+  validateApiKeyInput,
+  validateWebhookInput,
+  validateClassifyOptions,
+  validateReviewQuery,
+  validateReviewResolution,
+  validateAtRiskQuery,
+  validateMilestoneInput,
+  validateAssignmentClose,
+  validateWorkflowRun,
   ticketSchema,
-  responseSchema
+  responseSchema,
+  rateLimitSchema,
+  quotaSchema,
+  reviewThresholdsSchema,
+  REVIEW_REASONS,
+  CHANNELS,
+  SEVERITIES,
+  PRIORITIES,
+  CUSTOMER_TIERS
 };
\ No newline at end of file
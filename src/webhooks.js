@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { postJson, checkOutboundUrl, outboundLookup } = require('./http-client');
+const { getCollection } = require('./store');
+const { getTenant } = require('./tenants');
+const { recordWebhookDelivery } = require('./metrics');
+const logger = require('./logger');
+
+/**
+ * Webhook delivery of classification events
+ * Subscriptions live in the `webhooks` store collection and filter events by
+ * tenant, decision, severity and channel. Each event body is signed with the
+ * subscription secret (HMAC-SHA256 over `<timestamp>.<body>`) and carries an
+ * idempotency key that stays the same across retries and replays. Failed
+ * deliveries are retried with exponential backoff and then written to the
+ * `webhook_dead_letters` collection (a JSONL file under DATA_DIR), from which
+ * they can be inspected and replayed. Retries in progress are held in memory.
+ *
+ * Like job callbacks, subscription URLs may only reach public addresses;
+ * WEBHOOK_ALLOWED_HOSTS instead limits them to the listed hosts.
+ */
+
+const EVENT_TYPE = 'classification.completed';
+const SIGNATURE_HEADER = 'X-VibeFI-Signature';
+const TIMESTAMP_HEADER = 'X-VibeFI-Timestamp';
+
+// Responses worth retrying; other 4xx responses are dead-lettered immediately
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+const ALLOWED_HOSTS_SETTING = 'WEBHOOK_ALLOWED_HOSTS';
+
+function getMaxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+}
+
+function getRetryBaseMs() {
+  return parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+}
+
+function getTimeout() {
+  return parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+}
+
+/**
+ * HMAC-SHA256 signature header value for a timestamp and raw body
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a received signature (for receivers and tests)
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Subscriptions as returned by the API: the secret is only shown on creation
+function publicSubscription(record) {
+  const copy = { ...record };
+  delete copy.secret;
+  return copy;
+}
+
+/**
+ * Register a webhook subscription
+ * A secret is generated when none is given; it is only returned here.
+ */
+function createSubscription({ url, secret, description, tenant_id, decisions = [], severities = [], channels = [] }) {
+  const urlError = checkOutboundUrl(url, 'url', ALLOWED_HOSTS_SETTING);
+  if (urlError) {
+    return { error: { status: 400, message: urlError } };
+  }
+  if (tenant_id && !getTenant(tenant_id)) {
+    return { error: { status: 404, message: `Tenant ${tenant_id} not found` } };
+  }
+
+  const record = getCollection('webhooks').insert({
+    id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+    url,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    description: description || null,
+    tenant_id: tenant_id || null,
+    decisions,
+    severities,
+    channels
+  });
+
+  logger.info('Webhook subscription created', { webhookId: record.id, tenantId: record.tenant_id });
+  return { subscription: publicSubscription(record), secret: record.secret };
+}
+
+/**
+ * All webhook subscriptions (secrets omitted)
+ */
+function listSubscriptions() {
+  return getCollection('webhooks').all().map(publicSubscription);
+}
+
+/**
+ * Delete a subscription; returns the deleted subscription, or null
+ */
+function deleteSubscription(id) {
+  const record = getCollection('webhooks').get(id);
+  if (!record) {
+    return null;
+  }
+  getCollection('webhooks').remove(id);
+  logger.info('Webhook subscription deleted', { webhookId: id });
+  return publicSubscription(record);
+}
+
+/**
+ * True when an event passes a subscription's filters
+ */
+function matchesSubscription(subscription, data) {
+  return (!subscription.tenant_id || subscription.tenant_id === data.tenant_id) &&
+    (subscription.decisions.length === 0 || subscription.decisions.includes(data.decision)) &&
+    (subscription.severities.length === 0 || subscription.severities.includes(data.severity)) &&
+    (subscription.channels.length === 0 || subscription.channels.includes(data.channel));
+}
+
+/**
+ * Build the event for a stored classification
+ * The idempotency key is derived from the subscription and classification,
+ * so receivers can drop duplicates from retries and replays.
+ */
+function buildEvent(subscription, data) {
+  return {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: EVENT_TYPE,
+    created_at: new Date().toISOString(),
+    idempotency_key: crypto.createHash('sha256')
+      .update(`${subscription.id}:${data.classification_id}`)
+      .digest('hex')
+      .slice(0, 32),
+    data
+  };
+}
+
+/**
+ * Create a dispatcher; options default to the WEBHOOK_* environment variables
+ * `post`, `sleep` and the dead-letter collection are injectable for tests.
+ */
+function createWebhookDispatcher({
+  post = postJson,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms).unref()),
+  maxAttempts,
+  retryBaseMs,
+  timeout,
+  deadLetters
+} = {}) {
+  const inFlight = new Set();
+  const deadLetterStore = () => deadLetters || getCollection('webhook_dead_letters');
+
+  // One signed POST; resolves with the attempt outcome
+  async function attempt(subscription, event) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const start = Date.now();
+    const outcome = { at: new Date(start).toISOString() };
+
+    // Checked again here: the allowlist may have changed since the subscription was created
+    const urlError = checkOutboundUrl(subscription.url, 'url', ALLOWED_HOSTS_SETTING);
+    if (urlError) {
+      return { ...outcome, status: null, success: false, retryable: false, error: urlError, duration_ms: 0 };
+    }
+
+    try {
+      const response = await post(subscription.url, body, {
+        headers: {
+          'Idempotency-Key': event.idempotency_key,
+          'X-VibeFI-Event': event.type,
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+        },
+        timeout: timeout || getTimeout(),
+        lookup: outboundLookup(ALLOWED_HOSTS_SETTING)
+      });
+      outcome.status = response.status;
+      outcome.success = response.status >= 200 && response.status < 300;
+      outcome.retryable = response.status >= 500 || RETRYABLE_STATUSES.has(response.status);
+      if (!outcome.success) {
+        outcome.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      outcome.status = null;
+      outcome.success = false;
+      outcome.retryable = true;
+      outcome.error = error.message;
+    }
+
+    outcome.duration_ms = Date.now() - start;
+    return outcome;
+  }
+
+  // Deliver with retries, dead-lettering when they run out
+  async function deliver(subscription, event) {
+    const attempts = [];
+    const limit = maxAttempts || getMaxAttempts();
+
+    for (let number = 1; number <= limit; number++) {
+      const outcome = await attempt(subscription, event);
+      attempts.push(outcome);
+
+      if (outcome.success) {
+        recordWebhookDelivery('delivered');
+        logger.debug('Webhook delivered', { webhookId: subscription.id, eventId: event.id, attempts: number });
+        return { delivered: true, attempts };
+      }
+      if (!outcome.retryable || number === limit) {
+        break;
+      }
+
+      recordWebhookDelivery('retried');
+      await sleep((retryBaseMs || getRetryBaseMs()) * 2 ** (number - 1));
+    }
+
+    const deadLetter = deadLetterStore().insert({
+      id: `dl_${crypto.randomBytes(6).toString('hex')}`,
+      status: 'dead',
+      subscription_id: subscription.id,
+      url: subscription.url,
+      event,
+      attempts,
+      last_error: attempts[attempts.length - 1].error
+    });
+    recordWebhookDelivery('dead_lettered');
+    logger.warn('Webhook dead-lettered', {
+      webhookId: subscription.id,
+      eventId: event.id,
+      deadLetterId: deadLetter.id,
+      error: deadLetter.last_error
+    });
+    return { delivered: false, attempts, dead_letter_id: deadLetter.id };
+  }
+
+  function track(promise) {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise));
+    return promise;
+  }
+
+  return {
+    /**
+     * Send a classification to every matching subscription in the background
+     * Returns the number of deliveries started.
+     */
+    publish(data) {
+      const subscriptions = getCollection('webhooks').find(subscription => matchesSubscription(subscription, data));
+      for (const subscription of subscriptions) {
+        track(deliver(subscription, buildEvent(subscription, data)).catch(error => {
+          logger.error('Webhook delivery crashed', { webhookId: subscription.id, error: error.message });
+        }));
+      }
+      return subscriptions.length;
+    },
+
+    /**
+     * Retry a dead-lettered event once with its original idempotency key
+     * Returns null for unknown entries; otherwise the updated entry.
+     */
+    async replay(id) {
+      const entry = deadLetterStore().get(id);
+      if (!entry) {
+        return null;
+      }
+
+      // Without the subscription there is no secret to sign with
+      const subscription = getCollection('webhooks').get(entry.subscription_id);
+      if (!subscription) {
+        return deadLetterStore().update(id, { last_error: `Subscription ${entry.subscription_id} no longer exists` });
+      }
+
+      const outcome = await track(attempt(subscription, entry.event));
+      const attempts = [...entry.attempts, outcome];
+      if (outcome.success) {
+        recordWebhookDelivery('replayed');
+        return deadLetterStore().update(id, { status: 'replayed', replayed_at: outcome.at, attempts });
+      }
+      return deadLetterStore().update(id, { attempts, last_error: outcome.error });
+    },
+
+    /**
+     * Resolve once no deliveries are in progress
+     */
+    async idle() {
+      while (inFlight.size > 0) {
+        await Promise.allSettled([...inFlight]);
+      }
+    }
+  };
+}
+
+// Dispatcher used by the API
+let defaultDispatcher = null;
+
+function getWebhookDispatcher() {
+  if (!defaultDispatcher) {
+    defaultDispatcher = createWebhookDispatcher();
+  }
+  return defaultDispatcher;
+}
+
+/**
+ * Dead-lettered deliveries, newest first, optionally filtered
+ */
+function listDeadLetters({ status, subscriptionId } = {}) {
+  return getCollection('webhook_dead_letters')
+    .find(entry =>
+      (!status || entry.status === status) &&
+      (!subscriptionId || entry.subscription_id === subscriptionId)
+    )
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Get a dead-lettered delivery by ID
+ */
+function getDeadLetter(id) {
+  return getCollection('webhook_dead_letters').get(id);
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  matchesSubscription,
+  buildEvent,
+  createWebhookDispatcher,
+  getWebhookDispatcher,
+  listDeadLetters,
+  getDeadLetter,
+  signPayload,
+  verifySignature,
+  EVENT_TYPE
+};
@@ -0,0 +1,187 @@
+const { interpolate } = require('./playbooks');
+const { createStubTools } = require('./workflow-tools');
+const { END } = require('./workflows');
+const logger = require('./logger');
+
+/**
+ * Dry-run workflow runner
+ * Executes a workflow (see src/workflows.js) against local tool stubs and
+ * records a step-by-step trace. Nothing is sent: notifications are only
+ * collected, and agent prompts take their answers from `answers` (keyed by
+ * step ID), else the step's `default`, else its first option.
+ */
+
+// Guards against workflows that loop forever
+const DEFAULT_MAX_STEPS = 50;
+
+/**
+ * Value at a dotted path in the workflow variables
+ */
+function lookup(variables, path) {
+  return path.split('.').reduce((scope, key) => (scope === undefined || scope === null ? undefined : scope[key]), variables);
+}
+
+/**
+ * Whether a check or branch condition holds
+ */
+function evaluate(condition, variables) {
+  const value = lookup(variables, condition.path);
+  if (condition.exists !== undefined) {
+    return (value !== undefined && value !== null) === condition.exists;
+  }
+  if (condition.in !== undefined) {
+    return condition.in.includes(value);
+  }
+  if (condition.not_equals !== undefined) {
+    return value !== condition.not_equals;
+  }
+  return value === condition.equals;
+}
+
+/**
+ * Render tool input, interpolating `{{path}}` in string values
+ */
+function renderInput(input, variables) {
+  return Object.fromEntries(Object.entries(input).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? interpolate(value, variables) : value
+  ]));
+}
+
+// Each handler returns the trace details and, when it jumps, the next step ID
+const STEP_HANDLERS = {
+  check(step, { variables }) {
+    const passed = evaluate(step.condition, variables);
+    return { details: { passed }, next: passed ? undefined : step.on_fail };
+  },
+
+  async 'call-tool'(step, { variables, tools }) {
+    const tool = tools[step.tool];
+    if (!tool) {
+      throw new Error(`Unknown tool "${step.tool}"`);
+    }
+    const input = renderInput(step.input, variables);
+    const output = await tool.run(input);
+    if (step.save_as) {
+      variables[step.save_as] = output;
+    }
+    return { details: { tool: step.tool, input, output } };
+  },
+
+  'prompt-agent'(step, { variables, answers }) {
+    const provided = Object.prototype.hasOwnProperty.call(answers, step.id);
+    let answer = step.options ? step.options[0] : null;
+    if (provided) {
+      answer = answers[step.id];
+    } else if (step.default !== undefined) {
+      answer = step.default;
+    }
+    if (provided && step.options && !step.options.includes(answer)) {
+      throw new Error(`Answer must be one of: ${step.options.join(', ')}`);
+    }
+    variables[step.save_as] = answer;
+    return {
+      details: {
+        question: interpolate(step.question, variables),
+        options: step.options || null,
+        answer,
+        simulated: !provided
+      }
+    };
+  },
+
+  branch(step, { variables }) {
+    const matched = step.cases.findIndex(branchCase => evaluate(branchCase.when, variables));
+    return {
+      details: { matched_case: matched >= 0 ? matched : null },
+      next: matched >= 0 ? step.cases[matched].goto : step.default
+    };
+  },
+
+  notify(step, { variables, notifications }) {
+    const message = interpolate(step.message, variables);
+    notifications.push({ step_id: step.id, target: step.target, message });
+    return { details: { target: step.target, message, delivered: false } };
+  }
+};
+
+/**
+ * Run a workflow in dry-run mode
+ * `ticket` is available to steps as `{{ticket.*}}`; `tools` maps tool names
+ * to tools (default: the stubs in src/workflow-tools.js). Resolves with the
+ * outcome (`completed`, or `failed` with an `error`), the trace, the saved
+ * variables and the notifications that would have been sent.
+ */
+async function runWorkflow(workflow, {
+  ticket = {},
+  answers = {},
+  tools = createStubTools(),
+  maxSteps = DEFAULT_MAX_STEPS
+} = {}) {
+  const positions = new Map(workflow.steps.map((step, index) => [step.id, index]));
+  const variables = { ticket };
+  const notifications = [];
+  const trace = [];
+  let outcome = 'completed';
+  let error = null;
+  let stepId = workflow.steps[0].id;
+
+  while (stepId !== END) {
+    if (trace.length >= maxSteps) {
+      outcome = 'failed';
+      error = `Stopped after ${maxSteps} steps`;
+      break;
+    }
+
+    const index = positions.get(stepId);
+    const step = workflow.steps[index];
+    const following = index + 1 < workflow.steps.length ? workflow.steps[index + 1].id : END;
+    const startTime = Date.now();
+
+    try {
+      const { details, next } = await STEP_HANDLERS[step.type](step, { variables, answers, tools, notifications });
+      stepId = next || step.next || following;
+      trace.push({
+        step_id: step.id,
+        type: step.type,
+        status: 'ok',
+        ...details,
+        next: stepId,
+        duration_ms: Date.now() - startTime
+      });
+    } catch (stepError) {
+      outcome = 'failed';
+      error = `Step "${step.id}" failed: ${stepError.message}`;
+      trace.push({
+        step_id: step.id,
+        type: step.type,
+        status: 'error',
+        error: stepError.message,
+        next: null,
+        duration_ms: Date.now() - startTime
+      });
+      break;
+    }
+  }
+
+  const saved = { ...variables };
+  delete saved.ticket;
+  logger.info('Workflow dry run finished', { workflow: workflow.id, outcome, steps: trace.length });
+
+  return {
+    workflow_id: workflow.id,
+    workflow_version: workflow.version || null,
+    dry_run: true,
+    outcome,
+    ...(error ? { error } : {}),
+    trace,
+    variables: saved,
+    notifications
+  };
+}
+
+module.exports = {
+  runWorkflow,
+  evaluate,
+  DEFAULT_MAX_STEPS
+};
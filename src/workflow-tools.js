@@ -0,0 +1,86 @@
+/**
+ * Local tool stubs for workflow dry runs
+ * Every tool exposes the same shape:
+ *   { name, description, run(input) }
+ * where run() returns (or resolves with) the tool's output. The stubs answer
+ * from fixtures instead of calling core banking systems, so dry runs have no
+ * side effects. Pass other tools to runWorkflow to plug in different ones.
+ */
+
+const DEFAULT_ACCOUNT = { status: 'active', locked: false, kyc_status: 'verified' };
+const DEFAULT_CARD = { status: 'active', last4: '4242', block_reason: null };
+const DELIVERY_METHODS = ['sms', 'email'];
+
+function requireCustomer(customerId) {
+  if (!customerId) {
+    throw new Error('customer_id is required');
+  }
+}
+
+/**
+ * Account lookup by customer ID; unknown customers look active and verified
+ */
+function createAccountLookupTool(accounts = {}) {
+  return {
+    name: 'account_lookup',
+    description: 'Look up the customer account (status, lock and KYC state)',
+    run({ customer_id: customerId }) {
+      if (!customerId) {
+        return { found: false };
+      }
+      return { found: true, customer_id: customerId, ...DEFAULT_ACCOUNT, ...accounts[customerId] };
+    }
+  };
+}
+
+/**
+ * Card status by customer ID
+ */
+function createCardStatusTool(cards = {}) {
+  return {
+    name: 'card_status',
+    description: 'Get the status of the customer\'s card (active, blocked, lost, stolen, expired)',
+    run({ customer_id: customerId }) {
+      requireCustomer(customerId);
+      return { customer_id: customerId, ...DEFAULT_CARD, ...cards[customerId] };
+    }
+  };
+}
+
+/**
+ * Password reset; the dry-run stub only reports what would be sent
+ */
+function createResetPasswordTool() {
+  return {
+    name: 'reset_password',
+    description: 'Send the customer a password reset link by SMS or email',
+    run({ customer_id: customerId, delivery = 'sms' }) {
+      requireCustomer(customerId);
+      if (!DELIVERY_METHODS.includes(delivery)) {
+        throw new Error(`delivery must be one of: ${DELIVERY_METHODS.join(', ')}`);
+      }
+      return { initiated: true, delivery, reference: `dry-run-${customerId}` };
+    }
+  };
+}
+
+/**
+ * Default stub tools keyed by name
+ * `fixtures.accounts` and `fixtures.cards` (keyed by customer ID) override
+ * the stub answers for specific customers.
+ */
+function createStubTools({ accounts, cards } = {}) {
+  const tools = [
+    createAccountLookupTool(accounts),
+    createCardStatusTool(cards),
+    createResetPasswordTool()
+  ];
+  return Object.fromEntries(tools.map(tool => [tool.name, tool]));
+}
+
+module.exports = {
+  createStubTools,
+  createAccountLookupTool,
+  createCardStatusTool,
+  createResetPasswordTool
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { conditionSchema, matchesConditions } = require('./playbooks');
+const logger = require('./logger');
+
+/**
+ * Troubleshooting workflows
+ * A workflow is a small program of steps the classifier hands to agents for
+ * troubleshooting tickets. Steps run in order unless they jump elsewhere:
+ *   check         - test a condition, go to `on_fail` when it does not hold
+ *   prompt-agent  - ask the agent a question and save the answer
+ *   call-tool     - call a tool (account lookup, card status, ...) and save its output
+ *   branch        - go to the first case whose condition holds, else `default`
+ *   notify        - message the customer, the agent or a team
+ * The first workflow in the file whose `match` holds for the ticket is used.
+ * See src/workflow-runner.js for dry runs.
+ */
+
+const DEFAULT_WORKFLOWS_FILE = path.join(__dirname, '..', 'config', 'workflows.yaml');
+const STEP_TYPES = ['check', 'prompt-agent', 'call-tool', 'branch', 'notify'];
+const NOTIFY_TARGETS = ['customer', 'agent', 'team'];
+
+// Jump target that finishes the workflow
+const END = 'end';
+
+const idSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).messages({
+  'string.pattern.base': 'Workflow and step IDs must be lower-case letters, digits, "-" or "_"'
+});
+
+// Workflow variables; `ticket` holds the ticket itself
+const variableSchema = Joi.string().pattern(/^[a-z_][a-z0-9_]*$/).invalid('ticket').messages({
+  'string.pattern.base': 'Variable names must be lower-case letters, digits or "_"',
+  'any.invalid': '"ticket" is reserved for the ticket'
+});
+
+// A dotted path into the workflow variables compared with one operator
+const expressionSchema = Joi.object({
+  path: Joi.string().pattern(/^[a-z_][a-z0-9_]*(?:\.[a-z0-9_]+)*$/).required(),
+  equals: Joi.any(),
+  not_equals: Joi.any(),
+  in: Joi.array().min(1),
+  exists: Joi.boolean()
+}).xor('equals', 'not_equals', 'in', 'exists');
+
+const baseStep = {
+  id: idSchema.invalid(END).required().messages({ 'any.invalid': `"${END}" is reserved for finishing the workflow` }),
+  description: Joi.string().optional(),
+  next: idSchema.optional()
+};
+
+const STEP_SCHEMAS = {
+  check: Joi.object({
+    ...baseStep,
+    type: Joi.string().valid('check').required(),
+    condition: expressionSchema.required(),
+    on_fail: idSchema.default(END)
+  }),
+  'prompt-agent': Joi.object({
+    ...baseStep,
+    type: Joi.string().valid('prompt-agent').required(),
+    question: Joi.string().required(),
+    options: Joi.array().items(Joi.string()).min(2).unique().optional(),
+    default: Joi.string().optional(),
+    save_as: variableSchema.required()
+  }),
+  'call-tool': Joi.object({
+    ...baseStep,
+    type: Joi.string().valid('call-tool').required(),
+    tool: Joi.string().required(),
+    input: Joi.object().default({}),
+    save_as: variableSchema.optional()
+  }),
+  branch: Joi.object({
+    ...baseStep,
+    type: Joi.string().valid('branch').required(),
+    cases: Joi.array().items(Joi.object({
+      when: expressionSchema.required(),
+      goto: idSchema.required()
+    })).min(1).required(),
+    default: idSchema.optional()
+  }),
+  notify: Joi.object({
+    ...baseStep,
+    type: Joi.string().valid('notify').required(),
+    target: Joi.string().valid(...NOTIFY_TARGETS).required(),
+    message: Joi.string().required()
+  })
+};
+
+const stepSchema = Joi.alternatives().conditional('.type', {
+  switch: Object.entries(STEP_SCHEMAS).map(([type, schema]) => ({ is: type, then: schema })),
+  otherwise: Joi.object({ type: Joi.string().valid(...STEP_TYPES).required() }).unknown()
+});
+
+const workflowSchema = Joi.object({
+  id: idSchema.required(),
+  description: Joi.string().allow('').default(''),
+  match: conditionSchema.default({}),
+  steps: Joi.array().items(stepSchema).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Step IDs must be unique within a workflow' })
+});
+
+const workflowsFileSchema = Joi.object({
+  version: Joi.string().trim().max(64).optional(),
+  description: Joi.string().allow('').optional(),
+  workflows: Joi.array().items(workflowSchema).min(1).unique('id').required()
+    .messages({ 'array.unique': 'Workflow IDs must be unique' })
+});
+
+/**
+ * Steps a step can go to next (besides the one after it)
+ */
+function stepTargets(step) {
+  return [
+    step.next,
+    step.on_fail,
+    step.default,
+    ...(step.cases || []).map(branchCase => branchCase.goto)
+  ].filter(Boolean);
+}
+
+/**
+ * Load and validate a workflows file (YAML or JSON)
+ * Throws when the file is invalid or a step jumps to an unknown step.
+ */
+function loadWorkflowsFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  const { error, value } = workflowsFileSchema.validate(data, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid workflows file ${file}: ${error.details.map(d => d.message).join('; ')}`);
+  }
+
+  for (const workflow of value.workflows) {
+    const stepIds = new Set(workflow.steps.map(step => step.id));
+    for (const step of workflow.steps) {
+      const unknown = stepTargets(step).find(target => target !== END && !stepIds.has(target));
+      if (unknown) {
+        throw new Error(`Invalid workflows file ${file}: step "${workflow.id}.${step.id}" goes to unknown step "${unknown}"`);
+      }
+    }
+  }
+  return { ...value, version: value.version || null, source: file };
+}
+
+// Loaded workflows
+const state = {
+  config: null
+};
+
+/**
+ * Load the workflows file (WORKFLOWS_FILE, or the default)
+ */
+function initWorkflows({ file = process.env.WORKFLOWS_FILE || DEFAULT_WORKFLOWS_FILE } = {}) {
+  state.config = loadWorkflowsFile(file);
+  logger.info('Workflows loaded', {
+    version: state.config.version,
+    workflows: state.config.workflows.map(workflow => workflow.id),
+    file
+  });
+  return state.config;
+}
+
+/**
+ * Get the workflows configuration, loading the configured file on first use
+ */
+function getWorkflowConfig() {
+  if (!state.config) {
+    initWorkflows();
+  }
+  return state.config;
+}
+
+/**
+ * Workflow as emitted in classifications and run by the runner
+ */
+function describeWorkflow(workflow, config = getWorkflowConfig()) {
+  return {
+    id: workflow.id,
+    version: config.version,
+    description: workflow.description,
+    steps: workflow.steps
+  };
+}
+
+/**
+ * Find a workflow by ID
+ */
+function getWorkflow(id, config = getWorkflowConfig()) {
+  const workflow = config.workflows.find(candidate => candidate.id === id);
+  return workflow ? describeWorkflow(workflow, config) : null;
+}
+
+/**
+ * First workflow whose match holds for the ticket's facts (see
+ * buildPlaybookActions for the fields), or null
+ */
+function selectWorkflow(facts, config = getWorkflowConfig()) {
+  const workflow = config.workflows.find(candidate => matchesConditions(candidate.match, facts));
+  return workflow ? describeWorkflow(workflow, config) : null;
+}
+
+module.exports = {
+  initWorkflows,
+  getWorkflowConfig,
+  loadWorkflowsFile,
+  getWorkflow,
+  selectWorkflow,
+  STEP_TYPES,
+  NOTIFY_TARGETS,
+  END,
+  DEFAULT_WORKFLOWS_FILE
+};
@@ -0,0 +1,102 @@
+const {
+  createAnalysisCache,
+  normalizeSummary,
+  shingles,
+  minHash,
+  jaccard
+} = require('../src/analysis-cache');
+
+describe('Analysis Cache', () => {
+  const analysis = { recommendation: 'ai_code_remediation', confidence: 0.9, reasoning: 'API fault' };
+  const ticket = (summary, overrides = {}) => ({
+    ticket_id: 'T-1',
+    channel: 'api',
+    severity: 'high',
+    summary,
+    ...overrides
+  });
+
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = Date.parse('2024-03-01T09:00:00Z');
+    cache = createAnalysisCache({ ttlMs: 60000, maxSize: 3, threshold: 0.8, now: () => clock });
+  });
+
+  it('should normalize case, punctuation, inflection and negation', () => {
+    expect(normalizeSummary('Transfer API Timeouts!')).toBe(normalizeSummary('transfer api timeout'));
+    expect(normalizeSummary('payment not failing')).not.toBe(normalizeSummary('payment failing'));
+  });
+
+  it('should estimate similarity with MinHash signatures', () => {
+    const a = shingles('transfer api timeout for corporate customers');
+    const b = shingles('transfer api timeout for corporate customers today');
+    const c = shingles('reset my online banking password');
+    const agreement = (x, y) => {
+      const sx = minHash(x);
+      const sy = minHash(y);
+      return sx.filter((value, i) => value === sy[i]).length / sx.length;
+    };
+
+    expect(jaccard(a, b)).toBeCloseTo(0.846, 3);
+    expect(agreement(a, b)).toBeGreaterThan(0.6);
+    expect(agreement(a, c)).toBeLessThan(0.2);
+    expect(minHash(a)).toEqual(minHash(new Set(a)));
+  });
+
+  it('should return exact hits with the originating ticket', () => {
+    cache.store(ticket('Transfer API timeout'), 'ctx', analysis);
+    const hit = cache.lookup(ticket('transfer api timeouts', { ticket_id: 'T-2' }), 'ctx');
+
+    expect(hit.source).toBe('cache');
+    expect(hit.analysis).toEqual(analysis);
+    expect(hit.origin).toEqual({ ticket_id: 'T-1', analyzed_at: '2024-03-01T09:00:00.000Z', similarity: 1 });
+  });
+
+  it('should reuse near-duplicates above the threshold only', () => {
+    cache.store(ticket('Transfer API timeout for all corporate customers'), 'ctx', analysis);
+
+    const near = cache.lookup(ticket('Transfer API timeout for all corporate customers today'), 'ctx');
+    expect(near.source).toBe('near_duplicate');
+    expect(near.origin.similarity).toBeGreaterThanOrEqual(0.8);
+
+    expect(cache.lookup(ticket('Transfer API timeout'), 'ctx')).toBeNull();
+    expect(cache.lookup(ticket('Card blocked at the ATM'), 'ctx')).toBeNull();
+  });
+
+  it('should not share analyses across channel, severity or context', () => {
+    cache.store(ticket('Transfer API timeout'), 'ctx', analysis);
+
+    expect(cache.lookup(ticket('Transfer API timeout', { channel: 'web_app' }), 'ctx')).toBeNull();
+    expect(cache.lookup(ticket('Transfer API timeout', { severity: 'low' }), 'ctx')).toBeNull();
+    expect(cache.lookup(ticket('Transfer API timeout'), 'other-rules')).toBeNull();
+  });
+
+  it('should expire entries after the TTL', () => {
+    cache.store(ticket('Transfer API timeout'), 'ctx', analysis);
+    clock += 60000;
+
+    expect(cache.lookup(ticket('Transfer API timeout'), 'ctx')).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+
+  it('should evict the least recently used entry beyond the size bound', () => {
+    cache.store(ticket('first summary text'), 'ctx', analysis);
+    cache.store(ticket('second summary text'), 'ctx', analysis);
+    cache.store(ticket('third summary text'), 'ctx', analysis);
+    cache.lookup(ticket('first summary text'), 'ctx');
+    cache.store(ticket('fourth summary text'), 'ctx', analysis);
+
+    expect(cache.size).toBe(3);
+    expect(cache.lookup(ticket('first summary text'), 'ctx')).not.toBeNull();
+    expect(cache.lookup(ticket('second summary text'), 'ctx')).toBeNull();
+  });
+
+  it('should be disabled with a size of zero', () => {
+    const disabled = createAnalysisCache({ maxSize: 0 });
+    disabled.store(ticket('Transfer API timeout'), 'ctx', analysis);
+
+    expect(disabled.lookup(ticket('Transfer API timeout'), 'ctx')).toBeNull();
+  });
+});
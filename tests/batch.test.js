@@ -0,0 +1,55 @@
+const { parseBatchBody, runWithConcurrency } = require('../src/batch');
+
+describe('Batch helpers', () => {
+
+  describe('parseBatchBody', () => {
+    it('should wrap each array element as a ticket item', () => {
+      const items = parseBatchBody([{ ticket_id: 'A' }, { ticket_id: 'B' }]);
+
+      expect(items).toEqual([{ ticket: { ticket_id: 'A' } }, { ticket: { ticket_id: 'B' } }]);
+    });
+
+    it('should parse NDJSON and keep malformed lines as parse errors', () => {
+      const items = parseBatchBody('{"ticket_id":"A"}\n\n{broken\n{"ticket_id":"B"}\n');
+
+      expect(items).toHaveLength(3);
+      expect(items[0].ticket.ticket_id).toBe('A');
+      expect(items[1].parseError).toContain('line 3');
+      expect(items[2].ticket.ticket_id).toBe('B');
+    });
+
+    it('should return null for unsupported bodies', () => {
+      expect(parseBatchBody({ ticket_id: 'A' })).toBeNull();
+      expect(parseBatchBody(undefined)).toBeNull();
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    it('should never exceed the concurrency limit', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const seen = [];
+
+      await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], async (item, index) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        seen.push(index);
+        inFlight--;
+      }, { concurrency: 3 });
+
+      expect(peak).toBe(3);
+      expect(seen.sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should stop scheduling when shouldStop returns true', async () => {
+      const processed = [];
+
+      await runWithConcurrency([1, 2, 3, 4], async (item) => {
+        processed.push(item);
+      }, { concurrency: 1, shouldStop: () => processed.length >= 2 });
+
+      expect(processed).toEqual([1, 2]);
+    });
+  });
+});
@@ -2,8 +2,14 @@ const {
   classifyTicket, 
   calculateRuleBasedScore, 
   generateActionChecklist,
+  rankClasses,
   CLASSIFICATION_RULES 
 } = require('../src/classifier');
+const path = require('path');
+const { calibrateScores, fitConfidenceTemperature, getConfidenceTemperature } = require('../src/scoring');
+const { loadDataset, toExample } = require('../src/evaluation');
+const { getActiveModel } = require('../src/model');
+const { getAnalysisCache } = require('../src/analysis-cache');
 
 describe('Ticket Classifier', () => {
   
@@ -52,37 +58,64 @@ describe('Ticket Classifier', () => {
   });
 
   describe('generateActionChecklist', () => {
+    const descriptions = actions => actions.map(action => action.description);
+
     it('should generate appropriate actions for AI code remediation', () => {
       const ticket = { channel: 'api', severity: 'high', summary: 'API errors' };
       const actions = generateActionChecklist('ai_code_remediation', ticket);
 
-      expect(actions).toContain('Analyze error logs and stack traces');
-      expect(actions).toContain('Generate code patch or fix');
-      expect(actions.length).toBeLessThanOrEqual(6);
+      expect(descriptions(actions)).toContain('Analyze error logs and stack traces');
+      expect(descriptions(actions)).toContain('Generate code patch or fix');
+      expect(actions[0]).toEqual({
+        step_id: 'ai-code-remediation.analyze-logs',
+        description: 'Analyze error logs and stack traces',
+        owner_role: 'engineering',
+        mandatory: true
+      });
     });
 
     it('should generate appropriate actions for Vibe troubleshooting', () => {
       const ticket = { channel: 'phone', severity: 'medium', summary: 'Account help' };
       const actions = generateActionChecklist('vibe_coded_troubleshooting', ticket);
 
-      expect(actions).toContain('Review customer account details');
-      expect(actions).toContain('Execute diagnostic workflow');
-      expect(actions.length).toBeLessThanOrEqual(6);
+      expect(descriptions(actions)).toContain('Review customer account details');
+      expect(descriptions(actions)).toContain('Execute diagnostic workflow');
     });
 
     it('should add critical severity escalation', () => {
       const criticalTicket = { channel: 'api', severity: 'critical', summary: 'System down' };
       const actions = generateActionChecklist('ai_code_remediation', criticalTicket);
 
-      expect(actions[0]).toBe('Escalate to senior team immediately');
-      expect(actions).toContain('Prepare incident report');
+      expect(actions[0].description).toBe('Escalate to senior team immediately');
+      expect(actions[actions.length - 1]).toEqual({
+        step_id: 'critical-severity.incident-report',
+        description: 'Prepare incident report',
+        owner_role: 'incident_manager',
+        mandatory: true
+      });
     });
 
     it('should customize for mobile app channel', () => {
       const mobileTicket = { channel: 'mobile_app', severity: 'high', summary: 'App crashes' };
       const actions = generateActionChecklist('ai_code_remediation', mobileTicket);
 
-      expect(actions.some(action => action.includes('mobile platforms'))).toBe(true);
+      expect(actions.some(action => action.description.includes('mobile platforms'))).toBe(true);
+      expect(generateActionChecklist('ai_code_remediation', { ...mobileTicket, channel: 'api' })
+        .some(action => action.step_id === 'ai-code-remediation.mobile-testing')).toBe(false);
+    });
+
+    it('should interpolate the ticket ID and matched indicators', () => {
+      const actions = generateActionChecklist('security_escalation', {
+        ticket_id: 'TKT-9001',
+        channel: 'phone',
+        severity: 'high',
+        summary: 'Unauthorized transfers right after a SIM swap'
+      });
+
+      expect(descriptions(actions)).toContain(
+        'Open a security case for TKT-9001 with the indicators: unauthorized, sim swap'
+      );
+      expect(descriptions(actions)).toContain('Disable SMS one-time passwords until the SIM swap is verified');
     });
   });
 
@@ -127,7 +160,33 @@ describe('Ticket Classifier', () => {
       const result = await classifyTicket(edgeTicket);
 
       expect(['ai_code_remediation', 'vibe_coded_troubleshooting']).toContain(result.decision);
-      expect(result.confidence).toBeGreaterThanOrEqual(0.5);
+      expect(result.status).toBe('needs_human_review');
+      expect(result.confidence).toBeLessThan(0.5);
+      expect(result.review.reasons).toEqual(['low_margin', 'low_evidence', 'low_confidence']);
+      expect(result.review.candidates.map(candidate => candidate.decision))
+        .toEqual(result.scores.slice(0, 2).map(score => score.decision));
+    });
+
+    it('should commit to clear-cut tickets without review', async () => {
+      const result = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        summary: 'Transfer API returning 500 errors after the deployment'
+      });
+
+      expect(result.status).toBe('classified');
+      expect(result.confidence).toBeGreaterThan(0.9);
+      expect(result).not.toHaveProperty('review');
+    });
+
+    it('should apply review threshold overrides', async () => {
+      const ticket = { channel: 'email', severity: 'medium', summary: 'General inquiry about services' };
+
+      const result = await classifyTicket(ticket, {
+        reviewThresholds: { min_margin: 0, min_score: 0, min_confidence: 0 }
+      });
+
+      expect(result.status).toBe('classified');
     });
 
     it('should include proper metadata', async () => {
@@ -139,10 +198,388 @@ describe('Ticket Classifier', () => {
 
       const result = await classifyTicket(ticket);
 
-      expect(result.metadata).toHaveProperty('model_version', '1.0.0');
+      expect(result.metadata).toHaveProperty('model_version', getActiveModel().version);
       expect(result.metadata).toHaveProperty('rule_scores');
-      expect(result.metadata.rule_scores).toHaveProperty('ai_score');
-      expect(result.metadata.rule_scores).toHaveProperty('vibe_score');
+      expect(result.metadata.rule_scores).toHaveProperty('ai_code_remediation');
+      expect(result.metadata.rule_scores).toHaveProperty('vibe_coded_troubleshooting');
+    });
+
+    it('should record which provider and model produced the AI analysis', async () => {
+      const ticket = {
+        channel: 'api',
+        severity: 'high',
+        summary: 'API returns server error on every transfer'
+      };
+
+      const result = await classifyTicket(ticket);
+
+      expect(result.metadata.ai_analysis_used).toBe(true);
+      expect(result.metadata.ai_provider).toBe('mock');
+      expect(result.metadata.ai_model).toBe('mock-keyword-v1');
+    });
+
+    it('should reuse the AI analysis of a near-duplicate ticket', async () => {
+      getAnalysisCache().clear();
+      const first = await classifyTicket({
+        ticket_id: 'INC-1',
+        channel: 'api',
+        severity: 'critical',
+        summary: 'Transfer API timeout for all corporate customers since 9am'
+      });
+      const duplicate = await classifyTicket({
+        ticket_id: 'INC-2',
+        channel: 'api',
+        severity: 'critical',
+        summary: 'Transfer API timeouts for all corporate customers since 9am!'
+      });
+      const similar = await classifyTicket({
+        ticket_id: 'INC-3',
+        channel: 'api',
+        severity: 'critical',
+        summary: 'Transfer API timeout for all corporate customers since 9am today'
+      });
+
+      expect(first.metadata.ai_analysis).toMatchObject({ source: 'llm', reused_from: null });
+      expect(duplicate.metadata.ai_analysis.source).toBe('cache');
+      expect(duplicate.metadata.ai_analysis.reused_from).toMatchObject({ ticket_id: 'INC-1', similarity: 1 });
+      expect(similar.metadata.ai_analysis.source).toBe('near_duplicate');
+      expect(similar.metadata.ai_analysis.reused_from.ticket_id).toBe('INC-1');
+      expect(similar.metadata.ai_analysis.reused_from.similarity).toBeGreaterThanOrEqual(0.8);
+      expect(similar.metadata.ai_analysis.recommendation).toBe(first.metadata.ai_analysis.recommendation);
+    });
+
+    it('should not share cached AI analyses between tenants', async () => {
+      getAnalysisCache().clear();
+      const ticket = {
+        channel: 'api',
+        severity: 'high',
+        summary: 'Statement export API fails with a timeout for every business account'
+      };
+
+      const acme = await classifyTicket({ ...ticket, ticket_id: 'ACME-1' }, { tenantId: 'acme' });
+      const globex = await classifyTicket({ ...ticket, ticket_id: 'GLOBEX-1' }, { tenantId: 'globex' });
+      const acmeAgain = await classifyTicket({ ...ticket, ticket_id: 'ACME-2' }, { tenantId: 'acme' });
+
+      expect(acme.metadata.ai_analysis).toMatchObject({ source: 'llm', reused_from: null });
+      expect(globex.metadata.ai_analysis).toMatchObject({ source: 'llm', reused_from: null });
+      expect(acmeAgain.metadata.ai_analysis.source).toBe('cache');
+      expect(acmeAgain.metadata.ai_analysis.reused_from.ticket_id).toBe('ACME-1');
+    });
+
+    it('should skip AI analysis when useAI is false', async () => {
+      const result = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        summary: 'API returns server error on every transfer'
+      }, { useAI: false });
+
+      expect(result.metadata.ai_analysis_used).toBe(false);
+      expect(result.metadata.ai_provider).toBeNull();
+    });
+
+    it('should include model scores and leave them out when the model is disabled', async () => {
+      const ticket = {
+        channel: 'phone',
+        severity: 'high',
+        summary: 'Customer reports unauthorized transfers after a phishing call'
+      };
+
+      const withModel = await classifyTicket(ticket);
+      expect(Object.keys(withModel.metadata.model_scores).sort())
+        .toEqual(Object.keys(CLASSIFICATION_RULES).sort());
+
+      const withoutModel = await classifyTicket(ticket, { model: null });
+      expect(withoutModel.metadata.model_version).toBeNull();
+      expect(withoutModel.metadata.model_scores).toBeNull();
+    });
+  });
+
+  describe('multi-class routing', () => {
+    it('should escalate fraud and account takeover to security', async () => {
+      const result = await classifyTicket({
+        channel: 'phone',
+        severity: 'high',
+        summary: 'Customer reports unauthorized transfers, thinks the account was hacked'
+      });
+
+      expect(result.decision).toBe('security_escalation');
+      expect(result.next_actions.map(action => action.description)).toContain('Escalate to the security operations team');
+    });
+
+    it('should send regulatory complaints to compliance review', async () => {
+      const result = await classifyTicket({
+        channel: 'email',
+        severity: 'medium',
+        summary: 'Customer says they will take the complaint to the ombudsman and regulator'
+      });
+
+      expect(result.decision).toBe('compliance_review');
+    });
+
+    it('should hand off customers asking for a person', async () => {
+      const result = await classifyTicket({
+        channel: 'chat',
+        severity: 'low',
+        summary: 'Customer insists on speaking to a real person about a bereavement'
+      });
+
+      expect(result.decision).toBe('human_handoff');
+    });
+
+    it('should attach a troubleshooting workflow to troubleshooting decisions only', async () => {
+      const troubleshooting = await classifyTicket({
+        channel: 'chat',
+        severity: 'medium',
+        summary: 'My debit card was declined at the shop'
+      }, { useAI: false });
+
+      expect(troubleshooting.decision).toBe('vibe_coded_troubleshooting');
+      expect(troubleshooting.workflow).toMatchObject({ id: 'card-issue', version: '1.0.0' });
+      expect(troubleshooting.workflow.steps.map(step => step.type)).toEqual(
+        expect.arrayContaining(['check', 'prompt-agent', 'call-tool', 'branch', 'notify'])
+      );
+
+      const technical = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        summary: 'API timeout errors on the payments endpoint'
+      }, { useAI: false });
+      expect(technical.workflow).toBeUndefined();
+    });
+
+    it('should attach a remediation brief to code remediation decisions only', async () => {
+      const technical = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        tags: ['payments'],
+        summary: 'API timeout errors on the payments endpoint, HTTP 504 since the deployment'
+      }, { useAI: false });
+
+      expect(technical.decision).toBe('ai_code_remediation');
+      expect(technical.remediation_brief.suspected_components[0]).toMatchObject({
+        id: 'payments-api',
+        team: 'payments-platform',
+        repo: 'https://github.com/vibefi/payments-api'
+      });
+      expect(technical.remediation_brief.hypotheses[0]).toMatchObject({ rank: 1, component: 'payments-api' });
+      expect(technical.remediation_brief.indicators).toEqual(expect.arrayContaining(['api', 'timeout']));
+      expect(technical.remediation_brief.data_to_collect.error_codes[0]).toBe('504');
+
+      const troubleshooting = await classifyTicket({
+        channel: 'chat',
+        severity: 'medium',
+        summary: 'My debit card was declined at the shop'
+      }, { useAI: false });
+      expect(troubleshooting.remediation_brief).toBeUndefined();
+    });
+
+    it('should return a ranked score for every class', async () => {
+      const result = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        summary: 'API timeout errors on the payments endpoint'
+      });
+
+      expect(result.scores.map(s => s.decision).sort())
+        .toEqual(Object.keys(CLASSIFICATION_RULES).sort());
+      expect(result.scores[0].decision).toBe(result.decision);
+      for (let i = 1; i < result.scores.length; i++) {
+        expect(result.scores[i - 1].score).toBeGreaterThanOrEqual(result.scores[i].score);
+      }
+    });
+  });
+
+  describe('rankClasses', () => {
+    it('should spread the AI recommendation across classes', () => {
+      const ruleScores = { a: 0.2, b: 0.2, c: 0.2 };
+      const ranked = rankClasses(ruleScores, { recommendation: 'b', confidence: 0.8 });
+
+      expect(ranked[0].decision).toBe('b');
+      expect(ranked[0].score).toBeCloseTo(0.8 * 0.6 + 0.2 * 0.4);
+      expect(ranked[1].score).toBeCloseTo(0.1 * 0.6 + 0.2 * 0.4);
+    });
+
+    it('should rank by rule scores alone without AI analysis', () => {
+      const ranked = rankClasses({ a: 0.1, b: 0.7, c: 0.4 }, null);
+
+      expect(ranked.map(r => r.decision)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should blend model scores and renormalize the weights', () => {
+      const ruleScores = { a: 0.2, b: 0.2, c: 0.2 };
+      const modelScores = { a: 0.1, b: 0.1, c: 0.8 };
+
+      const withoutAI = rankClasses(ruleScores, null, modelScores);
+      expect(withoutAI[0].decision).toBe('c');
+      expect(withoutAI[0].score).toBeCloseTo((0.2 * 0.4 + 0.8 * 0.3) / 0.7);
+
+      const withAI = rankClasses(ruleScores, { recommendation: 'b', confidence: 0.8 }, modelScores);
+      expect(withAI[0].decision).toBe('b');
+      expect(withAI[0].score).toBeCloseTo((0.8 * 0.6 + 0.2 * 0.4 + 0.1 * 0.3) / 1.3);
+    });
+  });
+
+  describe('calibrateScores', () => {
+    it('should turn blended scores into probabilities that sum to one', () => {
+      const calibrated = calibrateScores([
+        { decision: 'a', score: 0.8 },
+        { decision: 'b', score: 0.2 },
+        { decision: 'c', score: 0.1 }
+      ], 0.1);
+
+      expect(calibrated.map(entry => entry.decision)).toEqual(['a', 'b', 'c']);
+      expect(calibrated.reduce((sum, entry) => sum + entry.probability, 0)).toBeCloseTo(1, 10);
+      expect(calibrated[0].probability).toBeGreaterThan(0.99);
+    });
+
+    it('should split the probability between near-tied classes', () => {
+      const tied = calibrateScores([{ decision: 'a', score: 0.41 }, { decision: 'b', score: 0.4 }], 0.1);
+      const empty = calibrateScores([{ decision: 'a', score: 0 }, { decision: 'b', score: 0 }], 0.1);
+
+      expect(tied[0].probability).toBeCloseTo(0.525, 3);
+      expect(empty.map(entry => entry.probability)).toEqual([0.5, 0.5]);
+    });
+
+    it('should read the temperature from CONFIDENCE_TEMPERATURE', () => {
+      const ranked = [{ decision: 'a', score: 0.6 }, { decision: 'b', score: 0.4 }];
+      process.env.CONFIDENCE_TEMPERATURE = '1';
+      try {
+        expect(calibrateScores(ranked)[0].probability).toBeCloseTo(Math.exp(0.2) / (Math.exp(0.2) + 1), 10);
+      } finally {
+        delete process.env.CONFIDENCE_TEMPERATURE;
+      }
+    });
+
+    it('should only use the fitted temperature for the blend it was fitted on', () => {
+      const ruleSet = { version: '2.0.0' };
+      const model = { calibration: { temperature: 0.3, rules_version: '2.0.0' } };
+
+      expect(getConfidenceTemperature(model, { ruleSet })).toBe(0.3);
+      // AI analysis in the blend, or another rule set: the unfitted fallback
+      expect(getConfidenceTemperature(model, { ruleSet, aiAnalysis: { recommendation: 'a', confidence: 0.9 } })).toBe(0.1);
+      expect(getConfidenceTemperature(model, { ruleSet: { version: 'tenant-1' } })).toBe(0.1);
+      expect(getConfidenceTemperature({}, { ruleSet })).toBe(0.1);
+      expect(getConfidenceTemperature(null, { ruleSet })).toBe(0.1);
+    });
+
+    it('should report whether the confidence used the fitted temperature', async () => {
+      const ticket = { channel: 'api', severity: 'high', summary: 'Payment API returns 500 errors' };
+      const model = getActiveModel();
+
+      const withoutAI = await classifyTicket(ticket, { useAI: false });
+      expect(withoutAI.metadata.confidence_calibrated).toBe(true);
+      expect(withoutAI.metadata.rules_version).toBe(model.calibration.rules_version);
+
+      const withAI = await classifyTicket(ticket);
+      expect(withAI.metadata.ai_analysis_used).toBe(true);
+      expect(withAI.metadata.confidence_calibrated).toBe(false);
+    });
+  });
+
+  describe('fitConfidenceTemperature', () => {
+    const examples = loadDataset(path.join(__dirname, '..', 'examples', 'calibration-tickets.jsonl'))
+      .map((row, index) => toExample(row, index));
+
+    it('should fit a temperature inside the search range on labeled tickets', () => {
+      const calibration = fitConfidenceTemperature(examples, { model: getActiveModel() });
+
+      expect(calibration).toMatchObject({
+        method: 'temperature_scaling',
+        signals: ['rules', 'model'],
+        rules_version: '2.0.0',
+        examples: examples.length
+      });
+      expect(calibration.temperature).toBeGreaterThan(0.01);
+      expect(calibration.temperature).toBeLessThan(2);
+    });
+
+    it('should fit a softer temperature when the blend is often wrong', () => {
+      const classes = [...new Set(examples.map(example => example.label))];
+      // Every other ticket relabeled with the next class
+      const noisy = examples.map((example, index) => (index % 2 === 0 ? example : {
+        ...example,
+        label: classes[(classes.indexOf(example.label) + 1) % classes.length]
+      }));
+
+      expect(fitConfidenceTemperature(noisy).temperature).toBeGreaterThan(fitConfidenceTemperature(examples).temperature);
+    });
+
+    it('should require labeled examples of known classes', () => {
+      expect(() => fitConfidenceTemperature([{ ticket: { summary: 'x' }, label: 'unknown' }]))
+        .toThrow('Cannot fit a confidence temperature without labeled examples');
+    });
+  });
+
+  describe('multilingual tickets', () => {
+    it('should score tickets with the keywords of their language', () => {
+      const ticket = { channel: 'email', severity: 'low', summary: 'Se cae la aplicación con un fallo del servidor' };
+
+      expect(calculateRuleBasedScore(ticket, 'ai_code_remediation', undefined, 'es'))
+        .toBeGreaterThan(calculateRuleBasedScore(ticket, 'ai_code_remediation', undefined, 'en'));
+    });
+
+    it('should classify Spanish, French and Hindi tickets and report the detected language', async () => {
+      const cases = [
+        { summary: 'Alguien hizo un cargo no autorizado con mi tarjeta robada', language: 'es', decision: 'security_escalation' },
+        { summary: "J'ai reçu un virement frauduleux, mon compte a été piraté", language: 'fr', decision: 'security_escalation' },
+        { summary: 'मेरे खाते से अनधिकृत लेनदेन हुआ, धोखाधड़ी लग रही है', language: 'hi', decision: 'security_escalation' }
+      ];
+
+      for (const { summary, language, decision } of cases) {
+        const result = await classifyTicket({ channel: 'phone', severity: 'high', summary }, { useAI: false, model: null });
+
+        expect(result.decision).toBe(decision);
+        expect(result.metadata.language).toMatchObject({ code: language, source: 'detected' });
+        expect(result.metadata.response_language).toBe('en');
+        expect(result.next_actions.map(action => action.description)).toContain('Freeze affected accounts and cards');
+      }
+    });
+
+    it('should localize reasoning and next actions into the response language', async () => {
+      const ticket = {
+        channel: 'mobile_app',
+        severity: 'high',
+        summary: 'App crashes with a server error on login',
+        response_language: 'es'
+      };
+
+      const result = await classifyTicket(ticket, { useAI: false, model: null });
+
+      expect(result.decision).toBe('ai_code_remediation');
+      expect(result.reasoning).toBe('Los indicadores técnicos sugieren que se necesita una intervención a nivel de código');
+      expect(result.next_actions[0].description).toBe('Analizar los registros de errores y las trazas de pila');
+      expect(result.next_actions.map(action => action.description)).toContain('Probar la corrección en varias plataformas móviles');
+      expect(result.metadata.language.code).toBe('en');
+      expect(result.metadata.response_language).toBe('es');
+    });
+
+    it('should answer in the ticket language with auto and honour a given language', async () => {
+      const auto = await classifyTicket(
+        { channel: 'api', severity: 'critical', summary: "L'API renvoie une erreur serveur depuis ce matin", response_language: 'auto' },
+        { useAI: false, model: null }
+      );
+      expect(auto.metadata.response_language).toBe('fr');
+      expect(auto.next_actions[0].description).toBe("Escalader immédiatement à l'équipe senior");
+
+      const given = await classifyTicket(
+        { channel: 'chat', severity: 'low', summary: 'Help with my account settings please', language: 'hi', response_language: 'hi' },
+        { useAI: false, model: null }
+      );
+      expect(given.metadata.language).toEqual({ code: 'hi', confidence: 1, source: 'ticket' });
+      expect(given.reasoning).toBe('परिचालन संकेत वर्कफ़्लो-आधारित समाधान का सुझाव देते हैं');
+    });
+
+    it('should prefix AI reasoning with the localized label', async () => {
+      getAnalysisCache().clear();
+      const result = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        summary: 'La API devuelve un error de base de datos en cada pago',
+        response_language: 'es'
+      });
+
+      expect(result.metadata.ai_analysis_used).toBe(true);
+      expect(result.reasoning).toMatch(/^Problema técnico detectado: /);
     });
   });
 
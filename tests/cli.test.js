@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { runCli, parseArgs, detectFormat, parseTickets } = require('../src/cli');
+const { parseCsv } = require('../src/csv');
+
+describe('CLI', () => {
+  let tmpDir;
+
+  const run = async (argv, input) => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    let out = '';
+    let err = '';
+    stdout.on('data', chunk => { out += chunk; });
+    stderr.on('data', chunk => { err += chunk; });
+    if (input === undefined) {
+      stdin.isTTY = true;
+    } else {
+      stdin.end(input);
+    }
+    const code = await runCli(argv, { stdin, stdout, stderr });
+    return { code, out, err };
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-cli-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should parse ticket flags and options', () => {
+    expect(parseArgs(['--channel', 'api', '--severity', 'high', '--summary', 'API down', '--no-ai', '--output', 'json']))
+      .toMatchObject({ ai: false, output: 'json', ticket: { channel: 'api', severity: 'high', summary: 'API down' } });
+    expect(parseArgs(['a.csv', '-']).files).toEqual(['a.csv', '-']);
+    expect(() => parseArgs(['--output', 'xml'])).toThrow('--output must be one of');
+    expect(() => parseArgs(['--summary', 'x', 'a.csv'])).toThrow('not both');
+  });
+
+  it('should detect the input format from the extension or content', () => {
+    expect(detectFormat('', 'tickets.csv')).toBe('csv');
+    expect(detectFormat('', 'tickets.jsonl')).toBe('ndjson');
+    expect(detectFormat('[{"a":1}]')).toBe('json');
+    expect(detectFormat('{"a":1}')).toBe('json');
+    expect(detectFormat('{"a":1}\n{"a":2}')).toBe('ndjson');
+    expect(detectFormat('channel,severity,summary\n')).toBe('csv');
+  });
+
+  it('should parse JSON, NDJSON and CSV tickets', () => {
+    expect(parseTickets('{"summary":"x"}', 'json')).toEqual([{ ticket: { summary: 'x' } }]);
+    expect(parseTickets('{"summary":"x"}\nnot json', 'ndjson')[1]).toEqual({ parseError: 'Invalid JSON on line 2' });
+    expect(parseTickets('channel,severity,summary,tags\napi,high,API down,"a;b"\n', 'csv'))
+      .toEqual([{ ticket: { channel: 'api', severity: 'high', summary: 'API down', tags: ['a', 'b'] } }]);
+  });
+
+  it('should classify a single ticket from flags as a table with a summary', async () => {
+    const { code, out } = await run([
+      '--channel', 'api', '--severity', 'high', '--ticket-id', 'CLI-1',
+      '--summary', 'Transfer API returning 500 errors'
+    ]);
+
+    expect(code).toBe(0);
+    expect(out).toMatch(/^#\s+Ticket\s+Decision/);
+    expect(out).toContain('CLI-1');
+    expect(out).toContain('Classified 1 of 1 ticket(s), 0 invalid, 0 failed');
+    expect(out).toMatch(/ai_code_remediation\s+1/);
+  });
+
+  it('should read NDJSON from stdin and write JSON with the summary on stderr', async () => {
+    const input = [
+      { ticket_id: 'A', channel: 'api', severity: 'high', summary: 'API timeout errors on payments' },
+      { ticket_id: 'B', channel: 'phone', severity: 'low', summary: 'Customer wants to update their address' }
+    ].map(ticket => JSON.stringify(ticket)).join('\n');
+
+    const { code, out, err } = await run(['--no-ai', '--output', 'json'], input);
+    const rows = JSON.parse(out);
+
+    expect(code).toBe(0);
+    expect(rows.map(row => row.ticket_id)).toEqual(['A', 'B']);
+    expect(rows[0].result.metadata.ai_analysis_used).toBe(false);
+    expect(rows[0].result).not.toHaveProperty('explanation');
+    expect(rows[0]).not.toHaveProperty('ticket');
+    expect(err).toContain('Classified 2 of 2 ticket(s)');
+  });
+
+  it('should classify CSV files to CSV and exit 1 on validation errors', async () => {
+    const file = path.join(tmpDir, 'tickets.csv');
+    fs.writeFileSync(file, 'ticket_id,channel,severity,summary\nC1,email,low,How do I reset my password?\nC2,fax,low,Too short\n');
+
+    const { code, out, err } = await run([file, '--output', 'csv']);
+    const rows = parseCsv(out);
+
+    expect(code).toBe(1);
+    expect(rows[0]).toMatchObject({ ticket_id: 'C1', status: 'ok', channel: 'email' });
+    expect(rows[1]).toMatchObject({ ticket_id: 'C2', status: 'invalid', decision: '' });
+    expect(rows[1].errors).toContain('Channel must be one of');
+    expect(err).toContain('1 invalid');
+  });
+
+  it('should include explanations with --explain', async () => {
+    const { code, out } = await run([
+      '--channel', 'api', '--severity', 'high', '--summary', 'Transfer API returning 500 errors',
+      '--no-ai', '--explain', '--output', 'json'
+    ]);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(out)[0].result.explanation.margin.decision).toBe('ai_code_remediation');
+  });
+
+  it('should classify with an alternative rules file', async () => {
+    const { code, out } = await run([
+      '--rules', path.join(__dirname, '..', 'config', 'rules.json'),
+      '--channel', 'chat', '--severity', 'medium', '--summary', 'Card declined at the supermarket', '--output', 'json'
+    ]);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(out)[0].result.metadata.rules_version).toBeDefined();
+  });
+
+  it('should localize results with --response-language', async () => {
+    const { code, out } = await run([
+      '--channel', 'phone', '--severity', 'low', '--summary', "J'ai oublié mon mot de passe",
+      '--response-language', 'auto', '--no-ai', '--output', 'json'
+    ]);
+    const [row] = JSON.parse(out);
+
+    expect(code).toBe(0);
+    expect(row.result.metadata.response_language).toBe('fr');
+    expect(row.result.next_actions[0].description).toBe('Vérifier les informations du compte client');
+    expect(() => parseArgs(['--response-language', 'de'])).toThrow('--response-language must be one of');
+  });
+
+  it('should exit 2 on usage errors and missing input', async () => {
+    expect((await run(['--bogus'])).code).toBe(2);
+    const { code, err } = await run([]);
+    expect(code).toBe(2);
+    expect(err).toContain('No input');
+    expect((await run([path.join(tmpDir, 'missing.json')])).code).toBe(2);
+  });
+});
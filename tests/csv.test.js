@@ -0,0 +1,33 @@
+const { parseCsv, parseCsvRows, toCsv } = require('../src/csv');
+
+describe('CSV', () => {
+  it('should parse a header row into objects', () => {
+    const rows = parseCsv('channel,severity,summary\napi,high,API timeout\nphone,low,Needs help\n');
+
+    expect(rows).toEqual([
+      { channel: 'api', severity: 'high', summary: 'API timeout' },
+      { channel: 'phone', severity: 'low', summary: 'Needs help' }
+    ]);
+  });
+
+  it('should handle quoted fields with commas, quotes and newlines', () => {
+    const rows = parseCsvRows('a,b\r\n"one, two","say ""hi""\nthere"\r\n');
+
+    expect(rows).toEqual([
+      ['a', 'b'],
+      ['one, two', 'say "hi"\nthere']
+    ]);
+  });
+
+  it('should skip blank lines and fill missing cells', () => {
+    expect(parseCsv('a,b\n\n1\n')).toEqual([{ a: '1', b: '' }]);
+  });
+
+  it('should round-trip values through toCsv', () => {
+    const records = [{ id: 'T-1', summary: 'Error, "timeout"', tags: ['api', 'urgent'] }];
+    const csv = toCsv(records, ['id', 'summary', 'tags']);
+
+    expect(csv).toBe('id,summary,tags\nT-1,"Error, ""timeout""",api;urgent\n');
+    expect(parseCsv(csv)).toEqual([{ id: 'T-1', summary: 'Error, "timeout"', tags: 'api;urgent' }]);
+  });
+});
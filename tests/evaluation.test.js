@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseDataset,
+  loadDataset,
+  evaluateDataset,
+  buildReport,
+  diffReports,
+  isRegression,
+  formatReport,
+  formatDiff
+} = require('../src/evaluation');
+const { getActiveRuleSet, loadRulesFile, serializeRuleSet } = require('../src/rules');
+
+describe('Evaluation', () => {
+  const classes = ['ai_code_remediation', 'vibe_coded_troubleshooting', 'security_escalation'];
+  const prediction = (index, expected, predicted, confidence = 0.8) => ({
+    index,
+    ticket_id: `T-${index}`,
+    summary: `Ticket ${index}`,
+    expected,
+    predicted,
+    confidence
+  });
+
+  describe('parseDataset', () => {
+    it('should parse JSONL rows', () => {
+      const rows = parseDataset('{"summary":"a","label":"x"}\n\n{"summary":"b","label":"y"}\n');
+      expect(rows).toEqual([{ summary: 'a', label: 'x' }, { summary: 'b', label: 'y' }]);
+    });
+
+    it('should report the line of invalid JSONL', () => {
+      expect(() => parseDataset('{"a":1}\nnot json')).toThrow('Invalid JSON on line 2 of dataset');
+    });
+
+    it('should parse CSV rows, splitting tags and dropping empty cells', () => {
+      const rows = parseDataset('channel,severity,summary,tags,customer_id,label\napi,high,"API error, again",api;urgent,,ai_code_remediation\n', 'csv');
+      expect(rows).toEqual([{
+        channel: 'api',
+        severity: 'high',
+        summary: 'API error, again',
+        tags: ['api', 'urgent'],
+        label: 'ai_code_remediation'
+      }]);
+    });
+
+    it('should load the sample dataset', () => {
+      const rows = loadDataset(path.join(__dirname, '..', 'examples', 'labeled-tickets.jsonl'));
+      expect(rows.length).toBeGreaterThan(0);
+      expect(rows[0]).toHaveProperty('label');
+    });
+  });
+
+  describe('buildReport', () => {
+    const report = buildReport([
+      prediction(0, 'ai_code_remediation', 'ai_code_remediation', 0.9),
+      prediction(1, 'ai_code_remediation', 'vibe_coded_troubleshooting', 0.55),
+      prediction(2, 'vibe_coded_troubleshooting', 'vibe_coded_troubleshooting', 0.75),
+      prediction(3, 'security_escalation', 'security_escalation', 0.95)
+    ], classes);
+
+    it('should build the confusion matrix', () => {
+      expect(report.confusion_matrix.ai_code_remediation).toEqual({
+        ai_code_remediation: 1,
+        vibe_coded_troubleshooting: 1,
+        security_escalation: 0
+      });
+      expect(report.summary).toMatchObject({ total: 4, correct: 3, accuracy: 0.75 });
+    });
+
+    it('should compute per-class precision, recall and F1', () => {
+      expect(report.per_class.ai_code_remediation).toEqual({ precision: 1, recall: 0.5, f1: 0.667, support: 2 });
+      expect(report.per_class.vibe_coded_troubleshooting).toEqual({ precision: 0.5, recall: 1, f1: 0.667, support: 1 });
+      expect(report.summary.macro_f1).toBe(0.778);
+    });
+
+    it('should bin predictions by confidence for calibration', () => {
+      expect(report.calibration).toEqual([
+        { range: '0.5-0.6', count: 1, avg_confidence: 0.55, accuracy: 0 },
+        { range: '0.7-0.8', count: 1, avg_confidence: 0.75, accuracy: 1 },
+        { range: '0.9-1.0', count: 2, avg_confidence: 0.925, accuracy: 1 }
+      ]);
+    });
+
+    it('should list misclassified tickets', () => {
+      expect(report.misclassified).toHaveLength(1);
+      expect(report.misclassified[0]).toMatchObject({ ticket_id: 'T-1', predicted: 'vibe_coded_troubleshooting' });
+      expect(formatReport(report)).toContain('T-1: expected ai_code_remediation, got vibe_coded_troubleshooting');
+    });
+  });
+
+  describe('diffReports', () => {
+    const baseline = buildReport([
+      prediction(0, 'ai_code_remediation', 'ai_code_remediation'),
+      prediction(1, 'security_escalation', 'vibe_coded_troubleshooting'),
+      prediction(2, 'vibe_coded_troubleshooting', 'vibe_coded_troubleshooting')
+    ], classes);
+
+    it('should list fixed and regressed tickets', () => {
+      const candidate = buildReport([
+        prediction(0, 'ai_code_remediation', 'vibe_coded_troubleshooting'),
+        prediction(1, 'security_escalation', 'security_escalation'),
+        prediction(2, 'vibe_coded_troubleshooting', 'vibe_coded_troubleshooting')
+      ], classes);
+
+      const diff = diffReports(baseline, candidate);
+
+      expect(diff.changed).toBe(2);
+      expect(diff.fixed.map(entry => entry.ticket_id)).toEqual(['T-1']);
+      expect(diff.regressed.map(entry => entry.ticket_id)).toEqual(['T-0']);
+      expect(diff.accuracy.delta).toBe(0);
+      expect(formatDiff(diff)).toContain('regressed T-0');
+    });
+
+    it('should flag drops beyond the allowed tolerance', () => {
+      const candidate = buildReport([
+        prediction(0, 'ai_code_remediation', 'vibe_coded_troubleshooting'),
+        prediction(1, 'security_escalation', 'vibe_coded_troubleshooting'),
+        prediction(2, 'vibe_coded_troubleshooting', 'vibe_coded_troubleshooting')
+      ], classes);
+
+      const diff = diffReports(baseline, candidate);
+
+      expect(diff.accuracy.delta).toBeCloseTo(-0.33, 2);
+      expect(isRegression(diff)).toBe(true);
+      expect(isRegression(diff, 0.5)).toBe(false);
+      expect(isRegression(diffReports(baseline, baseline))).toBe(false);
+    });
+  });
+
+  describe('evaluateDataset', () => {
+    const rows = [
+      { ticket_id: 'E-1', channel: 'api', severity: 'high', summary: 'API timeout errors on the payments endpoint', label: 'ai_code_remediation' },
+      { ticket_id: 'E-2', channel: 'phone', severity: 'high', summary: 'Customer reports unauthorized transfers after a phishing call', label: 'security_escalation' },
+      { ticket_id: 'E-3', channel: 'fax', severity: 'low', summary: 'Unsupported channel ticket', label: 'ai_code_remediation' },
+      { ticket_id: 'E-4', channel: 'api', severity: 'low', summary: 'Ticket with an unknown label', label: 'not_a_class' }
+    ];
+
+    it('should classify labeled rows and skip invalid ones', async () => {
+      const report = await evaluateDataset(rows, { useAI: false });
+
+      expect(report.config).toMatchObject({ use_ai: false, rules_version: getActiveRuleSet().version });
+      expect(report.summary.total).toBe(2);
+      expect(report.skipped.map(skip => skip.ticket_id)).toEqual(['E-3', 'E-4']);
+      expect(report.predictions.every(p => p.ai_analysis_used === false)).toBe(true);
+      expect(report.summary.accuracy).toBe(1);
+    });
+
+    it('should evaluate against an alternative rules file', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-eval-'));
+      try {
+        const data = JSON.parse(JSON.stringify(serializeRuleSet(getActiveRuleSet())));
+        data.version = 'eval-candidate';
+        data.classes.security_escalation.keywords = ['hacked'];
+        const rulesFile = path.join(tmpDir, 'rules.json');
+        fs.writeFileSync(rulesFile, JSON.stringify(data));
+
+        const baseline = await evaluateDataset(rows, { useAI: false, model: null });
+        const candidate = await evaluateDataset(rows, { useAI: false, model: null, ruleSet: loadRulesFile(rulesFile) });
+        const diff = diffReports(baseline, candidate);
+
+        expect(candidate.config.rules_version).toBe('eval-candidate');
+        expect(diff.regressed.map(entry => entry.ticket_id)).toEqual(['E-2']);
+        expect(isRegression(diff)).toBe(true);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
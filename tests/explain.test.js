@@ -0,0 +1,128 @@
+const { explainClassification } = require('../src/explain');
+const { scoreRuleFeatures, calculateRuleScores, rankClasses } = require('../src/scoring');
+const { generateEnhancedReasoning, createFallbackAnalysis } = require('../src/ai-helper');
+const { classifyTicket } = require('../src/classifier');
+
+describe('Explanations', () => {
+  const technicalTicket = {
+    channel: 'api',
+    severity: 'high',
+    summary: 'Transfer API returning 500 errors, no crash on the client'
+  };
+
+  describe('scoreRuleFeatures', () => {
+    it('should list matched, negated, channel and severity features that add up to the score', () => {
+      const { score, features } = scoreRuleFeatures(technicalTicket, 'ai_code_remediation');
+
+      expect(features).toEqual(expect.arrayContaining([
+        expect.objectContaining({ feature: 'keyword', value: 'api', weight: 1, matched: true }),
+        expect.objectContaining({ feature: 'keyword', value: 'crash', matched: false, negated: true, contribution: 0 }),
+        expect.objectContaining({ feature: 'channel', value: 'api', matched: true }),
+        expect.objectContaining({ feature: 'severity', value: 'high', matched: true })
+      ]));
+      expect(features.reduce((sum, feature) => sum + feature.contribution, 0)).toBeCloseTo(score, 10);
+    });
+
+    it('should scale keyword contributions once matches pass the saturation point', () => {
+      const ticket = { channel: 'email', severity: 'low', summary: 'Fraud and phishing scam with a stolen card' };
+      const { score, features } = scoreRuleFeatures(ticket, 'security_escalation');
+      const keywords = features.filter(feature => feature.matched && feature.feature === 'keyword');
+
+      expect(keywords.length).toBeGreaterThan(1);
+      expect(keywords.reduce((sum, feature) => sum + feature.contribution, 0)).toBeCloseTo(0.8, 10);
+      expect(score).toBeCloseTo(0.8, 10);
+    });
+  });
+
+  describe('explainClassification', () => {
+    it('should report the blend, per-signal contributions and the margin', () => {
+      const aiAnalysis = { recommendation: 'ai_code_remediation', confidence: 0.9 };
+      const ruleScores = calculateRuleScores(technicalTicket);
+      const explanation = explainClassification({ ticket: technicalTicket, ruleScores, aiAnalysis });
+      const ranked = rankClasses(ruleScores, aiAnalysis);
+
+      expect(explanation.blend).toEqual([
+        { signal: 'rules', weight: 0.4, share: 0.4 },
+        { signal: 'ai', weight: 0.6, share: 0.6 }
+      ]);
+      expect(explanation.classes.map(entry => entry.decision)).toEqual(ranked.map(entry => entry.decision));
+
+      const [top] = explanation.classes;
+      expect(top.signals.ai).toEqual({ score: 0.9, contribution: 0.54 });
+      expect(top.signals.rules.contribution + top.signals.ai.contribution).toBeCloseTo(top.score, 2);
+      expect(explanation.margin).toEqual({
+        decision: ranked[0].decision,
+        runner_up: ranked[1].decision,
+        value: Math.round((ranked[0].score - ranked[1].score) * 1000) / 1000
+      });
+    });
+
+    it('should find the severity and channel changes that flip the decision', () => {
+      const ticket = { channel: 'chat', severity: 'medium', summary: 'Suspicious card payment on my statement' };
+      const { counterfactuals, summary } = explainClassification({ ticket });
+
+      expect(counterfactuals).toContainEqual(expect.objectContaining({
+        feature: 'severity',
+        value: 'high',
+        decision: 'security_escalation',
+        description: 'Would have flipped to security_escalation if severity were high'
+      }));
+      expect(counterfactuals.some(counterfactual => counterfactual.feature === 'channel')).toBe(true);
+      expect(counterfactuals.some(counterfactual => counterfactual.value === 'low')).toBe(false);
+      expect(summary).toContain('vibe_coded_troubleshooting leads');
+      expect(summary).toContain('Would have flipped to security_escalation if severity were high.');
+    });
+
+    it('should report when the AI analysis decided the outcome', () => {
+      const ticket = { channel: 'phone', severity: 'low', summary: 'Customer asks about account statement' };
+      const aiAnalysis = { recommendation: 'compliance_review', confidence: 0.95 };
+      const ruleScores = calculateRuleScores(ticket);
+
+      const { counterfactuals } = explainClassification({ ticket, ruleScores, aiAnalysis });
+
+      expect(counterfactuals).toContainEqual(expect.objectContaining({
+        feature: 'ai_analysis',
+        decision: 'vibe_coded_troubleshooting'
+      }));
+    });
+  });
+
+  describe('rule-based reasoning', () => {
+    it('should describe the scoring features instead of a template', () => {
+      const ruleScores = calculateRuleScores(technicalTicket);
+      const reasoning = generateEnhancedReasoning(technicalTicket, 'ai_code_remediation', ruleScores);
+
+      expect(reasoning).toMatch(/^Rule score 0\.87 for ai_code_remediation from keyword "api" \(\+0\.13\)/);
+      expect(reasoning).toContain('channel api (+0.30)');
+      expect(reasoning).toContain('negated: "crash"');
+      expect(reasoning).toContain('next best security_escalation at 0.20');
+      expect(createFallbackAnalysis(technicalTicket, 'ai_code_remediation', ruleScores).reasoning).toBe(reasoning);
+    });
+
+    it('should give classifications without AI the rule evidence as reasoning', async () => {
+      const result = await classifyTicket(technicalTicket, { useAI: false });
+
+      expect(result.decision).toBe('ai_code_remediation');
+      expect(result.reasoning).toBe(`Technical issue detected: ${generateEnhancedReasoning(
+        technicalTicket, 'ai_code_remediation', calculateRuleScores(technicalTicket))}`);
+    });
+
+    it('should keep the translated template in other response languages', async () => {
+      const result = await classifyTicket({ ...technicalTicket, response_language: 'es' }, { useAI: false });
+
+      expect(result.reasoning).toBe('Los indicadores técnicos sugieren que se necesita una intervención a nivel de código');
+    });
+  });
+
+  describe('classifyTicket', () => {
+    it('should add an explanation only when asked', async () => {
+      const plain = await classifyTicket(technicalTicket, { useAI: false });
+      const explained = await classifyTicket(technicalTicket, { useAI: false, explain: true });
+
+      expect(plain).not.toHaveProperty('explanation');
+      expect(explained.explanation.classes[0].decision).toBe(explained.decision);
+      expect(explained.explanation.blend.map(signal => signal.signal)).toEqual(['rules', 'model']);
+      expect(explained.decision).toBe(plain.decision);
+    });
+  });
+});
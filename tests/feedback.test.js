@@ -0,0 +1,110 @@
+const { recordFeedback, computeAccuracy } = require('../src/feedback');
+const { saveClassification, getClassification, getCollection } = require('../src/store');
+
+describe('Feedback', () => {
+  const store = (decision, input, aiUsed) => saveClassification(
+    { ticket_id: `TKT-${Math.random()}`, ...input },
+    {
+      decision,
+      confidence: 0.8,
+      reasoning: 'Stored for feedback tests',
+      metadata: { model_version: '1.0.0', ai_analysis_used: aiUsed }
+    }
+  );
+
+  describe('recordFeedback', () => {
+    it('should label a classification as correct', () => {
+      const classification = store('ai_code_remediation', { channel: 'api', severity: 'high' }, true);
+
+      const { feedback } = recordFeedback({
+        classification_id: classification.id,
+        correct: true,
+        agent_id: 'agent-7'
+      });
+
+      expect(feedback.true_decision).toBe('ai_code_remediation');
+      expect(feedback.correct).toBe(true);
+      expect(getClassification(classification.id).label).toMatchObject({
+        decision: 'ai_code_remediation',
+        source: 'agent',
+        feedback_id: feedback.id
+      });
+    });
+
+    it('should capture the true decision for a reroute', () => {
+      const classification = store('vibe_coded_troubleshooting', { channel: 'phone', severity: 'high' }, false);
+
+      const { feedback } = recordFeedback({
+        classification_id: classification.id,
+        correct: false,
+        true_decision: 'security_escalation',
+        comment: 'Card was stolen'
+      });
+
+      expect(feedback.correct).toBe(false);
+      expect(feedback.predicted_decision).toBe('vibe_coded_troubleshooting');
+      expect(getClassification(classification.id).label.decision).toBe('security_escalation');
+    });
+
+    it('should reject unknown classifications and decisions', () => {
+      const classification = store('ai_code_remediation', { channel: 'api', severity: 'low' }, false);
+
+      expect(recordFeedback({ classification_id: 'missing', correct: true }).error.status).toBe(404);
+      expect(recordFeedback({
+        classification_id: classification.id,
+        correct: false,
+        true_decision: 'not_a_class'
+      }).error.status).toBe(400);
+      expect(recordFeedback({
+        classification_id: classification.id,
+        correct: true,
+        true_decision: 'human_handoff'
+      }).error.status).toBe(400);
+    });
+  });
+
+  describe('computeAccuracy', () => {
+    beforeAll(() => {
+      getCollection('classifications').all()
+        .forEach(record => getCollection('classifications').remove(record.id));
+
+      const labels = [
+        ['ai_code_remediation', 'ai_code_remediation', 'api', true],
+        ['ai_code_remediation', 'vibe_coded_troubleshooting', 'api', true],
+        ['vibe_coded_troubleshooting', 'vibe_coded_troubleshooting', 'chat', false],
+        ['vibe_coded_troubleshooting', 'vibe_coded_troubleshooting', 'chat', false]
+      ];
+      for (const [predicted, actual, channel, aiUsed] of labels) {
+        const classification = store(predicted, { channel, severity: 'medium' }, aiUsed);
+        recordFeedback({
+          classification_id: classification.id,
+          correct: predicted === actual,
+          true_decision: predicted === actual ? undefined : actual
+        });
+      }
+      store('human_handoff', { channel: 'chat', severity: 'low' }, false);
+    });
+
+    it('should report accuracy over labeled classifications only', () => {
+      const metrics = computeAccuracy();
+
+      expect(metrics.overall).toEqual({ total: 4, correct: 3, accuracy: 0.75 });
+      expect(metrics.by_decision.ai_code_remediation.accuracy).toBe(0.5);
+      expect(metrics.by_channel.chat.accuracy).toBe(1);
+      expect(metrics.by_severity.medium.total).toBe(4);
+    });
+
+    it('should compare AI-assisted and rule-only results', () => {
+      const { by_mode } = computeAccuracy();
+
+      expect(by_mode.ai_assisted).toEqual({ total: 2, correct: 1, accuracy: 0.5 });
+      expect(by_mode.rule_only).toEqual({ total: 2, correct: 2, accuracy: 1 });
+    });
+
+    it('should only include classifications inside the window', () => {
+      const future = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+
+      expect(computeAccuracy({ windowDays: 1, now: future }).overall.total).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { assignIncident, listIncidents, getIncident, incidentTerms } = require('../src/incidents');
+const { saveClassification } = require('../src/store');
+
+describe('Incidents', () => {
+  const start = Date.parse('2024-03-01T09:00:00Z');
+  const at = minutes => new Date(start + minutes * 60000);
+  const ticket = (summary, overrides = {}) => ({ channel: 'api', severity: 'high', summary, ...overrides });
+  const result = (decision = 'ai_code_remediation') => ({ decision });
+
+  // Each test uses its own tenant so incidents don't leak between tests
+  let tenantId = 0;
+  let options;
+  beforeEach(() => {
+    tenantId++;
+    options = { tenantId: `tenant-${tenantId}`, windowMs: 30 * 60000, threshold: 0.4 };
+  });
+
+  it('should extract stemmed content words without stop words', () => {
+    expect(incidentTerms('The payments API is timing out for all customers'))
+      .toEqual(['payment', 'api', 'timeout', 'customer']);
+  });
+
+  it('should group similar tickets on the same channel', () => {
+    const first = assignIncident(ticket('Payment API returning 504 timeout'), result(), { ...options, now: at(0) });
+    const second = assignIncident(ticket('Payments API timeout errors'), result(), { ...options, now: at(5) });
+
+    expect(second.id).toBe(first.id);
+    expect(second).toMatchObject({
+      ticket_count: 2,
+      first_seen: at(0).toISOString(),
+      last_seen: at(5).toISOString()
+    });
+  });
+
+  it('should start a new incident for unrelated text, another channel or after the window', () => {
+    const first = assignIncident(ticket('Payment API returning 504 timeout'), result(), { ...options, now: at(0) });
+
+    expect(assignIncident(ticket('Reset my password please'), result(), { ...options, now: at(1) }).id)
+      .not.toBe(first.id);
+    expect(assignIncident(ticket('Payment API returning 504 timeout', { channel: 'email' }), result(), { ...options, now: at(2) }).id)
+      .not.toBe(first.id);
+    expect(assignIncident(ticket('Payment API returning 504 timeout'), result(), { ...options, now: at(31) }).id)
+      .not.toBe(first.id);
+  });
+
+  it('should keep the window open while tickets keep arriving', () => {
+    const first = assignIncident(ticket('Payment API returning 504 timeout'), result(), { ...options, now: at(0) });
+    assignIncident(ticket('Payment API returning 504 timeout'), result(), { ...options, now: at(25) });
+
+    expect(assignIncident(ticket('Payment API 504 timeout'), result(), { ...options, now: at(50) }).id).toBe(first.id);
+  });
+
+  it('should track the dominant decision and severity', () => {
+    assignIncident(ticket('Card payments failing at checkout', { severity: 'medium' }), result('vibe_coded_troubleshooting'), { ...options, now: at(0) });
+    assignIncident(ticket('Card payments failing at checkout', { severity: 'critical' }), result(), { ...options, now: at(1) });
+    const incident = assignIncident(ticket('Card payments failing at checkout', { severity: 'medium' }), result(), { ...options, now: at(2) });
+
+    expect(incident.dominant_decision).toBe('ai_code_remediation');
+    expect(incident.dominant_severity).toBe('medium');
+    expect(incident.severity_counts).toEqual({ medium: 2, critical: 1 });
+  });
+
+  it('should list incidents by tenant, size and status', () => {
+    const busy = assignIncident(ticket('Transfer API timeout'), result(), { ...options, now: at(0) });
+    assignIncident(ticket('Transfer API timeouts'), result(), { ...options, now: at(1) });
+    assignIncident(ticket('Statement download broken'), result(), { ...options, now: at(2) });
+
+    const listed = listIncidents({ tenantId: options.tenantId, minTickets: 2, now: at(10) });
+    expect(listed.total).toBe(1);
+    expect(listed.items[0]).toMatchObject({ id: busy.id, status: 'open' });
+    expect(listed.items[0]).not.toHaveProperty('samples');
+
+    expect(listIncidents({ tenantId: options.tenantId, status: 'closed', now: at(120) }).total).toBe(2);
+    expect(listIncidents({ tenantId: 'nobody' }).total).toBe(0);
+  });
+
+  it('should return member tickets from stored classifications', () => {
+    const input = { ticket_id: 'T-9', channel: 'api', severity: 'high', summary: 'Ledger sync failing' };
+    const incident = assignIncident(input, result(), { ...options, now: at(0) });
+    const record = saveClassification(input, { ...result(), confidence: 0.8, incident_id: incident.id, metadata: {} });
+
+    const found = getIncident(incident.id, { now: at(1) });
+    expect(found.tickets).toEqual([expect.objectContaining({
+      classification_id: record.id,
+      ticket_id: 'T-9',
+      decision: 'ai_code_remediation'
+    })]);
+    expect(getIncident('inc_missing')).toBeNull();
+  });
+});
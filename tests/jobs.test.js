@@ -0,0 +1,252 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../src/jobs');
+const { publicLookup } = require('../src/http-client');
+const { createCollection } = require('../src/store');
+
+describe('Job queue', () => {
+  let tmpDir;
+  let collection;
+  let ticketCollection;
+
+  // Handler whose calls stay running until released
+  const controlledHandler = () => {
+    const calls = [];
+    const handler = ticket => new Promise((resolve, reject) => {
+      calls.push({ ticket, resolve, reject });
+    });
+    return { calls, handler };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-jobs-'));
+    collection = createCollection('jobs', { dataDir: tmpDir });
+    ticketCollection = createCollection('job-tickets', { dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should run jobs and keep the result without the ticket', async () => {
+    const queue = createJobQueue({ handler: async ticket => ({ decision: `for ${ticket.summary}` }), collection });
+
+    const job = queue.enqueue({ ticket_id: 'T-1', summary: 'hello' }, { tenantId: 'default' });
+    expect(job).toMatchObject({ status: 'queued', ticket_id: 'T-1', tenant_id: 'default' });
+    expect(job).not.toHaveProperty('ticket');
+
+    await queue.idle();
+    const done = queue.get(job.id);
+    expect(done).toMatchObject({ status: 'done', result: { decision: 'for hello' }, error: null });
+    expect(done.started_at).toBeDefined();
+    expect(done.finished_at).toBeDefined();
+    expect(collection.get(job.id)).not.toHaveProperty('ticket');
+  });
+
+  it('should never write the pending ticket to disk in clear text', async () => {
+    const { calls, handler } = controlledHandler();
+    const queue = createJobQueue({ handler, collection, ticketCollection });
+    const ticket = { summary: 'Card 4111 1111 1111 1111 declined, reply to jane.doe@example.com' };
+
+    queue.enqueue(ticket);
+    expect(calls[0].ticket).toEqual(ticket);
+    const file = path.join(tmpDir, 'jobs.jsonl');
+    expect(fs.readFileSync(file, 'utf8')).not.toMatch(/4111|jane\.doe/);
+
+    calls[0].resolve({});
+    await queue.idle();
+    expect(fs.readFileSync(file, 'utf8')).not.toMatch(/4111|jane\.doe/);
+  });
+
+  it('should record failures', async () => {
+    const queue = createJobQueue({ handler: async () => { throw new Error('LLM exploded'); }, collection });
+
+    const job = queue.enqueue({ summary: 'x' });
+    await queue.idle();
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'failed', error: 'LLM exploded', result: null });
+  });
+
+  it('should limit concurrency and run queued jobs in order', async () => {
+    const { calls, handler } = controlledHandler();
+    const queue = createJobQueue({ handler, concurrency: 2, collection });
+
+    const jobs = ['a', 'b', 'c'].map(summary => queue.enqueue({ summary }));
+    expect(calls.map(call => call.ticket.summary)).toEqual(['a', 'b']);
+    expect(queue.get(jobs[2].id).status).toBe('queued');
+
+    calls[0].resolve({});
+    await new Promise(resolve => setImmediate(resolve));
+    expect(calls.map(call => call.ticket.summary)).toEqual(['a', 'b', 'c']);
+
+    calls.slice(1).forEach(call => call.resolve({}));
+    await queue.idle();
+    expect(jobs.map(job => queue.get(job.id).status)).toEqual(['done', 'done', 'done']);
+  });
+
+  it('should cancel queued jobs only', async () => {
+    const { calls, handler } = controlledHandler();
+    const queue = createJobQueue({ handler, concurrency: 1, collection });
+
+    const running = queue.enqueue({ summary: 'first' });
+    const queued = queue.enqueue({ summary: 'second' });
+
+    expect(queue.cancel(queued.id).job.status).toBe('cancelled');
+    expect(queue.cancel(running.id).error.status).toBe(409);
+    expect(queue.cancel('job_missing').error.status).toBe(404);
+
+    calls[0].resolve({});
+    await queue.idle();
+    expect(calls).toHaveLength(1);
+    expect(queue.get(queued.id).status).toBe('cancelled');
+  });
+
+  describe('with JOB_ENCRYPTION_KEY', () => {
+    beforeEach(() => {
+      process.env.JOB_ENCRYPTION_KEY = 'a'.repeat(64);
+    });
+
+    afterEach(() => {
+      delete process.env.JOB_ENCRYPTION_KEY;
+    });
+
+    it('should persist the ticket encrypted apart from the job and compact it away once the queue drains', async () => {
+      const { calls, handler } = controlledHandler();
+      const queue = createJobQueue({ handler, collection, ticketCollection });
+      const ticketFile = path.join(tmpDir, 'job-tickets.jsonl');
+
+      const job = queue.enqueue({ summary: 'Card 4111 1111 1111 1111 declined' });
+      expect(fs.readFileSync(ticketFile, 'utf8')).not.toContain('4111');
+      expect(ticketCollection.get(job.id)).toMatchObject({
+        iv: expect.any(String),
+        tag: expect.any(String),
+        data: expect.any(String)
+      });
+      expect(fs.readFileSync(path.join(tmpDir, 'jobs.jsonl'), 'utf8')).not.toMatch(/4111|"data"/);
+
+      calls[0].resolve({});
+      await queue.idle();
+      expect(ticketCollection.get(job.id)).toBeNull();
+      expect(fs.readFileSync(ticketFile, 'utf8')).toBe('');
+      // The jobs file itself is not rewritten
+      expect(fs.readFileSync(path.join(tmpDir, 'jobs.jsonl'), 'utf8').trim().split('\n').length).toBeGreaterThan(1);
+    });
+
+    it('should reject a key of the wrong length', () => {
+      process.env.JOB_ENCRYPTION_KEY = 'too-short';
+      const queue = createJobQueue({ handler: async () => ({}), collection, ticketCollection });
+
+      expect(() => queue.enqueue({ summary: 'x' })).toThrow('JOB_ENCRYPTION_KEY must be 32 bytes');
+    });
+
+    it('should resume queued and interrupted jobs after a restart', async () => {
+      const { handler } = controlledHandler();
+      const before = createJobQueue({ handler, concurrency: 1, collection, ticketCollection });
+      const interrupted = before.enqueue({ summary: 'interrupted' });
+      const waiting = before.enqueue({ summary: 'waiting' });
+
+      // A new process reads the same JSONL files
+      const reloaded = createCollection('jobs', { dataDir: tmpDir });
+      const seen = [];
+      const after = createJobQueue({
+        handler: async ticket => { seen.push(ticket.summary); return {}; },
+        concurrency: 1,
+        collection: reloaded,
+        ticketCollection: createCollection('job-tickets', { dataDir: tmpDir })
+      });
+      after.start();
+      await after.idle();
+
+      expect(seen).toEqual(['interrupted', 'waiting']);
+      expect(reloaded.get(interrupted.id).status).toBe('done');
+      expect(reloaded.get(waiting.id).status).toBe('done');
+    });
+  });
+
+  it('should fail jobs whose ticket was lost in a restart without an encryption key', async () => {
+    const { handler } = controlledHandler();
+    const before = createJobQueue({ handler, concurrency: 1, collection });
+    const interrupted = before.enqueue({ summary: 'interrupted' });
+    const waiting = before.enqueue({ summary: 'waiting' });
+
+    // A new process reads the same JSONL file
+    const reloaded = createCollection('jobs', { dataDir: tmpDir });
+    const seen = [];
+    const after = createJobQueue({
+      handler: async ticket => { seen.push(ticket.summary); return {}; },
+      concurrency: 1,
+      collection: reloaded
+    });
+    after.start();
+    await after.idle();
+
+    expect(seen).toEqual([]);
+    expect(reloaded.get(interrupted.id)).toMatchObject({
+      status: 'failed',
+      error: 'Ticket was not kept across the restart; submit it again'
+    });
+    expect(reloaded.get(waiting.id).status).toBe('failed');
+  });
+
+  it('should prune jobs that finished before the retention window', async () => {
+    process.env.JOB_RETENTION_MS = '60000';
+    try {
+      const { calls, handler } = controlledHandler();
+      const queue = createJobQueue({ handler, concurrency: 1, collection, ticketCollection });
+      const finished = queue.enqueue({ summary: 'finished' });
+      const queued = queue.enqueue({ summary: 'still queued' });
+      calls[0].resolve({});
+      await new Promise(resolve => setImmediate(resolve));
+
+      const later = new Date(Date.parse(queue.get(finished.id).finished_at) + 61000);
+      expect(queue.prune({ now: later })).toBe(1);
+      expect(queue.get(finished.id)).toBeNull();
+      expect(queue.get(queued.id)).not.toBeNull();
+      expect(fs.readFileSync(path.join(tmpDir, 'jobs.jsonl'), 'utf8')).not.toContain(finished.id);
+
+      calls[1].resolve({});
+      await queue.idle();
+    } finally {
+      delete process.env.JOB_RETENTION_MS;
+    }
+  });
+
+  it('should post the finished job to the callback URL', async () => {
+    const posts = [];
+    const queue = createJobQueue({
+      handler: async () => ({ decision: 'human_handoff' }),
+      post: async (url, body, options) => {
+        posts.push({ url, body, options });
+        return { status: 204 };
+      },
+      collection
+    });
+
+    const job = queue.enqueue({ summary: 'x' }, { callbackUrl: 'http://127.0.0.1:9/done' });
+    await queue.idle();
+
+    expect(posts).toHaveLength(1);
+    expect(posts[0].url).toBe('http://127.0.0.1:9/done');
+    expect(posts[0].body).toMatchObject({ id: job.id, status: 'done', result: { decision: 'human_handoff' } });
+    expect(posts[0].options.headers['X-VibeFI-Job-Id']).toBe(job.id);
+    expect(queue.get(job.id).callback).toMatchObject({ status: 204, error: null });
+  });
+
+  it('should refuse to post callbacks to addresses that are not public', async () => {
+    const queue = createJobQueue({ handler: async () => ({}), collection });
+
+    const job = queue.enqueue({ summary: 'x' }, { callbackUrl: 'http://169.254.169.254/latest/meta-data' });
+    await queue.idle();
+
+    expect(queue.get(job.id).callback).toMatchObject({
+      status: null,
+      error: 'callback_url must point to a public address, not 169.254.169.254'
+    });
+  });
+
+  it('should fail lookups of host names that resolve to loopback addresses', async () => {
+    const error = await new Promise(resolve => publicLookup('localhost', { all: true }, resolve));
+    expect(error.message).toMatch(/^localhost resolves to non-public address/);
+  });
+});
@@ -0,0 +1,45 @@
+const { detectLanguage, resolveResponseLanguage } = require('../src/language');
+
+describe('Language', () => {
+  afterEach(() => {
+    delete process.env.DEFAULT_RESPONSE_LANGUAGE;
+  });
+
+  describe('detectLanguage', () => {
+    it('should detect English, Spanish and French from common words and characters', () => {
+      expect(detectLanguage('My card was declined and the app is not working').language).toBe('en');
+      expect(detectLanguage('No puedo hacer una transferencia desde mi cuenta').language).toBe('es');
+      expect(detectLanguage("Je n'arrive pas à me connecter à mon compte depuis hier").language).toBe('fr');
+    });
+
+    it('should detect Hindi in Devanagari and romanized Hindi', () => {
+      const devanagari = detectLanguage('मेरे खाते से पैसे कट गए लेकिन UPI भुगतान विफल रहा');
+
+      expect(devanagari.language).toBe('hi');
+      expect(devanagari.confidence).toBeGreaterThan(0.8);
+      expect(detectLanguage('mera account block ho gaya hai, kya karna hai').language).toBe('hi');
+    });
+
+    it('should default to English with zero confidence without evidence', () => {
+      expect(detectLanguage('API 500')).toEqual({ language: 'en', confidence: 0 });
+      expect(detectLanguage('')).toEqual({ language: 'en', confidence: 0 });
+    });
+  });
+
+  describe('resolveResponseLanguage', () => {
+    it('should prefer the requested language, then the configured default', () => {
+      expect(resolveResponseLanguage('fr', 'es')).toBe('fr');
+      expect(resolveResponseLanguage(undefined, 'es')).toBe('en');
+
+      process.env.DEFAULT_RESPONSE_LANGUAGE = 'hi';
+      expect(resolveResponseLanguage(undefined, 'es')).toBe('hi');
+    });
+
+    it('should answer in the ticket language for auto', () => {
+      expect(resolveResponseLanguage('auto', 'es')).toBe('es');
+
+      process.env.DEFAULT_RESPONSE_LANGUAGE = 'auto';
+      expect(resolveResponseLanguage(undefined, 'fr')).toBe('fr');
+    });
+  });
+});
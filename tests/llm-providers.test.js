@@ -0,0 +1,160 @@
+const http = require('http');
+const {
+  createProvider,
+  getProviderConfig,
+  createLocalHttpProvider
+} = require('../src/llm-providers');
+const { analyzeTicketWithAI } = require('../src/ai-helper');
+
+describe('LLM Providers', () => {
+
+  describe('getProviderConfig', () => {
+    it('should default to OpenAI with the OPENAI_MODEL setting', () => {
+      const config = getProviderConfig({ OPENAI_API_KEY: 'k', OPENAI_MODEL: 'gpt-4o-mini' });
+
+      expect(config.name).toBe('openai');
+      expect(config.model).toBe('gpt-4o-mini');
+      expect(config.apiKey).toBe('k');
+    });
+
+    it('should let LLM_MODEL override the provider default', () => {
+      const config = getProviderConfig({ LLM_PROVIDER: 'local', LLM_MODEL: 'mistral' });
+
+      expect(config.name).toBe('local');
+      expect(config.model).toBe('mistral');
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should return null when the provider is disabled', () => {
+      expect(createProvider(getProviderConfig({ LLM_PROVIDER: 'none' }))).toBeNull();
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider(getProviderConfig({ LLM_PROVIDER: 'acme' })))
+        .toThrow('Unknown LLM provider');
+    });
+
+    it('should reject models outside the approved list', () => {
+      const config = getProviderConfig({
+        LLM_PROVIDER: 'local',
+        LLM_MODEL: 'unvetted-model',
+        LLM_ALLOWED_MODELS: 'llama3, mistral'
+      });
+
+      expect(() => createProvider(config)).toThrow('approved model list');
+    });
+
+    it('should treat OpenAI without a real key as unavailable', () => {
+      const provider = createProvider(getProviderConfig({ OPENAI_API_KEY: 'demo-key' }));
+
+      expect(provider.isAvailable()).toBe(false);
+    });
+
+    it('should return OpenAI completion content', async () => {
+      const provider = createProvider(getProviderConfig({ OPENAI_API_KEY: 'test-key' }));
+      const content = await provider.complete({ system: 'prompt', user: 'ticket' });
+
+      expect(JSON.parse(content).recommendation).toBe('ai_code_remediation');
+    });
+  });
+
+  describe('mock provider', () => {
+    it('should be deterministic for the same ticket', async () => {
+      const provider = createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' }));
+      const user = 'Channel: api\nSeverity: high\nSummary: API timeout error in database';
+
+      const first = await provider.complete({ system: 'prompt', user });
+      const second = await provider.complete({ system: 'prompt', user });
+
+      expect(first).toBe(second);
+      expect(JSON.parse(first).recommendation).toBe('ai_code_remediation');
+    });
+
+    it('should recommend troubleshooting for operational tickets', async () => {
+      const provider = createProvider(getProviderConfig({ LLM_PROVIDER: 'mock' }));
+      const content = await provider.complete({
+        system: 'prompt',
+        user: 'Channel: phone\nSeverity: low\nSummary: Customer needs help with account password'
+      });
+
+      expect(JSON.parse(content).recommendation).toBe('vibe_coded_troubleshooting');
+    });
+  });
+
+  describe('local HTTP provider', () => {
+    let server;
+    let baseUrl;
+    let lastRequest;
+
+    beforeAll(done => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            message: {
+              role: 'assistant',
+              content: JSON.stringify({
+                recommendation: 'vibe_coded_troubleshooting',
+                confidence: 0.7,
+                reasoning: 'On-prem model analysis',
+                technical_indicators: [],
+                operational_indicators: ['account']
+              })
+            }
+          }));
+        });
+      });
+      server.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    it('should post an Ollama-style chat request', async () => {
+      const provider = createLocalHttpProvider({
+        model: 'llama3',
+        baseUrl,
+        chatPath: '/api/chat',
+        apiKey: 'secret',
+        timeout: 2000
+      });
+
+      const content = await provider.complete({ system: 'sys', user: 'ticket text' });
+
+      expect(JSON.parse(content).reasoning).toBe('On-prem model analysis');
+      expect(lastRequest.url).toBe('/api/chat');
+      expect(lastRequest.headers.authorization).toBe('Bearer secret');
+      expect(lastRequest.body.model).toBe('llama3');
+      expect(lastRequest.body.messages[1].content).toBe('ticket text');
+    });
+
+    it('should record provider and model on the AI analysis', async () => {
+      const previous = { ...process.env };
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_BASE_URL = baseUrl;
+      process.env.LLM_MODEL = 'llama3';
+
+      try {
+        const analysis = await analyzeTicketWithAI({
+          channel: 'phone',
+          severity: 'low',
+          summary: 'Customer cannot see account balance'
+        });
+
+        expect(analysis.recommendation).toBe('vibe_coded_troubleshooting');
+        expect(analysis.provider).toBe('local');
+        expect(analysis.model).toBe('llama3');
+      } finally {
+        process.env = previous;
+      }
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  register,
+  recordClassification,
+  recordLlmCall,
+  recordAiFallback,
+  recordValidationFailure,
+  getMetrics
+} = require('../src/metrics');
+const { classifyTicket } = require('../src/classifier');
+const { analyzeTicketWithAI } = require('../src/ai-helper');
+const { getAnalysisCache } = require('../src/analysis-cache');
+
+describe('Metrics', () => {
+  const value = async (name, labels) => {
+    const metric = await register.getSingleMetric(name).get();
+    const match = metric.values.find(entry =>
+      Object.entries(labels).every(([key, expected]) => entry.labels[key] === expected));
+    return match ? match.value : 0;
+  };
+
+  beforeEach(() => {
+    register.resetMetrics();
+    getAnalysisCache().clear();
+  });
+
+  it('should count decisions by channel and severity and observe confidence', async () => {
+    recordClassification(
+      { channel: 'phone', severity: 'low' },
+      { decision: 'vibe_coded_troubleshooting', confidence: 0.72, metadata: { ai_analysis_used: false } },
+      12
+    );
+
+    expect(await value('vibefi_classification_decisions_total', {
+      decision: 'vibe_coded_troubleshooting',
+      channel: 'phone',
+      severity: 'low'
+    })).toBe(1);
+    expect(await value('vibefi_classification_confidence', {
+      decision: 'vibe_coded_troubleshooting',
+      le: 0.8
+    })).toBe(1);
+    expect(await value('vibefi_classification_confidence', {
+      decision: 'vibe_coded_troubleshooting',
+      le: 0.7
+    })).toBe(0);
+  });
+
+  it('should count LLM outcomes and fallbacks', async () => {
+    recordLlmCall({ provider: 'openai', model: 'gpt-4o', success: true, durationMs: 800 });
+    recordLlmCall({ provider: 'openai', model: 'gpt-4o', success: false, durationMs: 10000 });
+    recordAiFallback('failed');
+
+    expect(await value('vibefi_llm_requests_total', { outcome: 'success' })).toBe(1);
+    expect(await value('vibefi_llm_requests_total', { outcome: 'failure' })).toBe(1);
+    expect(await value('vibefi_ai_fallbacks_total', { reason: 'failed' })).toBe(1);
+  });
+
+  it('should count validation failures once per field', async () => {
+    recordValidationFailure('/classify', [
+      { path: ['channel'] },
+      { path: ['channel'] },
+      { path: [] }
+    ]);
+
+    expect(await value('vibefi_validation_failures_total', { route: '/classify', field: 'channel' })).toBe(1);
+    expect(await value('vibefi_validation_failures_total', { route: '/classify', field: 'body' })).toBe(1);
+  });
+
+  it('should be recorded inside classifyTicket and analyzeTicketWithAI', async () => {
+    const ticket = { channel: 'api', severity: 'high', summary: 'API timeout errors on the payments endpoint' };
+
+    await classifyTicket(ticket);
+    await classifyTicket(ticket, { useAI: false });
+    await analyzeTicketWithAI(ticket);
+
+    expect(await value('vibefi_classification_decisions_total', { channel: 'api', severity: 'high' })).toBe(2);
+    expect(await value('vibefi_llm_requests_total', { provider: 'mock', outcome: 'success' })).toBe(1);
+    expect(await value('vibefi_ai_analysis_cache_total', { result: 'cache' })).toBe(1);
+    expect(await value('vibefi_ai_fallbacks_total', { reason: 'disabled' })).toBe(1);
+  });
+
+  it('should count a fallback when no provider is configured', async () => {
+    const previous = process.env.LLM_PROVIDER;
+    process.env.LLM_PROVIDER = 'none';
+    try {
+      await classifyTicket({ channel: 'api', severity: 'high', summary: 'API timeout errors on the payments endpoint' });
+      expect(await value('vibefi_ai_fallbacks_total', { reason: 'unavailable' })).toBe(1);
+    } finally {
+      process.env.LLM_PROVIDER = previous;
+    }
+  });
+
+  it('should render the Prometheus text format', async () => {
+    recordAiFallback('disabled');
+    const { contentType, body } = await getMetrics();
+
+    expect(contentType).toMatch(/^text\/plain/);
+    expect(body).toContain('# TYPE vibefi_ai_fallbacks_total counter');
+    expect(body).toContain('vibefi_ai_fallbacks_total{reason="disabled"} 1');
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  extractFeatures,
+  trainModel,
+  predictProbabilities,
+  calculateModelScores,
+  loadModelFile,
+  saveModel,
+  initModel,
+  getActiveModel
+} = require('../src/model');
+
+describe('Classification model', () => {
+  const example = (summary, label, channel = 'api', severity = 'medium') => ({
+    ticket: { channel, severity, summary },
+    label
+  });
+  const examples = [
+    example('API timeout errors on the payments endpoint', 'ai_code_remediation'),
+    example('Server crash with a database exception', 'ai_code_remediation'),
+    example('Customer needs help resetting their password', 'vibe_coded_troubleshooting', 'phone', 'low'),
+    example('Customer asks how to update profile details', 'vibe_coded_troubleshooting', 'chat', 'low')
+  ];
+
+  describe('extractFeatures', () => {
+    it('should use stemmed tokens plus channel and severity', () => {
+      expect(extractFeatures({ channel: 'api', severity: 'high', summary: 'Timeouts on payments' }))
+        .toEqual(['timeout', 'on', 'payment', 'channel=api', 'severity=high']);
+    });
+
+    it('should mark negated words', () => {
+      expect(extractFeatures({ summary: 'no error shown' })).toContain('not_error');
+    });
+  });
+
+  describe('trainModel', () => {
+    it('should count documents and features per class', () => {
+      const model = trainModel(examples);
+
+      expect(model.type).toBe('multinomial_naive_bayes');
+      expect(model.examples).toBe(4);
+      expect(model.classes.ai_code_remediation.documents).toBe(2);
+      expect(model.classes.vibe_coded_troubleshooting.counts['channel=phone']).toBe(1);
+      expect(model.version).toMatch(/^nb-[0-9a-f]{8}$/);
+    });
+
+    it('should version identical training data identically', () => {
+      expect(trainModel(examples).version).toBe(trainModel(examples).version);
+      expect(trainModel(examples, { version: 'custom-1' }).version).toBe('custom-1');
+    });
+
+    it('should refuse an empty training set', () => {
+      expect(() => trainModel([])).toThrow('without labeled examples');
+    });
+  });
+
+  describe('predictProbabilities', () => {
+    const model = trainModel(examples);
+
+    it('should favour the class whose vocabulary matches', () => {
+      const probabilities = predictProbabilities(model, {
+        channel: 'api',
+        severity: 'high',
+        summary: 'Database timeout on the API'
+      });
+
+      expect(probabilities.ai_code_remediation).toBeGreaterThan(0.5);
+      expect(probabilities.ai_code_remediation + probabilities.vibe_coded_troubleshooting).toBeCloseTo(1);
+    });
+
+    it('should fall back to class priors for unseen words', () => {
+      const probabilities = predictProbabilities(model, { summary: 'Completely unrelated words' });
+      expect(probabilities.ai_code_remediation).toBeCloseTo(0.5);
+    });
+
+    it('should score classes the model was not trained on as zero', () => {
+      const scores = calculateModelScores(model, { summary: 'Password help' }, [
+        'ai_code_remediation',
+        'vibe_coded_troubleshooting',
+        'security_escalation'
+      ]);
+      expect(scores.security_escalation).toBe(0);
+      expect(scores.vibe_coded_troubleshooting).toBeGreaterThan(scores.ai_code_remediation);
+    });
+  });
+
+  describe('model files', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-model-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      initModel();
+    });
+
+    it('should round-trip a model through a file', () => {
+      const file = path.join(tmpDir, 'nested', 'model.json');
+      const model = trainModel(examples);
+      saveModel(model, file);
+
+      expect(loadModelFile(file)).toEqual(model);
+    });
+
+    it('should reject files that are not models', () => {
+      const file = path.join(tmpDir, 'other.json');
+      fs.writeFileSync(file, JSON.stringify({ version: '1' }));
+
+      expect(() => loadModelFile(file)).toThrow('is not a multinomial_naive_bayes model file');
+    });
+
+    it('should load the active model and carry on without one', () => {
+      const file = path.join(tmpDir, 'model.json');
+      saveModel(trainModel(examples, { version: 'test-model' }), file);
+
+      expect(initModel({ file }).version).toBe('test-model');
+      expect(getActiveModel().version).toBe('test-model');
+
+      expect(initModel({ file: path.join(tmpDir, 'missing.json') })).toBeNull();
+      expect(initModel({ file: 'none' })).toBeNull();
+      expect(getActiveModel()).toBeNull();
+    });
+
+    it('should load the bundled model by default', () => {
+      expect(initModel().type).toBe('multinomial_naive_bayes');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlaybooks, getPlaybooks, buildPlaybookActions, interpolate } = require('../src/playbooks');
+
+describe('Playbooks', () => {
+  const facts = {
+    decision: 'vibe_coded_troubleshooting',
+    channel: 'email',
+    severity: 'medium',
+    priority: undefined,
+    tier: 'standard',
+    tags: [],
+    keywords: []
+  };
+  const playbook = (id, match, steps) => ({
+    id,
+    owner_role: 'support_agent',
+    match,
+    source: 'test',
+    steps: steps.map((step, index) => ({ owner_role: 'support_agent', mandatory: false, order: (index + 1) * 10, translations: {}, ...step }))
+  });
+
+  describe('interpolate', () => {
+    it('should fill variables and use fallbacks for missing values', () => {
+      expect(interpolate('Quote {{ticket_id|the case reference}} on {{ channel }}', { ticket_id: 'TKT-1', channel: 'email' }))
+        .toBe('Quote TKT-1 on email');
+      expect(interpolate('Quote {{ticket_id|the case reference}} now', {})).toBe('Quote the case reference now');
+      expect(interpolate('Indicators: {{indicators}}', { indicators: '' })).toBe('Indicators:');
+    });
+  });
+
+  describe('buildPlaybookActions', () => {
+    const playbooks = [
+      playbook('troubleshooting', { decision: ['vibe_coded_troubleshooting'] }, [
+        { id: 'review', description: 'Review account {{customer_id|details}}', mandatory: true },
+        { id: 'vulnerable', description: 'Assign a specialist', owner_role: 'team_lead', when: { tags: ['vulnerable'] } },
+        { id: 'card', description: 'Reissue the card', when: { keywords: ['card'], channel: ['branch', 'email'] } },
+        { id: 'close', description: 'Close the ticket' }
+      ]),
+      playbook('critical', { severity: ['critical'] }, [
+        { id: 'escalate', description: 'Escalate now', order: 0, mandatory: true, translations: { fr: 'Escalader maintenant' } }
+      ])
+    ];
+
+    it('should combine matching playbooks and order their steps', () => {
+      const { playbooks: applied, actions } = buildPlaybookActions(
+        { ...facts, severity: 'critical' },
+        { playbooks, variables: { customer_id: 'CUST-7' } }
+      );
+
+      expect(applied).toEqual(['troubleshooting', 'critical']);
+      expect(actions).toEqual([
+        { step_id: 'critical.escalate', description: 'Escalate now', owner_role: 'support_agent', mandatory: true },
+        { step_id: 'troubleshooting.review', description: 'Review account CUST-7', owner_role: 'support_agent', mandatory: true },
+        { step_id: 'troubleshooting.close', description: 'Close the ticket', owner_role: 'support_agent', mandatory: false }
+      ]);
+    });
+
+    it('should include conditional steps only when tags and keywords match', () => {
+      const stepIds = extra => buildPlaybookActions({ ...facts, ...extra }, { playbooks }).actions.map(action => action.step_id);
+
+      expect(stepIds({ tags: ['vulnerable', 'vip'] })).toContain('troubleshooting.vulnerable');
+      expect(stepIds({ keywords: ['card', 'blocked'] })).toContain('troubleshooting.card');
+      expect(stepIds({ keywords: ['card'], channel: 'phone' })).not.toContain('troubleshooting.card');
+      expect(stepIds({})).toEqual(['troubleshooting.review', 'troubleshooting.close']);
+    });
+
+    it('should translate step descriptions and fall back to English', () => {
+      const { actions } = buildPlaybookActions({ ...facts, severity: 'critical' }, { playbooks, language: 'fr' });
+
+      expect(actions[0].description).toBe('Escalader maintenant');
+      expect(actions[1].description).toBe('Review account details');
+    });
+
+    it('should fall back to the rule set actions when no playbook covers the decision', () => {
+      const { playbooks: applied, actions } = buildPlaybookActions(
+        { ...facts, decision: 'card_services', severity: 'critical' },
+        { playbooks, fallbackActions: ['Check the card status', 'Order a replacement card'] }
+      );
+
+      expect(applied).toEqual(['rules-card_services', 'critical']);
+      expect(actions.map(action => action.step_id)).toEqual([
+        'critical.escalate',
+        'rules-card_services.action-1',
+        'rules-card_services.action-2'
+      ]);
+    });
+  });
+
+  describe('loadPlaybooks', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-playbooks-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load YAML and JSON playbooks with defaults', () => {
+      fs.writeFileSync(path.join(tmpDir, 'b.yaml'), [
+        'id: cards',
+        'owner_role: card_ops',
+        'match:',
+        '  decision: card_services',
+        'steps:',
+        '  - id: block',
+        '    description: Block the card',
+        '    mandatory: true',
+        '  - id: reissue',
+        '    description: Reissue the card',
+        '    owner_role: branch_staff'
+      ].join('\n'));
+      fs.writeFileSync(path.join(tmpDir, 'a.json'), JSON.stringify({
+        id: 'all', steps: [{ id: 'note', description: 'Add an internal note', order: 5 }]
+      }));
+      fs.writeFileSync(path.join(tmpDir, 'README.md'), '# not a playbook');
+
+      const [all, cards] = loadPlaybooks(tmpDir);
+
+      expect(all).toMatchObject({ id: 'all', owner_role: 'support_agent', match: {} });
+      expect(cards.match).toEqual({ decision: ['card_services'] });
+      expect(cards.steps.map(step => [step.id, step.owner_role, step.mandatory, step.order])).toEqual([
+        ['block', 'card_ops', true, 10],
+        ['reissue', 'branch_staff', false, 20]
+      ]);
+    });
+
+    it('should reject unknown variables, duplicate steps and duplicate playbooks', () => {
+      const write = (file, data) => fs.writeFileSync(path.join(tmpDir, file), JSON.stringify(data));
+
+      write('a.json', { id: 'a', steps: [{ id: 'one', description: 'Call {{account_number}}' }] });
+      expect(() => loadPlaybooks(tmpDir)).toThrow('Unknown variable "account_number"');
+
+      write('a.json', { id: 'a', steps: [{ id: 'one', description: 'First step' }, { id: 'one', description: 'Again step' }] });
+      expect(() => loadPlaybooks(tmpDir)).toThrow('Step IDs must be unique within a playbook');
+
+      write('a.json', { id: 'a', steps: [{ id: 'one', description: 'First step' }] });
+      write('b.json', { id: 'a', steps: [{ id: 'one', description: 'First step' }] });
+      expect(() => loadPlaybooks(tmpDir)).toThrow('duplicate playbook ID "a"');
+    });
+
+    it('should cover every class of the default rule set', () => {
+      const decisions = getPlaybooks().flatMap(loaded => loaded.match.decision || []);
+      const { classes } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'rules.json'), 'utf8'));
+
+      expect(decisions.sort()).toEqual(Object.keys(classes).sort());
+    });
+  });
+});
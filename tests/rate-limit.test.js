@@ -0,0 +1,45 @@
+const { createLimiter } = require('../src/rate-limit');
+
+describe('Rate limiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 60000 * 10;
+    limiter = createLimiter({ now: () => now });
+  });
+
+  it('should allow requests up to the limit within a window', () => {
+    const options = { limit: 2, windowMs: 60000 };
+
+    expect(limiter.consume('a', options)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.consume('a', options)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.consume('a', options)).toMatchObject({ allowed: false, remaining: 0, retryAfter: 60 });
+  });
+
+  it('should reset at the next window boundary', () => {
+    const options = { limit: 1, windowMs: 60000 };
+    limiter.consume('a', options);
+
+    now += 45000;
+    expect(limiter.consume('a', options)).toMatchObject({ allowed: false, retryAfter: 15 });
+
+    now += 15000;
+    expect(limiter.consume('a', options).allowed).toBe(true);
+  });
+
+  it('should keep separate counters per key', () => {
+    const options = { limit: 1, windowMs: 60000 };
+    limiter.consume('a', options);
+
+    expect(limiter.consume('b', options).allowed).toBe(true);
+  });
+
+  it('should not consume anything when a cost would exceed the limit', () => {
+    const options = { limit: 5, windowMs: 60000 };
+    limiter.consume('a', { ...options, cost: 3 });
+
+    expect(limiter.consume('a', { ...options, cost: 3 }).allowed).toBe(false);
+    expect(limiter.consume('a', { ...options, cost: 2 })).toMatchObject({ allowed: true, remaining: 0 });
+  });
+});
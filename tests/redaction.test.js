@@ -0,0 +1,142 @@
+const http = require('http');
+const {
+  createRedactionSession,
+  redactText,
+  storeRedaction,
+  restoreRedacted,
+  passesLuhn,
+  isValidIban
+} = require('../src/redaction');
+const logger = require('../src/logger');
+const { classifyTicket } = require('../src/classifier');
+
+describe('PII Redaction', () => {
+
+  describe('validators', () => {
+    it('should apply the Luhn check to card numbers', () => {
+      expect(passesLuhn('4111111111111111')).toBe(true);
+      expect(passesLuhn('4111111111111112')).toBe(false);
+    });
+
+    it('should apply the mod-97 check to IBANs', () => {
+      expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+      expect(isValidIban('GB00 WEST 1234 5698 7654 32')).toBe(false);
+    });
+  });
+
+  describe('createRedactionSession', () => {
+    it('should mask each PII type with a numbered token', () => {
+      const session = createRedactionSession();
+      const text = session.redact(
+        'Card 4111 1111 1111 1111 failed. Email jane.doe@example.com or call +44 20 7946 0958. ' +
+        'IBAN GB82 WEST 1234 5698 7654 32, sort code 12-34-56, account number 87654321, SSN 123-45-6789'
+      );
+
+      expect(text).toBe(
+        'Card [CARD_1] failed. Email [EMAIL_1] or call [PHONE_1]. ' +
+        'IBAN [IBAN_1], sort code [SORT_CODE_1], account number [ACCOUNT_1], SSN [NATIONAL_ID_1]'
+      );
+      expect(session.piiTypes.sort()).toEqual(
+        ['account_number', 'card', 'email', 'iban', 'national_id', 'phone', 'sort_code']
+      );
+    });
+
+    it('should leave numbers that fail validation alone', () => {
+      expect(redactText('Reference 4111111111111112 and error 500 at 2023-10-23T14:30:00Z'))
+        .toBe('Reference 4111111111111112 and error 500 at 2023-10-23T14:30:00Z');
+    });
+
+    it('should reuse tokens for repeated values and restore the original text', () => {
+      const session = createRedactionSession();
+      const original = 'Card 4111111111111111 charged twice on 4111111111111111';
+      const redacted = session.redact(original);
+
+      expect(redacted).toBe('Card [CARD_1] charged twice on [CARD_1]');
+      expect(session.restore(redacted)).toBe(original);
+    });
+  });
+
+  describe('vault', () => {
+    it('should resolve placeholders for stored sessions only', () => {
+      const session = createRedactionSession();
+      session.redact('Contact jane.doe@example.com');
+
+      const redactionId = storeRedaction(session);
+
+      expect(restoreRedacted('Email [EMAIL_1] about it', redactionId)).toBe('Email jane.doe@example.com about it');
+      expect(restoreRedacted('[EMAIL_1]', 'unknown-id')).toBeNull();
+      expect(storeRedaction(createRedactionSession())).toBeNull();
+    });
+  });
+
+  describe('logging', () => {
+    it('should mask PII in log messages and metadata', () => {
+      const info = logger.format.transform({
+        level: 'info',
+        message: 'Lookup for jane.doe@example.com',
+        ticket: { summary: 'Card 4111 1111 1111 1111 blocked' }
+      });
+
+      expect(info.message).toBe('Lookup for [EMAIL_1]');
+      expect(info.ticket.summary).toBe('Card [CARD_1] blocked');
+    });
+  });
+
+  describe('classification', () => {
+    let server;
+    let baseUrl;
+    let sentPrompts;
+    const previousEnv = { ...process.env };
+
+    beforeAll(done => {
+      sentPrompts = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          sentPrompts.push(JSON.parse(body).messages[1].content);
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            message: {
+              content: JSON.stringify({
+                recommendation: 'vibe_coded_troubleshooting',
+                confidence: 0.8,
+                reasoning: 'Card [CARD_1] is blocked for the customer'
+              })
+            }
+          }));
+        });
+      });
+      server.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      process.env = previousEnv;
+      server.close(done);
+    });
+
+    it('should only send redacted text to the LLM and report PII types', async () => {
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_BASE_URL = baseUrl;
+
+      const result = await classifyTicket({
+        channel: 'phone',
+        severity: 'medium',
+        summary: 'Card 4111 1111 1111 1111 blocked, customer email jane.doe@example.com'
+      });
+
+      expect(sentPrompts).toHaveLength(1);
+      expect(sentPrompts[0]).not.toContain('4111');
+      expect(sentPrompts[0]).not.toContain('jane.doe');
+      expect(sentPrompts[0]).toContain('[CARD_1]');
+
+      expect(result.reasoning).toContain('[CARD_1]');
+      expect(result.metadata.pii_detected.sort()).toEqual(['card', 'email']);
+      expect(restoreRedacted(result.reasoning, result.metadata.redaction_id))
+        .toContain('4111 1111 1111 1111');
+    });
+  });
+});
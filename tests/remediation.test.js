@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getServiceCatalog,
+  loadServiceCatalog,
+  buildRemediationBrief,
+  extractErrorCodes,
+  DEFAULT_SERVICE_CATALOG_FILE
+} = require('../src/remediation');
+
+describe('Remediation briefs', () => {
+  describe('extractErrorCodes', () => {
+    it('should find HTTP statuses and error codes but skip PII placeholders', () => {
+      expect(extractErrorCodes('HTTP 504 then ERR_CONNECTION_RESET for [CARD_1], UPI-U30 and 504 again'))
+        .toEqual(['504', 'ERR_CONNECTION_RESET', 'UPI-U30']);
+      expect(extractErrorCodes('The app is slow')).toEqual([]);
+    });
+  });
+
+  describe('buildRemediationBrief', () => {
+    const ticket = {
+      ticket_id: 'TKT-77',
+      channel: 'api',
+      severity: 'high',
+      tags: ['payments'],
+      summary: 'UPI payments time out with HTTP 504 from the payments API since the deployment'
+    };
+
+    it('should rank hypotheses of the suspected components by evidence', () => {
+      const brief = buildRemediationBrief(ticket, { indicators: ['api', 'timeout', 'deployment'] });
+
+      expect(brief.suspected_components[0]).toEqual({
+        id: 'payments-api',
+        name: 'Payments API',
+        score: 6.5,
+        evidence: [
+          { type: 'keyword', value: 'payment' },
+          { type: 'keyword', value: 'upi' },
+          { type: 'channel', value: 'api' },
+          { type: 'tag', value: 'payments' },
+          { type: 'keyword', value: 'timeout' },
+          { type: 'keyword', value: '504' },
+          { type: 'keyword', value: 'deployment' }
+        ],
+        repo: 'https://github.com/vibefi/payments-api',
+        team: 'payments-platform',
+        runbook: 'https://runbooks.vibefi.example/payments-api'
+      });
+      expect(brief.hypotheses.map(hypothesis => [hypothesis.rank, hypothesis.id, hypothesis.score])).toEqual([
+        [1, 'payments-api.upstream-timeout', 6.5],
+        [2, 'payments-api.validation-change', 5.5],
+        [3, 'payments-api.duplicate-retries', 4.5],
+        [4, 'core-ledger.connection-pool', 1],
+        [5, 'auth-service.token-refresh', 0.5]
+      ]);
+    });
+
+    it('should list the data to collect and a reproduction checklist', () => {
+      const brief = buildRemediationBrief(ticket, { indicators: ['api', 'timeout'] });
+
+      expect(brief.observed_error_codes).toEqual(['504']);
+      expect(brief.data_to_collect.error_codes.slice(0, 2)).toEqual(['504', 'Error codes or messages shown to the customer']);
+      expect(brief.data_to_collect.logs).toContain('payments-api request logs for the failing calls');
+      expect(brief.data_to_collect.traces).toContain('Distributed traces of failed payment requests');
+      expect(brief.reproduction.slice(0, 3)).toEqual([
+        { description: 'Confirm the failure on api with a test account', component: null },
+        {
+          description: 'Record the exact time, client version and steps that trigger it (indicators: api, timeout)',
+          component: null
+        },
+        { description: 'Replay the failing request against the sandbox payments API', component: 'payments-api' }
+      ]);
+    });
+
+    it('should fall back to the catalog defaults when nothing points at a component', () => {
+      const brief = buildRemediationBrief({ channel: 'email', severity: 'low', summary: 'Something is wrong' });
+
+      expect(brief.suspected_components).toEqual([]);
+      expect(brief.hypotheses).toEqual([]);
+      expect(brief.data_to_collect.logs).toEqual(getServiceCatalog().defaults.collect.logs);
+      expect(brief.reproduction[1].description).toContain('(indicators: none)');
+    });
+
+    it('should honour negation and the catalog limits', () => {
+      const catalog = { ...getServiceCatalog(), max_components: 1, max_hypotheses: 2 };
+      const brief = buildRemediationBrief({
+        channel: 'mobile_app',
+        severity: 'high',
+        summary: 'The app crashes after the update, no payment involved'
+      }, { catalog });
+
+      expect(brief.suspected_components.map(component => component.id)).toEqual(['mobile-banking-app']);
+      expect(brief.hypotheses.map(hypothesis => hypothesis.id)).toEqual([
+        'mobile-banking-app.release-regression',
+        'mobile-banking-app.biometric-login'
+      ]);
+    });
+  });
+
+  describe('loadServiceCatalog', () => {
+    let tmpDir;
+    const base = JSON.parse(fs.readFileSync(DEFAULT_SERVICE_CATALOG_FILE, 'utf8'));
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-catalog-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should reject components without a repo, team or runbook link', () => {
+      const file = path.join(tmpDir, 'catalog.json');
+      const [component] = base.components;
+      fs.writeFileSync(file, JSON.stringify({
+        ...base,
+        components: [{ ...component, repo: 'not a url', team: undefined }]
+      }));
+
+      expect(() => loadServiceCatalog(file)).toThrow(/"components\[0\]\.repo" must be a valid uri.*"components\[0\]\.team" is required/);
+    });
+  });
+});
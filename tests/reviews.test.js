@@ -0,0 +1,130 @@
+const {
+  getReviewThresholds,
+  assessReview,
+  createReview,
+  getReview,
+  listReviews,
+  resolveReview
+} = require('../src/reviews');
+const { saveClassification, getClassification } = require('../src/store');
+
+describe('Human review', () => {
+  const review = {
+    reasons: ['low_margin'],
+    margin: 0.03,
+    candidates: [
+      { decision: 'ai_code_remediation', score: 0.32, confidence: 0.47 },
+      { decision: 'human_handoff', score: 0.29, confidence: 0.33 }
+    ]
+  };
+
+  const queue = (tenantId, input = {}) => {
+    const result = {
+      decision: 'ai_code_remediation',
+      status: 'needs_human_review',
+      confidence: 0.47,
+      reasoning: 'Stored for review tests',
+      review,
+      metadata: { model_version: '1.0.0' }
+    };
+    const classification = saveClassification(
+      { ticket_id: `TKT-${Math.random()}`, channel: 'chat', severity: 'medium', summary: 'Upset customer', ...input },
+      result,
+      { tenantId }
+    );
+    return createReview(classification, result);
+  };
+
+  afterEach(() => {
+    delete process.env.REVIEW_MIN_MARGIN;
+    delete process.env.REVIEW_MIN_SCORE;
+  });
+
+  describe('assessReview', () => {
+    const ranked = (top, runnerUp, probability) => [
+      { decision: 'a', score: top, probability },
+      { decision: 'b', score: runnerUp, probability: 1 - probability }
+    ];
+
+    it('should let clear-cut rankings through', () => {
+      expect(assessReview(ranked(0.8, 0.2, 0.99))).toEqual({ status: 'classified', review: null });
+    });
+
+    it('should flag near-ties, weak evidence and low confidence with both candidates', () => {
+      expect(assessReview(ranked(0.25, 0.2, 0.6))).toEqual({
+        status: 'needs_human_review',
+        review: {
+          reasons: ['low_margin', 'low_evidence'],
+          margin: 0.05,
+          candidates: [
+            { decision: 'a', score: 0.25, confidence: 0.6 },
+            { decision: 'b', score: 0.2, confidence: 0.4 }
+          ]
+        }
+      });
+      expect(assessReview(ranked(0.8, 0.5, 0.45)).review.reasons).toEqual(['low_confidence']);
+    });
+  });
+
+  describe('getReviewThresholds', () => {
+    it('should read the environment and apply overrides, with 0 turning a check off', () => {
+      process.env.REVIEW_MIN_MARGIN = '0.2';
+      process.env.REVIEW_MIN_SCORE = '0';
+
+      expect(getReviewThresholds({ min_confidence: 0.7 })).toEqual({
+        min_margin: 0.2,
+        min_score: 0,
+        min_confidence: 0.7
+      });
+    });
+  });
+
+  describe('review queue', () => {
+    it('should list pending reviews of a tenant oldest first', () => {
+      const first = queue('review-list', { channel: 'email' });
+      const second = queue('review-list');
+      queue('review-other');
+
+      const { total, items } = listReviews({ tenantId: 'review-list' });
+
+      expect(total).toBe(2);
+      expect(items.map(item => item.id)).toEqual([first.id, second.id]);
+      expect(items[0]).toMatchObject({ status: 'pending', channel: 'email', reasons: ['low_margin'] });
+      expect(items[0].candidates).toHaveLength(2);
+      expect(listReviews({ tenantId: 'review-list', channel: 'chat' }).total).toBe(1);
+      expect(getReview(first.id, { tenantId: 'review-other' })).toBeNull();
+    });
+
+    it('should store an overturning resolution as the classification label', () => {
+      const item = queue('review-resolve');
+
+      const { review: resolved } = resolveReview(item.id, {
+        decision: 'human_handoff',
+        agent_id: 'agent-3',
+        notes: 'Customer asked for a person'
+      }, { tenantId: 'review-resolve' });
+
+      expect(resolved.status).toBe('resolved');
+      expect(resolved.resolution).toMatchObject({ decision: 'human_handoff', agent_id: 'agent-3' });
+      expect(getClassification(item.classification_id).label).toMatchObject({
+        decision: 'human_handoff',
+        source: 'review',
+        feedback_id: resolved.resolution.feedback_id
+      });
+      expect(listReviews({ tenantId: 'review-resolve' }).total).toBe(0);
+      expect(listReviews({ tenantId: 'review-resolve', status: 'resolved' }).total).toBe(1);
+    });
+
+    it('should reject unknown reviews and decisions and repeated resolutions', () => {
+      const item = queue('review-errors');
+
+      expect(resolveReview('missing', { decision: 'human_handoff' }).error.status).toBe(404);
+      expect(resolveReview(item.id, { decision: 'human_handoff' }, { tenantId: 'other' }).error.status).toBe(404);
+      expect(resolveReview(item.id, { decision: 'not_a_class' }).error.status).toBe(400);
+      expect(getReview(item.id).status).toBe('pending');
+
+      expect(resolveReview(item.id, { decision: 'ai_code_remediation' }).review.status).toBe('resolved');
+      expect(resolveReview(item.id, { decision: 'human_handoff' }).error.status).toBe(409);
+    });
+  });
+});
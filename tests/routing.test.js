@@ -0,0 +1,320 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRoutingConfig,
+  loadRoutingFile,
+  routeTicket,
+  onCallMember,
+  computeTeamLoad,
+  getTeamLoad,
+  recordAssignment,
+  closeAssignment,
+  listTeamLoad,
+  DEFAULT_TEAMS_FILE
+} = require('../src/routing');
+const { saveClassification } = require('../src/store');
+
+describe('Routing', () => {
+  // Rotations start Monday 5 January 2026, 09:30 IST; on the 6th the first member of each is on call
+  const now = new Date('2026-01-06T00:00:00Z');
+  const team = id => getRoutingConfig().teams.find(candidate => candidate.id === id);
+  const loadOf = counts => new Map(Object.entries(counts).map(([teamId, members]) => [teamId, new Map(Object.entries(members))]));
+
+  const paymentsTicket = {
+    ticket_id: 'RT-1',
+    channel: 'api',
+    severity: 'high',
+    tags: ['payments'],
+    summary: 'UPI payment API returns 504 timeouts'
+  };
+
+  describe('onCallMember', () => {
+    it('should advance the rotation one member per shift', () => {
+      expect(onCallMember(team('payments-platform'), now)).toMatchObject({
+        id: 'divya.nair',
+        until: '2026-01-12T04:00:00.000Z',
+        source: 'rotation'
+      });
+      expect(onCallMember(team('payments-platform'), new Date('2026-01-13T00:00:00Z')).id).toBe('sameer.joshi');
+      expect(onCallMember(team('payments-platform'), new Date('2026-01-27T00:00:00Z')).id).toBe('divya.nair');
+      // Before the rotation starts it runs backwards
+      expect(onCallMember(team('payments-platform'), new Date('2026-01-01T00:00:00Z')).id).toBe('karan.shah');
+    });
+
+    it('should let overrides take over a shift', () => {
+      const covered = {
+        ...team('payments-platform'),
+        on_call: {
+          ...team('payments-platform').on_call,
+          overrides: [{ member: 'karan.shah', from: new Date('2026-01-05T12:00:00Z'), to: new Date('2026-01-07T12:00:00Z') }]
+        }
+      };
+
+      expect(onCallMember(covered, now)).toMatchObject({
+        id: 'karan.shah',
+        until: '2026-01-07T12:00:00.000Z',
+        source: 'override'
+      });
+      expect(onCallMember(covered, new Date('2026-01-08T00:00:00Z')).id).toBe('divya.nair');
+    });
+  });
+
+  describe('routeTicket', () => {
+    it('should route to the team whose skills fit best and explain why', () => {
+      const assignment = routeTicket(paymentsTicket, { decision: 'ai_code_remediation' }, { now, load: new Map() });
+
+      expect(assignment).toMatchObject({
+        team: { id: 'payments-platform', name: 'Payments Platform' },
+        assignee: { id: 'divya.nair', name: 'Divya Nair' },
+        on_call: { id: 'divya.nair', until: '2026-01-12T04:00:00.000Z' },
+        escalated: false,
+        escalation: null,
+        load: { team_open: 0, assignee_open: 0 },
+        routing_version: '1.0.0',
+        assigned_at: now.toISOString()
+      });
+      expect(assignment.reasons).toEqual([
+        'Payments Platform matched decision ai_code_remediation, channel api, product payments, keyword payment, keyword upi (score 8)',
+        'Divya Nair has the fewest open tickets in Payments Platform (0 of 4) and is on call'
+      ]);
+    });
+
+    it('should only consider teams that handle the decision', () => {
+      const assignment = routeTicket({
+        channel: 'phone',
+        severity: 'medium',
+        tags: ['cards'],
+        summary: 'My debit card was declined and the PIN is blocked'
+      }, { decision: 'vibe_coded_troubleshooting' }, { now, load: new Map() });
+
+      expect(assignment.team.id).toBe('card-services');
+
+      const security = routeTicket({ ...paymentsTicket, summary: 'Unauthorized UPI payment after a phishing call' },
+        { decision: 'security_escalation' }, { now, load: new Map() });
+      expect(security.team.id).toBe('security-ops');
+    });
+
+    it('should favour the team owning the suspected component of a remediation brief', () => {
+      const assignment = routeTicket({
+        channel: 'email',
+        severity: 'medium',
+        summary: 'Customers see an error screen since yesterday'
+      }, {
+        decision: 'ai_code_remediation',
+        remediation_brief: { suspected_components: [{ id: 'auth-service', team: 'identity' }] }
+      }, { now, load: new Map() });
+
+      expect(assignment.team.id).toBe('identity');
+      expect(assignment.reasons[0]).toContain('suspected component');
+    });
+
+    it('should fall back to the default team when no team handles the decision', () => {
+      const assignment = routeTicket({ channel: 'email', severity: 'low', summary: 'General question about fees' },
+        { decision: 'fee_dispute' }, { now, load: new Map() });
+
+      expect(assignment.team.id).toBe('support-desk');
+      expect(assignment.reasons[0]).toBe('No team\'s skills matched; routed to the default team Customer Support Desk');
+    });
+
+    it('should pick the least-loaded member below capacity, ties going to the on-call member first', () => {
+      const assignment = routeTicket(paymentsTicket, { decision: 'ai_code_remediation' }, {
+        now,
+        load: loadOf({ 'payments-platform': { 'divya.nair': 2, 'sameer.joshi': 1, 'karan.shah': 1 } })
+      });
+
+      expect(assignment.assignee.id).toBe('sameer.joshi');
+      expect(assignment.load).toEqual({ team_open: 4, assignee_open: 1 });
+      expect(assignment.reasons[1]).toBe('Sameer Joshi has the fewest open tickets in Payments Platform (1 of 4)');
+
+      const full = routeTicket(paymentsTicket, { decision: 'ai_code_remediation' }, {
+        now,
+        load: loadOf({ 'payments-platform': { 'divya.nair': 5, 'sameer.joshi': 4, 'karan.shah': 4 } })
+      });
+      expect(full.assignee.id).toBe('divya.nair');
+      expect(full.reasons[1]).toContain('assigned to Divya Nair, on call');
+    });
+
+    it('should assign critical tickets to the on-call member whatever their load and list who to notify', () => {
+      const assignment = routeTicket({ ...paymentsTicket, severity: 'critical' }, { decision: 'ai_code_remediation' }, {
+        now,
+        load: loadOf({ 'payments-platform': { 'divya.nair': 4 } })
+      });
+
+      expect(assignment).toMatchObject({
+        team: { id: 'payments-platform' },
+        assignee: { id: 'divya.nair' },
+        escalated: true,
+        escalation: {
+          rule: 'critical',
+          notify: [
+            { team: 'payments-platform', id: 'karan.shah', name: 'Karan Shah', role: 'lead' },
+            { team: 'incident-command', id: 'elena.dsouza', name: 'Elena D\'Souza', role: 'on_call' }
+          ]
+        }
+      });
+      expect(assignment.reasons[1]).toBe('Escalation rule critical matched; assigned to Divya Nair, on call, regardless of load');
+    });
+
+    it('should move critical tickets to the escalation rule\'s team', () => {
+      const assignment = routeTicket({
+        channel: 'chat',
+        severity: 'critical',
+        summary: 'Someone took over my account after a SIM swap'
+      }, { decision: 'security_escalation' }, { now, load: new Map() });
+
+      expect(assignment.team.id).toBe('security-ops');
+      expect(assignment.assignee.id).toBe('nikhil.bhat');
+      expect(assignment.escalation.rule).toBe('critical-security');
+    });
+  });
+
+  describe('team load', () => {
+    const assign = (ticketId, teamId, memberId) => {
+      const record = saveClassification(
+        { ticket_id: ticketId, channel: 'api', severity: 'high', summary: 'Payments API errors' },
+        {
+          decision: 'ai_code_remediation',
+          sla: {
+            policy: 'standard',
+            calendar: '24x7',
+            first_response: { target_minutes: 60, due_at: '2026-01-06T01:00:00.000Z' },
+            resolution: { target_minutes: 480, due_at: '2026-01-06T08:00:00.000Z' }
+          },
+          assignment: { team: { id: teamId }, assignee: { id: memberId } }
+        }
+      );
+      recordAssignment(record);
+      return record;
+    };
+
+    it('should count open assignments once per ticket until they are closed', () => {
+      assign('LOAD-1', 'payments-platform', 'divya.nair');
+      assign('LOAD-2', 'payments-platform', 'divya.nair');
+      // Reclassified: only the newest assignment counts
+      assign('LOAD-2', 'payments-platform', 'sameer.joshi');
+      const resolved = assign('LOAD-3', 'identity', 'tariq.ali');
+      closeAssignment(resolved.id);
+
+      const load = getTeamLoad();
+      expect(load.get('payments-platform')).toEqual(new Map([['divya.nair', 1], ['sameer.joshi', 1]]));
+      expect(load.has('identity')).toBe(false);
+      // The running counts match a recount from the store
+      expect(computeTeamLoad()).toEqual(load);
+
+      const payments = listTeamLoad({ now }).teams.find(entry => entry.id === 'payments-platform');
+      expect(payments).toMatchObject({
+        open: 2,
+        capacity: 12,
+        utilization: 0.17,
+        on_call: { id: 'divya.nair', name: 'Divya Nair' }
+      });
+      expect(payments.members[1]).toEqual({
+        id: 'divya.nair',
+        name: 'Divya Nair',
+        open: 1,
+        capacity: 4,
+        on_call: true
+      });
+    });
+  });
+
+  describe('team load across tenants', () => {
+    const assign = tenantId => {
+      const record = saveClassification(
+        { ticket_id: 'TKT-1', channel: 'api', severity: 'high', summary: 'Payments API errors' },
+        { decision: 'ai_code_remediation', assignment: { team: { id: 'card-services' }, assignee: { id: 'neha.kapoor' } } },
+        { tenantId }
+      );
+      recordAssignment(record);
+      return record;
+    };
+
+    it('should count the same ticket ID under two tenants as two tickets', () => {
+      const acme = assign('acme');
+      assign('globex');
+      expect(getTeamLoad().get('card-services').get('neha.kapoor')).toBe(2);
+      expect(computeTeamLoad().get('card-services').get('neha.kapoor')).toBe(2);
+
+      closeAssignment(acme.id);
+      expect(getTeamLoad().get('card-services').get('neha.kapoor')).toBe(1);
+      expect(computeTeamLoad()).toEqual(getTeamLoad());
+    });
+  });
+
+  describe('closeAssignment', () => {
+    const assign = ticketId => {
+      const record = saveClassification(
+        { ticket_id: ticketId, channel: 'email', severity: 'low', summary: 'Password reset link expired' },
+        { decision: 'vibe_coded_troubleshooting', assignment: { team: { id: 'identity' }, assignee: { id: 'tariq.ali' } } }
+      );
+      recordAssignment(record);
+      return record;
+    };
+
+    it('should close assignments of classifications without an SLA', () => {
+      const record = assign('CLOSE-1');
+      expect(record.sla).toBeNull();
+      expect(getTeamLoad().get('identity').get('tariq.ali')).toBe(1);
+
+      const { classification } = closeAssignment(record.id, { at: now });
+      expect(classification.assignment.closed_at).toBe(now.toISOString());
+      expect(getTeamLoad().has('identity')).toBe(false);
+      expect(computeTeamLoad().has('identity')).toBe(false);
+    });
+
+    it('should reject unknown, unassigned and already closed classifications', () => {
+      const record = assign('CLOSE-2');
+      closeAssignment(record.id);
+
+      expect(closeAssignment(record.id).error).toEqual({
+        status: 409,
+        message: `Assignment of classification ${record.id} is already closed`
+      });
+      expect(closeAssignment('cls_missing').error.status).toBe(404);
+      expect(closeAssignment(record.id, { tenantId: 'other' }).error.status).toBe(404);
+
+      const unassigned = saveClassification({ channel: 'email', severity: 'low', summary: 'Fee question' }, { decision: 'fee_dispute' });
+      expect(closeAssignment(unassigned.id).error.status).toBe(400);
+    });
+  });
+
+  describe('loadRoutingFile', () => {
+    let tmpDir;
+    const base = JSON.parse(fs.readFileSync(DEFAULT_TEAMS_FILE, 'utf8'));
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-teams-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should reject rotations and escalations that refer to unknown members or teams', () => {
+      const file = path.join(tmpDir, 'teams.json');
+      const [first, ...rest] = base.teams;
+      fs.writeFileSync(file, JSON.stringify({
+        ...base,
+        teams: [{ ...first, on_call: { ...first.on_call, order: ['asha.rao', 'nobody'] } }, ...rest],
+        escalations: [{ name: 'critical', match: { severity: 'critical' }, notify: ['night-watch'] }]
+      }));
+
+      expect(() => loadRoutingFile(file)).toThrow(
+        'team "support-desk" has no member "nobody"; escalation "critical" refers to unknown team "night-watch"'
+      );
+    });
+
+    it('should default the rotation order to the member list', () => {
+      const file = path.join(tmpDir, 'teams.json');
+      const [first, ...rest] = base.teams;
+      fs.writeFileSync(file, JSON.stringify({
+        ...base,
+        teams: [{ ...first, on_call: { start: first.on_call.start } }, ...rest]
+      }));
+
+      const loaded = loadRoutingFile(file).teams[0];
+      expect(loaded.on_call).toMatchObject({ shift_hours: 168, order: first.members.map(member => member.id) });
+    });
+  });
+});
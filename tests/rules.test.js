@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  initRules,
+  getActiveRuleSet,
+  listRuleSetVersions,
+  updateRuleSet,
+  rollbackRuleSet,
+  reloadRules,
+  loadRulesFile,
+  validateRuleSet,
+  serializeRuleSet,
+  classKeywords,
+  localizeClass,
+  DEFAULT_RULES_FILE
+} = require('../src/rules');
+const { classifyTicket } = require('../src/classifier');
+
+describe('Classification Rules', () => {
+  let tmpDir;
+  let rulesFile;
+  const baseRules = JSON.parse(fs.readFileSync(DEFAULT_RULES_FILE, 'utf8'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-rules-'));
+    rulesFile = path.join(tmpDir, 'rules.json');
+    fs.writeFileSync(rulesFile, JSON.stringify(baseRules));
+    initRules({ file: rulesFile });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loading', () => {
+    it('should load and normalize the default rules file', () => {
+      const ruleSet = loadRulesFile(DEFAULT_RULES_FILE);
+
+      expect(ruleSet.version).toBe(baseRules.version);
+      expect(ruleSet.classes.ai_code_remediation.keywords[0]).toEqual({ term: 'api', weight: 1 });
+      expect(ruleSet.weights).toEqual({ keywords: 0.4, channel: 0.3, severity: 0.3 });
+    });
+
+    it('should load YAML rule files', () => {
+      const yamlFile = path.join(tmpDir, 'rules.yaml');
+      fs.writeFileSync(yamlFile, [
+        'version: yaml-1',
+        'classes:',
+        '  ai_code_remediation:',
+        '    keywords: [api, { term: crash, weight: 3 }]',
+        '    channels: [api]',
+        '  vibe_coded_troubleshooting:',
+        '    keywords: [account]',
+        '    severities: [low]'
+      ].join('\n'));
+
+      const ruleSet = loadRulesFile(yamlFile);
+
+      expect(ruleSet.version).toBe('yaml-1');
+      expect(ruleSet.classes.ai_code_remediation.keywords[1]).toEqual({ term: 'crash', weight: 3 });
+      expect(ruleSet.classes.vibe_coded_troubleshooting.channels).toEqual([]);
+    });
+
+    it('should normalize translated keywords and keep English as the fallback', () => {
+      const ruleSet = loadRulesFile(DEFAULT_RULES_FILE);
+      const security = ruleSet.classes.security_escalation;
+
+      expect(security.translations.es.keywords[0]).toEqual({ term: 'fraude', weight: 1 });
+      expect(classKeywords(security, 'fr')).toEqual(expect.arrayContaining([
+        { term: 'fraud', weight: 1 },
+        { term: 'piratage', weight: 1 }
+      ]));
+      expect(classKeywords(security, 'en')).toBe(security.keywords);
+      expect(localizeClass(security, 'hi').label).toBe('सुरक्षा जोखिम का पता चला');
+      expect(localizeClass({ ...security, translations: { es: { keywords: [] } } }, 'es').actions).toBe(security.actions);
+    });
+
+    it('should reject translations for unsupported languages', () => {
+      const rules = JSON.parse(JSON.stringify(baseRules));
+      rules.classes.human_handoff.translations.de = { keywords: ['mensch'] };
+
+      const { error } = validateRuleSet(rules);
+      expect(error.details[0].message).toContain('Translation languages must be one of: es, fr, hi');
+    });
+
+    it('should reject actions that use unknown playbook variables', () => {
+      const rules = JSON.parse(JSON.stringify(baseRules));
+      rules.classes.human_handoff.actions = ['Call {{customer}} back within the hour'];
+      rules.classes.security_escalation.translations.es.actions = ['Llamar a {{cliente}} de inmediato'];
+
+      const { error } = validateRuleSet(rules);
+      expect(error.details.map(detail => detail.path.join('.'))).toEqual([
+        'classes.security_escalation.translations.es.actions.0',
+        'classes.human_handoff.actions.0'
+      ]);
+      expect(error.details[1].message).toContain('Unknown variable "customer"');
+    });
+
+    it('should reject rule sets that fail schema validation', () => {
+      const { error } = validateRuleSet({
+        classes: {
+          ai_code_remediation: { keywords: [], channels: ['fax'] }
+        }
+      });
+
+      expect(error).toBeDefined();
+      expect(error.details.length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('versioning', () => {
+    it('should activate and list updated rule sets', () => {
+      updateRuleSet({ ...baseRules, version: 'next-1' });
+
+      const versions = listRuleSetVersions();
+      expect(versions.map(v => v.version)).toEqual(['next-1', baseRules.version]);
+      expect(versions[0].active).toBe(true);
+      expect(getActiveRuleSet().version).toBe('next-1');
+      expect(JSON.parse(fs.readFileSync(rulesFile, 'utf8')).version).toBe('next-1');
+    });
+
+    it('should reject reusing a version with different content', () => {
+      const changed = JSON.parse(JSON.stringify(baseRules));
+      changed.classes.ai_code_remediation.keywords.push('outage');
+
+      expect(() => updateRuleSet(changed)).toThrow('already exists');
+    });
+
+    it('should roll back to a previous version', () => {
+      updateRuleSet({ ...baseRules, version: 'next-1', description: 'Second' });
+
+      const ruleSet = rollbackRuleSet(baseRules.version);
+
+      expect(ruleSet.version).toBe(baseRules.version);
+      expect(getActiveRuleSet().version).toBe(baseRules.version);
+      expect(rollbackRuleSet('9.9.9')).toBeNull();
+    });
+
+    it('should round-trip through serialization without changing content', () => {
+      const ruleSet = getActiveRuleSet();
+      fs.writeFileSync(rulesFile, JSON.stringify(serializeRuleSet(ruleSet)));
+
+      expect(reloadRules()).toBeNull();
+    });
+  });
+
+  describe('hot reload', () => {
+    it('should pick up a changed rules file', () => {
+      fs.writeFileSync(rulesFile, JSON.stringify({ ...baseRules, version: '3.0.0', description: 'Edited' }));
+
+      const ruleSet = reloadRules();
+
+      expect(ruleSet.version).toBe('3.0.0');
+      expect(getActiveRuleSet().description).toBe('Edited');
+    });
+
+    it('should keep the active rules when the file is invalid', () => {
+      fs.writeFileSync(rulesFile, '{ not valid json');
+
+      expect(reloadRules()).toBeNull();
+      expect(getActiveRuleSet().version).toBe(baseRules.version);
+    });
+  });
+
+  describe('classification', () => {
+    it('should stamp the rule set version on classifications', async () => {
+      updateRuleSet({ ...baseRules, version: 'stamp-test' });
+
+      const result = await classifyTicket({
+        channel: 'api',
+        severity: 'high',
+        summary: 'API errors on the payments endpoint'
+      });
+
+      expect(result.metadata.rules_version).toBe('stamp-test');
+    });
+  });
+});
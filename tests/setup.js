@@ -28,6 +28,9 @@ jest.mock('openai', () => {
 process.env.NODE_ENV = 'test';
 process.env.LOG_LEVEL = 'error'; // Reduce log noise in tests
 process.env.OPENAI_API_KEY = 'test-key';
+process.env.LLM_PROVIDER = 'mock'; // Deterministic provider, no network calls
+process.env.DATA_DIR = ':memory:'; // Keep stores in memory
+process.env.API_AUTH = 'disabled'; // Default tenant; API key auth has its own tests
 
 // Global test timeout
 jest.setTimeout(10000);
\ No newline at end of file
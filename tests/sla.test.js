@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getSlaConfig,
+  loadSlaFile,
+  computeSla,
+  addBusinessMinutes,
+  businessMinutesBetween,
+  recordMilestone,
+  listAtRisk,
+  DEFAULT_SLA_FILE
+} = require('../src/sla');
+const { saveClassification, getClassification } = require('../src/store');
+
+describe('SLA', () => {
+  // Mon-Fri 09:30-18:00 IST with Gandhi Jayanti (Friday 2 October 2026) off
+  const business = () => getSlaConfig().calendars.business;
+
+  describe('business-hours calendars', () => {
+    it('should count business minutes across evenings, weekends and holidays', () => {
+      // Friday 16 October, 17:30 IST: 30 minutes on Friday, the rest on Monday
+      expect(addBusinessMinutes('2026-10-16T12:00:00Z', 240, business()).toISOString())
+        .toBe('2026-10-19T07:30:00.000Z');
+      // Thursday 1 October, 17:30 IST: Friday is a holiday
+      expect(addBusinessMinutes('2026-10-01T12:00:00Z', 60, business()).toISOString())
+        .toBe('2026-10-05T04:30:00.000Z');
+      // Before opening the clock starts at 09:30
+      expect(addBusinessMinutes('2026-10-19T02:00:00Z', 30, business()).toISOString())
+        .toBe('2026-10-19T04:30:00.000Z');
+    });
+
+    it('should follow daylight saving changes in the calendar time zone', () => {
+      const hours = ['09:00', '17:00'];
+      const newYork = {
+        time_zone: 'America/New_York',
+        hours: { sat: hours, sun: hours },
+        holidays: []
+      };
+
+      // Saturday 31 October 16:00 EDT, then Sunday 1 November 09:00 EST
+      expect(addBusinessMinutes('2026-10-31T20:00:00Z', 120, newYork).toISOString())
+        .toBe('2026-11-01T15:00:00.000Z');
+    });
+
+    it('should measure business minutes in both directions', () => {
+      expect(businessMinutesBetween('2026-10-16T12:00:00Z', '2026-10-19T07:30:00Z', business())).toBe(240);
+      expect(businessMinutesBetween('2026-10-19T07:30:00Z', '2026-10-16T12:00:00Z', business())).toBe(-240);
+      expect(businessMinutesBetween('2026-10-17T00:00:00Z', '2026-10-18T00:00:00Z', { always_open: true })).toBe(1440);
+    });
+  });
+
+  describe('computeSla', () => {
+    it('should apply the first matching policy scaled by the customer tier', () => {
+      const sla = computeSla({
+        channel: 'email',
+        severity: 'medium',
+        customer_tier: 'premium',
+        timestamp: '2026-10-19T03:00:00Z'
+      }, 'ai_code_remediation');
+
+      expect(sla).toEqual({
+        policy: 'standard',
+        calendar: 'business',
+        time_zone: 'Asia/Kolkata',
+        tier: 'premium',
+        started_at: '2026-10-19T03:00:00.000Z',
+        first_response: { target_minutes: 120, due_at: '2026-10-19T06:00:00.000Z' },
+        resolution: { target_minutes: 720, due_at: '2026-10-20T07:30:00.000Z' },
+        sla_version: '1.0.0'
+      });
+    });
+
+    it('should put priority, severity and security tickets on the round-the-clock calendar', () => {
+      const weekend = { channel: 'email', severity: 'low', timestamp: '2026-10-17T10:00:00Z' };
+
+      expect(computeSla({ ...weekend, priority: 'p1' }, 'compliance_review')).toMatchObject({
+        policy: 'p1',
+        calendar: '24x7',
+        first_response: { due_at: '2026-10-17T10:15:00.000Z' }
+      });
+      expect(computeSla({ ...weekend, severity: 'critical' }, 'ai_code_remediation').policy).toBe('critical');
+      expect(computeSla(weekend, 'security_escalation').policy).toBe('security');
+      expect(computeSla({ ...weekend, channel: 'chat' }, 'vibe_coded_troubleshooting').policy).toBe('live-channels');
+    });
+
+    it('should return null when no policy matches', () => {
+      const config = { ...getSlaConfig(), policies: [{ name: 'p1', match: { priority: ['p1'] } }] };
+
+      expect(computeSla({ channel: 'email', severity: 'low' }, 'compliance_review', { config })).toBeNull();
+    });
+  });
+
+  describe('loadSlaFile', () => {
+    let tmpDir;
+    const base = JSON.parse(fs.readFileSync(DEFAULT_SLA_FILE, 'utf8'));
+    const write = data => {
+      const file = path.join(tmpDir, 'sla.json');
+      fs.writeFileSync(file, JSON.stringify(data));
+      return file;
+    };
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-sla-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should reject unknown time zones, inverted hours and unknown calendars', () => {
+      const calendars = base.calendars;
+
+      expect(() => loadSlaFile(write({
+        ...base,
+        calendars: { ...calendars, business: { ...calendars.business, time_zone: 'Mars/Olympus' } }
+      }))).toThrow('Unknown time zone: Mars/Olympus');
+      expect(() => loadSlaFile(write({
+        ...base,
+        calendars: { ...calendars, business: { ...calendars.business, hours: { mon: ['18:00', '09:30'] } } }
+      }))).toThrow('Opening hours must close after they open');
+      expect(() => loadSlaFile(write({
+        ...base,
+        policies: [{ name: 'all', calendar: 'weekends', first_response_minutes: 10, resolution_minutes: 20 }]
+      }))).toThrow('unknown calendar "weekends"');
+    });
+  });
+
+  describe('at-risk tickets', () => {
+    const store = (tenantId, ticketId, sla) => saveClassification(
+      { ticket_id: ticketId, channel: 'email', severity: 'medium', summary: 'Stored for SLA tests' },
+      { decision: 'compliance_review', confidence: 0.9, reasoning: 'Stored for SLA tests', sla, metadata: {} },
+      { tenantId }
+    );
+    const sla = (firstDue, resolutionDue) => ({
+      policy: 'standard',
+      calendar: 'business',
+      tier: 'standard',
+      first_response: { target_minutes: 240, due_at: firstDue },
+      resolution: { target_minutes: 1440, due_at: resolutionDue }
+    });
+    // Monday 19 October, 12:00 IST
+    const now = new Date('2026-10-19T06:30:00Z');
+
+    it('should list open milestones due soon or breached, soonest first', () => {
+      const soon = store('sla-risk', 'T-1', sla('2026-10-19T07:00:00Z', '2026-10-21T07:00:00Z'));
+      const late = store('sla-risk', 'T-2', sla('2026-10-16T11:00:00Z', '2026-10-19T06:00:00Z'));
+      store('sla-risk', 'T-3', sla('2026-10-20T07:00:00Z', '2026-10-22T07:00:00Z'));
+      store('sla-other', 'T-4', sla('2026-10-19T07:00:00Z', '2026-10-21T07:00:00Z'));
+
+      const { total, items } = listAtRisk({ tenantId: 'sla-risk', now });
+
+      expect(total).toBe(3);
+      expect(items.map(item => [item.classification_id, item.milestone, item.status])).toEqual([
+        [late.id, 'first_response', 'breached'],
+        [late.id, 'resolution', 'breached'],
+        [soon.id, 'first_response', 'at_risk']
+      ]);
+      expect(items[2].remaining_minutes).toBe(30);
+      expect(items[0].remaining_minutes).toBe(-240);
+      expect(listAtRisk({ tenantId: 'sla-risk', now, includeBreached: false }).total).toBe(1);
+      expect(listAtRisk({ tenantId: 'sla-risk', now, withinMinutes: 600 }).total).toBe(4);
+    });
+
+    it('should drop met milestones and superseded classifications of a ticket', () => {
+      const first = store('sla-met', 'T-5', sla('2026-10-19T07:00:00Z', '2026-10-19T07:15:00Z'));
+      const met = recordMilestone(first.id, 'first_response', { at: '2026-10-19T06:00:00Z' });
+
+      expect(met.classification.sla.first_response).toMatchObject({ met_at: '2026-10-19T06:00:00.000Z', breached: false });
+      expect(listAtRisk({ tenantId: 'sla-met', now }).items.map(item => item.milestone)).toEqual(['resolution']);
+
+      store('sla-met', 'T-5', sla('2026-10-20T07:00:00Z', '2026-10-22T07:00:00Z'));
+      expect(listAtRisk({ tenantId: 'sla-met', now }).total).toBe(0);
+    });
+
+    it('should reject unknown classifications and milestones already met', () => {
+      const record = store('sla-errors', 'T-6', sla('2026-10-19T07:00:00Z', '2026-10-19T08:00:00Z'));
+
+      expect(recordMilestone('missing', 'resolution').error.status).toBe(404);
+      expect(recordMilestone(record.id, 'resolution', { tenantId: 'other' }).error.status).toBe(404);
+      expect(recordMilestone(record.id, 'resolution', { at: '2026-10-19T09:00:00Z' }).classification.sla.resolution.breached)
+        .toBe(true);
+      expect(recordMilestone(record.id, 'resolution').error.status).toBe(409);
+      expect(getClassification(record.id).sla.resolution.met_at).toBe('2026-10-19T09:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createCollection,
+  saveClassification,
+  getClassification,
+  listTicketClassifications,
+  listClassifications
+} = require('../src/store');
+
+describe('Store', () => {
+
+  describe('createCollection', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should persist inserts and updates across instances', () => {
+      const collection = createCollection('items', { dataDir: tmpDir });
+      const record = collection.insert({ name: 'first' });
+      collection.update(record.id, { name: 'renamed' });
+      const removed = collection.insert({ name: 'gone' });
+      collection.remove(removed.id);
+
+      const reopened = createCollection('items', { dataDir: tmpDir });
+
+      expect(reopened.all()).toHaveLength(1);
+      expect(reopened.get(record.id).name).toBe('renamed');
+      expect(reopened.get(record.id).created_at).toBe(record.created_at);
+    });
+
+    it('should skip corrupt lines when loading', () => {
+      fs.writeFileSync(path.join(tmpDir, 'items.jsonl'), '{"id":"a","name":"ok"}\n{broken\n');
+
+      const collection = createCollection('items', { dataDir: tmpDir });
+
+      expect(collection.all().map(r => r.id)).toEqual(['a']);
+    });
+
+    it('should compact superseded lines', () => {
+      const collection = createCollection('items', { dataDir: tmpDir });
+      const record = collection.insert({ count: 0 });
+      for (let i = 1; i <= 5; i++) {
+        collection.update(record.id, { count: i });
+      }
+
+      collection.compact();
+
+      const lines = fs.readFileSync(path.join(tmpDir, 'items.jsonl'), 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).count).toBe(5);
+    });
+
+    it('should not touch the filesystem in memory mode', () => {
+      const collection = createCollection('items', { dataDir: ':memory:' });
+      collection.insert({ name: 'volatile' });
+
+      expect(collection.all()).toHaveLength(1);
+      expect(fs.existsSync(':memory:')).toBe(false);
+    });
+  });
+
+  describe('classifications', () => {
+    const result = (decision) => ({
+      decision,
+      confidence: 0.8,
+      reasoning: 'Test reasoning for stored classification',
+      scores: [{ decision, score: 0.8 }],
+      metadata: {
+        model_version: '1.0.0',
+        rules_version: '2.0.0',
+        rule_scores: { [decision]: 0.7 },
+        ai_analysis: null,
+        timings: { rules_ms: 1, ai_ms: 2, total_ms: 3 },
+        processing_time_ms: 4
+      }
+    });
+
+    beforeAll(() => {
+      saveClassification(
+        { ticket_id: 'TKT-1', channel: 'api', severity: 'high', summary: 'API errors' },
+        result('ai_code_remediation')
+      );
+      saveClassification(
+        { ticket_id: 'TKT-2', channel: 'phone', severity: 'low', summary: 'Balance help' },
+        result('vibe_coded_troubleshooting')
+      );
+      saveClassification(
+        { ticket_id: 'TKT-1', channel: 'api', severity: 'critical', summary: 'API errors again' },
+        result('ai_code_remediation')
+      );
+    });
+
+    it('should store decision, scores, versions and timings', () => {
+      const [latest] = listTicketClassifications('TKT-2');
+      const record = getClassification(latest.id);
+
+      expect(record.decision).toBe('vibe_coded_troubleshooting');
+      expect(record.versions.rules_version).toBe('2.0.0');
+      expect(record.timings).toEqual({ rules_ms: 1, ai_ms: 2, total_ms: 3, processing_time_ms: 4 });
+      expect(record.input.channel).toBe('phone');
+    });
+
+    it('should list a ticket history newest first', () => {
+      const history = listTicketClassifications('TKT-1');
+
+      expect(history).toHaveLength(2);
+      expect(history[0].created_at >= history[1].created_at).toBe(true);
+    });
+
+    it('should filter and paginate', () => {
+      expect(listClassifications({ decision: 'ai_code_remediation' }).total).toBe(2);
+      expect(listClassifications({ channel: 'phone', severity: 'low' }).total).toBe(1);
+      expect(listClassifications({ from: '2999-01-01T00:00:00Z' }).total).toBe(0);
+
+      const page = listClassifications({ limit: 2, offset: 2 });
+      expect(page.total).toBe(3);
+      expect(page.items).toHaveLength(1);
+    });
+  });
+});
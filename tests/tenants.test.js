@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  initTenants,
+  getTenant,
+  getDefaultTenant,
+  getTenantRuleSet,
+  isChannelAllowed,
+  authenticateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getLimits,
+  hashApiKey
+} = require('../src/tenants');
+const { getActiveRuleSet, serializeRuleSet } = require('../src/rules');
+
+describe('Tenants', () => {
+  let tmpDir;
+  let tenantsFile;
+
+  const writeTenants = (config) => fs.writeFileSync(tenantsFile, JSON.stringify(config));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-tenants-'));
+    tenantsFile = path.join(tmpDir, 'tenants.json');
+
+    const rules = JSON.parse(JSON.stringify(serializeRuleSet(getActiveRuleSet())));
+    rules.version = 'acme-1';
+    fs.writeFileSync(path.join(tmpDir, 'acme-rules.json'), JSON.stringify(rules));
+
+    writeTenants({
+      default_tenant: 'internal',
+      tenants: {
+        internal: {},
+        acme: {
+          name: 'Acme Bank',
+          rules_file: 'acme-rules.json',
+          llm_enabled: false,
+          allowed_channels: ['email', 'chat'],
+          rate_limit: { requests: 10 },
+          quota: { requests: 100, period: 'hour' }
+        }
+      },
+      api_keys: [
+        { id: 'key_config', tenant_id: 'acme', key_hash: hashApiKey('vf_config_key') }
+      ]
+    });
+    initTenants({ file: tenantsFile });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    initTenants();
+  });
+
+  it('should load tenants with defaults applied', () => {
+    expect(getDefaultTenant()).toMatchObject({ id: 'internal', llm_enabled: true });
+    expect(getTenant('acme')).toMatchObject({ name: 'Acme Bank', llm_enabled: false });
+    expect(getTenant('nobody')).toBeNull();
+  });
+
+  it('should reject invalid tenants files', () => {
+    writeTenants({ default_tenant: 'missing', tenants: { internal: {} } });
+    expect(() => initTenants({ file: tenantsFile })).toThrow('unknown default tenant');
+
+    writeTenants({
+      default_tenant: 'internal',
+      tenants: { internal: { allowed_channels: ['fax'] } }
+    });
+    expect(() => initTenants({ file: tenantsFile })).toThrow('Invalid tenants file');
+
+    writeTenants({
+      default_tenant: 'internal',
+      tenants: { internal: {} },
+      api_keys: [{ id: 'k', tenant_id: 'ghost', key_hash: hashApiKey('x') }]
+    });
+    expect(() => initTenants({ file: tenantsFile })).toThrow('references unknown tenant "ghost"');
+  });
+
+  it('should load a tenant rule set relative to the tenants file', () => {
+    expect(getTenantRuleSet(getTenant('acme')).version).toBe('acme-1');
+    expect(getTenantRuleSet(getTenant('internal'))).toBe(getActiveRuleSet());
+  });
+
+  it('should restrict channels only when configured', () => {
+    expect(isChannelAllowed(getTenant('acme'), 'email')).toBe(true);
+    expect(isChannelAllowed(getTenant('acme'), 'api')).toBe(false);
+    expect(isChannelAllowed(getTenant('internal'), 'api')).toBe(true);
+  });
+
+  it('should authenticate keys from the config file by hash', () => {
+    const auth = authenticateApiKey('vf_config_key');
+
+    expect(auth.tenant.id).toBe('acme');
+    expect(auth.apiKey).toEqual({ id: 'key_config', tenant_id: 'acme' });
+    expect(authenticateApiKey('vf_wrong')).toBeNull();
+    expect(authenticateApiKey(undefined)).toBeNull();
+  });
+
+  it('should issue, list and revoke stored keys without exposing hashes', () => {
+    const { apiKey, key } = createApiKey({ tenant_id: 'internal', name: 'CI' });
+
+    expect(key).toMatch(/^vf_[0-9a-f]{48}$/);
+    expect(apiKey).not.toHaveProperty('key_hash');
+    expect(authenticateApiKey(key).apiKey.id).toBe(apiKey.id);
+    expect(listApiKeys().find(listed => listed.id === apiKey.id)).toMatchObject({ source: 'store', name: 'CI' });
+    expect(listApiKeys().every(listed => !listed.key_hash)).toBe(true);
+
+    expect(revokeApiKey(apiKey.id).revoked_at).toBeDefined();
+    expect(authenticateApiKey(key)).toBeNull();
+    expect(revokeApiKey(apiKey.id)).toBeNull();
+  });
+
+  it('should refuse keys for unknown tenants', () => {
+    expect(createApiKey({ tenant_id: 'ghost' }).error.status).toBe(404);
+  });
+
+  it('should let key limits override tenant limits', () => {
+    const tenant = getTenant('acme');
+
+    expect(getLimits({ id: 'k' }, tenant)).toEqual({
+      rateLimit: { limit: 10, windowMs: 60000 },
+      quota: { limit: 100, windowMs: 3600000 }
+    });
+    expect(getLimits({ id: 'k', rate_limit: { requests: 2, window_seconds: 1 } }, tenant).rateLimit)
+      .toEqual({ limit: 2, windowMs: 1000 });
+    expect(getLimits({ id: 'k' }, getTenant('internal'))).toEqual({ rateLimit: null, quota: null });
+  });
+});
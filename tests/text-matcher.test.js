@@ -0,0 +1,111 @@
+const { analyzeText, stem, matchKeywords, findKeywords } = require('../src/text-matcher');
+const {
+  extractTechnicalIndicators,
+  extractOperationalIndicators
+} = require('../src/ai-helper');
+const { calculateRuleBasedScore } = require('../src/classifier');
+
+describe('Text Matcher', () => {
+
+  describe('stem', () => {
+    it('should reduce common inflections to the same stem', () => {
+      expect(stem('timeouts')).toBe(stem('timeout'));
+      expect(stem('crashes')).toBe(stem('crash'));
+      expect(stem('crashing')).toBe(stem('crash'));
+      expect(stem('charged')).toBe(stem('charge'));
+    });
+
+    it('should leave short tokens and words like "status" alone', () => {
+      expect(stem('sms')).toBe('sms');
+      expect(stem('status')).toBe('status');
+      expect(stem('spinning')).not.toBe(stem('pin'));
+    });
+  });
+
+  describe('matchKeywords', () => {
+    it('should respect word boundaries', () => {
+      const summary = 'App keeps spinning after a rapid refresh and the discarded draft';
+
+      expect(findKeywords(summary, ['pin', 'api', 'card'])).toEqual([]);
+    });
+
+    it('should match SMS only as a whole word', () => {
+      expect(findKeywords('SMSC gateway backlog', ['sms'])).toEqual([]);
+      expect(findKeywords('OTP SMS never arrived', ['sms'])).toEqual(['sms']);
+    });
+
+    it('should match multi-word phrases in order', () => {
+      const keywords = ['memory leak', 'server error'];
+
+      expect(findKeywords('Suspected memory leaks cause server errors', keywords)).toEqual(keywords);
+      expect(findKeywords('Server reports a leak in memory, error', keywords)).toEqual([]);
+    });
+
+    it('should treat "timed out" as "timeout"', () => {
+      expect(findKeywords('Transfer request timed out twice', ['timeout'])).toEqual(['timeout']);
+      expect(findKeywords('Repeated timeouts on login', ['timeout'])).toEqual(['timeout']);
+    });
+
+    it('should report negated keywords separately', () => {
+      const { matched, negated } = matchKeywords('No error on screen, customer forgot password', ['error', 'password']);
+
+      expect(matched).toEqual(['password']);
+      expect(negated).toEqual(['error']);
+    });
+
+    it('should end negation scope at clause boundaries', () => {
+      const tokens = analyzeText('No crash but the API errors persist');
+
+      expect(findKeywords(tokens, ['crash', 'error', 'api'])).toEqual(['error', 'api']);
+    });
+
+    it('should return original weighted keyword entries', () => {
+      const keywords = [{ term: 'fraud', weight: 3 }, { term: 'card', weight: 1 }];
+
+      expect(matchKeywords('Possible fraud on my card', keywords).matched).toEqual(keywords);
+    });
+
+    it('should fold Latin accents and keep French elided words', () => {
+      expect(findKeywords('Olvidé mi contrasena', ['contraseña'])).toEqual(['contraseña']);
+      expect(findKeywords("L’application affiche une erreur d'authentification", ['application', 'authentification']))
+        .toEqual(['application', 'authentification']);
+    });
+
+    it('should keep Devanagari words whole', () => {
+      expect(analyzeText('खाते से अनधिकृत लेनदेन').map(token => token.raw)).toEqual(['खाते', 'से', 'अनधिकृत', 'लेनदेन']);
+      expect(findKeywords('मेरे खाते से अनधिकृत लेनदेन हुआ', ['अनधिकृत', 'लेनदेन'])).toEqual(['अनधिकृत', 'लेनदेन']);
+    });
+
+    it('should recognise absence cues in other languages', () => {
+      expect(matchKeywords('Transferencia sin error visible', ['error']).negated).toEqual(['error']);
+      expect(matchKeywords('Paiement refusé sans aucune erreur', ['erreur']).negated).toEqual(['erreur']);
+    });
+  });
+
+  describe('shared usage', () => {
+    it('should make the indicator extractors and the classifier agree', () => {
+      const ticket = {
+        channel: 'chat',
+        severity: 'low',
+        summary: 'Spinning wheel on the rapid pay screen, no error shown'
+      };
+
+      expect(extractTechnicalIndicators(ticket)).toEqual([]);
+      expect(extractOperationalIndicators(ticket)).toEqual([]);
+
+      const baseline = calculateRuleBasedScore(
+        { ...ticket, summary: 'nothing relevant here' },
+        'ai_code_remediation'
+      );
+      expect(calculateRuleBasedScore(ticket, 'ai_code_remediation')).toBe(baseline);
+    });
+
+    it('should add indicator keywords of the ticket language', () => {
+      const ticket = { channel: 'chat', severity: 'low', summary: 'Error del servidor al consultar mi saldo' };
+
+      expect(extractTechnicalIndicators(ticket)).toEqual(['error', 'servidor']);
+      expect(extractOperationalIndicators(ticket)).toEqual(['saldo']);
+      expect(extractOperationalIndicators(ticket, 'en')).toEqual([]);
+    });
+  });
+});
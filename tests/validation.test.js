@@ -159,9 +159,9 @@ describe('Input Validation', () => {
       reasoning: 'Technical issue requiring code-level intervention',
       confidence: 0.85,
       next_actions: [
-        'Analyze error logs',
-        'Generate code patch',
-        'Deploy to staging'
+        { step_id: 'ai-code-remediation.analyze-logs', description: 'Analyze error logs', owner_role: 'engineering', mandatory: true },
+        { step_id: 'ai-code-remediation.patch', description: 'Generate code patch', owner_role: 'engineering', mandatory: true },
+        { step_id: 'ai-code-remediation.staging', description: 'Deploy to staging', owner_role: 'engineering', mandatory: false }
       ],
       metadata: {
         model_version: '1.0.0',
@@ -187,6 +187,29 @@ describe('Input Validation', () => {
       expect(error.details[0].path).toContain('decision');
     });
 
+    it('should accept any configured decision class and ranked scores', () => {
+      const { error } = validateResponse({
+        ...validResponse,
+        decision: 'security_escalation',
+        scores: [
+          { decision: 'security_escalation', score: 0.9 },
+          { decision: 'ai_code_remediation', score: 0.3 }
+        ]
+      });
+
+      expect(error).toBeUndefined();
+    });
+
+    it('should validate decisions against an explicit class list', () => {
+      const { error } = validateResponse(
+        { ...validResponse, decision: 'security_escalation' },
+        { decisions: ['ai_code_remediation', 'vibe_coded_troubleshooting'] }
+      );
+
+      expect(error).toBeDefined();
+      expect(error.details[0].path).toContain('decision');
+    });
+
     it('should reject confidence out of range', () => {
       const invalidResponse = {
         ...validResponse,
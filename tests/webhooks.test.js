@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  matchesSubscription,
+  createWebhookDispatcher,
+  signPayload,
+  verifySignature
+} = require('../src/webhooks');
+const { createCollection } = require('../src/store');
+const { publicLookup } = require('../src/http-client');
+
+describe('Webhooks', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let statuses;
+
+  const classification = (overrides = {}) => ({
+    classification_id: `cls-${Math.random().toString(16).slice(2)}`,
+    tenant_id: 'default',
+    ticket_id: 'T-1',
+    channel: 'api',
+    severity: 'critical',
+    decision: 'ai_code_remediation',
+    confidence: 0.9,
+    ...overrides
+  });
+
+  beforeAll(done => {
+    // The receiver runs on loopback, which is only reachable through the allowlist
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end();
+      });
+    });
+    server.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    for (const subscription of listSubscriptions()) {
+      deleteSubscription(subscription.id);
+    }
+  });
+
+  it('should sign payloads with HMAC-SHA256 over the timestamp and body', () => {
+    const signature = signPayload('secret-secret-secret', 1700000000, '{"a":1}');
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature('secret-secret-secret', 1700000000, '{"a":1}', signature)).toBe(true);
+    expect(verifySignature('secret-secret-secret', 1700000001, '{"a":1}', signature)).toBe(false);
+    expect(verifySignature('another-secret-value', 1700000000, '{"a":1}', signature)).toBe(false);
+  });
+
+  it('should filter events by tenant, decision, severity and channel', () => {
+    const subscription = { tenant_id: null, decisions: ['security_escalation'], severities: [], channels: ['api', 'web_app'] };
+
+    expect(matchesSubscription(subscription, classification({ decision: 'security_escalation' }))).toBe(true);
+    expect(matchesSubscription(subscription, classification())).toBe(false);
+    expect(matchesSubscription(subscription, classification({ decision: 'security_escalation', channel: 'phone' }))).toBe(false);
+    expect(matchesSubscription({ ...subscription, tenant_id: 'acme' }, classification({ decision: 'security_escalation' }))).toBe(false);
+  });
+
+  it('should generate a secret and never list it', () => {
+    const { subscription, secret } = createSubscription({ url: `${baseUrl}/hook` });
+
+    expect(secret).toMatch(/^whsec_/);
+    expect(subscription).not.toHaveProperty('secret');
+    expect(listSubscriptions().every(listed => !listed.secret)).toBe(true);
+    expect(createSubscription({ url: baseUrl, tenant_id: 'ghost' }).error.status).toBe(404);
+  });
+
+  it('should deliver signed events with an idempotency key to matching subscriptions', async () => {
+    const { subscription, secret } = createSubscription({ url: `${baseUrl}/hook`, severities: ['critical'] });
+    createSubscription({ url: `${baseUrl}/low-only`, severities: ['low'] });
+    const dispatcher = createWebhookDispatcher();
+
+    expect(dispatcher.publish(classification({ classification_id: 'cls-1' }))).toBe(1);
+    await dispatcher.idle();
+
+    expect(received).toHaveLength(1);
+    const [delivery] = received;
+    const event = JSON.parse(delivery.body);
+    expect(delivery.url).toBe('/hook');
+    expect(event).toMatchObject({ type: 'classification.completed', data: { classification_id: 'cls-1' } });
+    expect(delivery.headers['idempotency-key']).toBe(event.idempotency_key);
+    expect(verifySignature(
+      secret,
+      delivery.headers['x-vibefi-timestamp'],
+      delivery.body,
+      delivery.headers['x-vibefi-signature']
+    )).toBe(true);
+    expect(subscription.id).toMatch(/^wh_/);
+  });
+
+  it('should only accept public subscription URLs without an allowlist', () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    try {
+      for (const url of [`${baseUrl}/hook`, 'http://localhost/hook', 'http://10.0.0.5/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook']) {
+        const { error } = createSubscription({ url });
+        expect(error.status).toBe(400);
+        expect(error.message).toMatch(/must point to a public address/);
+      }
+      expect(createSubscription({ url: 'https://hooks.example.com/vibefi' }).subscription).toBeDefined();
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    }
+    expect(createSubscription({ url: 'https://hooks.example.com/vibefi' }).error.message)
+      .toBe('url host hooks.example.com is not in WEBHOOK_ALLOWED_HOSTS');
+  });
+
+  it('should resolve delivery hosts to public addresses only', async () => {
+    const calls = [];
+    const dispatcher = createWebhookDispatcher({
+      maxAttempts: 1,
+      post: async (url, body, options) => {
+        calls.push({ url, options });
+        return { status: 200 };
+      }
+    });
+
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    try {
+      createSubscription({ url: 'https://hooks.example.com/vibefi' });
+      dispatcher.publish(classification());
+      await dispatcher.idle();
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    }
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].options.lookup).toBe(publicLookup);
+  });
+
+  it('should refuse delivery to hosts the allowlist no longer covers', async () => {
+    const { subscription } = createSubscription({ url: `${baseUrl}/hook` });
+    const deadLetters = createCollection('webhook_dead_letters', { dataDir: ':memory:' });
+    const dispatcher = createWebhookDispatcher({ maxAttempts: 3, sleep: async () => {}, deadLetters });
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'hooks.example.com';
+    try {
+      dispatcher.publish(classification());
+      await dispatcher.idle();
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    }
+
+    const [entry] = deadLetters.all();
+    expect(received).toHaveLength(0);
+    expect(entry).toMatchObject({ subscription_id: subscription.id, last_error: 'url host 127.0.0.1 is not in WEBHOOK_ALLOWED_HOSTS' });
+    expect(entry.attempts).toHaveLength(1);
+  });
+
+  it('should retry with exponential backoff and keep the idempotency key', async () => {
+    createSubscription({ url: `${baseUrl}/hook` });
+    statuses = [500, 503];
+    const delays = [];
+    const dispatcher = createWebhookDispatcher({
+      maxAttempts: 5,
+      retryBaseMs: 100,
+      sleep: async ms => { delays.push(ms); }
+    });
+
+    dispatcher.publish(classification());
+    await dispatcher.idle();
+
+    expect(received).toHaveLength(3);
+    expect(delays).toEqual([100, 200]);
+    expect(new Set(received.map(delivery => delivery.headers['idempotency-key'])).size).toBe(1);
+  });
+
+  describe('dead letters', () => {
+    let tmpDir;
+    let deadLetters;
+    let dispatcher;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-webhooks-'));
+      deadLetters = createCollection('webhook_dead_letters', { dataDir: tmpDir });
+      dispatcher = createWebhookDispatcher({ maxAttempts: 3, sleep: async () => {}, deadLetters });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should dead-letter to a local file after repeated failures', async () => {
+      const { subscription } = createSubscription({ url: `${baseUrl}/hook` });
+      statuses = [500, 500, 500];
+
+      dispatcher.publish(classification());
+      await dispatcher.idle();
+
+      const [entry] = deadLetters.all();
+      expect(received).toHaveLength(3);
+      expect(entry).toMatchObject({ status: 'dead', subscription_id: subscription.id, last_error: 'HTTP 500' });
+      expect(entry.attempts).toHaveLength(3);
+
+      const lines = fs.readFileSync(path.join(tmpDir, 'webhook_dead_letters.jsonl'), 'utf8').trim().split('\n');
+      expect(JSON.parse(lines[0]).id).toBe(entry.id);
+    });
+
+    it('should not retry client errors', async () => {
+      createSubscription({ url: `${baseUrl}/hook` });
+      statuses = [410];
+
+      dispatcher.publish(classification());
+      await dispatcher.idle();
+
+      expect(received).toHaveLength(1);
+      expect(deadLetters.all()[0].last_error).toBe('HTTP 410');
+    });
+
+    it('should dead-letter unreachable endpoints', async () => {
+      createSubscription({ url: 'http://127.0.0.1:1/hook' });
+
+      dispatcher.publish(classification());
+      await dispatcher.idle();
+
+      expect(deadLetters.all()[0].attempts).toHaveLength(3);
+    });
+
+    it('should replay a dead letter with the original event', async () => {
+      createSubscription({ url: `${baseUrl}/hook` });
+      statuses = [400];
+      dispatcher.publish(classification());
+      await dispatcher.idle();
+      const [entry] = deadLetters.all();
+
+      statuses = [500];
+      expect((await dispatcher.replay(entry.id)).status).toBe('dead');
+
+      const replayed = await dispatcher.replay(entry.id);
+      expect(replayed.status).toBe('replayed');
+      expect(replayed.attempts).toHaveLength(3);
+      expect(JSON.parse(received[2].body).id).toBe(entry.event.id);
+      expect(received[2].headers['idempotency-key']).toBe(entry.event.idempotency_key);
+      expect(await dispatcher.replay('dl_missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { runWorkflow, evaluate } = require('../src/workflow-runner');
+const { createStubTools } = require('../src/workflow-tools');
+const { getWorkflow } = require('../src/workflows');
+
+describe('Workflow runner', () => {
+  const ticket = { ticket_id: 'TKT-42', customer_id: 'CUST-1', channel: 'chat' };
+  const steps = result => result.trace.map(entry => entry.step_id);
+
+  describe('evaluate', () => {
+    const variables = { account: { status: 'frozen', locked: false }, topic: 'balance' };
+
+    it('should support equals, not_equals, in and exists on dotted paths', () => {
+      expect(evaluate({ path: 'account.status', equals: 'frozen' }, variables)).toBe(true);
+      expect(evaluate({ path: 'account.locked', not_equals: true }, variables)).toBe(true);
+      expect(evaluate({ path: 'topic', in: ['statement', 'balance'] }, variables)).toBe(true);
+      expect(evaluate({ path: 'card.status', exists: true }, variables)).toBe(false);
+      expect(evaluate({ path: 'card.status', exists: false }, variables)).toBe(true);
+    });
+  });
+
+  describe('runWorkflow', () => {
+    it('should dry-run the card workflow and record every step', async () => {
+      const result = await runWorkflow(getWorkflow('card-issue'), {
+        ticket,
+        tools: createStubTools({ cards: { 'CUST-1': { status: 'blocked', block_reason: 'three wrong PINs' } } }),
+        answers: { 'confirm-unblock': 'keep_blocked' }
+      });
+
+      expect(result).toMatchObject({ workflow_id: 'card-issue', dry_run: true, outcome: 'completed' });
+      expect(steps(result)).toEqual([
+        'verify-identity', 'identity-verified', 'lookup-account', 'account-active',
+        'card-status', 'route-card', 'confirm-unblock', 'unblock-decision', 'notify-kept-blocked'
+      ]);
+      expect(result.trace[0]).toMatchObject({ type: 'prompt-agent', answer: 'yes', simulated: true, next: 'identity-verified' });
+      expect(result.trace[4]).toMatchObject({
+        type: 'call-tool',
+        tool: 'card_status',
+        input: { customer_id: 'CUST-1' },
+        output: { status: 'blocked', last4: '4242' }
+      });
+      expect(result.trace[6]).toMatchObject({
+        question: 'Card ending 4242 is blocked (three wrong PINs). Unblock it?',
+        answer: 'keep_blocked',
+        simulated: false
+      });
+      expect(result.trace[8]).toMatchObject({ status: 'ok', delivered: false, next: 'end' });
+      expect(result.notifications).toEqual([{
+        step_id: 'notify-kept-blocked',
+        target: 'agent',
+        message: 'Card ending 4242 stays blocked; explain the reason to the customer.'
+      }]);
+      expect(result.variables.unblock).toBe('keep_blocked');
+    });
+
+    it('should follow failed checks and branch defaults', async () => {
+      const unverified = await runWorkflow(getWorkflow('card-issue'), { ticket, answers: { 'verify-identity': 'no' } });
+      expect(steps(unverified)).toEqual(['verify-identity', 'identity-verified', 'notify-verification-needed']);
+      expect(unverified.trace[1]).toMatchObject({ passed: false, next: 'notify-verification-needed' });
+
+      const unlocked = await runWorkflow(getWorkflow('login-access'), { ticket, answers: { 'choose-delivery': 'email' } });
+      expect(steps(unlocked)).toContain('offer-reset');
+      expect(unlocked.notifications[0].message)
+        .toBe('We have sent a password reset link by email (reference dry-run-CUST-1).');
+
+      const locked = await runWorkflow(getWorkflow('login-access'), {
+        ticket,
+        tools: createStubTools({ accounts: { 'CUST-1': { locked: true } } })
+      });
+      expect(steps(locked)).not.toContain('offer-reset');
+      expect(locked.trace[2]).toMatchObject({ type: 'branch', matched_case: 0, next: 'choose-delivery' });
+    });
+
+    it('should fail on tool errors, unknown tools and invalid answers', async () => {
+      const missingCustomer = await runWorkflow(getWorkflow('card-issue'), {
+        ticket: {},
+        tools: { ...createStubTools(), account_lookup: { name: 'account_lookup', run: () => ({ found: true, status: 'active' }) } }
+      });
+      expect(missingCustomer).toMatchObject({ outcome: 'failed', error: 'Step "card-status" failed: customer_id is required' });
+      expect(missingCustomer.trace[missingCustomer.trace.length - 1]).toMatchObject({ status: 'error', next: null });
+
+      const noTools = await runWorkflow(getWorkflow('account-general'), { ticket, tools: {} });
+      expect(noTools.error).toBe('Step "lookup-account" failed: Unknown tool "account_lookup"');
+
+      const badAnswer = await runWorkflow(getWorkflow('account-general'), { ticket, answers: { 'ask-topic': 'mortgage' } });
+      expect(badAnswer.error).toBe('Step "ask-topic" failed: Answer must be one of: balance, transaction, statement, other');
+    });
+
+    it('should use pluggable async tools and stop runaway loops', async () => {
+      const calls = [];
+      const tools = {
+        account_lookup: {
+          name: 'account_lookup',
+          run: async input => {
+            calls.push(input);
+            return { found: true, customer_id: input.customer_id, status: 'frozen' };
+          }
+        }
+      };
+      const result = await runWorkflow(getWorkflow('account-general'), { ticket, tools });
+      expect(calls).toEqual([{ customer_id: 'CUST-1' }]);
+      expect(result.notifications[0].message).toBe('Account CUST-1 is frozen; transfer the customer to account services.');
+
+      const loop = {
+        id: 'loop',
+        steps: [{ id: 'again', type: 'notify', target: 'agent', message: 'Still waiting', next: 'again' }]
+      };
+      const looped = await runWorkflow(loop, { maxSteps: 5 });
+      expect(looped).toMatchObject({ outcome: 'failed', error: 'Stopped after 5 steps' });
+      expect(looped.trace).toHaveLength(5);
+    });
+  });
+});
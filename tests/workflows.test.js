@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadWorkflowsFile, getWorkflowConfig, getWorkflow, selectWorkflow, DEFAULT_WORKFLOWS_FILE } = require('../src/workflows');
+
+describe('Workflows', () => {
+  const facts = {
+    decision: 'vibe_coded_troubleshooting',
+    channel: 'chat',
+    severity: 'medium',
+    tier: 'standard',
+    tags: [],
+    keywords: []
+  };
+
+  describe('selectWorkflow', () => {
+    it('should pick the first workflow matching the decision and keywords', () => {
+      expect(selectWorkflow({ ...facts, keywords: ['card'] }).id).toBe('card-issue');
+      expect(selectWorkflow({ ...facts, keywords: ['password', 'sms'] }).id).toBe('login-access');
+      expect(selectWorkflow(facts).id).toBe('account-general');
+      expect(selectWorkflow({ ...facts, decision: 'ai_code_remediation' })).toBeNull();
+    });
+
+    it('should describe workflows with the file version and their steps', () => {
+      const workflow = getWorkflow('login-access');
+
+      expect(workflow).toMatchObject({ id: 'login-access', version: getWorkflowConfig().version });
+      expect(workflow.steps[0]).toMatchObject({ id: 'lookup-account', type: 'call-tool', tool: 'account_lookup' });
+      expect(getWorkflow('missing')).toBeNull();
+    });
+  });
+
+  describe('loadWorkflowsFile', () => {
+    let tmpDir;
+    const base = yaml.load(fs.readFileSync(DEFAULT_WORKFLOWS_FILE, 'utf8'));
+    const write = workflows => {
+      const file = path.join(tmpDir, 'workflows.yaml');
+      fs.writeFileSync(file, yaml.dump({ ...base, workflows }));
+      return file;
+    };
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibefi-workflows-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should load the shipped workflows with step defaults', () => {
+      const { workflows } = loadWorkflowsFile(DEFAULT_WORKFLOWS_FILE);
+      const check = workflows[0].steps.find(step => step.type === 'check');
+
+      expect(workflows.map(workflow => workflow.id)).toEqual(['card-issue', 'login-access', 'account-general']);
+      expect(check.on_fail).toBeDefined();
+      expect(workflows[2].match).toEqual({ decision: ['vibe_coded_troubleshooting'] });
+    });
+
+    it('should reject unknown step types, bad conditions and jumps to unknown steps', () => {
+      expect(() => loadWorkflowsFile(write([
+        { id: 'bad', steps: [{ id: 'wait', type: 'sleep' }] }
+      ]))).toThrow('"workflows[0].steps[0].type" must be one of [check, prompt-agent, call-tool, branch, notify]');
+
+      expect(() => loadWorkflowsFile(write([
+        { id: 'bad', steps: [{ id: 'test', type: 'check', condition: { path: 'account.status', equals: 'active', in: ['x'] } }] }
+      ]))).toThrow('contains a conflict between exclusive peers');
+
+      expect(() => loadWorkflowsFile(write([
+        { id: 'bad', steps: [{ id: 'test', type: 'check', condition: { path: 'account.found', exists: true }, on_fail: 'nowhere' }] }
+      ]))).toThrow('step "bad.test" goes to unknown step "nowhere"');
+    });
+
+    it('should reserve the ticket variable and the end step', () => {
+      expect(() => loadWorkflowsFile(write([
+        { id: 'bad', steps: [{ id: 'ask', type: 'prompt-agent', question: 'Which ticket?', save_as: 'ticket' }] }
+      ]))).toThrow('"ticket" is reserved for the ticket');
+
+      expect(() => loadWorkflowsFile(write([
+        { id: 'bad', steps: [{ id: 'end', type: 'notify', target: 'agent', message: 'Done' }] }
+      ]))).toThrow('"end" is reserved for finishing the workflow');
+    });
+  });
+});